@@ -1,5 +1,23 @@
-CREATE TYPE role_enum AS ENUM ('STUDENT','TEACHER','ADMIN');
+-- Typo-tolerant course search (word_similarity)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TYPE role_enum AS ENUM ('STUDENT','TEACHER','TA','ADMIN');
+CREATE TYPE course_staff_role AS ENUM ('INSTRUCTOR','TA');
 CREATE TYPE grade_letter AS ENUM ('A_PLUS','A','A_MINUS','B_PLUS','B','B_MINUS','C_PLUS','C','C_MINUS','D','F');
+CREATE TYPE grade_status AS ENUM ('DRAFT','SUBMITTED','APPROVED','LOCKED');
+CREATE TYPE attendance_status AS ENUM ('PRESENT','ABSENT','LATE','EXCUSED');
+CREATE TYPE webhook_delivery_status AS ENUM ('PENDING','DELIVERED','FAILED');
+
+-- Degree programs: required courses, elective pools, minimum credits and GPA
+CREATE TABLE IF NOT EXISTS programs (
+    id           SERIAL PRIMARY KEY,
+    code         TEXT NOT NULL UNIQUE,
+    name         TEXT NOT NULL,
+    min_credits  INTEGER NOT NULL DEFAULT 0 CHECK (min_credits >= 0),
+    min_gpa      NUMERIC(3,2) CHECK (min_gpa >= 0),
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
 
 CREATE TABLE IF NOT EXISTS users (
     id           SERIAL PRIMARY KEY,
@@ -8,11 +26,62 @@ CREATE TABLE IF NOT EXISTS users (
     email        TEXT NOT NULL UNIQUE,
     password     TEXT NOT NULL,
     student_id   TEXT UNIQUE,
-    major        TEXT,
+    program_id   INTEGER REFERENCES programs(id) ON DELETE SET NULL,
+    -- bumped on role/password change or session revocation; older JWTs are rejected
+    token_version INTEGER NOT NULL DEFAULT 0,
+    -- DELETE /users/:id archives; only an admin purge removes the row
+    archived_at  TIMESTAMP,
+    archived_by  INTEGER REFERENCES users(id) ON DELETE SET NULL,
     created_at   TIMESTAMP NOT NULL DEFAULT NOW(),
     updated_at   TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id           SERIAL PRIMARY KEY,
+    user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash   TEXT NOT NULL UNIQUE,
+    expires_at   TIMESTAMP NOT NULL,
+    used_at      TIMESTAMP,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Default mail transport: messages land here instead of SMTP
+CREATE TABLE IF NOT EXISTS mail_outbox (
+    id           SERIAL PRIMARY KEY,
+    to_address   TEXT NOT NULL,
+    subject      TEXT NOT NULL,
+    body         TEXT NOT NULL,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id           SERIAL PRIMARY KEY,
+    user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash   TEXT NOT NULL UNIQUE,
+    expires_at   TIMESTAMP NOT NULL,
+    revoked_at   TIMESTAMP,
+    replaced_by  INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Admin-configurable settings (e.g. gpa_scale)
+CREATE TABLE IF NOT EXISTS app_settings (
+    key         TEXT PRIMARY KEY,
+    value       TEXT NOT NULL,
+    updated_at  TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS terms (
+    id          SERIAL PRIMARY KEY,
+    code        TEXT NOT NULL UNIQUE,
+    name        TEXT NOT NULL,
+    starts_on   DATE NOT NULL,
+    ends_on     DATE NOT NULL,
+    is_active   BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at  TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT terms_dates CHECK (ends_on >= starts_on)
+);
+
 CREATE TABLE IF NOT EXISTS courses (
     id                SERIAL PRIMARY KEY,
     code              TEXT NOT NULL UNIQUE,
@@ -20,36 +89,384 @@ CREATE TABLE IF NOT EXISTS courses (
     credits           INTEGER NOT NULL CHECK (credits >= 0),
     enrollment_limit  INTEGER NOT NULL CHECK (enrollment_limit >= 0),
     teacher_id        INTEGER NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    requires_consent  BOOLEAN NOT NULL DEFAULT FALSE,
+    description       TEXT NOT NULL DEFAULT '',
+    -- DELETE /courses/:id archives, keeping enrollments and grades for transcripts
+    archived_at       TIMESTAMP,
+    archived_by       INTEGER REFERENCES users(id) ON DELETE SET NULL,
     created_at        TIMESTAMP NOT NULL DEFAULT NOW(),
     updated_at        TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
+-- Co-instructors and TAs; the course owner is courses.teacher_id
+CREATE TABLE IF NOT EXISTS course_staff (
+    course_id   INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    user_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role        course_staff_role NOT NULL,
+    added_by    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    added_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (course_id, user_id)
+);
+
+-- One row per rule. Rows sharing group_name on a course are "any one of";
+-- concurrent rows are corequisites (same-term enrollment also counts).
 CREATE TABLE IF NOT EXISTS course_prereqs (
-    id         SERIAL PRIMARY KEY,
-    course_id  INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
-    prereq_id  INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    id          SERIAL PRIMARY KEY,
+    course_id   INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    prereq_id   INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    min_grade   grade_letter NOT NULL DEFAULT 'D' CHECK (min_grade <> 'F'),
+    group_name  TEXT,
+    concurrent  BOOLEAN NOT NULL DEFAULT FALSE,
     CONSTRAINT course_prereqs_unique UNIQUE (course_id, prereq_id),
     CONSTRAINT course_prereqs_not_self CHECK (course_id <> prereq_id)
 );
 
-CREATE TABLE IF NOT EXISTS enrollments (
+-- Instructor consent for courses with requires_consent
+CREATE TABLE IF NOT EXISTS course_consents (
     id          SERIAL PRIMARY KEY,
-    student_id  INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     course_id   INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    student_id  INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    granted_by  INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    note        TEXT,
     created_at  TIMESTAMP NOT NULL DEFAULT NOW(),
-    CONSTRAINT enrollments_unique UNIQUE (student_id, course_id)
+    CONSTRAINT course_consents_unique UNIQUE (course_id, student_id)
+);
+
+CREATE TABLE IF NOT EXISTS program_courses (
+    id          SERIAL PRIMARY KEY,
+    program_id  INTEGER NOT NULL REFERENCES programs(id) ON DELETE CASCADE,
+    course_id   INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    min_grade   grade_letter NOT NULL DEFAULT 'D' CHECK (min_grade <> 'F'),
+    CONSTRAINT program_courses_unique UNIQUE (program_id, course_id)
+);
+
+-- "Take N courses / N credits from this list"
+CREATE TABLE IF NOT EXISTS program_elective_pools (
+    id           SERIAL PRIMARY KEY,
+    program_id   INTEGER NOT NULL REFERENCES programs(id) ON DELETE CASCADE,
+    name         TEXT NOT NULL,
+    min_courses  INTEGER NOT NULL DEFAULT 0 CHECK (min_courses >= 0),
+    min_credits  INTEGER NOT NULL DEFAULT 0 CHECK (min_credits >= 0),
+    CONSTRAINT program_elective_pools_unique UNIQUE (program_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS program_elective_courses (
+    pool_id    INTEGER NOT NULL REFERENCES program_elective_pools(id) ON DELETE CASCADE,
+    course_id  INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    PRIMARY KEY (pool_id, course_id)
+);
+
+CREATE TABLE IF NOT EXISTS course_meetings (
+    id          SERIAL PRIMARY KEY,
+    course_id   INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    day         TEXT NOT NULL CHECK (day IN ('MON','TUE','WED','THU','FRI','SAT','SUN')),
+    starts_at   TIME NOT NULL,
+    ends_at     TIME NOT NULL,
+    room        TEXT,
+    CONSTRAINT course_meetings_times CHECK (ends_at > starts_at)
+);
+
+-- A catalog course taught in a given term; enrollment_limit NULL = use the course default
+CREATE TABLE IF NOT EXISTS course_offerings (
+    id                SERIAL PRIMARY KEY,
+    course_id         INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    term_id           INTEGER NOT NULL REFERENCES terms(id) ON DELETE RESTRICT,
+    enrollment_limit  INTEGER CHECK (enrollment_limit >= 0),
+    created_at        TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT course_offerings_unique UNIQUE (course_id, term_id)
+);
+
+CREATE TABLE IF NOT EXISTS enrollments (
+    id           SERIAL PRIMARY KEY,
+    student_id   INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    course_id    INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    offering_id  INTEGER NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT enrollments_unique UNIQUE (student_id, offering_id)
+);
+
+-- Codes a teacher/admin hands a student to get past capacity and/or prereqs
+CREATE TABLE IF NOT EXISTS permission_codes (
+    id              SERIAL PRIMARY KEY,
+    code            TEXT NOT NULL UNIQUE,
+    course_id       INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    student_id      INTEGER REFERENCES users(id) ON DELETE CASCADE, -- NULL = any student
+    bypass_capacity BOOLEAN NOT NULL DEFAULT FALSE,
+    bypass_prereqs  BOOLEAN NOT NULL DEFAULT FALSE,
+    max_uses        INTEGER NOT NULL DEFAULT 1 CHECK (max_uses >= 1),
+    uses            INTEGER NOT NULL DEFAULT 0 CHECK (uses >= 0),
+    expires_at      TIMESTAMP NOT NULL,
+    revoked_at      TIMESTAMP,
+    note            TEXT,
+    created_by      INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at      TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT permission_codes_scope CHECK (bypass_capacity OR bypass_prereqs),
+    CONSTRAINT permission_codes_uses CHECK (uses <= max_uses)
+);
+
+-- Every enrollment that got past a capacity or prereq check, and how
+CREATE TABLE IF NOT EXISTS enrollment_overrides (
+    id                  SERIAL PRIMARY KEY,
+    enrollment_id       INTEGER NOT NULL REFERENCES enrollments(id) ON DELETE CASCADE,
+    source              TEXT NOT NULL CHECK (source IN ('permission_code','admin_override')),
+    permission_code_id  INTEGER REFERENCES permission_codes(id) ON DELETE SET NULL,
+    bypassed_capacity   BOOLEAN NOT NULL DEFAULT FALSE,
+    bypassed_prereqs    BOOLEAN NOT NULL DEFAULT FALSE,
+    granted_by          INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason              TEXT,
+    created_at          TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id           SERIAL PRIMARY KEY,
+    student_id   INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    course_id    INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    offering_id  INTEGER NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT waitlist_entries_unique UNIQUE (student_id, offering_id)
 );
 
 CREATE TABLE IF NOT EXISTS grades (
     id           SERIAL PRIMARY KEY,
     student_id   INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     course_id    INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    offering_id  INTEGER NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
     value        grade_letter NOT NULL,
-    assigned_at  TIMESTAMP NOT NULL DEFAULT NOW()
+    status       grade_status NOT NULL DEFAULT 'DRAFT',
+    assigned_at  TIMESTAMP NOT NULL DEFAULT NOW(),
+    submitted_at TIMESTAMP,
+    approved_by  INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_at  TIMESTAMP,
+    locked_at    TIMESTAMP
+);
+
+-- What students, GPA, transcripts and prereq checks see: drafts and
+-- submitted grades stay invisible until an admin approves them
+CREATE OR REPLACE VIEW official_grades AS
+    SELECT * FROM grades WHERE status IN ('APPROVED','LOCKED');
+
+-- Changing a locked grade needs an admin-approved request
+CREATE TABLE IF NOT EXISTS grade_change_requests (
+    id               SERIAL PRIMARY KEY,
+    grade_id         INTEGER NOT NULL REFERENCES grades(id) ON DELETE CASCADE,
+    requested_by     INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    requested_value  grade_letter NOT NULL,
+    reason           TEXT NOT NULL,
+    status           TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING','APPROVED','REJECTED')),
+    reviewed_by      INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at      TIMESTAMP,
+    review_note      TEXT,
+    new_grade_id     INTEGER REFERENCES grades(id) ON DELETE SET NULL,
+    created_at       TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Gradebook: weighted categories, assignments and scores per course offering
+CREATE TABLE IF NOT EXISTS grading_categories (
+    id           SERIAL PRIMARY KEY,
+    offering_id  INTEGER NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    name         TEXT NOT NULL,
+    weight       NUMERIC(5,2) NOT NULL CHECK (weight > 0 AND weight <= 100),
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT grading_categories_unique UNIQUE (offering_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS assignments (
+    id           SERIAL PRIMARY KEY,
+    offering_id  INTEGER NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    category_id  INTEGER NOT NULL REFERENCES grading_categories(id) ON DELETE CASCADE,
+    title        TEXT NOT NULL,
+    max_points   NUMERIC(8,2) NOT NULL CHECK (max_points > 0),
+    due_at       TIMESTAMP,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS assignment_scores (
+    assignment_id  INTEGER NOT NULL REFERENCES assignments(id) ON DELETE CASCADE,
+    student_id     INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    points         NUMERIC(8,2) NOT NULL CHECK (points >= 0),
+    graded_by      INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at     TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (assignment_id, student_id)
+);
+
+-- Lowest percentage that earns each letter (admin-configurable)
+CREATE TABLE IF NOT EXISTS grade_cutoffs (
+    letter       grade_letter PRIMARY KEY,
+    min_percent  NUMERIC(5,2) NOT NULL CHECK (min_percent >= 0 AND min_percent <= 100)
+);
+
+-- Class sessions of a course offering and who attended each
+CREATE TABLE IF NOT EXISTS class_sessions (
+    id           SERIAL PRIMARY KEY,
+    offering_id  INTEGER NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    held_on      DATE NOT NULL,
+    topic        TEXT,
+    created_by   INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW()
 );
 
+CREATE TABLE IF NOT EXISTS attendance_records (
+    session_id   INTEGER NOT NULL REFERENCES class_sessions(id) ON DELETE CASCADE,
+    student_id   INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status       attendance_status NOT NULL,
+    note         TEXT,
+    marked_by    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    marked_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (session_id, student_id)
+);
+
+-- course_id/entity_id are plain integers so entries outlive deleted records
+CREATE TABLE IF NOT EXISTS audit_log (
+    id           SERIAL PRIMARY KEY,
+    actor_id     INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    action       TEXT NOT NULL,
+    entity_type  TEXT NOT NULL,
+    entity_id    INTEGER,
+    course_id    INTEGER,
+    before       JSONB,
+    after        JSONB,
+    reason       TEXT,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Per-user inbox; course_id survives the course being deleted
+CREATE TABLE IF NOT EXISTS notifications (
+    id           SERIAL PRIMARY KEY,
+    user_id      INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type         TEXT NOT NULL,
+    title        TEXT NOT NULL,
+    body         TEXT,
+    course_id    INTEGER,
+    entity_type  TEXT,
+    entity_id    INTEGER,
+    read_at      TIMESTAMP,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Posted by course staff to the students of one offering
+CREATE TABLE IF NOT EXISTS announcements (
+    id           SERIAL PRIMARY KEY,
+    course_id    INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+    offering_id  INTEGER NOT NULL REFERENCES course_offerings(id) ON DELETE CASCADE,
+    author_id    INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    title        TEXT NOT NULL,
+    body         TEXT NOT NULL,
+    recipients   INTEGER NOT NULL DEFAULT 0,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Outbound webhooks: endpoints, the delivery queue and every attempt made
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id           SERIAL PRIMARY KEY,
+    url          TEXT NOT NULL,
+    secret       TEXT NOT NULL,
+    events       TEXT[] NOT NULL,
+    description  TEXT,
+    is_active    BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by   INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at   TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at   TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id               SERIAL PRIMARY KEY,
+    endpoint_id      INTEGER NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    event            TEXT NOT NULL,
+    payload          JSONB NOT NULL,
+    status           webhook_delivery_status NOT NULL DEFAULT 'PENDING',
+    attempts         INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at  TIMESTAMP DEFAULT NOW(),
+    last_attempt_at  TIMESTAMP,
+    response_status  INTEGER,
+    last_error       TEXT,
+    delivered_at     TIMESTAMP,
+    replay_of        INTEGER REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    created_at       TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS webhook_attempts (
+    id               SERIAL PRIMARY KEY,
+    delivery_id      INTEGER NOT NULL REFERENCES webhook_deliveries(id) ON DELETE CASCADE,
+    attempted_at     TIMESTAMP NOT NULL DEFAULT NOW(),
+    response_status  INTEGER,
+    error            TEXT,
+    response_body    TEXT,
+    duration_ms      INTEGER
+);
+
+-- Issued transcripts, looked up by the code printed on the PDF
+CREATE TABLE IF NOT EXISTS transcript_verifications (
+    code               TEXT PRIMARY KEY,
+    student_id         INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    issued_by          INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    cumulative_gpa     NUMERIC(4,2),
+    attempted_credits  INTEGER NOT NULL,
+    earned_credits     INTEGER NOT NULL,
+    sha256             TEXT NOT NULL,
+    issued_at          TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- Seat changes for the live seat stream (src/lib/seatStream.js): NOTIFY
+-- seat_changes with the course, and the offering when there is one
+CREATE OR REPLACE FUNCTION notify_seat_change() RETURNS trigger AS $$
+DECLARE
+    r RECORD;
+BEGIN
+    IF TG_OP = 'DELETE' THEN r := OLD; ELSE r := NEW; END IF;
+    IF TG_TABLE_NAME = 'courses' THEN
+        PERFORM pg_notify('seat_changes', json_build_object('courseId', r.id)::text);
+    ELSIF TG_TABLE_NAME = 'course_offerings' THEN
+        PERFORM pg_notify('seat_changes', json_build_object('courseId', r.course_id, 'offeringId', r.id)::text);
+    ELSE
+        PERFORM pg_notify('seat_changes', json_build_object('courseId', r.course_id, 'offeringId', r.offering_id)::text);
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER enrollments_seat_change
+    AFTER INSERT OR DELETE ON enrollments
+    FOR EACH ROW EXECUTE FUNCTION notify_seat_change();
+
+CREATE TRIGGER courses_seat_change
+    AFTER UPDATE OF enrollment_limit ON courses
+    FOR EACH ROW WHEN (OLD.enrollment_limit IS DISTINCT FROM NEW.enrollment_limit)
+    EXECUTE FUNCTION notify_seat_change();
+
+CREATE TRIGGER offerings_seat_change
+    AFTER UPDATE OF enrollment_limit ON course_offerings
+    FOR EACH ROW WHEN (OLD.enrollment_limit IS DISTINCT FROM NEW.enrollment_limit)
+    EXECUTE FUNCTION notify_seat_change();
+
 CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+CREATE INDEX IF NOT EXISTS idx_users_program ON users(program_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_actor_time ON audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_audit_course_time ON audit_log(course_id, created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_courses_teacher ON courses(teacher_id);
+CREATE INDEX IF NOT EXISTS idx_course_staff_user ON course_staff(user_id);
 CREATE INDEX IF NOT EXISTS idx_enrollments_student ON enrollments(student_id);
 CREATE INDEX IF NOT EXISTS idx_enrollments_course  ON enrollments(course_id);
+CREATE INDEX IF NOT EXISTS idx_course_meetings_course ON course_meetings(course_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_terms_one_active ON terms(is_active) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_offerings_term ON course_offerings(term_id);
+CREATE INDEX IF NOT EXISTS idx_enrollments_offering ON enrollments(offering_id);
+CREATE INDEX IF NOT EXISTS idx_permission_codes_course ON permission_codes(course_id);
+CREATE INDEX IF NOT EXISTS idx_enrollment_overrides_enrollment ON enrollment_overrides(enrollment_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offering_time ON waitlist_entries(offering_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_grades_offering ON grades(offering_id);
 CREATE INDEX IF NOT EXISTS idx_grades_student_course_time ON grades(student_id, course_id, assigned_at DESC);
+CREATE INDEX IF NOT EXISTS idx_grades_status ON grades(status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_grade_change_one_pending ON grade_change_requests(grade_id) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_grading_categories_offering ON grading_categories(offering_id);
+CREATE INDEX IF NOT EXISTS idx_assignments_offering ON assignments(offering_id);
+CREATE INDEX IF NOT EXISTS idx_assignment_scores_student ON assignment_scores(student_id);
+CREATE INDEX IF NOT EXISTS idx_class_sessions_offering ON class_sessions(offering_id, held_on);
+CREATE INDEX IF NOT EXISTS idx_attendance_student ON attendance_records(student_id);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_time ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_announcements_offering ON announcements(offering_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'PENDING';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_attempts_delivery ON webhook_attempts(delivery_id);
@@ -6,32 +6,104 @@ INSERT INTO users (role,name,email,password) VALUES
 ('TEACHER','Daaimah Teacher','daaimah@coursehub.io','$2b$10$J5V2b3nB1Szi6x1dDko3ZeH5k8g0j0yKp8L3i9Xf8mVtY2E3kqJ4a')
 ON CONFLICT (email) DO NOTHING;
 
-INSERT INTO users (role,name,email,password,student_id,major) VALUES
-('STUDENT','Regina Student','regina@coursehub.io','$2b$10$J5V2b3nB1Szi6x1dDko3ZeH5k8g0j0yKp8L3i9Xf8mVtY2E3kqJ4a','S1001','CS'),
-('STUDENT','Gloria Student','gloria@coursehub.io','$2b$10$J5V2b3nB1Szi6x1dDko3ZeH5k8g0j0yKp8L3i9Xf8mVtY2E3kqJ4a','S1002','Math')
+INSERT INTO programs (code,name,min_credits,min_gpa) VALUES
+('CS','Computer Science',6,2.00),
+('MATH','Mathematics',6,2.00)
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO users (role,name,email,password,student_id,program_id)
+SELECT 'STUDENT', s.name, s.email, '$2b$10$J5V2b3nB1Szi6x1dDko3ZeH5k8g0j0yKp8L3i9Xf8mVtY2E3kqJ4a', s.student_id, p.id
+FROM (VALUES
+    ('Regina Student','regina@coursehub.io','S1001','CS'),
+    ('Gloria Student','gloria@coursehub.io','S1002','MATH')
+) AS s(name, email, student_id, program)
+JOIN programs p ON p.code = s.program
 ON CONFLICT (email) DO NOTHING;
 
-INSERT INTO courses (code,name,credits,enrollment_limit,teacher_id)
-SELECT 'CS101','Intro to CS',3,30,u.id FROM users u WHERE u.email='daaimah@coursehub.io'
+INSERT INTO courses (code,name,credits,enrollment_limit,teacher_id,description)
+SELECT 'CS101','Intro to CS',3,30,u.id,'Programming fundamentals: variables, control flow, functions and debugging' FROM users u WHERE u.email='daaimah@coursehub.io'
 ON CONFLICT (code) DO NOTHING;
 
-INSERT INTO courses (code,name,credits,enrollment_limit,teacher_id)
-SELECT 'CS201','Data Structures',3,25,u.id FROM users u WHERE u.email='daaimah@coursehub.io'
+INSERT INTO courses (code,name,credits,enrollment_limit,teacher_id,description)
+SELECT 'CS201','Data Structures',3,25,u.id,'Arrays, linked lists, stacks, queues, hash tables, trees and graphs, with algorithm analysis' FROM users u WHERE u.email='daaimah@coursehub.io'
 ON CONFLICT (code) DO NOTHING;
 
--- CS201 requires CS101
-INSERT INTO course_prereqs (course_id, prereq_id)
-SELECT c2.id, c1.id
+INSERT INTO users (role,name,email,password) VALUES
+('TA','Tomas Assistant','tomas@coursehub.io','$2b$10$J5V2b3nB1Szi6x1dDko3ZeH5k8g0j0yKp8L3i9Xf8mVtY2E3kqJ4a')
+ON CONFLICT (email) DO NOTHING;
+
+-- Tomas assists on CS101
+INSERT INTO course_staff (course_id, user_id, role)
+SELECT c.id, u.id, 'TA' FROM courses c, users u
+WHERE c.code='CS101' AND u.email='tomas@coursehub.io'
+ON CONFLICT DO NOTHING;
+
+INSERT INTO app_settings (key,value) VALUES ('gpa_scale','4.0')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO grade_cutoffs (letter,min_percent) VALUES
+('A_PLUS',97),('A',93),('A_MINUS',90),
+('B_PLUS',87),('B',83),('B_MINUS',80),
+('C_PLUS',77),('C',73),('C_MINUS',70),
+('D',60),('F',0)
+ON CONFLICT (letter) DO NOTHING;
+
+INSERT INTO terms (code,name,starts_on,ends_on,is_active) VALUES
+('2025-FALL','Fall 2025','2025-09-02','2025-12-19',TRUE)
+ON CONFLICT (code) DO NOTHING;
+
+-- CS101 meets Mon/Wed mornings, CS201 Tue/Thu mornings
+INSERT INTO course_meetings (course_id, day, starts_at, ends_at, room)
+SELECT c.id, m.day, m.starts_at::time, m.ends_at::time, m.room
+FROM courses c
+JOIN (VALUES
+    ('CS101','MON','09:00','10:30','Room 101'),
+    ('CS101','WED','09:00','10:30','Room 101'),
+    ('CS201','TUE','09:00','10:30','Room 204'),
+    ('CS201','THU','09:00','10:30','Room 204')
+) AS m(code, day, starts_at, ends_at, room) ON m.code = c.code
+WHERE NOT EXISTS (SELECT 1 FROM course_meetings x WHERE x.course_id = c.id);
+
+-- Offer both courses in Fall 2025 (course enrollment_limit applies)
+INSERT INTO course_offerings (course_id, term_id)
+SELECT c.id, t.id FROM courses c, terms t
+WHERE c.code IN ('CS101','CS201') AND t.code='2025-FALL'
+ON CONFLICT (course_id,term_id) DO NOTHING;
+
+-- CS201 requires CS101 with a C or better
+INSERT INTO course_prereqs (course_id, prereq_id, min_grade)
+SELECT c2.id, c1.id, 'C'
 FROM courses c1, courses c2
 WHERE c1.code='CS101' AND c2.code='CS201'
 ON CONFLICT (course_id,prereq_id) DO NOTHING;
 
--- Enroll Regina in CS101 and give her A
-INSERT INTO enrollments (student_id, course_id)
-SELECT s.id, c.id FROM users s, courses c
+-- CS: CS101 (C or better) is required; CS201 fills the one-course elective pool
+INSERT INTO program_courses (program_id, course_id, min_grade)
+SELECT p.id, c.id, 'C' FROM programs p, courses c
+WHERE p.code='CS' AND c.code='CS101'
+ON CONFLICT (program_id,course_id) DO NOTHING;
+
+INSERT INTO program_elective_pools (program_id, name, min_courses)
+SELECT p.id, 'CS electives', 1 FROM programs p WHERE p.code='CS'
+ON CONFLICT (program_id,name) DO NOTHING;
+
+INSERT INTO program_elective_courses (pool_id, course_id)
+SELECT ep.id, c.id FROM program_elective_pools ep
+JOIN programs p ON p.id = ep.program_id, courses c
+WHERE p.code='CS' AND ep.name='CS electives' AND c.code='CS201'
+ON CONFLICT DO NOTHING;
+
+-- Enroll Regina in CS101 (Fall 2025) and give her an approved A
+INSERT INTO enrollments (student_id, course_id, offering_id)
+SELECT s.id, c.id, o.id FROM users s, courses c
+JOIN course_offerings o ON o.course_id = c.id
+JOIN terms t ON t.id = o.term_id AND t.code='2025-FALL'
 WHERE s.email='regina@coursehub.io' AND c.code='CS101'
 ON CONFLICT DO NOTHING;
 
-INSERT INTO grades (student_id, course_id, value)
-SELECT s.id, c.id, 'A'::grade_letter FROM users s, courses c
-WHERE s.email='regina@coursehub.io' AND c.code='CS101';
+INSERT INTO grades (student_id, course_id, offering_id, value, status, approved_by, approved_at)
+SELECT s.id, c.id, o.id, 'A'::grade_letter, 'APPROVED', a.id, NOW()
+FROM users s, users a, courses c
+JOIN course_offerings o ON o.course_id = c.id
+JOIN terms t ON t.id = o.term_id AND t.code='2025-FALL'
+WHERE s.email='regina@coursehub.io' AND a.email='admin@coursehub.io' AND c.code='CS101';
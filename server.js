@@ -6,11 +6,22 @@ import authRoutes from "./src/routes/auth.js";
 import courseRoutes from "./src/routes/courses.js";
 import enrollmentRoutes from "./src/routes/enrollments.js";
 import gradeRoutes from "./src/routes/grades.js";
+import gradebookRoutes from "./src/routes/gradebook.js";
+import attendanceRoutes from "./src/routes/attendance.js";
+import notificationRoutes from "./src/routes/notifications.js";
+import webhookRoutes from "./src/routes/webhooks.js";
+import termRoutes from "./src/routes/terms.js";
+import programRoutes from "./src/routes/programs.js";
+import transcriptRoutes from "./src/routes/transcripts.js";
+import auditRoutes from "./src/routes/audit.js";
 import userRoutes from "./src/routes/users.js";
 import helmet from "helmet";
 import morgan from "morgan";
 import swaggerUi from "swagger-ui-express";
 import swaggerJsdoc from "swagger-jsdoc";
+import { schemas } from "./src/lib/schemas.js";
+import { uniformErrors, notFound, errorHandler } from "./src/lib/errors.js";
+import { startWebhookWorker } from "./src/lib/webhooks.js";
 
 dotenv.config();
 const { Pool } = pkg;
@@ -21,7 +32,14 @@ const swaggerSpec = swaggerJsdoc({
         info: { title: "CourseHub API", version: "1.0.0" },
         servers: [{ url: process.env.SERVER_URL || "http://localhost:3000" }],
         components: {
-            securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } }
+            securitySchemes: { bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" } },
+            schemas,
+            responses: {
+                ValidationFailed: {
+                    description: "Request failed validation; details lists each problem",
+                    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } }
+                }
+            }
         },
         security: [{ bearerAuth: [] }],
         paths: {
@@ -48,6 +66,7 @@ app.use(cors({
     origin: process.env.CLIENT_URL || "http://localhost:5173",
     credentials: true,
 }));
+app.use(uniformErrors);
 app.use(express.json());
 
 // Health
@@ -78,15 +97,28 @@ app.use("/auth", authRoutes);
 app.use("/courses", courseRoutes);
 app.use("/enrollments", enrollmentRoutes);
 app.use("/grades", gradeRoutes);
+app.use("/gradebook", gradebookRoutes);
+app.use("/attendance", attendanceRoutes);
+app.use("/notifications", notificationRoutes);
+app.use("/terms", termRoutes);
+app.use("/programs", programRoutes);
+app.use("/transcripts", transcriptRoutes);
+app.use("/audit", auditRoutes);
 app.use("/users", userRoutes);
+app.use("/webhooks", webhookRoutes);
 app.use("/docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec, { explorer: true }));
 
+// Errors
+app.use(notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 3000;
 
 if (process.env.NODE_ENV !== "test") {
     app.listen(PORT, () => {
         console.log(`✅ Server running on port ${PORT}`);
     });
+    startWebhookWorker(pool);
 }
 
 export default app;
\ No newline at end of file
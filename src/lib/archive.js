@@ -0,0 +1,105 @@
+// Archiving instead of deleting. DELETE /courses/:id and DELETE /users/:id
+// set archived_at: the record drops out of default listings and takes no new
+// enrollments or sign-ins, but its enrollments, grades and attendance stay,
+// so transcripts and GPA do not change (an archived student only gives up
+// seats in terms still running, see releaseSeats). Restore clears archived_at.
+//
+// Purging removes an archived record for good, and ON DELETE CASCADE takes
+// everything that references it. The dependency report says what that is;
+// a purge is refused while it has blockers (records outside the purged one's
+// own history that would change or make the delete fail).
+
+import { promoteFromWaitlist } from "./waitlist.js";
+import { enqueueWebhook } from "./webhooks.js";
+
+const offeringCount = (table) =>
+    `SELECT COUNT(*) FROM ${table} x JOIN course_offerings o ON o.id = x.offering_id WHERE o.course_id = $1`;
+
+// name -> count query ($1 = course id); `blocks` explains why a non-zero count stops a purge
+export const COURSE_DEPENDENCIES = {
+    offerings: { sql: `SELECT COUNT(*) FROM course_offerings WHERE course_id = $1` },
+    enrollments: { sql: `SELECT COUNT(*) FROM enrollments WHERE course_id = $1` },
+    grades: { sql: `SELECT COUNT(*) FROM grades WHERE course_id = $1` },
+    waitlist: { sql: `SELECT COUNT(*) FROM waitlist_entries WHERE course_id = $1` },
+    assignments: { sql: offeringCount("assignments") },
+    classSessions: { sql: offeringCount("class_sessions") },
+    announcements: { sql: `SELECT COUNT(*) FROM announcements WHERE course_id = $1` },
+    staff: { sql: `SELECT COUNT(*) FROM course_staff WHERE course_id = $1` },
+    requiredBy: {
+        sql: `SELECT COUNT(*) FROM course_prereqs WHERE prereq_id = $1 AND course_id <> $1`,
+        blocks: "Other courses list it as a prerequisite",
+    },
+    programs: {
+        sql: `SELECT (SELECT COUNT(*) FROM program_courses WHERE course_id = $1)
+                   + (SELECT COUNT(*) FROM program_elective_courses WHERE course_id = $1)`,
+        blocks: "Programs require it or offer it as an elective",
+    },
+};
+
+// name -> count query ($1 = user id)
+export const USER_DEPENDENCIES = {
+    enrollments: { sql: `SELECT COUNT(*) FROM enrollments WHERE student_id = $1` },
+    grades: { sql: `SELECT COUNT(*) FROM grades WHERE student_id = $1` },
+    assignmentScores: { sql: `SELECT COUNT(*) FROM assignment_scores WHERE student_id = $1` },
+    attendance: { sql: `SELECT COUNT(*) FROM attendance_records WHERE student_id = $1` },
+    waitlist: { sql: `SELECT COUNT(*) FROM waitlist_entries WHERE student_id = $1` },
+    transcripts: { sql: `SELECT COUNT(*) FROM transcript_verifications WHERE student_id = $1` },
+    staffRoles: { sql: `SELECT COUNT(*) FROM course_staff WHERE user_id = $1` },
+    // courses.teacher_id is ON DELETE RESTRICT
+    ownedCourses: {
+        sql: `SELECT COUNT(*) FROM courses WHERE teacher_id = $1`,
+        blocks: "Owns courses; reassign them first",
+    },
+};
+
+/**
+ * Counts -> { counts, total, blockers: [{ dependency, count, error }] }.
+ * Only dependencies with a `blocks` reason and a non-zero count block.
+ */
+export function dependencyReport(counts, dependencies) {
+    const blockers = Object.entries(dependencies)
+        .filter(([name, dep]) => dep.blocks && counts[name] > 0)
+        .map(([name, dep]) => ({ dependency: name, count: counts[name], error: dep.blocks }));
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    return { counts, total, blockers };
+}
+
+// One query for every count: SELECT (...)::int AS "enrollments", ...
+export function dependencySql(dependencies) {
+    const columns = Object.entries(dependencies).map(([name, dep]) => `(${dep.sql})::int AS "${name}"`);
+    return `SELECT ${columns.join(",\n       ")}`;
+}
+
+async function report(db, dependencies, id) {
+    const { rows } = await db.query(dependencySql(dependencies), [id]);
+    return dependencyReport(rows[0], dependencies);
+}
+
+export const courseDependencies = (db, courseId) => report(db, COURSE_DEPENDENCIES, courseId);
+export const userDependencies = (db, userId) => report(db, USER_DEPENDENCIES, userId);
+
+/**
+ * Free the seats of a student being archived: drop their enrollments in
+ * terms that have not ended (unless the grade is already official, which is
+ * history), send enrollment.deleted, and fill each freed seat from the
+ * waitlist. Run inside the archiving transaction; returns the dropped enrollments.
+ */
+export async function releaseSeats(client, studentId) {
+    const { rows } = await client.query(
+        `DELETE FROM enrollments e
+        USING course_offerings o, terms t
+        WHERE o.id = e.offering_id AND t.id = o.term_id
+            AND e.student_id = $1 AND t.ends_on >= CURRENT_DATE
+            AND NOT EXISTS (
+                SELECT 1 FROM official_grades g
+                WHERE g.student_id = e.student_id AND g.offering_id = e.offering_id
+            )
+        RETURNING e.*`,
+        [studentId]
+    );
+    for (const enrollment of rows) {
+        await enqueueWebhook(client, "enrollment.deleted", { ...enrollment, source: "archive" });
+    }
+    for (const offeringId of new Set(rows.map(e => e.offering_id))) await promoteFromWaitlist(client, offeringId);
+    return rows;
+}
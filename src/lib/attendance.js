@@ -0,0 +1,98 @@
+// Attendance: class sessions per course offering, one mark per enrolled
+// student per session.
+//
+// A student's attendance percent is (present + late) / (present + late + absent).
+// Excused absences and sessions not marked yet don't count either way.
+
+export const ATTENDANCE_STATUSES = ["PRESENT", "ABSENT", "LATE", "EXCUSED"];
+
+/**
+ * { present, absent, late, excused, sessions } -> adds unmarked and percent
+ * (one decimal, null until something countable is marked).
+ */
+export function summarizeAttendance({ present = 0, absent = 0, late = 0, excused = 0, sessions = 0 }) {
+    const counted = present + late + absent;
+    return {
+        sessions,
+        present,
+        late,
+        absent,
+        excused,
+        unmarked: Math.max(sessions - present - late - absent - excused, 0),
+        percent: counted ? Math.round(((present + late) / counted) * 1000) / 10 : null,
+    };
+}
+
+// Summary of one student's sessions: [{ status }, ...] with null for unmarked
+export function summarizeMarks(sessions) {
+    const counts = { sessions: sessions.length, present: 0, absent: 0, late: 0, excused: 0 };
+    for (const s of sessions) if (s.status) counts[s.status.toLowerCase()] += 1;
+    return summarizeAttendance(counts);
+}
+
+// Per-student counts over every session of the offering (or only `studentId`)
+export async function attendanceCounts(db, offeringId, studentId = null) {
+    const { rows } = await db.query(
+        `SELECT e.student_id,
+                COUNT(s.id)::int AS sessions,
+                COUNT(*) FILTER (WHERE ar.status = 'PRESENT')::int AS present,
+                COUNT(*) FILTER (WHERE ar.status = 'ABSENT')::int AS absent,
+                COUNT(*) FILTER (WHERE ar.status = 'LATE')::int AS late,
+                COUNT(*) FILTER (WHERE ar.status = 'EXCUSED')::int AS excused
+        FROM enrollments e
+        LEFT JOIN class_sessions s ON s.offering_id = e.offering_id
+        LEFT JOIN attendance_records ar ON ar.session_id = s.id AND ar.student_id = e.student_id
+        WHERE e.offering_id = $1 AND ($2::int IS NULL OR e.student_id = $2)
+        GROUP BY e.student_id`,
+        [offeringId, studentId]
+    );
+    return new Map(rows.map(r => [r.student_id, summarizeAttendance(r)]));
+}
+
+// A session with the course it belongs to, so permissions can be checked
+export async function findSession(db, id) {
+    const { rows } = await db.query(
+        `SELECT s.id, s.offering_id, to_char(s.held_on, 'YYYY-MM-DD') AS held_on, s.topic,
+                s.created_by, s.created_at, o.course_id, t.code AS term_code
+        FROM class_sessions s
+        JOIN course_offerings o ON o.id = s.offering_id
+        JOIN terms t ON t.id = o.term_id
+        WHERE s.id = $1`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Write marks for a session: records [{ studentId, status, note? }] and
+ * optionally `others`, a status for every enrolled student not listed.
+ * Only enrolled students can be marked. Returns { marked } or { status, error }.
+ */
+export async function markAttendance(client, session, { records = [], others = null }, actorId) {
+    const { rows: enrolled } = await client.query(
+        `SELECT student_id FROM enrollments WHERE offering_id = $1`,
+        [session.offering_id]
+    );
+    const enrolledIds = new Set(enrolled.map(r => r.student_id));
+    const missing = records.map(r => r.studentId).filter(id => !enrolledIds.has(id));
+    if (missing.length) {
+        return { status: 400, error: `Not enrolled in this course offering: ${[...new Set(missing)].join(", ")}` };
+    }
+
+    const marks = new Map(records.map(r => [r.studentId, r]));
+    if (others) {
+        for (const id of enrolledIds) if (!marks.has(id)) marks.set(id, { studentId: id, status: others });
+    }
+
+    for (const m of marks.values()) {
+        await client.query(
+            `INSERT INTO attendance_records (session_id, student_id, status, note, marked_by)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT (session_id, student_id)
+            DO UPDATE SET status = EXCLUDED.status, note = EXCLUDED.note,
+                          marked_by = EXCLUDED.marked_by, marked_at = NOW()`,
+            [session.id, m.studentId, m.status, m.note ?? null, actorId]
+        );
+    }
+    return { marked: marks.size };
+}
@@ -0,0 +1,58 @@
+// Audit trail: who did what to which record, with before/after snapshots.
+
+/**
+ * Append an audit entry. `db` may be the pool or a transaction client,
+ * so the entry commits (or rolls back) with the change it describes.
+ * - actorId: user who acted (null for system actions such as waitlist promotion)
+ * - action: dotted verb, e.g. "grade.create", "user.role_change"
+ * - entityType/entityId: the record touched
+ * - courseId: set when the change belongs to a course (lets teachers see it)
+ */
+export async function recordAudit(db, {
+    actorId = null,
+    action,
+    entityType,
+    entityId = null,
+    courseId = null,
+    before = null,
+    after = null,
+    reason = null,
+}) {
+    await db.query(
+        `INSERT INTO audit_log
+            (actor_id, action, entity_type, entity_id, course_id, before, after, reason)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [
+            actorId,
+            action,
+            entityType,
+            entityId,
+            courseId,
+            before == null ? null : JSON.stringify(before),
+            after == null ? null : JSON.stringify(after),
+            reason || null,
+        ]
+    );
+}
+
+// Paging, sorting and filters for GET /audit (see listQuery.js)
+export const AUDIT_LIST = {
+    id: "a.id",
+    sorts: { createdAt: "a.created_at", id: "a.id" },
+    defaultSort: "-createdAt",
+    filters: {
+        actorId: { type: "int", column: "a.actor_id" },
+        entityType: { type: "text", column: "a.entity_type" },
+        entityId: { type: "int", column: "a.entity_id" },
+        courseId: { type: "int", column: "a.course_id" },
+        action: { type: "text", column: "a.action" },
+        from: { type: "date", column: "a.created_at", op: ">=" },
+        to: { type: "date", column: "a.created_at", op: "<=" },
+    },
+};
+
+// GET /audit/course/:courseId: the course comes from the path, so no entity filters
+export const COURSE_AUDIT_LIST = {
+    ...AUDIT_LIST,
+    filters: { action: AUDIT_LIST.filters.action, from: AUDIT_LIST.filters.from, to: AUDIT_LIST.filters.to },
+};
@@ -0,0 +1,97 @@
+// Ranked course search.
+//
+// Words are matched with Postgres full-text search over code, name and
+// description (weight A/A/B) and the teacher's name (C); every word is a
+// prefix, so "data struct" finds Data Structures. pg_trgm word similarity
+// catches typos ("algoritms") that full-text misses. Rank is the sum of both.
+
+export const MIN_SIMILARITY = 0.3;
+const MAX_WORDS = 10;
+
+const DOCUMENT = `setweight(to_tsvector('english', c.code), 'A')
+            || setweight(to_tsvector('english', c.name), 'A')
+            || setweight(to_tsvector('english', c.description), 'B')
+            || setweight(to_tsvector('english', tu.name), 'C')`;
+const TEXT = `c.code || ' ' || c.name || ' ' || tu.name`;
+
+/**
+ * Search text -> a prefix tsquery ("data:* & struct:*"), or null when it has
+ * no words. Only letters and digits survive, so the result is always valid
+ * to_tsquery input.
+ */
+export function toPrefixQuery(text) {
+    const words = String(text ?? "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    if (!words.length) return null;
+    return [...new Set(words)].slice(0, MAX_WORDS).map(w => `${w}:*`).join(" & ");
+}
+
+/**
+ * Condition matching courses (alias c, teacher alias tu) against search text,
+ * as [sql with "?", ...values] for runListQuery.
+ */
+export function courseMatch(text) {
+    const q = String(text).trim();
+    return [
+        `(${DOCUMENT} @@ to_tsquery('english', ?) OR word_similarity(?, ${TEXT}) >= ${MIN_SIMILARITY})`,
+        toPrefixQuery(q) || "", q,
+    ];
+}
+
+/**
+ * FROM source for GET /courses/search: one row per course (alias s) with the
+ * teacher, the term's seats and waitlist, and `rank` for the search text
+ * (0 without one). Non-matching and archived courses are already left out.
+ */
+export function searchSource(text, termId) {
+    const q = String(text ?? "").trim();
+    const ranked = Boolean(q);
+    const rank = ranked
+        ? `ts_rank_cd(${DOCUMENT}, to_tsquery('english', ?)) + word_similarity(?, ${TEXT})`
+        : "0";
+    const [match, ...matchValues] = ranked ? courseMatch(q) : ["TRUE"];
+
+    return [
+        `(SELECT c.id, c.code, c.name, c.description, c.credits, c.enrollment_limit,
+                c.teacher_id, tu.name AS teacher_name, c.requires_consent,
+                o.id AS offering_id, t.code AS term_code,
+                CASE WHEN o.id IS NULL THEN NULL
+                    ELSE GREATEST(COALESCE(o.enrollment_limit, c.enrollment_limit) - COALESCE(en.count,0), 0)
+                END AS available_seats,
+                COALESCE(wl.count,0) AS waitlist_count,
+                (${rank})::float8 AS rank
+        FROM courses c
+        JOIN users tu ON tu.id = c.teacher_id
+        LEFT JOIN course_offerings o ON o.course_id = c.id AND o.term_id = ?
+        LEFT JOIN terms t ON t.id = o.term_id
+        LEFT JOIN (
+            SELECT offering_id, COUNT(*)::int AS count
+            FROM enrollments GROUP BY offering_id
+        ) en ON en.offering_id = o.id
+        LEFT JOIN (
+            SELECT offering_id, COUNT(*)::int AS count
+            FROM waitlist_entries GROUP BY offering_id
+        ) wl ON wl.offering_id = o.id
+        WHERE c.archived_at IS NULL AND ${match}) s`,
+        ...(ranked ? [toPrefixQuery(q) || "", q] : []),
+        termId,
+        ...matchValues,
+    ];
+}
+
+/**
+ * Facet rows -> the response shape:
+ *   credits: [{ value, count }], teachers: [{ id, name, count }],
+ *   seatsAvailable / prereqsMet: { true, false }
+ */
+export function shapeFacets({ credits, teachers, seats, prereqs }) {
+    const split = (rows) => ({
+        true: rows.find(r => r.value === true)?.count || 0,
+        false: rows.find(r => r.value === false)?.count || 0,
+    });
+    return {
+        credits: credits.map(r => ({ value: r.value, count: r.count })),
+        teachers: teachers.map(r => ({ id: r.id, name: r.name, count: r.count })),
+        seatsAvailable: split(seats),
+        ...(prereqs ? { prereqsMet: split(prereqs) } : {}),
+    };
+}
@@ -0,0 +1,106 @@
+// Course staff and course-scoped permissions.
+//
+// courses.teacher_id is the course OWNER. course_staff adds co-instructors
+// (INSTRUCTOR) and teaching assistants (TA). What each can do on the course
+// is a fixed list of permissions; admins can do everything everywhere.
+
+export const STAFF_ROLES = ["INSTRUCTOR", "TA"];
+
+export const COURSE_PERMISSIONS = [
+    "course:write",      // details, meetings, offerings
+    "course:delete",
+    "prereqs:write",
+    "staff:write",       // add and remove co-instructors and TAs
+    "roster:read",       // roster, waitlist, staff list, attendance
+    "attendance:write",  // class sessions and attendance marks
+    "enrollments:write", // bulk enroll, consents, permission codes
+    "grades:read",       // course grades, gradebook
+    "grades:write",      // draft grades, assignment scores
+    "grades:submit",     // submit for approval, change requests, finalize
+    "gradebook:write",   // categories and assignments
+    "announcements:write",
+    "audit:read",
+];
+
+const ROLE_PERMISSIONS = {
+    OWNER: COURSE_PERMISSIONS,
+    INSTRUCTOR: COURSE_PERMISSIONS.filter(p => p !== "course:delete" && p !== "staff:write"),
+    TA: ["roster:read", "attendance:write", "grades:read", "grades:write"],
+};
+
+export function permissionsFor(role) {
+    if (role === "ADMIN") return COURSE_PERMISSIONS;
+    return ROLE_PERMISSIONS[role] || [];
+}
+
+/**
+ * SQL condition: `userParam` is on the staff of course `courseAlias`.
+ *   staffCondition("c", "$2") -> "(c.teacher_id = $2 OR EXISTS (...))"
+ */
+export function staffCondition(courseAlias, userParam) {
+    return `(${courseAlias}.teacher_id = ${userParam} OR EXISTS (
+                SELECT 1 FROM course_staff cs WHERE cs.course_id = ${courseAlias}.id AND cs.user_id = ${userParam}))`;
+}
+
+/**
+ * The user's role on a course: ADMIN, OWNER, INSTRUCTOR, TA or null.
+ * Returns { status, error } when the course does not exist.
+ */
+export async function courseRole(db, user, courseId) {
+    const { rows } = await db.query(
+        `SELECT c.teacher_id, cs.role
+        FROM courses c
+        LEFT JOIN course_staff cs ON cs.course_id = c.id AND cs.user_id = $2
+        WHERE c.id = $1`,
+        [courseId, user.id]
+    );
+    if (!rows[0]) return { status: 404, error: "Course not found" };
+    if (user.role === "ADMIN") return { role: "ADMIN" };
+    if (rows[0].teacher_id === user.id) return { role: "OWNER" };
+    return { role: rows[0].role || null };
+}
+
+/**
+ * null if the user holds `permission` on the course,
+ * otherwise { status, error, code?, permission? } for the response.
+ */
+export async function checkCoursePermission(db, user, courseId, permission) {
+    const found = await courseRole(db, user, courseId);
+    if (found.error) return found;
+    if (!found.role) return { status: 403, error: "Not your course" };
+    if (!permissionsFor(found.role).includes(permission)) {
+        return {
+            status: 403,
+            error: `Your role on this course (${found.role}) does not allow ${permission}`,
+            code: "missing_permission",
+            permission,
+        };
+    }
+    return null;
+}
+
+export async function listStaff(db, courseId) {
+    const { rows } = await db.query(
+        `SELECT u.id, u.name, u.email, 'OWNER' AS role, c.created_at AS added_at
+        FROM courses c JOIN users u ON u.id = c.teacher_id
+        WHERE c.id = $1
+        UNION ALL
+        SELECT u.id, u.name, u.email, cs.role::text, cs.added_at
+        FROM course_staff cs JOIN users u ON u.id = cs.user_id
+        WHERE cs.course_id = $1
+        ORDER BY added_at, id`,
+        [courseId]
+    );
+    return rows;
+}
+
+/**
+ * Check a new staff member: TAs (user role TA or TEACHER) and instructors
+ * (TEACHER only). Returns an error message or null.
+ */
+export function staffRoleError(user, role) {
+    if (!STAFF_ROLES.includes(role)) return `role must be one of ${STAFF_ROLES.join(", ")}`;
+    if (role === "INSTRUCTOR" && user.role !== "TEACHER") return "Only teachers can be co-instructors";
+    if (role === "TA" && !["TA", "TEACHER"].includes(user.role)) return "Only TA or TEACHER users can be TAs";
+    return null;
+}
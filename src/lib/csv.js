@@ -0,0 +1,57 @@
+// Minimal RFC 4180 CSV reading/writing (quoted fields, "" escapes, CRLF or LF).
+
+export function csvCell(v) {
+    const s = v == null ? "" : String(v);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Split CSV text into rows of string cells. Blank lines are skipped.
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = "";
+    let quoted = false;
+
+    const src = String(text).replace(/^\uFEFF/, "");
+    for (let i = 0; i < src.length; i++) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+            else if (ch === '"') quoted = false;
+            else cell += ch;
+            continue;
+        }
+        if (ch === '"') quoted = true;
+        else if (ch === ",") { row.push(cell); cell = ""; }
+        else if (ch === "\n" || ch === "\r") {
+            if (ch === "\r" && src[i + 1] === "\n") i++;
+            row.push(cell);
+            if (row.some(c => c !== "")) rows.push(row);
+            row = [];
+            cell = "";
+        } else cell += ch;
+    }
+    row.push(cell);
+    if (row.some(c => c !== "")) rows.push(row);
+    return rows;
+}
+
+/**
+ * Parse CSV with a header line into objects keyed by header.
+ * Headers are normalized so "Student ID", "student_id" and "studentId" all
+ * become "studentid".
+ */
+export function parseCsvObjects(text) {
+    const [header, ...lines] = parseCsv(text);
+    if (!header) return [];
+    const keys = header.map(normalizeKey);
+    return lines.map(cells => {
+        const obj = {};
+        keys.forEach((k, i) => { if (k) obj[k] = (cells[i] ?? "").trim(); });
+        return obj;
+    });
+}
+
+export function normalizeKey(k) {
+    return String(k).toLowerCase().replace(/[^a-z0-9]/g, "");
+}
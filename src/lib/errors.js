@@ -0,0 +1,82 @@
+// One error format for every route:
+//   { error: "Readable message", code: "machine_code", details?: [{ path, code, message }] }
+// `path` points into the request ("body.prereqs[0].courseId", "params.id",
+// "query.limit"). Route-specific extras (reason, unmet, cycle, ...) ride along.
+//
+// Routes answer res.status(4xx).json({ error }) or validationError(...) for
+// bad input; uniformErrors fills in the code on the way out (and still reads
+// the older { errors: [...] } bodies).
+
+export const STATUS_CODES = {
+    400: "bad_request",
+    401: "unauthorized",
+    403: "forbidden",
+    404: "not_found",
+    409: "conflict",
+    413: "payload_too_large",
+    415: "unsupported_media_type",
+    500: "server_error",
+};
+
+// Field names are camelCase or snake_case, so "Meeting times overlap" names none
+const FIELD = /^([a-z]\w*(?:\.\w+|\[\d+\])*)\s/;
+
+/**
+ * A detail from one of the older hand-written validation messages, e.g.
+ * "prereqs[0].minGrade must be a passing grade letter." -> path body.prereqs[0].minGrade
+ */
+export function detailFromMessage(message, where = "body") {
+    const text = String(message).replace(/\.$/, "");
+    const field = text.match(FIELD)?.[1];
+    return { path: field ? `${where}.${field}` : where, code: "invalid", message: text };
+}
+
+// 400 body for a list of details; plain messages ("meetings[0].end must be
+// after start.") are turned into details
+export function validationError(problems) {
+    const details = problems.map(p => (typeof p === "string" ? detailFromMessage(p) : p));
+    return {
+        error: details.map(d => d.message).join("; ") || "Validation failed",
+        code: "validation_failed",
+        details,
+    };
+}
+
+/**
+ * Bring an error response body into the shared format.
+ * Bodies that already have a code are left alone.
+ */
+export function normalizeErrorBody(status, body) {
+    if (!body || typeof body !== "object" || Array.isArray(body) || body.code) return body;
+    if (Array.isArray(body.errors)) {
+        const { errors, ...rest } = body;
+        return { ...validationError(errors), ...rest };
+    }
+    if (typeof body.error === "string") {
+        return { ...body, code: STATUS_CODES[status] || (status >= 500 ? "server_error" : "bad_request") };
+    }
+    return body;
+}
+
+// Middleware: every JSON error response leaves in the shared format
+export function uniformErrors(_req, res, next) {
+    const json = res.json.bind(res);
+    res.json = (body) => json(res.statusCode >= 400 ? normalizeErrorBody(res.statusCode, body) : body);
+    next();
+}
+
+// Last handlers in the app: unknown routes and anything thrown or passed to next(err)
+export function notFound(_req, res) {
+    return res.status(404).json({ error: "Not found", code: "not_found" });
+}
+
+export function errorHandler(err, _req, res, _next) {
+    if (err.type === "entity.parse.failed") {
+        return res.status(400).json({ error: "Request body is not valid JSON", code: "invalid_json" });
+    }
+    if (err.type === "entity.too.large") {
+        return res.status(413).json({ error: "Request body is too large", code: "payload_too_large" });
+    }
+    console.error(err);
+    return res.status(500).json({ error: "Server error", code: "server_error" });
+}
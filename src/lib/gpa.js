@@ -0,0 +1,113 @@
+// GPA engine: named grading scales and credit-weighted GPA.
+// Every endpoint that reports a GPA goes through studentGpa().
+
+export const GRADING_SCALES = {
+    // A+ capped at 4.0
+    "4.0": {
+        A_PLUS: 4.0, A: 4.0, A_MINUS: 3.7,
+        B_PLUS: 3.3, B: 3.0, B_MINUS: 2.7,
+        C_PLUS: 2.3, C: 2.0, C_MINUS: 1.7,
+        D: 1.0, F: 0.0
+    },
+    // A+ earns 4.3
+    "4.3": {
+        A_PLUS: 4.3, A: 4.0, A_MINUS: 3.7,
+        B_PLUS: 3.3, B: 3.0, B_MINUS: 2.7,
+        C_PLUS: 2.3, C: 2.0, C_MINUS: 1.7,
+        D: 1.0, F: 0.0
+    },
+};
+
+export const DEFAULT_SCALE = "4.0";
+export const GPA_METHOD = "credit_weighted";
+
+/**
+ * Credit-weighted GPA over rows of { credits, grade }.
+ * Zero-credit courses count toward `courses` but not the average.
+ * Returns { gpa, credits, courses }; gpa is null when no credits are graded.
+ */
+export function computeGpa(rows, scaleName = DEFAULT_SCALE) {
+    const points = GRADING_SCALES[scaleName] || GRADING_SCALES[DEFAULT_SCALE];
+    let totalPoints = 0;
+    let totalCredits = 0;
+    for (const r of rows) {
+        const p = points[r.grade];
+        if (p == null) continue;
+        const credits = Number(r.credits) || 0;
+        totalPoints += p * credits;
+        totalCredits += credits;
+    }
+    return {
+        gpa: totalCredits > 0 ? Number((totalPoints / totalCredits).toFixed(2)) : null,
+        credits: totalCredits,
+        courses: rows.length,
+    };
+}
+
+/**
+ * Cumulative and per-term GPA from graded rows of
+ * { course_id, term_code, credits, grade, assigned_at } where each row is
+ * the latest grade for that course in that term.
+ * Cumulative uses only the latest grade per course (retakes replace).
+ */
+export function summarizeGpa(rows, scaleName = DEFAULT_SCALE) {
+    const latestByCourse = new Map();
+    const byTerm = new Map();
+    for (const r of rows) {
+        const prev = latestByCourse.get(r.course_id);
+        if (!prev || new Date(r.assigned_at) > new Date(prev.assigned_at)) {
+            latestByCourse.set(r.course_id, r);
+        }
+        if (!byTerm.has(r.term_code)) byTerm.set(r.term_code, []);
+        byTerm.get(r.term_code).push(r);
+    }
+
+    return {
+        scale: scaleName,
+        method: GPA_METHOD,
+        cumulative: computeGpa([...latestByCourse.values()], scaleName),
+        terms: [...byTerm.entries()].map(([term, termRows]) => ({
+            term,
+            ...computeGpa(termRows, scaleName),
+        })),
+    };
+}
+
+// The admin-selected scale, falling back to the default
+export async function getActiveScale(db) {
+    const { rows } = await db.query(`SELECT value FROM app_settings WHERE key = 'gpa_scale'`);
+    const name = rows[0]?.value;
+    return GRADING_SCALES[name] ? name : DEFAULT_SCALE;
+}
+
+export async function setActiveScale(db, scaleName) {
+    await db.query(
+        `INSERT INTO app_settings (key, value) VALUES ('gpa_scale', $1)
+        ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+        [scaleName]
+    );
+}
+
+/**
+ * Cumulative and per-term GPA for a student using the active scale.
+ * Terms are listed oldest first.
+ */
+export async function studentGpa(db, studentId) {
+    const scale = await getActiveScale(db);
+    const { rows } = await db.query(
+        `SELECT * FROM (
+            SELECT DISTINCT ON (g.course_id, o.term_id)
+                    g.course_id, t.code AS term_code, t.starts_on,
+                    c.credits, g.value::text AS grade, g.assigned_at
+            FROM official_grades g
+            JOIN courses c ON c.id = g.course_id
+            JOIN course_offerings o ON o.id = g.offering_id
+            JOIN terms t ON t.id = o.term_id
+            WHERE g.student_id = $1
+            ORDER BY g.course_id, o.term_id, g.assigned_at DESC
+        ) latest
+        ORDER BY starts_on ASC, course_id ASC`,
+        [studentId]
+    );
+    return summarizeGpa(rows, scale);
+}
@@ -0,0 +1,160 @@
+// Gradebook engine: weighted categories -> running percentage -> letter grade.
+
+import { ALLOWED_GRADES } from "./grades.js";
+
+// Used when the grade_cutoffs table is empty
+export const DEFAULT_CUTOFFS = [
+    { letter: "A_PLUS", minPercent: 97 }, { letter: "A", minPercent: 93 }, { letter: "A_MINUS", minPercent: 90 },
+    { letter: "B_PLUS", minPercent: 87 }, { letter: "B", minPercent: 83 }, { letter: "B_MINUS", minPercent: 80 },
+    { letter: "C_PLUS", minPercent: 77 }, { letter: "C", minPercent: 73 }, { letter: "C_MINUS", minPercent: 70 },
+    { letter: "D", minPercent: 60 }, { letter: "F", minPercent: 0 },
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Check a cutoff table [{ letter, minPercent }] whose shape the CutoffsReplace
+ * schema has already checked: each letter at most once, thresholds strictly
+ * falling from best to worst letter and the lowest at 0 so every percentage
+ * maps to a letter. Letters left out are never awarded.
+ */
+export function validateCutoffs(cutoffs) {
+    const errors = [];
+    const seen = new Set();
+    cutoffs.forEach((c, i) => {
+        if (seen.has(c.letter)) errors.push(`cutoffs[${i}].letter ${c.letter} is listed twice.`);
+        seen.add(c.letter);
+    });
+    if (errors.length) return errors;
+
+    const sorted = sortCutoffs(cutoffs);
+    for (let i = 1; i < sorted.length; i++) {
+        if (sorted[i].minPercent >= sorted[i - 1].minPercent) {
+            errors.push(`${sorted[i].letter} must need less than ${sorted[i - 1].letter}.`);
+        }
+    }
+    if (sorted[sorted.length - 1].minPercent !== 0) errors.push("The lowest letter must start at 0.");
+    return errors;
+}
+
+// Best letter first, minPercent as a number
+function sortCutoffs(cutoffs) {
+    return cutoffs
+        .map(c => ({ letter: c.letter, minPercent: Number(c.minPercent) }))
+        .sort((a, b) => ALLOWED_GRADES.indexOf(a.letter) - ALLOWED_GRADES.indexOf(b.letter));
+}
+
+export function letterFor(percent, cutoffs = DEFAULT_CUTOFFS) {
+    if (percent == null) return null;
+    const hit = sortCutoffs(cutoffs).find(c => percent >= c.minPercent);
+    return hit ? hit.letter : null;
+}
+
+export async function getCutoffs(db) {
+    const { rows } = await db.query(
+        `SELECT letter::text AS letter, min_percent AS "minPercent" FROM grade_cutoffs`
+    );
+    return rows.length ? sortCutoffs(rows) : DEFAULT_CUTOFFS;
+}
+
+// Replace the whole table; run inside a transaction
+export async function setCutoffs(client, cutoffs) {
+    await client.query("DELETE FROM grade_cutoffs");
+    for (const c of sortCutoffs(cutoffs)) {
+        await client.query(
+            `INSERT INTO grade_cutoffs (letter, min_percent) VALUES ($1::grade_letter, $2)`,
+            [c.letter, c.minPercent]
+        );
+    }
+}
+
+/**
+ * One student's running grade.
+ * Only scored assignments count: a category's percent is earned / possible
+ * over what has been scored, and categories with nothing scored yet are left
+ * out with the remaining weights scaled back up to 100%.
+ *
+ * categories:  [{ id, name, weight }]
+ * assignments: [{ id, categoryId, title, maxPoints, dueAt }]
+ * scores:      Map of assignmentId -> points for this student
+ */
+export function computeBreakdown({ categories, assignments, scores }, cutoffs = DEFAULT_CUTOFFS) {
+    let weighted = 0;
+    let countedWeight = 0;
+
+    const out = categories.map(cat => {
+        let earned = 0;
+        let possible = 0;
+        const items = assignments
+            .filter(a => a.categoryId === cat.id)
+            .map(a => {
+                const points = scores.has(a.id) ? Number(scores.get(a.id)) : null;
+                if (points != null) {
+                    earned += points;
+                    possible += Number(a.maxPoints);
+                }
+                return { id: a.id, title: a.title, maxPoints: Number(a.maxPoints), dueAt: a.dueAt, points };
+            });
+        const percent = possible > 0 ? (earned / possible) * 100 : null;
+        if (percent != null) {
+            weighted += percent * Number(cat.weight);
+            countedWeight += Number(cat.weight);
+        }
+        return {
+            id: cat.id,
+            name: cat.name,
+            weight: Number(cat.weight),
+            earned: round2(earned),
+            possible: round2(possible),
+            percent: percent == null ? null : round2(percent),
+            assignments: items,
+        };
+    });
+
+    const percent = countedWeight > 0 ? round2(weighted / countedWeight) : null;
+    return {
+        percent,
+        letter: letterFor(percent, cutoffs),
+        weightTotal: round2(categories.reduce((a, c) => a + Number(c.weight), 0)),
+        categories: out,
+    };
+}
+
+/**
+ * Categories, assignments and every score for an offering.
+ * scoresByStudent is Map(studentId -> Map(assignmentId -> points)).
+ */
+export async function loadGradebook(db, offeringId) {
+    const { rows: categories } = await db.query(
+        `SELECT id, name, weight FROM grading_categories WHERE offering_id=$1 ORDER BY id`,
+        [offeringId]
+    );
+    const { rows: assignments } = await db.query(
+        `SELECT id, category_id AS "categoryId", title, max_points AS "maxPoints", due_at AS "dueAt"
+        FROM assignments
+        WHERE offering_id=$1
+        ORDER BY due_at ASC NULLS LAST, id`,
+        [offeringId]
+    );
+    const { rows: scores } = await db.query(
+        `SELECT s.student_id, s.assignment_id, s.points
+        FROM assignment_scores s
+        JOIN assignments a ON a.id = s.assignment_id
+        WHERE a.offering_id=$1`,
+        [offeringId]
+    );
+    const scoresByStudent = new Map();
+    for (const s of scores) {
+        if (!scoresByStudent.has(s.student_id)) scoresByStudent.set(s.student_id, new Map());
+        scoresByStudent.get(s.student_id).set(s.assignment_id, s.points);
+    }
+    return { categories, assignments, scoresByStudent };
+}
+
+export function studentBreakdown(gradebook, studentId, cutoffs) {
+    return computeBreakdown({
+        categories: gradebook.categories,
+        assignments: gradebook.assignments,
+        scores: gradebook.scoresByStudent.get(studentId) || new Map(),
+    }, cutoffs);
+}
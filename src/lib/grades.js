@@ -0,0 +1,173 @@
+// Grades and their workflow: DRAFT -> SUBMITTED -> APPROVED (admin) -> LOCKED.
+// Only APPROVED and LOCKED grades are official (the official_grades view);
+// a locked grade changes only through an approved grade-change request.
+
+import { recordAudit } from "./audit.js";
+import { enqueueWebhook } from "./webhooks.js";
+import { notify } from "./notifications.js";
+
+// Best to worst, matching the grade_letter enum
+export const ALLOWED_GRADES = [
+    "A_PLUS","A","A_MINUS",
+    "B_PLUS","B","B_MINUS",
+    "C_PLUS","C","C_MINUS",
+    "D","F"
+];
+
+export const GRADE_STATUSES = ["DRAFT", "SUBMITTED", "APPROVED", "LOCKED"];
+
+// Which statuses each workflow action moves from, and where to
+export const GRADE_TRANSITIONS = {
+    submit:  { from: ["DRAFT"], to: "SUBMITTED", column: "submitted_at" },
+    approve: { from: ["SUBMITTED"], to: "APPROVED", column: "approved_at" },
+    reject:  { from: ["SUBMITTED"], to: "DRAFT" },
+    lock:    { from: ["APPROVED"], to: "LOCKED", column: "locked_at" },
+};
+
+/**
+ * Save a teacher's grade for a student in a course offering as a DRAFT and
+ * audit it (grade.create for the first grade, grade.change otherwise).
+ * An unapproved (DRAFT/SUBMITTED) grade is edited in place and goes back to
+ * DRAFT; an APPROVED grade stays official until its replacement draft is
+ * approved; a LOCKED grade cannot be changed here.
+ * Drafts are not sent to webhooks or the student: grade.recorded goes out
+ * once the grade is official (see gradeRecorded).
+ * Run on a client inside a transaction.
+ * Returns { grade, previous } or { status, error }.
+ */
+export async function recordGrade(client, { actorId, studentId, courseId, offeringId, value, reason }) {
+    const { rows: prev } = await client.query(
+        `SELECT id, value::text AS value, status::text AS status, assigned_at
+        FROM grades
+        WHERE student_id=$1 AND offering_id=$2
+        ORDER BY assigned_at DESC, id DESC
+        LIMIT 1
+        FOR UPDATE`,
+        [studentId, offeringId]
+    );
+    const previous = prev[0] || null;
+    if (previous?.status === "LOCKED") {
+        return { status: 409, error: "Grade is locked; submit a grade-change request", gradeId: previous.id };
+    }
+
+    let rows;
+    if (previous && (previous.status === "DRAFT" || previous.status === "SUBMITTED")) {
+        ({ rows } = await client.query(
+            `UPDATE grades
+            SET value = $2::grade_letter, status = 'DRAFT', assigned_at = NOW(), submitted_at = NULL
+            WHERE id=$1
+            RETURNING *`,
+            [previous.id, value]
+        ));
+    } else {
+        ({ rows } = await client.query(
+            `INSERT INTO grades (student_id, course_id, offering_id, value)
+            VALUES ($1,$2,$3,$4::grade_letter)
+            RETURNING *`,
+            [studentId, courseId, offeringId, value]
+        ));
+    }
+    await recordAudit(client, {
+        actorId,
+        action: previous ? "grade.change" : "grade.create",
+        entityType: "grade",
+        entityId: rows[0].id,
+        courseId: Number(courseId),
+        before: previous,
+        after: rows[0],
+        reason,
+    });
+    return { grade: rows[0], previous };
+}
+
+/**
+ * Can this user be graded in this offering? They must be a STUDENT enrolled
+ * in it. Returns null, or { status, code, error } ready to send back.
+ */
+export async function checkGradeTarget(db, studentId, offeringId) {
+    const { rows } = await db.query(
+        `SELECT u.role, e.id AS enrollment_id
+        FROM users u
+        LEFT JOIN enrollments e ON e.student_id = u.id AND e.offering_id = $2
+        WHERE u.id = $1`,
+        [studentId, offeringId]
+    );
+    if (!rows[0]) return { status: 404, code: "not_found", error: "Student not found" };
+    if (rows[0].role !== "STUDENT") return { status: 400, code: "not_a_student", error: "studentId must be a STUDENT" };
+    if (!rows[0].enrollment_id) {
+        return { status: 409, code: "not_enrolled", error: "Student is not enrolled in this course for that term" };
+    }
+    return null;
+}
+
+/**
+ * Move grades through one workflow step (see GRADE_TRANSITIONS).
+ * Grades not in an allowed "from" status are left alone and reported.
+ * Audited as grade.<action>; an approved grade is official, so it also
+ * goes out as grade.recorded. Run inside a transaction.
+ * Returns { updated: [grade rows], skipped: [{ id, status }] }.
+ */
+export async function transitionGrades(client, gradeIds, action, { actorId, reason } = {}) {
+    const step = GRADE_TRANSITIONS[action];
+    const { rows: current } = await client.query(
+        `SELECT * FROM grades WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE`,
+        [gradeIds]
+    );
+
+    const updated = [];
+    const skipped = [];
+    for (const g of current) {
+        if (!step.from.includes(g.status)) { skipped.push({ id: g.id, status: g.status }); continue; }
+        const { rows } = await client.query(
+            `UPDATE grades
+            SET status = $2::grade_status,
+                submitted_at = CASE WHEN $3 = 'submitted_at' THEN NOW() ELSE submitted_at END,
+                approved_at  = CASE WHEN $3 = 'approved_at'  THEN NOW() ELSE approved_at END,
+                approved_by  = CASE WHEN $3 = 'approved_at'  THEN $4 ELSE approved_by END,
+                locked_at    = CASE WHEN $3 = 'locked_at'    THEN NOW() ELSE locked_at END
+            WHERE id=$1
+            RETURNING *`,
+            [g.id, step.to, step.column || null, actorId]
+        );
+        await recordAudit(client, {
+            actorId,
+            action: `grade.${action}`,
+            entityType: "grade",
+            entityId: g.id,
+            courseId: g.course_id,
+            before: { status: g.status },
+            after: { status: rows[0].status },
+            reason,
+        });
+        if (step.to === "APPROVED") await gradeRecorded(client, rows[0]);
+        updated.push(rows[0]);
+    }
+    return { updated, skipped };
+}
+
+/**
+ * A grade just became official (approved, or a change request's new locked
+ * grade): tell the student and queue the grade.recorded webhook, once per grade.
+ */
+export async function gradeRecorded(client, grade) {
+    const { rows } = await client.query(
+        `SELECT c.code, c.name, t.code AS term_code
+        FROM course_offerings o
+        JOIN courses c ON c.id = o.course_id
+        JOIN terms t ON t.id = o.term_id
+        WHERE o.id = $1`,
+        [grade.offering_id]
+    );
+    const course = rows[0];
+    if (course) {
+        await notify(client, [grade.student_id], {
+            type: "grade.recorded",
+            title: `New grade in ${course.code}`,
+            body: `Your grade for ${course.name} (${course.term_code}) is now in your grades.`,
+            courseId: grade.course_id,
+            entityType: "grade",
+            entityId: grade.id,
+        });
+    }
+    await enqueueWebhook(client, "grade.recorded", grade);
+}
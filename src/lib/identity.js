@@ -0,0 +1,60 @@
+// Account identity helpers shared by registration and user imports.
+// Both read current rows, so callers inserting several users should do it on
+// one client inside a transaction so each call sees the previous insert.
+
+// Helper: escape string for RegExp
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Generate unique academy email:
+export async function generateUniqueEmail(db, firstName, lastName) {
+    const left = String(firstName).trim().toLowerCase().replace(/[^a-z0-9]+/g, ".");
+    const right = String(lastName).trim().toLowerCase().replace(/[^a-z0-9]+/g, ".");
+    const base = `${left}.${right}`.replace(/\.+/g, ".").replace(/^\.+|\.+$/g, "");
+    const domain = "@coursehub.io";
+
+    const like = `${base}%@coursehub.io`;
+    const { rows } = await db.query(
+        `SELECT email FROM users WHERE email ILIKE $1 ORDER BY email ASC`,
+        [like]
+    );
+
+    if (rows.length === 0) return `${base}${domain}`;
+
+    const safeBase = escapeRegExp(base);
+    const safeDomain = escapeRegExp(domain);
+    const re = new RegExp(`^${safeBase}(\\d+)?${safeDomain}$`, "i");
+
+    let next = 2; // if base is taken, start with 2
+    for (const r of rows) {
+        const m = r.email.match(re);
+        if (!m) continue;
+        if (m[1]) {
+        const n = parseInt(m[1], 10);
+        if (Number.isFinite(n) && n >= next) next = n + 1;
+        } else {
+        next = Math.max(next, 2);
+        }
+    }
+    return `${base}${next}${domain}`;
+}
+
+// Auto-generate Student ID like S1001, S1002, ...
+export async function ensureStudentId(db, studentId) {
+    if (studentId) return studentId;
+
+    // Works on Postgres 16: use scalar regex substring
+    const { rows } = await db.query(
+        `
+        SELECT COALESCE(
+                MAX( (substring(student_id from '^S(\\d+)$'))::int ),
+                1000
+            ) AS max_num
+        FROM users
+        WHERE student_id ~ '^S\\d+$'
+        `
+    );
+    const next = (rows[0]?.max_num || 1000) + 1;
+    return `S${next}`;
+}
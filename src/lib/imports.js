@@ -0,0 +1,305 @@
+// CSV / JSON imports for users and course rosters.
+//
+// Every import runs in one transaction with a savepoint per row, so a bad row
+// never takes the good ones with it. A dry run does all of the same work
+// (including generated emails/student IDs and seats taken by earlier rows)
+// and then rolls the whole transaction back.
+
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import { parseCsvObjects, normalizeKey } from "./csv.js";
+import { generateUniqueEmail, ensureStudentId } from "./identity.js";
+import { resolveProgramRef } from "./programs.js";
+import { resolveOffering, lockOffering } from "./terms.js";
+import { findUnmetPrereqs } from "./prereqs.js";
+import { findScheduleConflicts } from "./schedule.js";
+import { recordAudit } from "./audit.js";
+import { enqueueWebhook } from "./webhooks.js";
+import { checkCoursePermission } from "./courseStaff.js";
+
+export const IMPORT_MODES = ["best_effort", "all_or_nothing"];
+export const MAX_IMPORT_ROWS = 2000;
+
+const ROLES = ["STUDENT", "TEACHER", "TA", "ADMIN"];
+
+/**
+ * Turn a request body into import rows: CSV text (header line required) or a
+ * JSON array of objects. Keys are normalized the same way for both, so
+ * `student_id`, `studentId` and "Student ID" are interchangeable.
+ */
+export function readImportRows(body) {
+    let rows;
+    if (typeof body === "string") {
+        rows = parseCsvObjects(body);
+    } else if (Array.isArray(body)) {
+        if (body.some(r => !r || typeof r !== "object" || Array.isArray(r))) {
+            return { error: "Each JSON row must be an object" };
+        }
+        rows = body.map(r => Object.fromEntries(
+            Object.entries(r).map(([k, v]) => [normalizeKey(k), v == null ? "" : String(v).trim()])
+        ));
+    } else {
+        return { error: "Send text/csv with a header line or a JSON array of rows" };
+    }
+    if (rows.length === 0) return { error: "No rows to import" };
+    if (rows.length > MAX_IMPORT_ROWS) return { error: `At most ${MAX_IMPORT_ROWS} rows per import` };
+    return { rows };
+}
+
+const fail = (reason, message, field) => (field ? { reason, field, message } : { reason, message });
+
+/**
+ * Run `importRow(client, row, index)` for every row inside one transaction.
+ * importRow returns `{ ok: true, ... }` or `{ ok: false, errors: [...] }`;
+ * anything it wrote for a failed row is rolled back to the row's savepoint.
+ * Returns `{ status, body }` for the route to send.
+ */
+export async function runImport(pool, { rows, mode = "best_effort", dryRun = false }, importRow) {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const results = [];
+        for (let i = 0; i < rows.length; i++) {
+            await client.query("SAVEPOINT import_row");
+            let result;
+            try {
+                result = await importRow(client, rows[i], i);
+            } catch (e) {
+                if (e.code !== "23505") throw e;
+                result = { ok: false, errors: [fail("duplicate", "Row conflicts with an existing record")] };
+            }
+            if (result.ok) await client.query("RELEASE SAVEPOINT import_row");
+            else await client.query("ROLLBACK TO SAVEPOINT import_row");
+            results.push({ row: i + 1, ...result });
+        }
+
+        const failed = results.filter(r => !r.ok).length;
+        const summary = { total: rows.length, succeeded: rows.length - failed, failed };
+        const rejected = mode === "all_or_nothing" && failed > 0;
+
+        if (dryRun || rejected) await client.query("ROLLBACK");
+        else await client.query("COMMIT");
+
+        return {
+            status: rejected && !dryRun ? 409 : 200,
+            body: { dryRun, mode, committed: !dryRun && !rejected, ...summary, results },
+        };
+    } catch (e) {
+        await client.query("ROLLBACK");
+        throw e;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Create one user from an import row.
+ * Columns: name (or firstName + lastName), email?, role? (default STUDENT),
+ * studentId?, program? (code; the old `major` column is read as program), password?
+ * Missing emails get an academy address and students without a studentId get
+ * the next S#### — the same helpers /auth/register uses. Users imported
+ * without a password sign in after POST /auth/password/forgot.
+ */
+export function userImporter({ actorId, dryRun }) {
+    const seen = { emails: new Set(), studentIds: new Set() };
+
+    return async (client, row) => {
+        const errors = [];
+        const role = (row.role || "STUDENT").toUpperCase();
+        const firstName = row.firstname || "";
+        const lastName = row.lastname || "";
+        const name = row.name || `${firstName} ${lastName}`.trim();
+        let email = row.email ? row.email.toLowerCase() : "";
+        let studentId = role === "STUDENT" ? row.studentid || "" : "";
+
+        if (!ROLES.includes(role)) errors.push(fail("invalid_value", "role must be STUDENT, TEACHER, TA or ADMIN", "role"));
+        if (!name) errors.push(fail("missing_field", "name (or firstName and lastName) is required", "name"));
+        if (email && !/^[^@\s]+@[^@\s]+$/.test(email)) errors.push(fail("invalid_value", "email is not valid", "email"));
+        if (row.studentid && role !== "STUDENT") {
+            errors.push(fail("invalid_value", "studentId only applies to STUDENT", "studentId"));
+        }
+        const programRef = row.program || row.major || "";
+        let programId = null;
+        if (programRef && ROLES.includes(role)) {
+            const resolved = await resolveProgramRef(client, programRef, role);
+            if (resolved.error) errors.push(fail("invalid_value", resolved.error, "program"));
+            else programId = resolved.programId;
+        }
+
+        if (email) {
+            if (seen.emails.has(email)) errors.push(fail("duplicate", `${email} appears earlier in this import`, "email"));
+            seen.emails.add(email);
+        }
+        if (studentId) {
+            if (seen.studentIds.has(studentId)) {
+                errors.push(fail("duplicate", `${studentId} appears earlier in this import`, "studentId"));
+            }
+            seen.studentIds.add(studentId);
+        }
+        if (errors.length) return { ok: false, errors };
+
+        if (email || studentId) {
+            const { rows: taken } = await client.query(
+            `SELECT email, student_id FROM users WHERE LOWER(email) = $1 OR student_id = $2`,
+            [email, studentId || null]
+            );
+            for (const t of taken) {
+                if (email && t.email.toLowerCase() === email) {
+                    errors.push(fail("duplicate", `A user with email ${email} already exists`, "email"));
+                }
+                if (studentId && t.student_id === studentId) {
+                    errors.push(fail("duplicate", `A user with studentId ${studentId} already exists`, "studentId"));
+                }
+            }
+            if (errors.length) return { ok: false, errors };
+        }
+
+        if (!email) {
+            const [first, ...rest] = name.split(/\s+/);
+            email = await generateUniqueEmail(client, firstName || first, lastName || rest.join(" ") || first);
+        }
+        if (role === "STUDENT") studentId = await ensureStudentId(client, studentId);
+
+        // Dry runs are rolled back, so skip the (slow) hash
+        const password = row.password || crypto.randomBytes(18).toString("base64url");
+        const hash = dryRun ? "dry-run" : await bcrypt.hash(password, 10);
+
+        const { rows } = await client.query(
+        `INSERT INTO users (role, name, email, password, student_id, program_id)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, role, name, email, student_id AS "studentId", program_id AS "programId"`,
+        [role, name, email, hash, studentId || null, programId]
+        );
+        await recordAudit(client, {
+            actorId,
+            action: "user.create",
+            entityType: "user",
+            entityId: rows[0].id,
+            after: rows[0],
+            reason: "import",
+        });
+        await enqueueWebhook(client, "user.created", { ...rows[0], source: "import" });
+        return { ok: true, user: rows[0] };
+    };
+}
+
+/**
+ * Enroll one student from a roster row.
+ * Columns: course (code, e.g. CS101), studentId (e.g. S1001) or email, term?
+ * `defaults.course` / `defaults.term` fill in rows that leave them out.
+ * Teachers may only import into courses where they hold enrollments:write.
+ */
+export function rosterImporter({ user, defaults = {} }) {
+    const courses = new Map();
+    const offerings = new Map();
+    const seen = new Set();
+
+    return async (client, row) => {
+        const errors = [];
+        const courseCode = (row.course || row.coursecode || defaults.course || "").toUpperCase();
+        const termRef = row.term || row.termcode || defaults.term || "";
+        const studentRef = row.studentid || row.email || "";
+
+        if (!courseCode) errors.push(fail("missing_field", "course is required", "course"));
+        if (!studentRef) errors.push(fail("missing_field", "studentId or email is required", "studentId"));
+        if (errors.length) return { ok: false, errors };
+
+        // Course by code (cached per import)
+        if (!courses.has(courseCode)) {
+            const { rows } = await client.query(
+            `SELECT id, code, archived_at FROM courses WHERE UPPER(code) = $1`,
+            [courseCode]
+            );
+            const found = rows[0] || null;
+            if (found) found.denied = await checkCoursePermission(client, user, found.id, "enrollments:write");
+            courses.set(courseCode, found);
+        }
+        const course = courses.get(courseCode);
+        if (!course) errors.push(fail("unknown_course", `No course with code ${courseCode}`, "course"));
+        else if (course.archived_at) errors.push(fail("archived", `${course.code} is archived`, "course"));
+        else if (course.denied) {
+            errors.push(fail("not_your_course", `${courseCode} is not your course`, "course"));
+        }
+
+        // Student by studentId code or email
+        const { rows: students } = await client.query(
+        `SELECT id, role, name, email, student_id AS "studentId", archived_at
+        FROM users
+        WHERE student_id = $1 OR LOWER(email) = LOWER($1)`,
+        [studentRef]
+        );
+        const student = students[0];
+        if (!student) errors.push(fail("unknown_student", `No user matches ${studentRef}`, "studentId"));
+        else if (student.role !== "STUDENT") {
+            errors.push(fail("not_a_student", `${studentRef} is not a student`, "studentId"));
+        } else if (student.archived_at) {
+            errors.push(fail("archived", `${studentRef} is archived`, "studentId"));
+        }
+        if (errors.length) return { ok: false, errors };
+
+        // Offering for the requested (or active) term
+        const offeringKey = `${course.id}:${termRef}`;
+        if (!offerings.has(offeringKey)) offerings.set(offeringKey, await resolveOffering(client, course.id, termRef));
+        const found = offerings.get(offeringKey);
+        if (found.error) {
+            const reason = found.error === "Term not found" ? "unknown_term" : "not_offered";
+            return { ok: false, errors: [fail(reason, found.error, "term")] };
+        }
+        const { offering } = found;
+        const target = { studentId: student.studentId, email: student.email, course: course.code, term: offering.term_code };
+
+        const key = `${student.id}:${offering.id}`;
+        if (seen.has(key)) {
+            return { ok: false, ...target, errors: [fail("duplicate", "Same student and course appear earlier in this import")] };
+        }
+        seen.add(key);
+
+        const { rows: exists } = await client.query(
+        `SELECT 1 FROM enrollments WHERE student_id=$1 AND offering_id=$2`,
+        [student.id, offering.id]
+        );
+        if (exists[0]) errors.push(fail("already_enrolled", `Already enrolled in ${course.code} (${offering.term_code})`));
+
+        // Imported by the instructor or an admin, so consent is implied
+        const unmet = (await findUnmetPrereqs(client, student.id, course.id, offering.term_id))
+            .filter(u => u.rule !== "instructor_consent");
+        if (unmet.length) errors.push({ ...fail("prereq", unmet.map(u => u.message).join("; ")), unmet });
+
+        const conflicts = await findScheduleConflicts(client, student.id, course.id, offering.term_id);
+        if (conflicts.length) errors.push({ ...fail("schedule_conflict", "Meeting times overlap another course"), conflicts });
+
+        // Seats, counting rows already enrolled earlier in this import
+        const locked = await lockOffering(client, offering.id);
+        if (locked.enrolled >= locked.enrollment_limit) {
+            errors.push(fail("capacity", `${course.code} is at capacity (${locked.enrollment_limit})`));
+        }
+        if (errors.length) return { ok: false, ...target, errors };
+
+        const { rows: ins } = await client.query(
+        `INSERT INTO enrollments (student_id, course_id, offering_id) VALUES ($1,$2,$3) RETURNING *`,
+        [student.id, course.id, offering.id]
+        );
+        await client.query(
+        "DELETE FROM waitlist_entries WHERE student_id=$1 AND offering_id=$2",
+        [student.id, offering.id]
+        );
+        await recordAudit(client, {
+            actorId: user.id,
+            action: "enrollment.create",
+            entityType: "enrollment",
+            entityId: ins[0].id,
+            courseId: course.id,
+            after: ins[0],
+            reason: "import",
+        });
+        await enqueueWebhook(client, "enrollment.created", { ...ins[0], source: "import" });
+        return { ok: true, ...target, enrollmentId: ins[0].id };
+    };
+}
+
+// Parse ?mode and ?dryRun shared by both import routes
+export function parseImportOptions(query) {
+    const mode = query.mode || "best_effort";
+    if (!IMPORT_MODES.includes(mode)) return { error: `mode must be one of ${IMPORT_MODES.join(", ")}` };
+    return { mode, dryRun: String(query.dryRun).toLowerCase() === "true" };
+}
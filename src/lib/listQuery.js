@@ -0,0 +1,233 @@
+// Shared list-query layer: cursor pagination, whitelisted sorting and field
+// filters for list endpoints, with one response envelope:
+//   { data, total, limit, sort, next, nextCursor }
+//
+// Each list is described once by a spec:
+//   id:          unique tiebreaker column (e.g. "u.id")
+//   sorts:       { apiName: "sql expression" }; expressions must not be NULL
+//                (keyset pagination compares them), so wrap nullable ones in COALESCE
+//   defaultSort: e.g. "name" or "-createdAt" (leading "-" = descending)
+//   filters:     { param: { type, column?, op?, where?, values?, sql? } }
+//                - int / text / date / enum: `${column} ${op || "="} ?`, or a custom
+//                  `where` whose "?" placeholders all take the value
+//                - bool: sql.true / sql.false conditions, no value
+// and each request is parsed with parseListQuery(req.query, spec). The route
+// checks the query string first with validate({ query: listQuerySchema(spec) }),
+// which also puts the parameters in /docs.
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+const encodeCursor = (values) => Buffer.from(JSON.stringify(values)).toString("base64url");
+
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+        return Array.isArray(values) && values.length === 2 ? values : null;
+    } catch {
+        return null;
+    }
+}
+
+// Parse one filter value; undefined when it does not fit the type
+function parseFilterValue(filter, raw) {
+    const v = String(raw).trim();
+    switch (filter.type) {
+    case "int":
+        return /^\d+$/.test(v) ? Number(v) : undefined;
+    case "bool":
+        return v === "true" ? true : v === "false" ? false : undefined;
+    case "date":
+        return Number.isNaN(Date.parse(v)) ? undefined : v;
+    case "enum": {
+        const upper = v.toUpperCase();
+        return filter.values.includes(upper) ? upper : undefined;
+    }
+    default:
+        return v === "" ? undefined : v;
+    }
+}
+
+function describeType(name, filter) {
+    if (filter.type === "enum") return `${name} must be one of ${filter.values.join(", ")}`;
+    if (filter.type === "bool") return `${name} must be true or false`;
+    if (filter.type === "date") return `${name} must be a date`;
+    if (filter.type === "int") return `${name} must be a whole number`;
+    return `${name} is not valid`;
+}
+
+// Enum filters take any case (?role=student)
+const FILTER_SCHEMAS = {
+    int: () => ({ type: "integer", minimum: 0 }),
+    bool: () => ({ type: "boolean" }),
+    date: () => "ListDate",
+    enum: (filter) => ({ type: "string", enum: [...filter.values, ...filter.values.map(v => v.toLowerCase())] }),
+    text: () => ({ type: "string" }),
+};
+
+/**
+ * Query schemas for validate(): limit, cursor, sort (each sortable field,
+ * ascending or "-" descending) and one per filter.
+ */
+export function listQuerySchema(spec) {
+    const sorts = Object.keys(spec.sorts);
+    return {
+        limit: "ListLimit",
+        cursor: "Cursor",
+        sort: { type: "string", enum: [...sorts, ...sorts.map(s => `-${s}`)] },
+        ...Object.fromEntries(Object.entries(spec.filters || {}).map(([name, f]) => [name, FILTER_SCHEMAS[f.type](f)])),
+    };
+}
+
+/**
+ * Validate ?limit, ?cursor, ?sort and the spec's filters.
+ * Returns { error } or the page to hand to runListQuery / listEnvelope.
+ */
+export function parseListQuery(query, spec) {
+    const errors = [];
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit != null && query.limit !== "") {
+        const n = Number(query.limit);
+        if (!Number.isInteger(n) || n < 1) errors.push(`limit must be between 1 and ${MAX_LIMIT}`);
+        else limit = Math.min(n, MAX_LIMIT);
+    }
+
+    const sortParam = String(query.sort || spec.defaultSort);
+    const desc = sortParam.startsWith("-");
+    const sortKey = desc ? sortParam.slice(1) : sortParam;
+    if (!spec.sorts[sortKey]) errors.push(`sort must be one of ${Object.keys(spec.sorts).join(", ")} (prefix - for descending)`);
+
+    let cursor = null;
+    if (query.cursor) {
+        cursor = decodeCursor(query.cursor);
+        if (!cursor) errors.push("cursor is not valid");
+    }
+
+    const byFilter = {};
+    const filters = {};
+    for (const [name, filter] of Object.entries(spec.filters || {})) {
+        const raw = query[name];
+        if (raw == null || raw === "") continue;
+        const value = parseFilterValue(filter, raw);
+        if (value === undefined) {
+            errors.push(describeType(name, filter));
+            continue;
+        }
+        filters[name] = value;
+        if (filter.type === "bool") byFilter[name] = [value ? filter.sql.true : filter.sql.false];
+        else {
+            const where = filter.where || `${filter.column} ${filter.op || "="} ?`;
+            byFilter[name] = [where, ...Array(where.split("?").length - 1).fill(value)];
+        }
+    }
+
+    if (errors.length) return { error: errors.join("; ") };
+    return {
+        limit,
+        sort: { key: sortKey, column: spec.sorts[sortKey], desc, param: sortParam },
+        id: spec.id,
+        cursor,
+        conditions: Object.values(byFilter),
+        // per filter, so facet counts can leave their own filter out
+        byFilter,
+        filters,
+    };
+}
+
+// Number "?" placeholders as $1, $2, ... across a list of [sql, ...values]
+function compile(conditions) {
+    const values = [];
+    const parts = conditions.map(([sql, ...vals]) =>
+        sql.replace(/\?/g, () => {
+            values.push(vals.shift());
+            return `$${values.length}`;
+        })
+    );
+    return { parts, values };
+}
+
+/**
+ * Run one page of a list.
+ * select: the column list; from: FROM clause with its joins, a string or
+ * [sql with "?", ...values]; where: base conditions as [sql with "?", ...values]
+ * (e.g. the route's own scoping).
+ * Returns { rows, total, nextCursor }.
+ */
+export async function runListQuery(db, { select, from, where = [] }, page) {
+    const fromPart = Array.isArray(from) ? from : [from];
+    const base = [...where, ...page.conditions];
+    const sql = (conditions) => {
+        const { parts: [fromSql, ...parts], values } = compile([fromPart, ...conditions]);
+        return { fromSql, where: parts.length ? `WHERE ${parts.join(" AND ")}` : "", values };
+    };
+
+    const counted = sql(base);
+    const { rows: countRows } = await db.query(
+        `SELECT COUNT(*)::int AS total FROM ${counted.fromSql} ${counted.where}`,
+        counted.values
+    );
+
+    const { column, desc } = page.sort;
+    const paged = sql(page.cursor
+        ? [...base, [`(${column}, ${page.id}) ${desc ? "<" : ">"} (?, ?)`, ...page.cursor]]
+        : base);
+    paged.values.push(page.limit + 1);
+    const dir = desc ? "DESC" : "ASC";
+
+    const { rows } = await db.query(
+        `SELECT ${select}, (${column})::text AS "_sortKey", ${page.id} AS "_rowKey"
+        FROM ${paged.fromSql}
+        ${paged.where}
+        ORDER BY ${column} ${dir}, ${page.id} ${dir}
+        LIMIT $${paged.values.length}`,
+        paged.values
+    );
+
+    const more = rows.length > page.limit;
+    const pageRows = more ? rows.slice(0, page.limit) : rows;
+    const last = pageRows[pageRows.length - 1];
+    const nextCursor = more ? encodeCursor([last._sortKey, last._rowKey]) : null;
+    for (const r of pageRows) {
+        delete r._sortKey;
+        delete r._rowKey;
+    }
+    return { rows: pageRows, total: countRows[0].total, nextCursor };
+}
+
+/**
+ * Facet counts: rows of `columns` ({ alias: sql or [sql with "?", ...values] })
+ * with a count each, most common first. Same from / where shapes as runListQuery.
+ */
+export async function countBy(db, { from, where = [] }, columns) {
+    const keys = Object.entries(columns).map(([alias, sql]) => [alias, Array.isArray(sql) ? sql : [sql]]);
+    const { parts, values } = compile([...keys.map(([, sql]) => sql), Array.isArray(from) ? from : [from], ...where]);
+    const select = parts.slice(0, keys.length);
+    const [fromSql, ...conditions] = parts.slice(keys.length);
+    const { rows } = await db.query(
+        `SELECT ${select.map((sql, i) => `${sql} AS "${keys[i][0]}"`).join(", ")}, COUNT(*)::int AS count
+        FROM ${fromSql}
+        ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+        GROUP BY ${keys.map((_, i) => i + 1).join(", ")}
+        ORDER BY count DESC, 1`,
+        values
+    );
+    return rows;
+}
+
+/**
+ * The response envelope. next is the same request with the cursor for the
+ * following page (null on the last page).
+ */
+export function listEnvelope(req, { rows, total, nextCursor }, page) {
+    let next = null;
+    if (nextCursor) {
+        const params = new URLSearchParams();
+        for (const [k, v] of Object.entries(req.query)) {
+            if (k !== "cursor" && v != null) params.set(k, String(v));
+        }
+        params.set("cursor", nextCursor);
+        next = `${req.baseUrl}${req.path === "/" ? "" : req.path}?${params}`;
+    }
+    return { data: rows, total, limit: page.limit, sort: page.sort.param, next, nextCursor };
+}
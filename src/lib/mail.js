@@ -0,0 +1,44 @@
+// Pluggable outbound mail.
+// A transport is any object with `async send({ to, subject, text })`.
+// Default: rows in the mail_outbox table, or .eml-style files in
+// MAIL_OUTBOX_DIR when that is set. Swap in SMTP etc. via setMailTransport().
+
+import fs from "fs/promises";
+import path from "path";
+import { pool } from "../../server.js";
+
+export const outboxTableTransport = {
+    async send({ to, subject, text }) {
+        await pool.query(
+            `INSERT INTO mail_outbox (to_address, subject, body) VALUES ($1, $2, $3)`,
+            [to, subject, text]
+        );
+    },
+};
+
+export function directoryTransport(dir) {
+    return {
+        async send({ to, subject, text }) {
+            await fs.mkdir(dir, { recursive: true });
+            const file = path.join(dir, `${Date.now()}-${to.replace(/[^a-z0-9@.]+/gi, "_")}.txt`);
+            await fs.writeFile(file, `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+        },
+    };
+}
+
+let transport = null;
+
+export function setMailTransport(t) {
+    transport = t;
+}
+
+function currentTransport() {
+    if (transport) return transport;
+    return process.env.MAIL_OUTBOX_DIR
+        ? directoryTransport(process.env.MAIL_OUTBOX_DIR)
+        : outboxTableTransport;
+}
+
+export async function sendMail(message) {
+    await currentTransport().send(message);
+}
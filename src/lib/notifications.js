@@ -0,0 +1,62 @@
+// In-app notifications: a per-user inbox (notifications table) and course
+// announcements that fan out to every enrolled student.
+//
+// Like recordAudit, write them with the transaction client of the change
+// they describe, so a rolled-back change never notifies anyone.
+
+/**
+ * Add one notification to each user's inbox; returns how many were added.
+ * - type: dotted event name, e.g. "grade.recorded", "course.announcement"
+ * - courseId / entityType / entityId: what it is about
+ */
+export async function notify(db, userIds, {
+    type,
+    title,
+    body = null,
+    courseId = null,
+    entityType = null,
+    entityId = null,
+}) {
+    const ids = [...new Set(userIds.map(Number))];
+    if (!ids.length) return 0;
+    await db.query(
+        `INSERT INTO notifications (user_id, type, title, body, course_id, entity_type, entity_id)
+        SELECT u, $2, $3, $4, $5, $6, $7 FROM UNNEST($1::int[]) AS u`,
+        [ids, type, title, body, courseId, entityType, entityId]
+    );
+    return ids.length;
+}
+
+/**
+ * Students enrolled in a course: in one offering, or (no offeringId) in any
+ * offering whose term has not ended yet.
+ */
+export async function enrolledStudentIds(db, courseId, offeringId = null) {
+    const { rows } = await db.query(
+        `SELECT DISTINCT e.student_id
+        FROM enrollments e
+        JOIN course_offerings o ON o.id = e.offering_id
+        JOIN terms t ON t.id = o.term_id
+        WHERE e.course_id = $1
+          AND ($2::int IS NOT NULL OR t.ends_on >= CURRENT_DATE)
+          AND ($2::int IS NULL OR e.offering_id = $2)`,
+        [courseId, offeringId]
+    );
+    return rows.map(r => r.student_id);
+}
+
+const COURSE_FIELDS = {
+    code: "code",
+    name: "name",
+    credits: "credits",
+    enrollment_limit: "enrollment limit",
+    description: "description",
+    requires_consent: "consent requirement",
+};
+
+// What changed between two course rows, as labels for a notification
+export function courseChanges(before, after) {
+    return Object.entries(COURSE_FIELDS)
+        .filter(([field]) => (before[field] ?? null) !== (after[field] ?? null))
+        .map(([, label]) => label);
+}
@@ -0,0 +1,88 @@
+// Enrollment overrides: permission codes and admin bulk overrides.
+//
+// A permission code belongs to one course, bypasses capacity, prereqs or
+// both, can be used max_uses times and expires. A code is only consumed when
+// it actually gets the student past a check. Every override that is used is
+// stored in enrollment_overrides and audited against the enrollment.
+
+import crypto from "crypto";
+import { recordAudit } from "./audit.js";
+
+export const BYPASS_SCOPES = ["capacity", "prereqs", "both"];
+export const DEFAULT_CODE_DAYS = 14;
+
+export function scopeFlags(bypass) {
+    return {
+        bypassCapacity: bypass === "capacity" || bypass === "both",
+        bypassPrereqs: bypass === "prereqs" || bypass === "both",
+    };
+}
+
+export function scopeOf(row) {
+    if (row.bypass_capacity && row.bypass_prereqs) return "both";
+    return row.bypass_capacity ? "capacity" : "prereqs";
+}
+
+// e.g. CS101-9F3A1C2B
+export function generatePermissionCode(courseCode) {
+    const prefix = String(courseCode || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+    const suffix = crypto.randomBytes(4).toString("hex").toUpperCase();
+    return prefix ? `${prefix}-${suffix}` : suffix;
+}
+
+/**
+ * Can this student use this code on this course right now?
+ * Returns null, or { status, error } ready to send back.
+ */
+export function checkPermissionCode(row, { courseId, studentId, now = new Date() }) {
+    if (!row || row.course_id !== Number(courseId)) return { status: 404, error: "Invalid permission code" };
+    if (row.student_id != null && row.student_id !== studentId) {
+        return { status: 403, error: "This permission code was issued to another student" };
+    }
+    if (row.revoked_at) return { status: 409, error: "Permission code has been revoked" };
+    if (new Date(row.expires_at) <= now) return { status: 409, error: "Permission code has expired" };
+    if (row.uses >= row.max_uses) return { status: 409, error: "Permission code has already been used" };
+    return null;
+}
+
+// Look a code up (case-insensitive); forUpdate locks it for the transaction
+export async function findPermissionCode(db, code, { forUpdate = false } = {}) {
+    const { rows } = await db.query(
+        `SELECT * FROM permission_codes WHERE code = UPPER($1) ${forUpdate ? "FOR UPDATE" : ""}`,
+        [String(code).trim()]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Record an override against a new enrollment and audit it.
+ * With a permission code, the code's use count goes up by one.
+ */
+export async function recordOverride(client, {
+    enrollment, actorId, source, permissionCode = null, grantedBy = null,
+    bypassedCapacity = false, bypassedPrereqs = false, reason = null,
+}) {
+    if (permissionCode) {
+        await client.query(`UPDATE permission_codes SET uses = uses + 1 WHERE id=$1`, [permissionCode.id]);
+    }
+    const { rows } = await client.query(
+        `INSERT INTO enrollment_overrides
+            (enrollment_id, source, permission_code_id, bypassed_capacity, bypassed_prereqs, granted_by, reason)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *`,
+        [
+            enrollment.id, source, permissionCode?.id ?? null,
+            bypassedCapacity, bypassedPrereqs, grantedBy ?? permissionCode?.created_by ?? null, reason,
+        ]
+    );
+    await recordAudit(client, {
+        actorId,
+        action: "enrollment.override",
+        entityType: "enrollment",
+        entityId: enrollment.id,
+        courseId: enrollment.course_id,
+        after: { ...rows[0], code: permissionCode?.code },
+        reason,
+    });
+    return rows[0];
+}
@@ -0,0 +1,385 @@
+// Prerequisite rules shared by enrollment, imports and waitlist promotion.
+//
+// Each course_prereqs row is one rule: a course with a minimum grade.
+// - Rows sharing a group_name on a course form an "any one of" group.
+// - concurrent rows are corequisites: enrolling in them the same term counts.
+// - courses.requires_consent adds an instructor-consent rule, met by a row
+//   in course_consents.
+// Only official (approved or locked) grades count.
+
+import { ALLOWED_GRADES } from "./grades.js";
+
+export const DEFAULT_MIN_GRADE = "D";
+
+const label = (p) => `${p.code}${p.minGrade !== DEFAULT_MIN_GRADE ? ` (${p.minGrade} or better)` : ""}`;
+
+/**
+ * Validate rules from a request body: [{ courseId, minGrade?, group?, concurrent? }].
+ * A failing minimum ('F') is not allowed.
+ */
+export function validatePrereqs(prereqs) {
+    if (!Array.isArray(prereqs)) return ["prereqs must be an array."];
+    const errors = [];
+    const seen = new Set();
+    prereqs.forEach((p, i) => {
+        const id = Number(p?.courseId);
+        if (!Number.isInteger(id) || id <= 0) errors.push(`prereqs[${i}].courseId must be a course id.`);
+        else if (seen.has(id)) errors.push(`prereqs[${i}].courseId ${id} is listed twice.`);
+        else seen.add(id);
+        if (p?.minGrade != null && (!ALLOWED_GRADES.includes(p.minGrade) || p.minGrade === "F")) {
+            errors.push(`prereqs[${i}].minGrade must be a passing grade letter.`);
+        }
+        if (p?.group != null && (typeof p.group !== "string" || !p.group.trim())) {
+            errors.push(`prereqs[${i}].group must be a non-empty string.`);
+        }
+        if (p?.concurrent != null && typeof p.concurrent !== "boolean") {
+            errors.push(`prereqs[${i}].concurrent must be true or false.`);
+        }
+    });
+    return errors;
+}
+
+// Body -> rules: `prereqs` wins; legacy `prereqIds` become plain required prereqs
+export function normalizePrereqs({ prereqs, prereqIds }) {
+    if (Array.isArray(prereqs)) {
+        return prereqs.map(p => ({
+            courseId: Number(p.courseId),
+            minGrade: p.minGrade || DEFAULT_MIN_GRADE,
+            group: p.group ? p.group.trim() : null,
+            concurrent: Boolean(p.concurrent),
+        }));
+    }
+    if (Array.isArray(prereqIds)) {
+        return [...new Set(prereqIds.map(Number))].map(courseId => ({
+            courseId, minGrade: DEFAULT_MIN_GRADE, group: null, concurrent: false,
+        }));
+    }
+    return null;
+}
+
+// Replace a course's rules. Returns null, or { status, code, error } when a
+// prereq course does not exist (nothing is changed then).
+export async function replacePrereqs(client, courseId, rules) {
+    const list = rules.filter(r => r.courseId !== Number(courseId));
+    const ids = list.map(r => r.courseId);
+    if (ids.length) {
+        const { rows: exist } = await client.query(`SELECT id FROM courses WHERE id = ANY($1::int[])`, [ids]);
+        const missing = ids.filter(id => !exist.some(c => c.id === id));
+        if (missing.length) return { status: 400, code: "unknown_course", error: `Prereq courses not found: ${missing.join(", ")}` };
+    }
+
+    await client.query(`DELETE FROM course_prereqs WHERE course_id=$1`, [courseId]);
+    for (const r of list) {
+        await client.query(
+            `INSERT INTO course_prereqs (course_id, prereq_id, min_grade, group_name, concurrent)
+            VALUES ($1, $2, $3::grade_letter, $4, $5)`,
+            [courseId, r.courseId, r.minGrade, r.group, r.concurrent]
+        );
+    }
+    return null;
+}
+
+// A course's rules as returned by the API
+export async function listPrereqs(db, courseId) {
+    const { rows } = await db.query(
+        `SELECT p.prereq_id AS id, c.code, c.name, p.min_grade::text AS "minGrade",
+                p.group_name AS "group", p.concurrent
+        FROM course_prereqs p
+        JOIN courses c ON c.id = p.prereq_id
+        WHERE p.course_id = $1
+        ORDER BY p.group_name NULLS FIRST, c.code`,
+        [courseId]
+    );
+    return rows;
+}
+
+export function meetsMinGrade(grade, minGrade) {
+    if (!grade || grade === "F") return false;
+    return ALLOWED_GRADES.indexOf(grade) <= ALLOWED_GRADES.indexOf(minGrade || DEFAULT_MIN_GRADE);
+}
+
+/**
+ * Pure rule check.
+ * rules:    [{ id, code, minGrade, group, concurrent }]
+ * student:  { grades: Map(courseId -> latest official grade),
+ *             concurrent: Set(courseIds enrolled in the same term),
+ *             hasConsent }
+ * Returns the unmet rules, each with a `rule` type and a readable `message`:
+ *   prereq, coreq, any_of, instructor_consent
+ */
+export function checkPrereqRules(rules, student, { requiresConsent = false } = {}) {
+    const satisfied = (p) =>
+        meetsMinGrade(student.grades.get(p.id), p.minGrade) ||
+        (p.concurrent && student.concurrent.has(p.id));
+
+    const unmet = [];
+    const groups = new Map();
+    for (const p of rules) {
+        if (p.group) {
+            if (!groups.has(p.group)) groups.set(p.group, []);
+            groups.get(p.group).push(p);
+            continue;
+        }
+        if (satisfied(p)) continue;
+        const grade = student.grades.get(p.id) || null;
+        unmet.push({
+            rule: p.concurrent ? "coreq" : "prereq",
+            courseId: p.id,
+            code: p.code,
+            minGrade: p.minGrade,
+            grade,
+            message: p.concurrent
+                ? `Corequisite ${label(p)} must be completed or taken the same term`
+                : `Prerequisite ${label(p)} not met${grade ? ` (latest grade ${grade})` : ""}`,
+        });
+    }
+    for (const [group, options] of groups) {
+        if (options.some(satisfied)) continue;
+        unmet.push({
+            rule: "any_of",
+            group,
+            options: options.map(p => ({ courseId: p.id, code: p.code, minGrade: p.minGrade, concurrent: p.concurrent })),
+            message: `Requires one of: ${options.map(label).join(", ")}`,
+        });
+    }
+    if (requiresConsent && !student.hasConsent) {
+        unmet.push({ rule: "instructor_consent", message: "Instructor consent required" });
+    }
+    return unmet;
+}
+
+// Map(courseId -> latest official grade) for the given courses
+export async function latestOfficialGrades(db, studentId, courseIds) {
+    const { rows } = await db.query(
+        `SELECT DISTINCT ON (course_id) course_id, value::text AS value
+        FROM official_grades
+        WHERE student_id=$1 AND course_id = ANY($2::int[])
+        ORDER BY course_id, assigned_at DESC`,
+        [studentId, courseIds]
+    );
+    return new Map(rows.map(g => [g.course_id, g.value]));
+}
+
+/**
+ * Unmet prerequisite rules for a student taking a course in a term
+ * (see checkPrereqRules). `db` may be the pool or a client in a transaction.
+ */
+export async function findUnmetPrereqs(db, studentId, courseId, termId) {
+    const rules = await listPrereqs(db, courseId);
+    const { rows: course } = await db.query(`SELECT requires_consent FROM courses WHERE id=$1`, [courseId]);
+    const requiresConsent = Boolean(course[0]?.requires_consent);
+    if (!rules.length && !requiresConsent) return [];
+
+    const ids = rules.map(r => r.id);
+    const grades = await latestOfficialGrades(db, studentId, ids);
+    const { rows: concurrent } = await db.query(
+        `SELECT e.course_id
+        FROM enrollments e
+        JOIN course_offerings o ON o.id = e.offering_id
+        WHERE e.student_id=$1 AND o.term_id=$2 AND e.course_id = ANY($3::int[])`,
+        [studentId, termId, ids]
+    );
+    const { rows: consent } = requiresConsent
+        ? await db.query(`SELECT 1 FROM course_consents WHERE course_id=$1 AND student_id=$2`, [courseId, studentId])
+        : { rows: [] };
+
+    return checkPrereqRules(rules, {
+        grades,
+        concurrent: new Set(concurrent.map(c => c.course_id)),
+        hasConsent: Boolean(consent[0]),
+    }, { requiresConsent });
+}
+
+/**
+ * Ids of every course whose prereq and coreq rules the student meets for a
+ * term (courses without rules included). Instructor consent is not a prereq
+ * and is left out.
+ */
+export async function coursesWithPrereqsMet(db, studentId, termId) {
+    const { rows: courses } = await db.query(`SELECT id FROM courses`);
+    const { rows: rules } = await db.query(
+        `SELECT p.course_id, p.prereq_id AS id, c.code, p.min_grade::text AS "minGrade",
+                p.group_name AS "group", p.concurrent
+        FROM course_prereqs p
+        JOIN courses c ON c.id = p.prereq_id`
+    );
+    const byCourse = new Map();
+    for (const r of rules) {
+        if (!byCourse.has(r.course_id)) byCourse.set(r.course_id, []);
+        byCourse.get(r.course_id).push(r);
+    }
+
+    const ids = [...new Set(rules.map(r => r.id))];
+    const grades = await latestOfficialGrades(db, studentId, ids);
+    const { rows: concurrent } = await db.query(
+        `SELECT e.course_id
+        FROM enrollments e
+        JOIN course_offerings o ON o.id = e.offering_id
+        WHERE e.student_id=$1 AND o.term_id=$2`,
+        [studentId, termId]
+    );
+    const student = { grades, concurrent: new Set(concurrent.map(c => c.course_id)), hasConsent: true };
+
+    return courses
+        .map(c => c.id)
+        .filter(id => checkPrereqRules(byCourse.get(id) || [], student).length === 0);
+}
+
+// --- Prerequisite graph -----------------------------------------------------
+//
+// Edges point from a course to its prereqs. Corequisites and any-of options
+// are edges too: a cycle through any of them still leaves every course on it
+// impossible to enroll in, so the graph must stay acyclic.
+
+/**
+ * Every course reachable from rootIds through prereq edges.
+ * Returns { courses: Map(id -> { id, code, name, credits, requiresConsent }),
+ *           rules: Map(courseId -> [{ id, minGrade, group, concurrent }]) }
+ */
+export async function loadPrereqGraph(db, rootIds) {
+    const { rows: courses } = await db.query(
+        `WITH RECURSIVE reach(id) AS (
+            SELECT unnest($1::int[])
+            UNION
+            SELECT p.prereq_id FROM course_prereqs p JOIN reach r ON p.course_id = r.id
+        )
+        SELECT c.id, c.code, c.name, c.credits, c.requires_consent AS "requiresConsent"
+        FROM courses c
+        JOIN reach r ON r.id = c.id`,
+        [rootIds]
+    );
+    const ids = courses.map(c => c.id);
+    const { rows: edges } = await db.query(
+        `SELECT course_id, prereq_id AS id, min_grade::text AS "minGrade", group_name AS "group", concurrent
+        FROM course_prereqs
+        WHERE course_id = ANY($1::int[])
+        ORDER BY course_id, prereq_id`,
+        [ids]
+    );
+    const rules = new Map(ids.map(id => [id, []]));
+    for (const { course_id, ...rule } of edges) rules.get(course_id).push(rule);
+    return { courses: new Map(courses.map(c => [c.id, c])), rules };
+}
+
+/**
+ * Would giving courseId these prereqs close a cycle?
+ * Ignores courseId's current edges (they are being replaced). Returns the
+ * shortest offending path of ids, starting and ending at courseId, or null.
+ */
+export function findCycle(rules, courseId, prereqIds) {
+    const from = new Map();
+    const queue = [];
+    for (const id of prereqIds) {
+        if (id === courseId) return [courseId, courseId];
+        if (!from.has(id)) { from.set(id, courseId); queue.push(id); }
+    }
+    while (queue.length) {
+        const id = queue.shift();
+        for (const next of (rules.get(id) || []).map(r => r.id)) {
+            if (next === courseId) {
+                const path = [courseId];
+                for (let at = id; at !== courseId; at = from.get(at)) path.unshift(at);
+                return [courseId, ...path];
+            }
+            if (!from.has(next)) { from.set(next, id); queue.push(next); }
+        }
+    }
+    return null;
+}
+
+// Cycle check for PUT /courses/:id; returns the path as course codes or null
+export async function findPrereqCycle(db, courseId, rules) {
+    const prereqIds = rules.map(r => r.courseId).filter(id => id !== Number(courseId));
+    if (!prereqIds.length) return null;
+    const graph = await loadPrereqGraph(db, [Number(courseId), ...prereqIds]);
+    const path = findCycle(graph.rules, Number(courseId), prereqIds);
+    return path && path.map(id => graph.courses.get(id)?.code ?? String(id));
+}
+
+/**
+ * The transitive prereq DAG below rootId as nodes and edges.
+ * depth is the longest chain of prereqs between the root and the node.
+ */
+export function buildPrereqTree(graph, rootId) {
+    const depth = new Map([[rootId, 0]]);
+    const edges = [];
+    const order = [rootId];
+    // Longest-path depths: relax in topological order (the graph is acyclic)
+    const indegree = new Map();
+    for (const [, list] of graph.rules) for (const r of list) indegree.set(r.id, (indegree.get(r.id) || 0) + 1);
+    const queue = [rootId];
+    while (queue.length) {
+        const id = queue.shift();
+        for (const r of graph.rules.get(id) || []) {
+            edges.push({ courseId: id, prereqId: r.id, minGrade: r.minGrade, group: r.group, concurrent: r.concurrent });
+            depth.set(r.id, Math.max(depth.get(r.id) ?? 0, depth.get(id) + 1));
+            indegree.set(r.id, indegree.get(r.id) - 1);
+            if (indegree.get(r.id) === 0) { queue.push(r.id); order.push(r.id); }
+        }
+    }
+    const nodes = order.map(id => ({ ...graph.courses.get(id), depth: depth.get(id) }));
+    return { nodes, edges };
+}
+
+/**
+ * Fewest courses a student still needs before enrolling in rootId.
+ * A rule counts as met when the student's latest official grade clears its
+ * minimum; an unmet any-of group takes whichever option adds the fewest
+ * courses. Each course gets a step: prereqs come at least one step earlier,
+ * corequisites may share a step. Returns the courses ordered by step.
+ */
+export function planPathway(graph, rootId, grades) {
+    const plans = new Map();
+
+    const cost = (id, taken) => {
+        const set = new Set([id, ...planFor(id).all]);
+        return [...set].filter(x => !taken.has(x)).length;
+    };
+
+    const planFor = (courseId) => {
+        if (plans.has(courseId)) return plans.get(courseId);
+        const plan = { deps: [], all: new Set() };
+        plans.set(courseId, plan);
+
+        const add = (r) => {
+            plan.deps.push({ id: r.id, concurrent: r.concurrent });
+            plan.all.add(r.id);
+            for (const x of planFor(r.id).all) plan.all.add(x);
+        };
+        const met = (r) => meetsMinGrade(grades.get(r.id), r.minGrade);
+
+        const rules = graph.rules.get(courseId) || [];
+        for (const r of rules) if (!r.group && !met(r)) add(r);
+
+        const groups = new Map();
+        for (const r of rules.filter(r => r.group)) {
+            if (!groups.has(r.group)) groups.set(r.group, []);
+            groups.get(r.group).push(r);
+        }
+        for (const options of groups.values()) {
+            if (options.some(met)) continue;
+            const code = (r) => graph.courses.get(r.id)?.code || "";
+            const best = [...options].sort((a, b) =>
+                cost(a.id, plan.all) - cost(b.id, plan.all) || code(a).localeCompare(code(b))
+            )[0];
+            add(best);
+        }
+        return plan;
+    };
+
+    const steps = new Map();
+    const stepOf = (id) => {
+        if (steps.has(id)) return steps.get(id);
+        steps.set(id, 1);
+        const step = Math.max(1, ...planFor(id).deps.map(d => stepOf(d.id) + (d.concurrent ? 0 : 1)));
+        steps.set(id, step);
+        return step;
+    };
+
+    const root = planFor(rootId);
+    const coreqs = new Set(root.deps.filter(d => d.concurrent).map(d => d.id));
+    const courses = [...root.all]
+        .map(id => ({ ...graph.courses.get(id), step: stepOf(id), concurrent: coreqs.has(id) }))
+        .sort((a, b) => a.step - b.step || a.code.localeCompare(b.code));
+    return { courses, enrollStep: stepOf(rootId) };
+}
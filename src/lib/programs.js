@@ -0,0 +1,308 @@
+// Degree programs and degree audits.
+//
+// A program has required courses (each with a minimum grade), elective pools
+// ("N courses and/or N credits from this list"), and overall minimum credits
+// and GPA. Audits use official grades (latest per course, retakes replace)
+// and count ungraded current enrollments as in progress.
+
+import { meetsMinGrade, DEFAULT_MIN_GRADE } from "./prereqs.js";
+import { studentGpa } from "./gpa.js";
+
+/**
+ * Find a program by id or code (e.g. 3 or "CS", case-insensitive).
+ * Null when nothing matches.
+ */
+export async function findProgram(db, ref) {
+    if (ref == null || ref === "") return null;
+    const { rows } = await db.query(
+        `SELECT * FROM programs WHERE UPPER(code) = UPPER($1) OR id::text = $1`,
+        [String(ref)]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Resolve the `program` a user is being assigned to.
+ * Returns { programId } (null clears it) or { error }.
+ */
+export async function resolveProgramRef(db, ref, role) {
+    if (ref === null || ref === "") return { programId: null };
+    if (role && role !== "STUDENT") return { error: "program only applies to STUDENT" };
+    const program = await findProgram(db, ref);
+    if (!program) return { error: `Unknown program ${ref}` };
+    return { programId: program.id };
+}
+
+/**
+ * The rules the ProgramWrite schema cannot express: a course is required at
+ * most once and pool names are unique. Returns a list of error messages.
+ */
+export function validateProgram({ requiredCourses, electivePools }) {
+    const errors = [];
+    const seen = new Set();
+    (requiredCourses || []).forEach((r, i) => {
+        if (seen.has(r.courseId)) errors.push(`requiredCourses[${i}].courseId ${r.courseId} is listed twice.`);
+        seen.add(r.courseId);
+    });
+    const names = new Set();
+    (electivePools || []).forEach((p, i) => {
+        const poolName = p.name.trim();
+        if (names.has(poolName)) errors.push(`electivePools[${i}].name ${poolName} is listed twice.`);
+        names.add(poolName);
+    });
+    return errors;
+}
+
+// Replace required courses and/or elective pools; run inside a transaction.
+// Returns null, or { status, code, error } when a course does not exist.
+export async function replaceRequirements(client, programId, { requiredCourses, electivePools }) {
+    const ids = [
+        ...(requiredCourses || []).map(r => Number(r.courseId)),
+        ...(electivePools || []).flatMap(p => p.courseIds.map(Number)),
+    ];
+    if (ids.length) {
+        const unique = [...new Set(ids)];
+        const { rows } = await client.query(`SELECT id FROM courses WHERE id = ANY($1::int[])`, [unique]);
+        const missing = unique.filter(id => !rows.some(c => c.id === id));
+        if (missing.length) return { status: 400, code: "unknown_course", error: `Courses not found: ${missing.join(", ")}` };
+    }
+
+    if (Array.isArray(requiredCourses)) {
+        await client.query(`DELETE FROM program_courses WHERE program_id=$1`, [programId]);
+        for (const r of requiredCourses) {
+            await client.query(
+                `INSERT INTO program_courses (program_id, course_id, min_grade) VALUES ($1, $2, $3::grade_letter)`,
+                [programId, Number(r.courseId), r.minGrade || DEFAULT_MIN_GRADE]
+            );
+        }
+    }
+
+    if (Array.isArray(electivePools)) {
+        await client.query(`DELETE FROM program_elective_pools WHERE program_id=$1`, [programId]);
+        for (const p of electivePools) {
+            const { rows } = await client.query(
+                `INSERT INTO program_elective_pools (program_id, name, min_courses, min_credits)
+                VALUES ($1, $2, $3, $4) RETURNING id`,
+                [programId, String(p.name).trim(), Number(p.minCourses || 0), Number(p.minCredits || 0)]
+            );
+            for (const courseId of new Set(p.courseIds.map(Number))) {
+                await client.query(
+                    `INSERT INTO program_elective_courses (pool_id, course_id) VALUES ($1, $2)`,
+                    [rows[0].id, courseId]
+                );
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * A program with its requirements, or null:
+ * { id, code, name, minCredits, minGpa,
+ *   requiredCourses: [{ courseId, code, name, credits, minGrade }],
+ *   electivePools: [{ id, name, minCourses, minCredits, courses: [{ courseId, code, name, credits }] }] }
+ */
+export async function loadProgram(db, programId) {
+    const { rows } = await db.query(
+        `SELECT id, code, name, min_credits AS "minCredits", min_gpa AS "minGpa", created_at, updated_at
+        FROM programs WHERE id=$1`,
+        [programId]
+    );
+    if (!rows[0]) return null;
+    const program = { ...rows[0], minGpa: rows[0].minGpa == null ? null : Number(rows[0].minGpa) };
+
+    const { rows: required } = await db.query(
+        `SELECT c.id AS "courseId", c.code, c.name, c.credits, pc.min_grade::text AS "minGrade"
+        FROM program_courses pc
+        JOIN courses c ON c.id = pc.course_id
+        WHERE pc.program_id=$1
+        ORDER BY c.code`,
+        [programId]
+    );
+    const { rows: pools } = await db.query(
+        `SELECT id, name, min_courses AS "minCourses", min_credits AS "minCredits"
+        FROM program_elective_pools WHERE program_id=$1 ORDER BY id`,
+        [programId]
+    );
+    const { rows: electives } = await db.query(
+        `SELECT ec.pool_id, c.id AS "courseId", c.code, c.name, c.credits
+        FROM program_elective_courses ec
+        JOIN program_elective_pools ep ON ep.id = ec.pool_id
+        JOIN courses c ON c.id = ec.course_id
+        WHERE ep.program_id=$1
+        ORDER BY c.code`,
+        [programId]
+    );
+
+    return {
+        ...program,
+        requiredCourses: required,
+        electivePools: pools.map(p => ({
+            ...p,
+            courses: electives.filter(e => e.pool_id === p.id).map(({ pool_id, ...c }) => c),
+        })),
+    };
+}
+
+/**
+ * Pure degree audit.
+ * record: { completed: Map(courseId -> { grade, credits, term }),  latest official grade per course
+ *           inProgress: Map(courseId -> { credits, term }),         ungraded current enrollments
+ *           gpa }                                                    cumulative GPA (or null)
+ * Each requirement gets a status: complete, in_progress (met once current
+ * courses finish) or remaining. A course counts toward at most one
+ * requirement: required courses first, then elective pools in order.
+ */
+export function computeDegreeAudit(program, record) {
+    const used = new Set();
+    const passed = (id) => meetsMinGrade(record.completed.get(id)?.grade, DEFAULT_MIN_GRADE);
+    const statusOf = (done, withCurrent) => (done ? "complete" : withCurrent ? "in_progress" : "remaining");
+
+    const required = program.requiredCourses.map(r => {
+        const taken = record.completed.get(r.courseId);
+        const done = meetsMinGrade(taken?.grade, r.minGrade);
+        const current = record.inProgress.has(r.courseId);
+        used.add(r.courseId);
+        return {
+            courseId: r.courseId,
+            code: r.code,
+            name: r.name,
+            credits: Number(r.credits),
+            minGrade: r.minGrade,
+            grade: taken?.grade || null,
+            term: done ? taken.term : record.inProgress.get(r.courseId)?.term || taken?.term || null,
+            status: statusOf(done, current),
+        };
+    });
+
+    const pools = program.electivePools.map(p => {
+        const completed = [];
+        const inProgress = [];
+        for (const c of p.courses) {
+            if (used.has(c.courseId)) continue;
+            if (passed(c.courseId)) completed.push(c);
+            else if (record.inProgress.has(c.courseId)) inProgress.push(c);
+        }
+        const minCourses = Number(p.minCourses);
+        const minCredits = Number(p.minCredits);
+        const sum = (list) => list.reduce((a, c) => a + Number(c.credits), 0);
+        const meets = (list) => list.length >= minCourses && sum(list) >= minCredits;
+
+        // Only claim as many courses as the pool needs
+        const claim = (list, already) => {
+            const out = [];
+            for (const c of list) {
+                if (meets([...already, ...out])) break;
+                out.push(c);
+            }
+            return out;
+        };
+        const counted = claim(completed, []);
+        const current = claim(inProgress, counted);
+        for (const c of [...counted, ...current]) used.add(c.courseId);
+
+        const done = meets(counted);
+        return {
+            id: p.id,
+            name: p.name,
+            minCourses,
+            minCredits,
+            completedCourses: counted.map(c => c.code),
+            inProgressCourses: current.map(c => c.code),
+            coursesStillNeeded: Math.max(minCourses - counted.length - current.length, 0),
+            creditsStillNeeded: Math.max(minCredits - sum(counted) - sum(current), 0),
+            options: p.courses.filter(c => !used.has(c.courseId) && !passed(c.courseId)).map(c => c.code),
+            status: statusOf(done, meets([...counted, ...current])),
+        };
+    });
+
+    let earned = 0;
+    for (const [id, c] of record.completed) if (passed(id)) earned += Number(c.credits);
+    // Retakes of passed courses add no new credits
+    let current = 0;
+    for (const [id, c] of record.inProgress) if (!passed(id)) current += Number(c.credits);
+    const creditsDone = earned >= program.minCredits;
+    const credits = {
+        required: program.minCredits,
+        earned,
+        inProgress: current,
+        remaining: Math.max(program.minCredits - earned - current, 0),
+        status: statusOf(creditsDone, earned + current >= program.minCredits),
+    };
+
+    const gpaMet = program.minGpa == null || (record.gpa != null && record.gpa >= program.minGpa);
+    const gpa = {
+        required: program.minGpa,
+        current: record.gpa,
+        // GPA can still move while courses are in progress
+        status: gpaMet ? "complete" : record.inProgress.size ? "in_progress" : "remaining",
+    };
+
+    const all = [...required.map(r => r.status), ...pools.map(p => p.status), credits.status, gpa.status];
+    const status = all.every(s => s === "complete") ? "complete"
+        : all.every(s => s !== "remaining") ? "in_progress"
+            : "remaining";
+
+    return {
+        program: { id: program.id, code: program.code, name: program.name },
+        status,
+        requiredCourses: required,
+        electivePools: pools,
+        credits,
+        gpa,
+        remaining: {
+            courses: required.filter(r => r.status === "remaining").map(r => r.code),
+            electivePools: pools.filter(p => p.status === "remaining").map(p => p.name),
+            credits: credits.remaining,
+        },
+    };
+}
+
+/**
+ * Degree audit for a student: { student, audit } where audit is null when
+ * the student has no program. Null when the user is not a student.
+ */
+export async function degreeAudit(db, studentId) {
+    const { rows: users } = await db.query(
+        `SELECT id, name, email, student_id AS "studentId", program_id AS "programId"
+        FROM users WHERE id=$1 AND role='STUDENT'`,
+        [studentId]
+    );
+    const student = users[0];
+    if (!student) return null;
+    if (!student.programId) return { student, audit: null };
+
+    const program = await loadProgram(db, student.programId);
+
+    const { rows: graded } = await db.query(
+        `SELECT DISTINCT ON (g.course_id) g.course_id, g.value::text AS grade, c.credits, t.code AS term
+        FROM official_grades g
+        JOIN courses c ON c.id = g.course_id
+        JOIN course_offerings o ON o.id = g.offering_id
+        JOIN terms t ON t.id = o.term_id
+        WHERE g.student_id=$1
+        ORDER BY g.course_id, g.assigned_at DESC`,
+        [studentId]
+    );
+    const { rows: current } = await db.query(
+        `SELECT e.course_id, c.credits, t.code AS term
+        FROM enrollments e
+        JOIN courses c ON c.id = e.course_id
+        JOIN course_offerings o ON o.id = e.offering_id
+        JOIN terms t ON t.id = o.term_id
+        WHERE e.student_id=$1
+            AND NOT EXISTS (
+                SELECT 1 FROM official_grades g
+                WHERE g.student_id = e.student_id AND g.offering_id = e.offering_id
+            )`,
+        [studentId]
+    );
+    const gpa = await studentGpa(db, studentId);
+
+    const audit = computeDegreeAudit(program, {
+        completed: new Map(graded.map(g => [g.course_id, { grade: g.grade, credits: g.credits, term: g.term }])),
+        inProgress: new Map(current.map(e => [e.course_id, { credits: e.credits, term: e.term }])),
+        gpa: gpa.cumulative.gpa,
+    });
+    return { student, audit };
+}
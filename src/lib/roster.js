@@ -0,0 +1,39 @@
+// A course roster: enrolled students with their latest grade in that offering
+// (a retake's roster does not show the earlier attempt's grade). Shared by the
+// paginated roster (GET /enrollments/course/:courseId) and attendance, so both
+// list the same students.
+
+export const ROSTER_SELECT = `
+    e.id,                     -- enrollment id
+    e.student_id,             -- student user id
+    u.name, u.email,
+    u.student_id AS student_code,
+    t.code AS term_code,
+    e.created_at AS enrolled_at,
+    lg.value AS latest_grade,
+    lg.status AS latest_grade_status -- DRAFT / SUBMITTED / APPROVED / LOCKED`;
+
+export const ROSTER_FROM = `enrollments e
+    JOIN users u ON u.id = e.student_id
+    JOIN course_offerings o ON o.id = e.offering_id
+    JOIN terms t ON t.id = o.term_id
+    LEFT JOIN LATERAL (
+        SELECT g.value::text AS value, g.status::text AS status
+        FROM grades g
+        WHERE g.student_id = e.student_id
+        AND g.offering_id = e.offering_id
+        ORDER BY g.assigned_at DESC
+        LIMIT 1
+    ) lg ON TRUE`;
+
+// Everyone enrolled in one offering, by name
+export async function loadRoster(db, offeringId) {
+    const { rows } = await db.query(
+        `SELECT ${ROSTER_SELECT}
+        FROM ${ROSTER_FROM}
+        WHERE e.offering_id = $1
+        ORDER BY u.name, e.id`,
+        [offeringId]
+    );
+    return rows;
+}
@@ -0,0 +1,85 @@
+// Course meeting patterns: validation, conflict lookup and the weekly view.
+
+export const DAYS = ["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"];
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(":").map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Validate a meetings payload: [{ day: "MON", start: "09:00", end: "10:30", room? }]
+ * Returns a list of error strings (empty when valid).
+ */
+export function validateMeetings(meetings) {
+    if (!Array.isArray(meetings)) return ["meetings must be an array."];
+    const errors = [];
+    meetings.forEach((m, i) => {
+        if (!m || !DAYS.includes(m.day)) {
+            errors.push(`meetings[${i}].day must be one of ${DAYS.join(", ")}.`);
+        }
+        if (!m || !TIME_RE.test(m.start || "")) errors.push(`meetings[${i}].start must be HH:MM.`);
+        if (!m || !TIME_RE.test(m.end || "")) errors.push(`meetings[${i}].end must be HH:MM.`);
+        if (m && TIME_RE.test(m.start || "") && TIME_RE.test(m.end || "")
+            && toMinutes(m.end) <= toMinutes(m.start)) {
+            errors.push(`meetings[${i}].end must be after start.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Replace a course's meeting set. Call inside the caller's transaction.
+ */
+export async function replaceMeetings(client, courseId, meetings) {
+    await client.query(`DELETE FROM course_meetings WHERE course_id=$1`, [courseId]);
+    for (const m of meetings) {
+        await client.query(
+            `INSERT INTO course_meetings (course_id, day, starts_at, ends_at, room)
+            VALUES ($1, $2, $3, $4, $5)`,
+            [courseId, m.day, m.start, m.end, m.room || null]
+        );
+    }
+}
+
+/**
+ * Courses the student is enrolled in during a term whose meetings overlap
+ * the meetings of `courseId`. Empty when there is no conflict.
+ */
+export async function findScheduleConflicts(db, studentId, courseId, termId) {
+    const { rows } = await db.query(
+        `SELECT DISTINCT c.id AS course_id, c.code, c.name,
+                em.day, to_char(em.starts_at,'HH24:MI') AS "start", to_char(em.ends_at,'HH24:MI') AS "end"
+        FROM enrollments e
+        JOIN course_offerings o ON o.id = e.offering_id
+        JOIN courses c ON c.id = e.course_id
+        JOIN course_meetings em ON em.course_id = e.course_id
+        JOIN course_meetings nm ON nm.course_id = $2
+        WHERE e.student_id = $1
+            AND o.term_id = $3
+            AND e.course_id <> $2
+            AND em.day = nm.day
+            AND em.starts_at < nm.ends_at
+            AND nm.starts_at < em.ends_at
+        ORDER BY c.code, em.day`,
+        [studentId, courseId, termId]
+    );
+    return rows;
+}
+
+/**
+ * Group meeting rows ({ day, start, ... }) into { MON: [...], ..., SUN: [...] },
+ * each day sorted by start time.
+ */
+export function buildWeeklySchedule(rows) {
+    const week = Object.fromEntries(DAYS.map(d => [d, []]));
+    for (const r of rows) {
+        if (week[r.day]) week[r.day].push(r);
+    }
+    for (const d of DAYS) {
+        week[d].sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+    }
+    return week;
+}
@@ -0,0 +1,497 @@
+// Request schemas, shared by validate() and the /docs spec (components.schemas).
+// They are OpenAPI 3.0 schema objects, which Ajv reads as JSON Schema:
+// use `nullable: true` rather than type arrays, and reference each other as
+// "#/components/schemas/<Name>".
+//
+// Schemas check shape and types. Rules that need more than one field or the
+// database (end after start, duplicate ids, ownership) stay in the routes.
+
+import { ALLOWED_GRADES } from "./grades.js";
+import { DAYS } from "./schedule.js";
+import { ATTENDANCE_STATUSES } from "./attendance.js";
+import { WEBHOOK_EVENTS } from "./webhooks.js";
+import { GRADING_SCALES } from "./gpa.js";
+import { BYPASS_SCOPES } from "./overrides.js";
+
+export const TIME_PATTERN = "^([01]\\d|2[0-3]):[0-5]\\d$";
+export const URL_PATTERN = "^https?://[^\\s/]+\\S*$";
+// A date, optionally with a time: 2025-09-01 or 2025-09-01T08:00:00Z
+export const DATE_PATTERN = "^\\d{4}-\\d{2}-\\d{2}([T ].+)?$";
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const text = (extra = {}) => ({ type: "string", pattern: "\\S", ...extra });
+
+export const schemas = {
+    Id: { type: "integer", minimum: 1, example: 1 },
+    // Term id or code; default is the active term
+    TermRef: { type: "string", example: "2025-FALL" },
+    GradeLetter: { type: "string", enum: ALLOWED_GRADES, example: "A" },
+    AttendanceStatus: { type: "string", enum: ATTENDANCE_STATUSES, example: "PRESENT" },
+
+    // --- list query strings (see listQuery.js) ----------------------------------
+    ListLimit: { type: "integer", minimum: 1, default: 50, description: "Page size; more than 200 is cut to 200" },
+    Cursor: { type: "string", description: "nextCursor from the previous page" },
+    ListDate: { type: "string", pattern: DATE_PATTERN, example: "2025-09-01" },
+    Search: { type: "string", example: "intro" },
+
+    Error: {
+        type: "object",
+        required: ["error", "code"],
+        properties: {
+            error: { type: "string", example: "courseId is required" },
+            code: { type: "string", example: "validation_failed" },
+            details: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["path", "code", "message"],
+                    properties: {
+                        path: { type: "string", example: "body.courseId" },
+                        code: { type: "string", example: "required" },
+                        message: { type: "string", example: "courseId is required" },
+                    },
+                },
+            },
+        },
+    },
+
+    // --- auth -----------------------------------------------------------------
+    Register: {
+        type: "object",
+        required: ["firstName", "lastName", "password"],
+        properties: {
+            firstName: text({ example: "Ada" }),
+            lastName: text({ example: "Lovelace" }),
+            password: text({ example: "secret" }),
+            program: { type: "string", nullable: true, example: "CS", description: "Degree program code" },
+            studentId: { type: "string", nullable: true, example: "S1001" },
+        },
+    },
+    Login: {
+        type: "object",
+        required: ["email", "password"],
+        properties: {
+            email: text({ example: "ada@coursehub.io" }),
+            password: text({ example: "secret" }),
+        },
+    },
+    RefreshToken: {
+        type: "object",
+        required: ["refreshToken"],
+        properties: { refreshToken: text() },
+    },
+    PasswordChange: {
+        type: "object",
+        required: ["currentPassword", "newPassword"],
+        properties: { currentPassword: text(), newPassword: text() },
+    },
+    PasswordForgot: {
+        type: "object",
+        required: ["email"],
+        properties: { email: text({ example: "ada@coursehub.io" }) },
+    },
+    PasswordReset: {
+        type: "object",
+        required: ["token", "newPassword"],
+        properties: { token: text(), newPassword: text() },
+    },
+
+    // --- users ----------------------------------------------------------------
+    Role: { type: "string", enum: ["STUDENT", "TEACHER", "TA", "ADMIN"], example: "STUDENT" },
+    UserCreate: {
+        type: "object",
+        required: ["role", "name", "email", "password"],
+        properties: {
+            role: ref("Role"),
+            name: text({ example: "Ada Lovelace" }),
+            email: text({ example: "ada@coursehub.io" }),
+            password: text({ example: "secret" }),
+            studentId: { type: "string", nullable: true, example: "S1001", description: "Required for STUDENT" },
+            program: { type: "string", nullable: true, example: "CS", description: "Program code or id (STUDENT only)" },
+        },
+    },
+    UserUpdate: {
+        type: "object",
+        properties: {
+            role: { ...ref("Role"), description: "Changing it ends the user's sessions" },
+            name: text(),
+            email: text(),
+            password: text({ description: "Changing it ends the user's sessions" }),
+            studentId: { type: "string", nullable: true },
+            program: { type: "string", nullable: true, description: "null removes it" },
+            reason: ref("Reason"),
+        },
+    },
+
+    // --- programs -------------------------------------------------------------
+    RequiredCourse: {
+        type: "object",
+        required: ["courseId"],
+        properties: {
+            courseId: ref("Id"),
+            minGrade: { type: "string", enum: ALLOWED_GRADES.filter(g => g !== "F"), description: "Lowest passing grade (default D)" },
+        },
+    },
+    ElectivePool: {
+        type: "object",
+        required: ["name", "courseIds"],
+        properties: {
+            name: text({ example: "Systems electives" }),
+            minCourses: { type: "integer", minimum: 0, example: 2 },
+            minCredits: { type: "integer", minimum: 0, example: 6 },
+            courseIds: { type: "array", minItems: 1, items: ref("Id") },
+        },
+    },
+    ProgramWrite: {
+        type: "object",
+        properties: {
+            code: text({ example: "CS" }),
+            name: text({ example: "Computer Science" }),
+            minCredits: { type: "integer", minimum: 0, example: 120 },
+            minGpa: { type: "number", minimum: 0, maximum: 5, nullable: true, example: 2, description: "null removes the GPA requirement" },
+            requiredCourses: { type: "array", items: ref("RequiredCourse"), description: "Replaces the set" },
+            electivePools: { type: "array", items: ref("ElectivePool"), description: "Replaces the set" },
+            reason: ref("Reason"),
+        },
+    },
+    ProgramCreate: {
+        type: "object",
+        allOf: [ref("ProgramWrite")],
+        required: ["code", "name"],
+    },
+
+    // --- courses --------------------------------------------------------------
+    Prereq: {
+        type: "object",
+        required: ["courseId"],
+        properties: {
+            courseId: ref("Id"),
+            minGrade: { type: "string", enum: ALLOWED_GRADES.filter(g => g !== "F"), description: "Lowest passing grade (default D)" },
+            group: text({ example: "intro", description: "Rules sharing a group are \"any one of\"" }),
+            concurrent: { type: "boolean", description: "Corequisite; same-term enrollment counts" },
+        },
+    },
+    Meeting: {
+        type: "object",
+        required: ["day", "start", "end"],
+        properties: {
+            day: { type: "string", enum: DAYS },
+            start: { type: "string", pattern: TIME_PATTERN, example: "09:00" },
+            end: { type: "string", pattern: TIME_PATTERN, example: "10:30" },
+            room: { type: "string", nullable: true, example: "Room 101" },
+        },
+    },
+    CourseCreate: {
+        type: "object",
+        required: ["code", "name", "credits", "enrollment_limit"],
+        properties: {
+            code: text({ example: "CS101" }),
+            name: text({ example: "Intro to CS" }),
+            credits: { type: "integer", minimum: 0, example: 3 },
+            enrollment_limit: { type: "integer", minimum: 0, example: 30 },
+            description: { type: "string", example: "Programming fundamentals in JavaScript" },
+            teacherId: { ...ref("Id"), description: "Admins only; teachers always own what they create" },
+            requiresConsent: { type: "boolean", description: "Students also need instructor consent" },
+            prereqIds: { type: "array", items: ref("Id"), description: "Plain required prereqs (shorthand for prereqs with defaults)" },
+            prereqs: { type: "array", items: ref("Prereq") },
+            meetings: { type: "array", items: ref("Meeting") },
+        },
+    },
+    CourseUpdate: {
+        type: "object",
+        properties: {
+            code: text(),
+            name: text(),
+            credits: { type: "integer", minimum: 0 },
+            enrollment_limit: { type: "integer", minimum: 0 },
+            description: { type: "string" },
+            requiresConsent: { type: "boolean" },
+            prereqIds: { type: "array", items: ref("Id") },
+            prereqs: { type: "array", items: ref("Prereq") },
+            meetings: { type: "array", items: ref("Meeting") },
+            reason: { type: "string", description: "Recorded in the audit log" },
+        },
+    },
+    StaffAdd: {
+        type: "object",
+        required: ["userId", "role"],
+        properties: {
+            userId: ref("Id"),
+            role: { type: "string", enum: ["INSTRUCTOR", "TA"], description: "INSTRUCTOR must be a TEACHER; TA a TA or TEACHER user" },
+        },
+    },
+    OfferingCreate: {
+        type: "object",
+        required: ["term"],
+        properties: {
+            term: ref("TermRef"),
+            enrollment_limit: { type: "integer", minimum: 0, nullable: true, example: 20, description: "Default is the course's limit" },
+        },
+    },
+    OfferingUpdate: {
+        type: "object",
+        properties: {
+            enrollment_limit: { type: "integer", minimum: 0, nullable: true, description: "null (or left out) resets to the course's limit" },
+        },
+    },
+    ConsentCreate: {
+        type: "object",
+        required: ["studentId"],
+        properties: {
+            studentId: ref("Id"),
+            note: { type: "string", nullable: true, example: "Placement test passed" },
+        },
+    },
+    PermissionCodeCreate: {
+        type: "object",
+        required: ["bypass"],
+        properties: {
+            bypass: { type: "string", enum: BYPASS_SCOPES },
+            maxUses: { type: "integer", minimum: 1, default: 1 },
+            expiresAt: { type: "string", format: "date-time", description: "Default 14 days from now" },
+            studentId: { ...ref("Id"), description: "Only this student may use it (default any student)" },
+            note: { type: "string", nullable: true },
+        },
+    },
+    AnnouncementCreate: {
+        type: "object",
+        required: ["title", "body"],
+        properties: {
+            title: text({ maxLength: 200, example: "Room change" }),
+            body: text({ example: "Thursday's lecture moves to B-204." }),
+            term: ref("TermRef"),
+        },
+    },
+
+    // --- enrollments ----------------------------------------------------------
+    EnrollmentCreate: {
+        type: "object",
+        required: ["courseId"],
+        properties: {
+            courseId: ref("Id"),
+            term: ref("TermRef"),
+            permissionCode: { type: "string", example: "CS101-9F3A1C2B", description: "Code from the instructor to get past capacity and/or prereqs" },
+        },
+    },
+    WaitlistJoin: {
+        type: "object",
+        required: ["courseId"],
+        properties: { courseId: ref("Id"), term: ref("TermRef") },
+    },
+    BulkEnroll: {
+        type: "object",
+        required: ["courseId", "studentIds"],
+        properties: {
+            courseId: ref("Id"),
+            studentIds: { type: "array", minItems: 1, items: ref("Id") },
+            term: ref("TermRef"),
+            mode: { type: "string", enum: ["best_effort", "all_or_nothing"], default: "best_effort" },
+            override: { type: "boolean", description: "Admins only: enroll past capacity and unmet prereqs" },
+            reason: { type: "string" },
+        },
+    },
+
+    // --- grades ---------------------------------------------------------------
+    GradeCreate: {
+        type: "object",
+        required: ["studentId", "courseId", "value"],
+        properties: {
+            studentId: { ...ref("Id"), description: "A STUDENT enrolled in the course that term" },
+            courseId: ref("Id"),
+            value: ref("GradeLetter"),
+            term: ref("TermRef"),
+            reason: { type: "string", example: "Regrade after appeal", description: "Recorded in the audit log" },
+        },
+    },
+    GradeChangeRequest: {
+        type: "object",
+        required: ["gradeId", "value", "reason"],
+        properties: {
+            gradeId: ref("Id"),
+            value: ref("GradeLetter"),
+            reason: text({ example: "Final exam was mis-scored" }),
+        },
+    },
+
+    GradeReject: {
+        type: "object",
+        required: ["reason"],
+        properties: { reason: text({ maxLength: 1000, example: "Missing the final exam", description: "Recorded in the audit log" }) },
+    },
+    CourseGradeAction: {
+        type: "object",
+        properties: { term: ref("TermRef"), reason: ref("Reason") },
+    },
+    ChangeRequestReview: {
+        type: "object",
+        properties: { note: { type: "string", maxLength: 1000, example: "Checked against the exam sheets", description: "Saved on the request and in the audit log" } },
+    },
+    ScaleSelect: {
+        type: "object",
+        required: ["scale"],
+        properties: { scale: { type: "string", enum: Object.keys(GRADING_SCALES), example: "4.0" } },
+    },
+    Cutoff: {
+        type: "object",
+        required: ["letter", "minPercent"],
+        properties: {
+            letter: ref("GradeLetter"),
+            minPercent: { type: "number", minimum: 0, maximum: 100, example: 93 },
+        },
+    },
+    CutoffsReplace: {
+        type: "object",
+        required: ["cutoffs"],
+        properties: { cutoffs: { type: "array", minItems: 1, items: ref("Cutoff") } },
+    },
+
+    // --- gradebook ------------------------------------------------------------
+    // weight and maxPoints are NUMERIC(_, 2): 0.01 is the smallest value above 0
+    CategoryCreate: {
+        type: "object",
+        required: ["name", "weight"],
+        properties: {
+            name: text({ example: "Homework" }),
+            weight: { type: "number", minimum: 0.01, maximum: 100, example: 30, description: "Weights per offering may total at most 100" },
+            term: ref("TermRef"),
+        },
+    },
+    CategoryUpdate: {
+        type: "object",
+        properties: {
+            name: text(),
+            weight: { type: "number", minimum: 0.01, maximum: 100 },
+        },
+    },
+    AssignmentCreate: {
+        type: "object",
+        required: ["categoryId", "title", "maxPoints"],
+        properties: {
+            categoryId: ref("Id"),
+            title: text({ example: "Homework 1" }),
+            maxPoints: { type: "number", minimum: 0.01, example: 20 },
+            dueAt: { type: "string", format: "date-time", nullable: true },
+        },
+    },
+    AssignmentUpdate: {
+        type: "object",
+        properties: {
+            categoryId: { ...ref("Id"), description: "Another category of the same offering" },
+            title: text(),
+            maxPoints: { type: "number", minimum: 0.01 },
+            dueAt: { type: "string", format: "date-time", nullable: true, description: "null clears it" },
+        },
+    },
+    ScoresPut: {
+        type: "object",
+        required: ["scores"],
+        properties: {
+            scores: {
+                type: "array",
+                minItems: 1,
+                items: {
+                    type: "object",
+                    required: ["studentId"],
+                    properties: {
+                        studentId: ref("Id"),
+                        points: { type: "number", minimum: 0, nullable: true, example: 18.5, description: "Above maxPoints is extra credit; null removes the score" },
+                    },
+                },
+            },
+        },
+    },
+    GradebookFinalize: {
+        type: "object",
+        properties: {
+            term: ref("TermRef"),
+            studentIds: { type: "array", items: ref("Id"), description: "Default every enrolled student" },
+            reason: { ...ref("Reason"), example: "End of term" },
+        },
+    },
+
+    // --- attendance -----------------------------------------------------------
+    SessionCreate: {
+        type: "object",
+        required: ["heldOn"],
+        properties: {
+            heldOn: { type: "string", format: "date", example: "2025-09-08" },
+            topic: { type: "string", nullable: true, example: "Loops and arrays" },
+            term: ref("TermRef"),
+        },
+    },
+    AttendanceMark: {
+        type: "object",
+        properties: {
+            records: {
+                type: "array",
+                items: {
+                    type: "object",
+                    required: ["studentId", "status"],
+                    properties: {
+                        studentId: ref("Id"),
+                        status: ref("AttendanceStatus"),
+                        note: { type: "string", nullable: true, example: "Doctor's note" },
+                    },
+                },
+            },
+            others: { ...ref("AttendanceStatus"), description: "Status for every enrolled student not in records" },
+        },
+    },
+    AttendanceMarkOne: {
+        type: "object",
+        required: ["status"],
+        properties: {
+            status: ref("AttendanceStatus"),
+            note: { type: "string", nullable: true },
+        },
+    },
+
+    // --- webhooks -------------------------------------------------------------
+    WebhookEvent: { type: "string", enum: WEBHOOK_EVENTS, example: "grade.recorded" },
+    WebhookCreate: {
+        type: "object",
+        required: ["url", "events"],
+        properties: {
+            url: { type: "string", pattern: URL_PATTERN, example: "http://localhost:4000/hooks" },
+            events: { type: "array", minItems: 1, items: ref("WebhookEvent") },
+            description: { type: "string", nullable: true, example: "Slack bot" },
+            isActive: { type: "boolean", default: true },
+        },
+    },
+    WebhookUpdate: {
+        type: "object",
+        properties: {
+            url: { type: "string", pattern: URL_PATTERN },
+            events: { type: "array", minItems: 1, items: ref("WebhookEvent") },
+            description: { type: "string", nullable: true },
+            isActive: { type: "boolean" },
+        },
+    },
+
+    // --- archive --------------------------------------------------------------
+    Reason: { type: "string", maxLength: 1000, example: "Duplicate of CS102", description: "Recorded in the audit log" },
+    ArchiveRequest: {
+        type: "object",
+        properties: { reason: ref("Reason") },
+    },
+    PurgeConfirm: {
+        type: "object",
+        required: ["confirm"],
+        properties: {
+            confirm: text({ example: "CS101", description: "The course code or user email, typed again" }),
+            reason: ref("Reason"),
+        },
+    },
+
+    // --- terms ----------------------------------------------------------------
+    TermCreate: {
+        type: "object",
+        required: ["code", "name", "startsOn", "endsOn"],
+        properties: {
+            code: text({ example: "2026-SPRING" }),
+            name: text({ example: "Spring 2026" }),
+            startsOn: { type: "string", format: "date", example: "2026-01-12" },
+            endsOn: { type: "string", format: "date", example: "2026-05-08" },
+        },
+    },
+};
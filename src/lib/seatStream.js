@@ -0,0 +1,164 @@
+// Live seat counts over Server-Sent Events.
+//
+// Triggers in schema.sql NOTIFY seat_changes whenever an enrollment is added
+// or removed or an enrollment_limit changes. Each server instance LISTENs on
+// one connection of its own and re-reads the counts from the database, so
+// every instance behind a load balancer pushes the same numbers no matter
+// which one handled the enrollment.
+//
+// A stream gets a "snapshot" event (every matching offering) when it opens,
+// then a "seats" event per offering whose count or limit changed.
+
+export const SEAT_CHANNEL = "seat_changes";
+// Changes that arrive together (a bulk enroll, a roster import) go out as one
+// update per offering
+const FLUSH_MS = 200;
+const HEARTBEAT_MS = 25 * 1000;
+const RECONNECT_MS = 5 * 1000;
+
+const subscribers = new Set(); // { res, termId, courseId }
+let listener = null;           // Promise of the LISTENing client
+let heartbeat = null;
+let flushTimer = null;
+let changed = { courseIds: new Set(), offeringIds: new Set() };
+let nextEventId = 1;
+
+// One SSE message
+export function formatEvent(event, data, id = null) {
+    return `${id != null ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// NOTIFY payload -> { courseId, offeringId? }, or null if it is not one of ours
+export function parseSeatNotification(payload) {
+    try {
+        const { courseId, offeringId = null } = JSON.parse(payload);
+        return Number.isInteger(courseId) ? { courseId, offeringId: Number.isInteger(offeringId) ? offeringId : null } : null;
+    } catch {
+        return null;
+    }
+}
+
+// Does this stream want this offering's seats? (same term; one course, or the whole catalog)
+export function wantsSeats(subscriber, seats) {
+    if (subscriber.termId !== seats.term_id) return false;
+    return subscriber.courseId == null || subscriber.courseId === seats.course_id;
+}
+
+/**
+ * Seat counts per offering of every course that is not archived, the same
+ * numbers GET /courses shows.
+ * Narrow with termId, courseIds and/or offeringIds.
+ */
+export async function loadSeats(db, { termId = null, courseIds = null, offeringIds = null } = {}) {
+    const { rows } = await db.query(
+        `SELECT o.id AS offering_id, o.course_id, c.code, o.term_id, t.code AS term_code,
+                COALESCE(o.enrollment_limit, c.enrollment_limit) AS enrollment_limit,
+                COUNT(e.id)::int AS enrolled,
+                GREATEST(COALESCE(o.enrollment_limit, c.enrollment_limit) - COUNT(e.id), 0)::int AS available_seats
+        FROM course_offerings o
+        JOIN courses c ON c.id = o.course_id
+        JOIN terms t ON t.id = o.term_id
+        LEFT JOIN enrollments e ON e.offering_id = o.id
+        WHERE c.archived_at IS NULL
+          AND ($1::int IS NULL OR o.term_id = $1)
+          AND ($2::int[] IS NULL OR o.course_id = ANY($2))
+          AND ($3::int[] IS NULL OR o.id = ANY($3))
+        GROUP BY o.id, c.id, t.id
+        ORDER BY c.code`,
+        [termId, courseIds, offeringIds]
+    );
+    return rows;
+}
+
+function broadcast(rows) {
+    for (const seats of rows) {
+        const message = formatEvent("seats", seats, nextEventId++);
+        for (const s of subscribers) if (wantsSeats(s, seats)) s.res.write(message);
+    }
+}
+
+async function flush(db) {
+    flushTimer = null;
+    const { courseIds, offeringIds } = changed;
+    changed = { courseIds: new Set(), offeringIds: new Set() };
+    if (!subscribers.size) return;
+
+    // A course-wide change (its default limit) touches every offering of the course
+    const byCourse = courseIds.size ? await loadSeats(db, { courseIds: [...courseIds] }) : [];
+    const byOffering = offeringIds.size ? await loadSeats(db, { offeringIds: [...offeringIds] }) : [];
+    const seen = new Set(byCourse.map(r => r.offering_id));
+    broadcast([...byCourse, ...byOffering.filter(r => !seen.has(r.offering_id))]);
+}
+
+function queueChange(db, change) {
+    if (change.offeringId) changed.offeringIds.add(change.offeringId);
+    else changed.courseIds.add(change.courseId);
+    if (!flushTimer) {
+        flushTimer = setTimeout(() => flush(db).catch(e => console.error("Seat stream:", e)), FLUSH_MS);
+        flushTimer.unref();
+    }
+}
+
+// Counts may have moved while the listener was down: resend every watched term
+async function resync(db) {
+    const termIds = new Set([...subscribers].map(s => s.termId));
+    for (const termId of termIds) broadcast(await loadSeats(db, { termId }));
+}
+
+function listen(db) {
+    if (listener) return listener;
+    listener = (async () => {
+        const client = await db.connect();
+        client.on("notification", (msg) => {
+            if (msg.channel !== SEAT_CHANNEL) return;
+            const change = parseSeatNotification(msg.payload);
+            if (change) queueChange(db, change);
+        });
+        client.on("error", (e) => {
+            console.error("Seat stream listener:", e);
+            listener = null;
+            client.release(e);
+            const retry = setTimeout(() => {
+                listen(db).then(() => resync(db)).catch(err => console.error("Seat stream:", err));
+            }, RECONNECT_MS);
+            retry.unref();
+        });
+        await client.query(`LISTEN ${SEAT_CHANNEL}`);
+        return client;
+    })();
+    listener.catch(() => { listener = null; });
+    return listener;
+}
+
+/**
+ * Turn `res` into an event stream of seat counts for one term (termId) and
+ * optionally one course (courseId). Resolves once the snapshot is sent; the
+ * stream stays open until the client goes away.
+ */
+export async function openSeatStream(db, req, res, { termId, courseId = null }) {
+    // Listen before reading the snapshot, so no change falls between the two
+    await listen(db);
+    const snapshot = await loadSeats(db, { termId, courseIds: courseId ? [courseId] : null });
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        // Proxies such as nginx would otherwise buffer the stream
+        "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+    res.write(formatEvent("snapshot", snapshot, nextEventId++));
+
+    const subscriber = { res, termId, courseId };
+    subscribers.add(subscriber);
+    req.on("close", () => subscribers.delete(subscriber));
+
+    if (!heartbeat) {
+        // Comment lines keep idle connections from being closed by proxies
+        heartbeat = setInterval(() => {
+            for (const s of subscribers) s.res.write(": keep-alive\n\n");
+        }, HEARTBEAT_MS);
+        heartbeat.unref();
+    }
+}
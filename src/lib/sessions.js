@@ -0,0 +1,98 @@
+// Access/refresh token handling.
+// Access tokens are short-lived JWTs carrying the user's token_version (`tv`);
+// bumping users.token_version invalidates every access token issued before it.
+// Refresh tokens are opaque, stored hashed, and rotated on every use.
+
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+
+export function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export function signAccessToken(user) {
+    return jwt.sign(
+        { id: user.id, role: user.role, email: user.email, name: user.name, tv: user.token_version ?? 0 },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.ACCESS_TOKEN_TTL || "15m" }
+    );
+}
+
+/**
+ * Issue an access token plus a new refresh token for a user row
+ * ({ id, role, email, name, token_version }).
+ */
+export async function issueSession(db, user) {
+    const refreshToken = crypto.randomBytes(48).toString("base64url");
+    const days = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+    const { rows } = await db.query(
+        `INSERT INTO refresh_tokens (user_id, token_hash, expires_at)
+        VALUES ($1, $2, NOW() + make_interval(days => $3))
+        RETURNING id`,
+        [user.id, hashToken(refreshToken), days]
+    );
+    return {
+        token: signAccessToken(user),
+        refreshToken,
+        refreshTokenId: rows[0].id,
+    };
+}
+
+/**
+ * Exchange a refresh token for a new session, revoking the old token.
+ * Presenting an already-revoked token is treated as theft: every session
+ * for that user is revoked.
+ * Returns { user, session } or { error } when the token is not usable.
+ */
+export async function rotateRefreshToken(client, refreshToken) {
+    const { rows } = await client.query(
+        `SELECT rt.id, rt.user_id, rt.revoked_at, rt.expires_at < NOW() AS expired
+        FROM refresh_tokens rt
+        WHERE rt.token_hash = $1
+        FOR UPDATE`,
+        [hashToken(refreshToken)]
+    );
+    const stored = rows[0];
+    if (!stored) return { error: "Invalid refresh token" };
+    if (stored.revoked_at) {
+        await revokeAllSessions(client, stored.user_id);
+        return { error: "Refresh token reused; all sessions revoked" };
+    }
+    if (stored.expired) return { error: "Refresh token expired" };
+
+    const { rows: users } = await client.query(
+        `SELECT id, role, name, email, token_version FROM users WHERE id=$1 AND archived_at IS NULL`,
+        [stored.user_id]
+    );
+    if (!users[0]) return { error: "Invalid refresh token" };
+
+    const session = await issueSession(client, users[0]);
+    await client.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW(), replaced_by = $2 WHERE id = $1`,
+        [stored.id, session.refreshTokenId]
+    );
+    return { user: users[0], session };
+}
+
+// Revoke one refresh token (logout). Returns true if it was active.
+export async function revokeRefreshToken(db, refreshToken) {
+    const { rowCount } = await db.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+        WHERE token_hash = $1 AND revoked_at IS NULL`,
+        [hashToken(refreshToken)]
+    );
+    return rowCount > 0;
+}
+
+// Revoke every refresh token and invalidate outstanding access tokens
+export async function revokeAllSessions(db, userId) {
+    await db.query(
+        `UPDATE refresh_tokens SET revoked_at = NOW()
+        WHERE user_id = $1 AND revoked_at IS NULL`,
+        [userId]
+    );
+    await db.query(
+        `UPDATE users SET token_version = token_version + 1 WHERE id = $1`,
+        [userId]
+    );
+}
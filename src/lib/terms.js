@@ -0,0 +1,93 @@
+// Term and course-offering lookups shared by the course, enrollment and grade routes.
+
+/**
+ * Find a term by id or code (e.g. 5 or "2025-FALL").
+ * With no reference, returns the active term. Null when nothing matches.
+ */
+export async function findTerm(db, ref) {
+    if (ref == null || ref === "") {
+        const { rows } = await db.query(`SELECT * FROM terms WHERE is_active LIMIT 1`);
+        return rows[0] || null;
+    }
+    const { rows } = await db.query(
+        `SELECT * FROM terms WHERE code = $1 OR id::text = $1`,
+        [String(ref)]
+    );
+    return rows[0] || null;
+}
+
+// Cross-field rules TermCreate cannot express; returns messages for validationError
+export function validateTerm({ startsOn, endsOn }) {
+    const errors = [];
+    if (Date.parse(endsOn) < Date.parse(startsOn)) errors.push("endsOn must be on or after startsOn.");
+    return errors;
+}
+
+/**
+ * Make a term the only active one. Run inside a transaction; returns the
+ * term, or null (nothing changed) when it does not exist.
+ */
+export async function activateTerm(client, id) {
+    await client.query(`UPDATE terms SET is_active = FALSE WHERE is_active AND id <> $1`, [id]);
+    const { rows } = await client.query(
+        `UPDATE terms SET is_active = TRUE WHERE id=$1 RETURNING *`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Resolve the offering of a course in a term (default: the active term).
+ * Returns { offering } with the effective enrollment_limit, current
+ * enrolled count and course_archived (routes that add enrollments refuse
+ * archived courses), or { status, error } ready to send back to the client.
+ */
+export async function resolveOffering(db, courseId, termRef) {
+    const { rows: course } = await db.query(`SELECT id FROM courses WHERE id=$1`, [courseId]);
+    if (!course[0]) return { status: 404, error: "Course not found" };
+
+    const term = await findTerm(db, termRef);
+    if (!term) {
+        return termRef
+            ? { status: 404, error: "Term not found" }
+            : { status: 409, error: "No active term" };
+    }
+
+    const { rows } = await db.query(
+        `SELECT o.id, o.course_id, o.term_id, t.code AS term_code,
+                COALESCE(o.enrollment_limit, c.enrollment_limit) AS enrollment_limit,
+                (SELECT COUNT(*)::int FROM enrollments e WHERE e.offering_id = o.id) AS enrolled,
+                c.archived_at IS NOT NULL AS course_archived
+        FROM course_offerings o
+        JOIN courses c ON c.id = o.course_id
+        JOIN terms t ON t.id = o.term_id
+        WHERE o.course_id = $1 AND o.term_id = $2`,
+        [courseId, term.id]
+    );
+    if (!rows[0]) return { status: 409, error: `Course is not offered in ${term.code}` };
+    return { offering: rows[0] };
+}
+
+/**
+ * Lock an offering row for the rest of the transaction and return its
+ * effective enrollment_limit and current enrolled count. Everything that
+ * adds enrollments takes this lock first, so two requests can never both
+ * take the last seat.
+ */
+export async function lockOffering(client, offeringId) {
+    const { rows } = await client.query(
+        `SELECT o.id, o.course_id, o.term_id,
+                COALESCE(o.enrollment_limit, c.enrollment_limit) AS enrollment_limit
+        FROM course_offerings o
+        JOIN courses c ON c.id = o.course_id
+        WHERE o.id = $1
+        FOR UPDATE OF o`,
+        [offeringId]
+    );
+    if (!rows[0]) return null;
+    const { rows: count } = await client.query(
+        `SELECT COUNT(*)::int AS enrolled FROM enrollments WHERE offering_id=$1`,
+        [offeringId]
+    );
+    return { ...rows[0], enrolled: count[0].enrolled };
+}
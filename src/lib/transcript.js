@@ -0,0 +1,205 @@
+// Official transcripts: assembly, CSV/PDF rendering and verification codes.
+
+import crypto from "crypto";
+import PDFDocument from "pdfkit";
+import { computeGpa, getActiveScale, GPA_METHOD } from "./gpa.js";
+import { csvCell } from "./csv.js";
+
+/**
+ * Assemble a student's transcript: every course (latest grade per course per
+ * term), attempted/earned credits per term and overall, and GPA on the active
+ * scale. Ungraded current enrollments are listed as in progress.
+ * Returns null when the user is not a student.
+ */
+export async function buildTranscript(db, studentId) {
+    const { rows: users } = await db.query(
+        `SELECT u.id, u.name, u.email, u.student_id AS "studentId", p.name AS program
+        FROM users u
+        LEFT JOIN programs p ON p.id = u.program_id
+        WHERE u.id=$1 AND u.role='STUDENT'`,
+        [studentId]
+    );
+    if (!users[0]) return null;
+
+    const scale = await getActiveScale(db);
+    const { rows } = await db.query(
+        `SELECT t.code AS term_code, t.name AS term_name, t.starts_on,
+                c.id AS course_id, c.code, c.name, c.credits,
+                lg.grade, lg.assigned_at
+        FROM (
+            SELECT offering_id, course_id FROM enrollments WHERE student_id = $1
+            UNION
+            SELECT offering_id, course_id FROM official_grades WHERE student_id = $1
+        ) taken
+        JOIN course_offerings o ON o.id = taken.offering_id
+        JOIN terms t ON t.id = o.term_id
+        JOIN courses c ON c.id = taken.course_id
+        LEFT JOIN LATERAL (
+            SELECT g.value::text AS grade, g.assigned_at
+            FROM official_grades g
+            WHERE g.student_id = $1 AND g.offering_id = taken.offering_id
+            ORDER BY g.assigned_at DESC
+            LIMIT 1
+        ) lg ON TRUE
+        ORDER BY t.starts_on ASC, c.code ASC`,
+        [studentId]
+    );
+
+    const terms = [];
+    const latestByCourse = new Map();
+    for (const r of rows) {
+        let term = terms[terms.length - 1];
+        if (!term || term.term !== r.term_code) {
+            term = { term: r.term_code, name: r.term_name, courses: [] };
+            terms.push(term);
+        }
+        const graded = r.grade != null;
+        term.courses.push({
+            code: r.code,
+            name: r.name,
+            credits: r.credits,
+            grade: r.grade,
+            status: graded ? "COMPLETED" : "IN_PROGRESS",
+            attemptedCredits: graded ? r.credits : 0,
+            earnedCredits: graded && r.grade !== "F" ? r.credits : 0,
+        });
+        if (graded) {
+            const prev = latestByCourse.get(r.course_id);
+            if (!prev || new Date(r.assigned_at) > new Date(prev.assigned_at)) {
+                latestByCourse.set(r.course_id, r);
+            }
+        }
+    }
+
+    const sum = (list, key) => list.reduce((a, x) => a + x[key], 0);
+    for (const term of terms) {
+        const graded = term.courses.filter(c => c.grade != null);
+        term.attemptedCredits = sum(term.courses, "attemptedCredits");
+        term.earnedCredits = sum(term.courses, "earnedCredits");
+        term.gpa = computeGpa(graded, scale).gpa;
+    }
+    const allCourses = terms.flatMap(t => t.courses);
+
+    return {
+        student: users[0],
+        generatedAt: new Date().toISOString(),
+        gpaScale: scale,
+        gpaMethod: GPA_METHOD,
+        terms,
+        totals: {
+            attemptedCredits: sum(allCourses, "attemptedCredits"),
+            earnedCredits: sum(allCourses, "earnedCredits"),
+            cumulativeGpa: computeGpa([...latestByCourse.values()], scale).gpa,
+        },
+    };
+}
+
+// One row per course plus a TOTAL row carrying the cumulative GPA
+export function transcriptToCsv(transcript) {
+    const lines = [["term", "code", "name", "credits", "grade", "attempted_credits", "earned_credits", "gpa"]];
+    for (const term of transcript.terms) {
+        for (const c of term.courses) {
+            lines.push([term.term, c.code, c.name, c.credits, c.grade, c.attemptedCredits, c.earnedCredits, ""]);
+        }
+    }
+    const { totals } = transcript;
+    lines.push(["TOTAL", "", "", "", "", totals.attemptedCredits, totals.earnedCredits, totals.cumulativeGpa]);
+    return lines.map(row => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// Render to a PDF Buffer, stamped with the verification code
+export function transcriptToPdf(transcript, verificationCode) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: "LETTER", margin: 50 });
+        const chunks = [];
+        doc.on("data", (c) => chunks.push(c));
+        doc.on("end", () => resolve(Buffer.concat(chunks)));
+        doc.on("error", reject);
+
+        const { student, totals } = transcript;
+        doc.fontSize(18).text("Techtonica Academy — Official Transcript", { align: "center" });
+        doc.moveDown();
+        doc.fontSize(11)
+            .text(`Student: ${student.name} (${student.studentId || "n/a"})`)
+            .text(`Email: ${student.email}`)
+            .text(`Program: ${student.program || "—"}`)
+            .text(`Issued: ${transcript.generatedAt}`)
+            .text(`GPA scale: ${transcript.gpaScale} (${transcript.gpaMethod})`);
+
+        for (const term of transcript.terms) {
+            doc.moveDown().fontSize(13).text(`${term.name} (${term.term})`);
+            doc.fontSize(10).font("Courier");
+            for (const c of term.courses) {
+                doc.text(
+                    `${c.code.padEnd(10)} ${c.name.slice(0, 40).padEnd(40)} ` +
+                    `${String(c.credits).padStart(3)} cr   ${c.grade || "IP"}`
+                );
+            }
+            doc.font("Helvetica").text(
+                `Attempted ${term.attemptedCredits}  Earned ${term.earnedCredits}  Term GPA ${term.gpa ?? "—"}`
+            );
+        }
+
+        doc.moveDown().fontSize(12)
+            .text(`Total attempted credits: ${totals.attemptedCredits}`)
+            .text(`Total earned credits: ${totals.earnedCredits}`)
+            .text(`Cumulative GPA: ${totals.cumulativeGpa ?? "—"}`);
+
+        doc.moveDown(2).fontSize(10)
+            .text(`Verification code: ${verificationCode}`)
+            .text("Verify at GET /transcripts/verify/<code>");
+        doc.end();
+    });
+}
+
+// Record an issued transcript and return its verification code (e.g. 7F3A-91C0-BB2E)
+export async function issueVerification(db, transcript, issuedBy) {
+    const code = crypto.randomBytes(6).toString("hex").toUpperCase().match(/.{4}/g).join("-");
+    const digest = crypto.createHash("sha256").update(JSON.stringify(transcript)).digest("hex");
+    await db.query(
+        `INSERT INTO transcript_verifications
+            (code, student_id, issued_by, cumulative_gpa, attempted_credits, earned_credits, sha256)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+            code,
+            transcript.student.id,
+            issuedBy,
+            transcript.totals.cumulativeGpa,
+            transcript.totals.attemptedCredits,
+            transcript.totals.earnedCredits,
+            digest,
+        ]
+    );
+    return code;
+}
+
+/**
+ * Send a transcript as JSON, CSV or PDF.
+ * Format comes from ?format= first, then the Accept header (default JSON).
+ * PDFs get a verification code recorded against the requesting user.
+ */
+export async function sendTranscript(req, res, db, transcript) {
+    const byQuery = String(req.query.format || "").toLowerCase();
+    const format = byQuery || {
+        "application/json": "json",
+        "text/csv": "csv",
+        "application/pdf": "pdf",
+    }[req.accepts(["application/json", "text/csv", "application/pdf"])] || "json";
+
+    const base = `transcript-${transcript.student.studentId || transcript.student.id}`;
+    if (format === "json") return res.json(transcript);
+    if (format === "csv") {
+        res.type("text/csv");
+        res.attachment(`${base}.csv`);
+        return res.send(transcriptToCsv(transcript));
+    }
+    if (format === "pdf") {
+        const code = await issueVerification(db, transcript, req.user.id);
+        const pdf = await transcriptToPdf(transcript, code);
+        res.type("application/pdf");
+        res.attachment(`${base}.pdf`);
+        res.set("X-Transcript-Verification", code);
+        return res.send(pdf);
+    }
+    return res.status(400).json({ error: "format must be json, csv or pdf" });
+}
@@ -0,0 +1,136 @@
+// Request validation against the schemas in schemas.js.
+//
+//   router.post("/", validate({ body: "CourseCreate" }), handler)
+//   router.get("/:id", validate({ params: { id: "Id" } }), handler)
+//
+// body takes a schema name; params and query take { name: schema name or
+// inline schema }. Numeric strings are coerced ("3" -> 3), so routes can
+// trust the types they read. Failures answer 400 in the shared error format
+// (see errors.js) with one detail per problem.
+
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+import { schemas, TIME_PATTERN, URL_PATTERN, DATE_PATTERN } from "./schemas.js";
+import { validationError } from "./errors.js";
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, strict: false });
+addFormats(ajv, ["date", "date-time", "email"]);
+ajv.addSchema({ components: { schemas } }, "api");
+
+const schemaFor = (s) => (typeof s === "string" ? { $ref: `api#/components/schemas/${s}` } : s);
+
+const cache = new Map();
+function compile(schema) {
+    const key = JSON.stringify(schema);
+    if (!cache.has(key)) cache.set(key, ajv.compile(schema));
+    return cache.get(key);
+}
+
+// { id: "Id", term: { type: "string" } } -> an object schema
+function objectSchema(fields, required) {
+    return {
+        type: "object",
+        properties: Object.fromEntries(Object.entries(fields).map(([k, s]) => [k, schemaFor(s)])),
+        required,
+    };
+}
+
+const CODES = {
+    required: "required",
+    type: "invalid_type",
+    enum: "invalid_value",
+    const: "invalid_value",
+    format: "invalid_format",
+    pattern: "invalid_format",
+    minimum: "out_of_range",
+    maximum: "out_of_range",
+    exclusiveMinimum: "out_of_range",
+    exclusiveMaximum: "out_of_range",
+    minLength: "too_short",
+    maxLength: "too_long",
+    minItems: "too_short",
+    maxItems: "too_long",
+};
+
+// Readable endings for the patterns schemas.js uses
+const PATTERN_MESSAGES = {
+    "\\S": "cannot be empty",
+    [TIME_PATTERN]: "must be HH:MM",
+    [URL_PATTERN]: "must be an http(s) URL",
+    [DATE_PATTERN]: "must be a date",
+};
+
+// "/prereqs/0/courseId" -> "prereqs[0].courseId"
+function fieldPath(instancePath, extra) {
+    const parts = instancePath.split("/").slice(1).concat(extra ? [extra] : []);
+    return parts.reduce((path, p) => (/^\d+$/.test(p) ? `${path}[${p}]` : path ? `${path}.${p}` : p), "");
+}
+
+/**
+ * Ajv errors -> [{ path, code, message }], with `where` (body, params, query)
+ * at the front of each path.
+ */
+export function toDetails(errors, where) {
+    return (errors || [])
+        .filter(e => e.keyword !== "if" && !(e.keyword === "type" && e.params.type === "null"))
+        .map(e => {
+            const field = fieldPath(e.instancePath, e.params.missingProperty);
+            const path = field ? `${where}.${field}` : where;
+            const name = field || where;
+            if (e.keyword === "required") return { path, code: "required", message: `${name} is required` };
+            if (e.keyword === "enum") {
+                return { path, code: "invalid_value", message: `${name} must be one of ${e.params.allowedValues.join(", ")}` };
+            }
+            if (e.keyword === "pattern" && PATTERN_MESSAGES[e.params.pattern]) {
+                const code = e.params.pattern === "\\S" ? "required" : "invalid_format";
+                return { path, code, message: `${name} ${PATTERN_MESSAGES[e.params.pattern]}` };
+            }
+            if (e.keyword === "format") return { path, code: "invalid_format", message: `${name} must be a ${e.params.format}` };
+            if (e.keyword === "type") return { path, code: "invalid_type", message: `${name} must be ${/^[aeiou]/.test(e.params.type) ? "an" : "a"} ${e.params.type}` };
+            return { path, code: CODES[e.keyword] || "invalid", message: `${name} ${e.message}` };
+        });
+}
+
+/**
+ * Check one value against a schema (name or inline).
+ * Returns [] or the details; coerces the value in place.
+ */
+export function check(schema, value, where = "body") {
+    const run = compile(schemaFor(schema));
+    return run(value) ? [] : toDetails(run.errors, where);
+}
+
+export function validate({ body, params, query } = {}) {
+    return (req, res, next) => {
+        const details = [];
+        if (params) details.push(...check(objectSchema(params, Object.keys(params)), req.params, "params"));
+        // req.query is re-parsed on every read in Express 5, so check a copy
+        // and leave the routes to read their own values; an empty value
+        // (?role=) counts as left out
+        if (query) {
+            const given = Object.fromEntries(Object.entries(req.query).filter(([, v]) => v !== ""));
+            details.push(...check(objectSchema(query), given, "query"));
+        }
+        if (body) {
+            if (req.body == null) req.body = {};
+            details.push(...check(body, req.body, "body"));
+        }
+        if (details.length) return res.status(400).json(validationError(details));
+        return next();
+    };
+}
+
+/**
+ * Reject ids that are not positive integers in the named route params
+ * (400, params.<name>) before any handler runs:
+ *   validateIdParams(router, "id", "courseId")
+ */
+export function validateIdParams(router, ...names) {
+    for (const name of names) {
+        router.param(name, (req, res, next) => {
+            const details = check(objectSchema({ [name]: "Id" }, [name]), req.params, "params");
+            if (details.length) return res.status(400).json(validationError(details));
+            return next();
+        });
+    }
+}
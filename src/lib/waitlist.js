@@ -0,0 +1,61 @@
+import { findUnmetPrereqs } from "./prereqs.js";
+import { findScheduleConflicts } from "./schedule.js";
+import { recordAudit } from "./audit.js";
+import { enqueueWebhook } from "./webhooks.js";
+import { lockOffering } from "./terms.js";
+
+/**
+ * Fill open seats in a course offering from its waitlist, oldest entry first.
+ * - Must be called inside a transaction (locks the offering row)
+ * - Re-checks prerequisites and meeting-time conflicts; students who no
+ *   longer qualify are skipped and keep their place in line
+ * Returns the enrollments that were created.
+ */
+export async function promoteFromWaitlist(client, offeringId) {
+    const offering = await lockOffering(client, offeringId);
+    if (!offering) return [];
+    const { course_id: courseId, term_id: termId } = offering;
+
+    let seatsLeft = offering.enrollment_limit - offering.enrolled;
+    if (seatsLeft <= 0) return [];
+
+    const { rows: queue } = await client.query(
+        `SELECT id, student_id FROM waitlist_entries
+        WHERE offering_id=$1
+        ORDER BY created_at ASC, id ASC`,
+        [offeringId]
+    );
+
+    const promoted = [];
+    for (const entry of queue) {
+        if (seatsLeft <= 0) break;
+
+        const unmet = await findUnmetPrereqs(client, entry.student_id, courseId, termId);
+        if (unmet.length > 0) continue;
+        const conflicts = await findScheduleConflicts(client, entry.student_id, courseId, termId);
+        if (conflicts.length > 0) continue;
+
+        const { rows: ins } = await client.query(
+            `INSERT INTO enrollments (student_id, course_id, offering_id)
+            VALUES ($1, $2, $3)
+            ON CONFLICT DO NOTHING
+            RETURNING *`,
+            [entry.student_id, courseId, offeringId]
+        );
+        await client.query(`DELETE FROM waitlist_entries WHERE id=$1`, [entry.id]);
+        if (ins[0]) {
+            await recordAudit(client, {
+                action: "enrollment.promote",
+                entityType: "enrollment",
+                entityId: ins[0].id,
+                courseId,
+                after: ins[0],
+                reason: "Seat freed; promoted from waitlist",
+            });
+            await enqueueWebhook(client, "enrollment.created", { ...ins[0], source: "waitlist" });
+            promoted.push(ins[0]);
+            seatsLeft -= 1;
+        }
+    }
+    return promoted;
+}
@@ -0,0 +1,185 @@
+// Outbound webhooks: admins register endpoints subscribed to events, and
+// every event becomes one row per endpoint in webhook_deliveries, a
+// persistent queue. A worker POSTs due deliveries and retries failures with
+// exponential backoff; each attempt is logged in webhook_attempts.
+//
+// Enqueue with the transaction client of the change (like recordAudit), so
+// a rolled-back change never goes out.
+//
+// Each request carries:
+//   X-CourseHub-Event:     grade.recorded
+//   X-CourseHub-Delivery:  delivery id (a replay gets a new one)
+//   X-CourseHub-Timestamp: unix seconds
+//   X-CourseHub-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>" with the endpoint secret>
+
+import crypto from "crypto";
+
+export const WEBHOOK_EVENTS = ["enrollment.created", "enrollment.deleted", "grade.recorded", "course.updated", "user.created"];
+
+export const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 30 * 1000;
+const MAX_DELAY_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// A claimed delivery is retried after this if the worker dies mid-request
+const CLAIM_LEASE = "5 minutes";
+
+export function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(24).toString("base64url")}`;
+}
+
+export function signWebhook(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+/**
+ * For receivers (and tests): true when `signature` matches and `timestamp`
+ * is within `toleranceSec` of now.
+ */
+export function verifyWebhookSignature(secret, { timestamp, signature, body }, { toleranceSec = 300, now = Date.now() } = {}) {
+    const ts = Number(timestamp);
+    if (!Number.isInteger(ts) || Math.abs(now / 1000 - ts) > toleranceSec) return false;
+    const expected = Buffer.from(signWebhook(secret, ts, body));
+    const given = Buffer.from(String(signature || ""));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Wait before the next try after `attempts` failures: 30s, 1m, 2m, ... capped at 6h
+export function backoffDelay(attempts) {
+    return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+/**
+ * Queue `event` for every active endpoint subscribed to it.
+ * Returns the number of deliveries queued.
+ */
+export async function enqueueWebhook(db, event, data) {
+    const { rowCount } = await db.query(
+        `INSERT INTO webhook_deliveries (endpoint_id, event, payload)
+        SELECT id, $1, $2 FROM webhook_endpoints
+        WHERE is_active AND $1 = ANY(events)`,
+        [event, JSON.stringify(data)]
+    );
+    return rowCount;
+}
+
+// The JSON body sent for a delivery
+export function deliveryBody(delivery) {
+    return JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        createdAt: delivery.created_at,
+        data: delivery.payload,
+    });
+}
+
+/**
+ * POST one delivery to its endpoint. Never throws:
+ * returns { ok, status, error, responseBody, durationMs }.
+ */
+export async function sendWebhook({ url, secret }, delivery, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
+    const body = deliveryBody(delivery);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const started = Date.now();
+    try {
+        const res = await fetch(url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "CourseHub-Webhooks/1.0",
+                "X-CourseHub-Event": delivery.event,
+                "X-CourseHub-Delivery": String(delivery.id),
+                "X-CourseHub-Timestamp": String(timestamp),
+                "X-CourseHub-Signature": signWebhook(secret, timestamp, body),
+            },
+            body,
+            redirect: "manual",
+            signal: AbortSignal.timeout(timeoutMs),
+        });
+        const responseBody = (await res.text().catch(() => "")).slice(0, 1000);
+        return {
+            ok: res.status >= 200 && res.status < 300,
+            status: res.status,
+            error: res.status >= 200 && res.status < 300 ? null : `HTTP ${res.status}`,
+            responseBody,
+            durationMs: Date.now() - started,
+        };
+    } catch (e) {
+        const error = e.name === "TimeoutError" ? `Timed out after ${timeoutMs}ms` : e.cause?.code || e.message;
+        return { ok: false, status: null, error, responseBody: null, durationMs: Date.now() - started };
+    }
+}
+
+/**
+ * Send a claimed delivery (a webhook_deliveries row joined with its
+ * endpoint's url and secret) and record the outcome: DELIVERED, PENDING
+ * again after the backoff, or FAILED once MAX_ATTEMPTS is reached.
+ * Returns the updated delivery.
+ */
+export async function attemptDelivery(db, delivery) {
+    const result = await sendWebhook(delivery, delivery);
+    await db.query(
+        `INSERT INTO webhook_attempts (delivery_id, response_status, error, response_body, duration_ms)
+        VALUES ($1, $2, $3, $4, $5)`,
+        [delivery.id, result.status, result.error, result.responseBody, result.durationMs]
+    );
+
+    const attempts = delivery.attempts + 1;
+    const status = result.ok ? "DELIVERED" : attempts >= MAX_ATTEMPTS ? "FAILED" : "PENDING";
+    const { rows } = await db.query(
+        `UPDATE webhook_deliveries
+        SET status = $2, attempts = $3, last_attempt_at = NOW(),
+            response_status = $4, last_error = $5,
+            delivered_at = CASE WHEN $2 = 'DELIVERED' THEN NOW() END,
+            next_attempt_at = CASE WHEN $2 = 'PENDING' THEN NOW() + $6::int * INTERVAL '1 millisecond' END
+        WHERE id = $1
+        RETURNING *`,
+        [delivery.id, status, attempts, result.status, result.error, backoffDelay(attempts)]
+    );
+    return rows[0];
+}
+
+/**
+ * Claim up to `limit` due deliveries (SKIP LOCKED, so several workers can
+ * share the queue) and attempt each. Returns how many were attempted.
+ */
+export async function deliverDue(db, { limit = 20 } = {}) {
+    const { rows } = await db.query(
+        `WITH due AS (
+            SELECT d.id FROM webhook_deliveries d
+            JOIN webhook_endpoints e ON e.id = d.endpoint_id
+            WHERE d.status = 'PENDING' AND d.next_attempt_at <= NOW() AND e.is_active
+            ORDER BY d.next_attempt_at, d.id
+            LIMIT $1
+            FOR UPDATE OF d SKIP LOCKED
+        )
+        UPDATE webhook_deliveries d
+        SET next_attempt_at = NOW() + INTERVAL '${CLAIM_LEASE}'
+        FROM due, webhook_endpoints e
+        WHERE d.id = due.id AND e.id = d.endpoint_id
+        RETURNING d.*, e.url, e.secret`,
+        [limit]
+    );
+    for (const delivery of rows) await attemptDelivery(db, delivery);
+    return rows.length;
+}
+
+/**
+ * Poll the queue every `intervalMs` (WEBHOOK_POLL_MS, default 5s).
+ * Returns a function that stops the worker.
+ */
+export function startWebhookWorker(db, { intervalMs = Number(process.env.WEBHOOK_POLL_MS || 5000) } = {}) {
+    let running = false;
+    const timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            while ((await deliverDue(db)) > 0);
+        } catch (e) {
+            console.error("Webhook worker:", e);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+    return () => clearInterval(timer);
+}
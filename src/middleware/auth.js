@@ -1,16 +1,39 @@
 import jwt from "jsonwebtoken";
+import { pool } from "../../server.js";
+import { checkCoursePermission } from "../lib/courseStaff.js";
 
-export function requireAuth(req, res, next) {
+// Verifies the access token, then checks it against the user's current
+// token_version so tokens issued before a role/password change or a
+// session revocation stop working, as do tokens of archived users.
+// req.user reflects the current role.
+export async function requireAuth(req, res, next) {
     const auth = req.headers.authorization || "";
     const token = auth.startsWith("Bearer ") ? auth.slice(7) : null;
     if (!token) return res.status(401).json({ error: "Unauthorized" });
+
+    let payload;
     try {
-        const payload = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = payload; // { id, role, email, name }
-        next();
-    } catch {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (e) {
+        if (e.name === "TokenExpiredError") return res.status(401).json({ error: "Token expired" });
         return res.status(401).json({ error: "Invalid token" });
     }
+
+    try {
+        const { rows } = await pool.query(
+            `SELECT id, role, email, name, token_version FROM users WHERE id=$1 AND archived_at IS NULL`,
+            [payload.id]
+        );
+        const user = rows[0];
+        if (!user || user.token_version !== payload.tv) {
+            return res.status(401).json({ error: "Token revoked" });
+        }
+        req.user = { id: user.id, role: user.role, email: user.email, name: user.name };
+        next();
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
 }
 
 export function requireRole(...roles) {
@@ -20,3 +43,50 @@ export function requireRole(...roles) {
         return res.status(403).json({ error: "Forbidden" });
     };
 }
+
+// For public routes that do more for a signed-in user: without an
+// Authorization header the request goes through anonymously; with one, the
+// token must be valid (same checks as requireAuth).
+export function optionalAuth(req, res, next) {
+    if (!req.headers.authorization) return next();
+    return requireAuth(req, res, next);
+}
+
+// Send a checkCoursePermission refusal. For checks that have to run inside
+// a route (e.g. in its transaction); otherwise use requireCoursePermission.
+export function sendDenied(res, denied) {
+    return res.status(denied.status).json({ error: denied.error, code: denied.code, permission: denied.permission });
+}
+
+// Course-scoped access for staff (owner, co-instructors, TAs) and admins.
+// The course id comes from :courseId or :id unless `courseIdOf` says
+// otherwise (it may be async, e.g. to look up a category's course, see
+// courseOf). `notFound` is the 404 error when there is no course id.
+//   requireCoursePermission("grades:write", req => req.body.courseId)
+export function requireCoursePermission(permission, courseIdOf = req => req.params.courseId ?? req.params.id, notFound = "Course not found") {
+    return async (req, res, next) => {
+        if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+        if (req.user.role === "STUDENT") return res.status(403).json({ error: "Forbidden" });
+        try {
+            const courseId = Number(await courseIdOf(req));
+            if (!courseId) return res.status(404).json({ error: notFound });
+            const denied = await checkCoursePermission(pool, req.user, courseId, permission);
+            if (denied) return sendDenied(res, denied);
+            return next();
+        } catch (e) {
+            console.error(e);
+            return res.status(500).json({ error: "Server error" });
+        }
+    };
+}
+
+// courseIdOf for routes about a record that belongs to a course: `find(req)`
+// loads it (or null), it is kept as req[key] for the handler, and its
+// course_id is checked.
+//   requireCoursePermission("gradebook:write", courseOf("category", req => findCategory(req.params.id)), "Category not found")
+export function courseOf(key, find) {
+    return async (req) => {
+        req[key] = await find(req);
+        return req[key]?.course_id;
+    };
+}
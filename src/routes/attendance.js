@@ -0,0 +1,335 @@
+/**
+ * @openapi
+ * /attendance/course/{courseId}/sessions:
+ *   get:
+ *     summary: Class sessions of a course offering, with how many students are marked (course staff / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path,  name: courseId, required: true, schema: { type: integer } }
+ *       - { in: query, name: term, schema: { $ref: '#/components/schemas/TermRef' }, description: Term id or code (default active term) }
+ *     responses:
+ *       200: { description: OK }
+ *       403: { description: Not your course }
+ *   post:
+ *     summary: Create a class session (attendance:write)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: courseId, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/SessionCreate' }
+ *     responses:
+ *       201: { description: Created }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ */
+
+/**
+ * @openapi
+ * /attendance/course/{courseId}/summary:
+ *   get:
+ *     summary: Per-student attendance counts and percentages for a course offering (course staff / admin)
+ *     description: percent = (present + late) / (present + late + absent); excused and unmarked sessions are left out.
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path,  name: courseId, required: true, schema: { type: integer } }
+ *       - { in: query, name: term, schema: { $ref: '#/components/schemas/TermRef' }, description: Term id or code (default active term) }
+ *     responses:
+ *       200: { description: OK }
+ */
+
+/**
+ * @openapi
+ * /attendance/sessions/{id}:
+ *   get:
+ *     summary: A session with the course roster and each student's mark (course staff / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Session not found }
+ *   put:
+ *     summary: Mark attendance in bulk (attendance:write)
+ *     description: records set individual marks; others (optional) marks every other enrolled student.
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AttendanceMark' }
+ *     responses:
+ *       200: { description: The session with its roster }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *   delete:
+ *     summary: Delete a session and its marks (attendance:write)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: Deleted }
+ */
+
+/**
+ * @openapi
+ * /attendance/sessions/{id}/students/{studentId}:
+ *   put:
+ *     summary: Mark one student (attendance:write)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *       - { in: path, name: studentId, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AttendanceMarkOne' }
+ *     responses:
+ *       200: { description: Marked }
+ *       400: { description: Student is not enrolled in this course offering }
+ */
+
+
+import express from "express";
+import { pool } from "../../server.js";
+import { requireAuth, requireCoursePermission, courseOf } from "../middleware/auth.js";
+import { resolveOffering } from "../lib/terms.js";
+import { recordAudit } from "../lib/audit.js";
+import { loadRoster } from "../lib/roster.js";
+import { attendanceCounts, findSession, markAttendance } from "../lib/attendance.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+
+const router = express.Router();
+validateIdParams(router, "courseId", "id", "studentId");
+
+// /sessions/:id routes: the session, as req.classSession, and its course
+const sessionPermission = (permission) =>
+    requireCoursePermission(permission, courseOf("classSession", req => findSession(pool, Number(req.params.id))), "Session not found");
+
+// The roster (same students as GET /enrollments/course/:courseId) with each mark
+async function sessionRoster(session) {
+    const roster = await loadRoster(pool, session.offering_id);
+    const { rows: marks } = await pool.query(
+        `SELECT student_id, status::text AS status, note, marked_by, marked_at
+        FROM attendance_records WHERE session_id = $1`,
+        [session.id]
+    );
+    const byStudent = new Map(marks.map(m => [m.student_id, m]));
+    return roster.map(r => {
+        const m = byStudent.get(r.student_id);
+        return {
+            ...r,
+            status: m?.status || null,
+            note: m?.note || null,
+            marked_by: m?.marked_by || null,
+            marked_at: m?.marked_at || null,
+        };
+    });
+}
+
+// GET /attendance/course/:courseId/sessions?term=
+router.get("/course/:courseId/sessions", requireAuth, requireCoursePermission("roster:read"), validate({ query: { term: "TermRef" } }), async (req, res) => {
+    const courseId = Number(req.params.courseId);
+    try {
+        const found = await resolveOffering(pool, courseId, req.query.term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+
+        const { rows } = await pool.query(
+            `SELECT s.id, to_char(s.held_on, 'YYYY-MM-DD') AS held_on, s.topic, s.created_by, s.created_at,
+                    COUNT(ar.student_id)::int AS marked,
+                    COUNT(*) FILTER (WHERE ar.status IN ('PRESENT', 'LATE'))::int AS attended
+            FROM class_sessions s
+            LEFT JOIN attendance_records ar ON ar.session_id = s.id
+            WHERE s.offering_id = $1
+            GROUP BY s.id
+            ORDER BY s.held_on, s.id`,
+            [found.offering.id]
+        );
+        return res.json({ courseId, term: found.offering.term_code, enrolled: found.offering.enrolled, sessions: rows });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// POST /attendance/course/:courseId/sessions  { heldOn, topic?, term? }
+router.post(
+    "/course/:courseId/sessions",
+    requireAuth,
+    requireCoursePermission("attendance:write"),
+    validate({ body: "SessionCreate" }),
+    async (req, res) => {
+        const courseId = Number(req.params.courseId);
+        const { heldOn, topic, term } = req.body;
+        try {
+            const found = await resolveOffering(pool, courseId, term);
+            if (found.error) return res.status(found.status).json({ error: found.error });
+
+            const { rows } = await pool.query(
+                `INSERT INTO class_sessions (offering_id, held_on, topic, created_by)
+                VALUES ($1, $2, $3, $4)
+                RETURNING id, offering_id, to_char(held_on, 'YYYY-MM-DD') AS held_on, topic, created_by, created_at`,
+                [found.offering.id, heldOn, topic?.trim() || null, req.user.id]
+            );
+            return res.status(201).json({ ...rows[0], course_id: courseId, term_code: found.offering.term_code });
+        } catch (e) {
+            console.error(e);
+            return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// GET /attendance/course/:courseId/summary?term=  one row per enrolled student
+router.get("/course/:courseId/summary", requireAuth, requireCoursePermission("roster:read"), validate({ query: { term: "TermRef" } }), async (req, res) => {
+    const courseId = Number(req.params.courseId);
+    try {
+        const found = await resolveOffering(pool, courseId, req.query.term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+
+        const roster = await loadRoster(pool, found.offering.id);
+        const counts = await attendanceCounts(pool, found.offering.id);
+        const { rows: held } = await pool.query(
+            `SELECT COUNT(*)::int AS count FROM class_sessions WHERE offering_id = $1`,
+            [found.offering.id]
+        );
+        const students = roster.map(r => ({
+            student_id: r.student_id,
+            name: r.name,
+            email: r.email,
+            student_code: r.student_code,
+            ...counts.get(r.student_id),
+        }));
+        const percents = students.map(s => s.percent).filter(p => p != null);
+
+        return res.json({
+            courseId,
+            term: found.offering.term_code,
+            sessions: held[0].count,
+            averagePercent: percents.length
+                ? Math.round((percents.reduce((a, p) => a + p, 0) / percents.length) * 10) / 10
+                : null,
+            students,
+        });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// GET /attendance/sessions/:id
+router.get("/sessions/:id", requireAuth, sessionPermission("roster:read"), async (req, res) => {
+    try {
+        const session = req.classSession;
+        return res.json({ ...session, students: await sessionRoster(session) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Write marks in one transaction and audit them against the course.
+// Returns null or { status, error }.
+async function saveMarks(actorId, session, body) {
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const { rows: before } = await client.query(
+            `SELECT student_id, status::text AS status, note FROM attendance_records WHERE session_id = $1`,
+            [session.id]
+        );
+        const result = await markAttendance(client, session, body, actorId);
+        if (result.error) {
+            await client.query("ROLLBACK");
+            return result;
+        }
+        await recordAudit(client, {
+            actorId,
+            action: "attendance.mark",
+            entityType: "class_session",
+            entityId: session.id,
+            courseId: session.course_id,
+            before,
+            after: body,
+        });
+        await client.query("COMMIT");
+    } catch (e) {
+        await client.query("ROLLBACK");
+        throw e;
+    } finally {
+        client.release();
+    }
+    return null;
+}
+
+// PUT /attendance/sessions/:id  { records?: [{ studentId, status, note? }], others? }
+router.put(
+    "/sessions/:id",
+    requireAuth,
+    sessionPermission("attendance:write"),
+    validate({ body: "AttendanceMark" }),
+    async (req, res) => {
+        const { records = [], others = null } = req.body;
+        if (!records.length && !others) {
+            return res.status(400).json({ error: "Send records, others, or both" });
+        }
+        const ids = records.map(r => r.studentId);
+        if (new Set(ids).size !== ids.length) {
+            return res.status(400).json({ error: "A student is listed more than once in records" });
+        }
+        try {
+            const session = req.classSession;
+            const problem = await saveMarks(req.user.id, session, { records, others });
+            if (problem) return res.status(problem.status).json({ error: problem.error, code: "not_enrolled" });
+            return res.json({ ...session, students: await sessionRoster(session) });
+        } catch (e) {
+            console.error(e);
+            return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// PUT /attendance/sessions/:id/students/:studentId  { status, note? }
+router.put(
+    "/sessions/:id/students/:studentId",
+    requireAuth,
+    sessionPermission("attendance:write"),
+    validate({ body: "AttendanceMarkOne" }),
+    async (req, res) => {
+        const { status, note } = req.body;
+        try {
+            const session = req.classSession;
+            const records = [{ studentId: Number(req.params.studentId), status, note }];
+            const problem = await saveMarks(req.user.id, session, { records });
+            if (problem) return res.status(problem.status).json({ error: problem.error, code: "not_enrolled" });
+            return res.json({ ...session, students: await sessionRoster(session) });
+        } catch (e) {
+            console.error(e);
+            return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// DELETE /attendance/sessions/:id  (removes its marks)
+router.delete("/sessions/:id", requireAuth, sessionPermission("attendance:write"), async (req, res) => {
+    try {
+        const session = req.classSession;
+        await pool.query("DELETE FROM class_sessions WHERE id=$1", [session.id]);
+        await recordAudit(pool, {
+            actorId: req.user.id,
+            action: "attendance.session_delete",
+            entityType: "class_session",
+            entityId: session.id,
+            courseId: session.course_id,
+            before: session,
+        });
+        return res.json({ message: "Session deleted", id: session.id });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+export default router;
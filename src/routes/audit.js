@@ -0,0 +1,92 @@
+/**
+ * @openapi
+ * /audit:
+ *   get:
+ *     summary: Query the audit log (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: query, name: actorId,    schema: { type: integer } }
+ *       - { in: query, name: entityType, schema: { type: string, example: grade } }
+ *       - { in: query, name: entityId,   schema: { type: integer } }
+ *       - { in: query, name: courseId,   schema: { type: integer } }
+ *       - { in: query, name: action,     schema: { type: string, example: user.role_change } }
+ *       - { in: query, name: from,       schema: { type: string, format: date-time } }
+ *       - { in: query, name: to,         schema: { type: string, format: date-time } }
+ *       - { in: query, name: sort,       schema: { type: string, enum: [-createdAt, createdAt, id, -id] } }
+ *       - { in: query, name: limit,      schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor,     schema: { $ref: '#/components/schemas/Cursor' } }
+ *     responses:
+ *       200: { description: "{ data, total, limit, sort, next, nextCursor }" }
+ *       403: { description: Forbidden }
+ */
+
+/**
+ * @openapi
+ * /audit/course/{courseId}:
+ *   get:
+ *     summary: Audit trail for one course (course instructors or admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: courseId
+ *         required: true
+ *         schema: { type: integer }
+ *       - { in: query, name: action, schema: { type: string } }
+ *       - { in: query, name: limit,  schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor, schema: { $ref: '#/components/schemas/Cursor' } }
+ *     responses:
+ *       200: { description: "{ data, total, limit, sort, next, nextCursor }" }
+ *       403: { description: Not your course }
+ */
+
+
+import express from "express";
+import { pool } from "../../server.js";
+import { requireAuth, requireRole, requireCoursePermission } from "../middleware/auth.js";
+import { parseListQuery, listQuerySchema, runListQuery, listEnvelope } from "../lib/listQuery.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+import { AUDIT_LIST, COURSE_AUDIT_LIST } from "../lib/audit.js";
+
+const router = express.Router();
+validateIdParams(router, "courseId");
+
+const AUDIT_COLUMNS = `
+    a.id, a.actor_id, u.name AS actor_name, a.action, a.entity_type, a.entity_id,
+    a.course_id, a.before, a.after, a.reason, a.created_at
+`;
+
+const AUDIT_FROM = `audit_log a
+        LEFT JOIN users u ON u.id = a.actor_id`;
+
+// Admin: filter by actor, entity, course, action and date range (newest first)
+router.get("/", requireAuth, requireRole("ADMIN"), validate({ query: listQuerySchema(AUDIT_LIST) }), async (req, res) => {
+    const page = parseListQuery(req.query, AUDIT_LIST);
+    if (page.error) return res.status(400).json({ error: page.error });
+    try {
+        const result = await runListQuery(pool, { select: AUDIT_COLUMNS, from: AUDIT_FROM }, page);
+        return res.json(listEnvelope(req, result, page));
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Course instructors / Admin: everything recorded against one course
+router.get("/course/:courseId", requireAuth, requireCoursePermission("audit:read"), validate({ query: listQuerySchema(COURSE_AUDIT_LIST) }), async (req, res) => {
+    const courseId = Number(req.params.courseId);
+    const page = parseListQuery(req.query, COURSE_AUDIT_LIST);
+    if (page.error) return res.status(400).json({ error: page.error });
+    try {
+        const result = await runListQuery(pool, {
+            select: AUDIT_COLUMNS,
+            from: AUDIT_FROM,
+            where: [["a.course_id = ?", courseId]],
+        }, page);
+        return res.json(listEnvelope(req, result, page));
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+export default router;
@@ -7,17 +7,10 @@
  *       required: true
  *       content:
  *         application/json:
- *           schema:
- *             type: object
- *             required: [firstName, lastName, email, password]
- *             properties:
- *               firstName: { type: string, example: Ada }
- *               lastName:  { type: string, example: Lovelace }
- *               email:     { type: string, example: ada@coursehub.io }
- *               password:  { type: string, example: secret }
+ *           schema: { $ref: '#/components/schemas/Register' }
  *     responses:
  *       201: { description: Created }
- *       400: { description: Bad request }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
  */
 
 /**
@@ -29,124 +22,156 @@
  *       required: true
  *       content:
  *         application/json:
- *           schema:
- *             type: object
- *             required: [email, password]
- *             properties:
- *               email:    { type: string, example: ada@coursehub.io }
- *               password: { type: string, example: secret }
+ *           schema: { $ref: '#/components/schemas/Login' }
  *     responses:
  *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
  *       401: { description: Invalid credentials }
  */
 
+/**
+ * @openapi
+ * /auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access + refresh token pair
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/RefreshToken' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       401: { description: Invalid, expired or reused refresh token }
+ */
+
+/**
+ * @openapi
+ * /auth/password/change:
+ *   post:
+ *     summary: Change my password (returns a fresh token pair)
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PasswordChange' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       401: { description: Current password is incorrect }
+ */
+
+/**
+ * @openapi
+ * /auth/password/forgot:
+ *   post:
+ *     summary: Email a single-use password reset link
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PasswordForgot' }
+ *     responses:
+ *       202: { description: Accepted (same answer whether or not the email exists) }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ */
+
+/**
+ * @openapi
+ * /auth/password/reset:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PasswordReset' }
+ *     responses:
+ *       200: { description: Password reset }
+ *       400: { description: Invalid or expired reset token }
+ */
+
+/**
+ * @openapi
+ * /auth/logout:
+ *   post:
+ *     summary: Revoke a refresh token
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/RefreshToken' }
+ *     responses:
+ *       204: { description: Logged out }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ */
+
 
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import crypto from "crypto";
 import { pool } from "../../server.js";
+import { requireAuth } from "../middleware/auth.js";
+import {
+    hashToken,
+    issueSession,
+    rotateRefreshToken,
+    revokeRefreshToken,
+    revokeAllSessions,
+} from "../lib/sessions.js";
+import { sendMail } from "../lib/mail.js";
+import { recordAudit } from "../lib/audit.js";
+import { generateUniqueEmail, ensureStudentId } from "../lib/identity.js";
+import { resolveProgramRef } from "../lib/programs.js";
+import { validate } from "../lib/validate.js";
+import { enqueueWebhook } from "../lib/webhooks.js";
 
 const router = express.Router();
 
-// Helper: escape string for RegExp
-function escapeRegExp(s) {
-    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
-
-// Generate unique academy email:
-async function generateUniqueEmail(firstName, lastName) {
-    const left = String(firstName).trim().toLowerCase().replace(/[^a-z0-9]+/g, ".");
-    const right = String(lastName).trim().toLowerCase().replace(/[^a-z0-9]+/g, ".");
-    const base = `${left}.${right}`.replace(/\.+/g, ".").replace(/^\.+|\.+$/g, "");
-    const domain = "@coursehub.io";
-
-    const like = `${base}%@coursehub.io`;
-    const { rows } = await pool.query(
-        `SELECT email FROM users WHERE email ILIKE $1 ORDER BY email ASC`,
-        [like]
-    );
-
-    if (rows.length === 0) return `${base}${domain}`;
-
-    const safeBase = escapeRegExp(base);
-    const safeDomain = escapeRegExp(domain);
-    const re = new RegExp(`^${safeBase}(\\d+)?${safeDomain}$`, "i");
-
-    let next = 2; // if base is taken, start with 2
-    for (const r of rows) {
-        const m = r.email.match(re);
-        if (!m) continue;
-        if (m[1]) {
-        const n = parseInt(m[1], 10);
-        if (Number.isFinite(n) && n >= next) next = n + 1;
-        } else {
-        next = Math.max(next, 2);
-        }
-    }
-    return `${base}${next}${domain}`;
-}
-
-// Auto-generate Student ID like S1001, S1002, ...
-async function ensureStudentId(studentId) {
-    if (studentId) return studentId;
-
-    // Works on Postgres 16: use scalar regex substring
-    const { rows } = await pool.query(
-        `
-        SELECT COALESCE(
-                MAX( (substring(student_id from '^S(\\d+)$'))::int ),
-                1000
-            ) AS max_num
-        FROM users
-        WHERE student_id ~ '^S\\d+$'
-        `
-    );
-    const next = (rows[0]?.max_num || 1000) + 1;
-    return `S${next}`;
-}
-
 /**
  * POST /auth/register
- * Body: { firstName, lastName, password, major?, studentId? }
- * Creates a STUDENT with unique academy email and returns token + user.
+ * Body: { firstName, lastName, password, program?, studentId? }  (program: code, e.g. CS)
+ * Creates a STUDENT with unique academy email and returns token + refreshToken + user.
  */
-router.post("/register", async (req, res) => {
+router.post("/register", validate({ body: "Register" }), async (req, res) => {
     try {
-        const { firstName, lastName, password, major, studentId } = req.body || {};
-        if (!firstName || !lastName || !password) {
-        return res
-            .status(400)
-            .json({ error: "firstName, lastName, and password are required" });
-        }
+        const { firstName, lastName, password, program, studentId } = req.body;
 
-        const email = await generateUniqueEmail(firstName, lastName);
-        const finalStudentId = await ensureStudentId(studentId);
+        const resolved = program != null ? await resolveProgramRef(pool, program) : { programId: null };
+        if (resolved.error) return res.status(400).json({ error: resolved.error });
+
+        const email = await generateUniqueEmail(pool, firstName, lastName);
+        const finalStudentId = await ensureStudentId(pool, studentId);
         const name = `${firstName.trim()} ${lastName.trim()}`;
         const hash = await bcrypt.hash(password, 10);
 
         const insertQ = `
-        INSERT INTO users (role, name, email, password, student_id, major)
+        INSERT INTO users (role, name, email, password, student_id, program_id)
         VALUES ('STUDENT', $1, $2, $3, $4, $5)
-        RETURNING id, role, name, email, student_id AS "studentId", major
+        RETURNING id, role, name, email, student_id AS "studentId", program_id AS "programId"
         `;
         const { rows } = await pool.query(insertQ, [
         name,
         email,
         hash,
         finalStudentId,
-        major || null,
+        resolved.programId,
         ]);
         const user = rows[0];
+        await enqueueWebhook(pool, "user.created", { ...user, source: "register" });
 
-        const token = jwt.sign(
-        { id: user.id, role: user.role, email: user.email, name: user.name },
-        process.env.JWT_SECRET
-        );
+        const { token, refreshToken } = await issueSession(pool, { ...user, token_version: 0 });
 
         return res.status(201).json({
         message: "Registration successful",
         email: user.email,
         token,
+        refreshToken,
         user,
         });
     } catch (e) {
@@ -161,14 +186,11 @@ router.post("/register", async (req, res) => {
 /**
  * POST /auth/login
  * Body: { email, password }
- * Returns: { token, user }
+ * Returns: { token, refreshToken, user }
  */
-router.post("/login", async (req, res) => {
+router.post("/login", validate({ body: "Login" }), async (req, res) => {
     try {
-        const { email, password } = req.body || {};
-        if (!email || !password) {
-        return res.status(400).json({ error: "email and password are required" });
-        }
+        const { email, password } = req.body;
 
         const { rows } = await pool.query(`SELECT * FROM users WHERE email=$1`, [
         email,
@@ -178,20 +200,19 @@ router.post("/login", async (req, res) => {
 
         const ok = await bcrypt.compare(password, user.password);
         if (!ok) return res.status(401).json({ error: "Invalid credentials" });
+        if (user.archived_at) return res.status(403).json({ error: "Account is archived" });
 
-        const token = jwt.sign(
-        { id: user.id, role: user.role, email: user.email, name: user.name },
-        process.env.JWT_SECRET
-        );
+        const { token, refreshToken } = await issueSession(pool, user);
         return res.json({
         token,
+        refreshToken,
         user: {
             id: user.id,
             role: user.role,
             name: user.name,
             email: user.email,
             studentId: user.student_id,
-            major: user.major,
+            programId: user.program_id,
         },
         });
     } catch (e) {
@@ -200,4 +221,180 @@ router.post("/login", async (req, res) => {
     }
 });
 
+/**
+ * POST /auth/refresh
+ * Body: { refreshToken }
+ * Rotates the refresh token. Returns: { token, refreshToken }
+ */
+router.post("/refresh", validate({ body: "RefreshToken" }), async (req, res) => {
+    const { refreshToken } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const result = await rotateRefreshToken(client, refreshToken);
+        // Commit even on failure so reuse-triggered revocations stick
+        await client.query("COMMIT");
+        if (result.error) return res.status(401).json({ error: result.error });
+        return res.json({ token: result.session.token, refreshToken: result.session.refreshToken });
+    } catch (e) {
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /auth/logout
+ * Body: { refreshToken }
+ * Revokes the refresh token; the access token simply expires.
+ */
+router.post("/logout", validate({ body: "RefreshToken" }), async (req, res) => {
+    const { refreshToken } = req.body;
+    try {
+        await revokeRefreshToken(pool, refreshToken);
+        return res.status(204).send();
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+/**
+ * POST /auth/password/change
+ * Body: { currentPassword, newPassword }
+ * Ends every other session and returns a fresh { token, refreshToken }.
+ */
+router.post("/password/change", requireAuth, validate({ body: "PasswordChange" }), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const { rows } = await client.query(`SELECT * FROM users WHERE id=$1 FOR UPDATE`, [req.user.id]);
+        const user = rows[0];
+        if (!user) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Not found" });
+        }
+
+        const ok = await bcrypt.compare(currentPassword, user.password);
+        if (!ok) {
+        await client.query("ROLLBACK");
+        return res.status(401).json({ error: "Current password is incorrect" });
+        }
+
+        const hash = await bcrypt.hash(newPassword, 10);
+        await client.query(
+        `UPDATE users SET password=$1, updated_at=NOW() WHERE id=$2`,
+        [hash, user.id]
+        );
+        await revokeAllSessions(client, user.id);
+        await recordAudit(client, {
+        actorId: user.id, action: "user.password_change", entityType: "user", entityId: user.id,
+        });
+        const session = await issueSession(client, { ...user, token_version: user.token_version + 1 });
+        await client.query("COMMIT");
+
+        return res.json({ token: session.token, refreshToken: session.refreshToken });
+    } catch (e) {
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
+    }
+});
+
+/**
+ * POST /auth/password/forgot
+ * Body: { email }
+ * Mails a single-use reset link. Always answers 202 so emails can't be probed.
+ */
+router.post("/password/forgot", validate({ body: "PasswordForgot" }), async (req, res) => {
+    const { email } = req.body;
+
+    try {
+        const { rows } = await pool.query(`SELECT id, name, email FROM users WHERE email=$1 AND archived_at IS NULL`, [email]);
+        const user = rows[0];
+        if (user) {
+        const token = crypto.randomBytes(32).toString("base64url");
+        const minutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+        await pool.query(
+            `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+            VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+            [user.id, hashToken(token), minutes]
+        );
+
+        const clientUrl = process.env.CLIENT_URL || "http://localhost:5173";
+        await sendMail({
+            to: user.email,
+            subject: "Reset your CourseHub password",
+            text:
+            `Hi ${user.name},\n\n` +
+            `Use this link within ${minutes} minutes to choose a new password:\n` +
+            `${clientUrl}/reset-password?token=${token}\n\n` +
+            `If you didn't ask for this, you can ignore this email.`,
+        });
+        }
+        return res.status(202).json({ message: "If that account exists, a reset email has been sent" });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+/**
+ * POST /auth/password/reset
+ * Body: { token, newPassword }
+ * Consumes the reset token and signs the user out everywhere.
+ */
+router.post("/password/reset", validate({ body: "PasswordReset" }), async (req, res) => {
+    const { token, newPassword } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const { rows } = await client.query(
+        `UPDATE password_reset_tokens
+            SET used_at = NOW()
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+        RETURNING user_id`,
+        [hashToken(token)]
+        );
+        if (!rows[0]) {
+        await client.query("ROLLBACK");
+        return res.status(400).json({ error: "Invalid or expired reset token" });
+        }
+        const userId = rows[0].user_id;
+
+        const hash = await bcrypt.hash(newPassword, 10);
+        await client.query(
+        `UPDATE users SET password=$1, updated_at=NOW() WHERE id=$2`,
+        [hash, userId]
+        );
+        // Any other outstanding reset links for this user die too
+        await client.query(
+        `UPDATE password_reset_tokens SET used_at = NOW()
+        WHERE user_id = $1 AND used_at IS NULL`,
+        [userId]
+        );
+        await revokeAllSessions(client, userId);
+        await recordAudit(client, {
+        actorId: userId, action: "user.password_reset", entityType: "user", entityId: userId,
+        reason: "Reset via emailed link",
+        });
+        await client.query("COMMIT");
+        return res.json({ message: "Password has been reset" });
+    } catch (e) {
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
+    }
+});
+
 export default router;
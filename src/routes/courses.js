@@ -2,12 +2,28 @@
  * @openapi
  * /courses:
  *   get:
- *     summary: List courses (optional text search via ?query=)
+ *     summary: List courses (optional text search via ?query=, see /courses/search for ranking and facets), paginated
+ *     description: >
+ *       Each course includes available_seats and waitlist_count for its offering in the selected term.
+ *       Returns { data, total, limit, sort, next, nextCursor }.
  *     parameters:
  *       - in: query
  *         name: query
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: term
+ *         description: Term id or code (default active term; when given, only offered courses are listed)
+ *         schema: { $ref: '#/components/schemas/TermRef' }
+ *       - { in: query, name: teacherId,       schema: { type: integer } }
+ *       - { in: query, name: credits,         schema: { type: integer } }
+ *       - { in: query, name: hasSeats,        schema: { type: boolean }, description: Offered in the term with seats left }
+ *       - { in: query, name: requiresConsent, schema: { type: boolean } }
+ *       - { in: query, name: createdAfter,    schema: { type: string, format: date-time } }
+ *       - { in: query, name: archived,        schema: { type: boolean }, description: Archived courses are left out unless set }
+ *       - { in: query, name: sort,   schema: { type: string, enum: [code, name, credits, id, createdAt, availableSeats], default: code }, description: Prefix - for descending }
+ *       - { in: query, name: limit,  schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor, schema: { $ref: '#/components/schemas/Cursor' } }
  *     responses:
  *       '200':
  *         description: OK
@@ -20,110 +36,533 @@
  *       required: true
  *       content:
  *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - code
- *               - name
- *               - credits
- *             properties:
- *               code:
- *                 type: string
- *                 example: CS101
- *               name:
- *                 type: string
- *                 example: Intro to CS
- *               credits:
- *                 type: integer
- *                 example: 3
- *               enrollment_limit:
- *                 type: integer
- *                 example: 30
- *               prereqIds:
- *                 type: array
- *                 items:
- *                   type: integer
+ *           schema: { $ref: '#/components/schemas/CourseCreate' }
  *     responses:
  *       '201':
  *         description: Created
+ *       '400':
+ *         $ref: '#/components/responses/ValidationFailed'
  *       '401':
  *         description: Unauthorized
  */
 
+/**
+ * @openapi
+ * /courses/{id}/offerings:
+ *   get:
+ *     summary: List the terms a course is offered in, with seats
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       '200':
+ *         description: OK
+ *
+ *   post:
+ *     summary: Offer a course in a term
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/OfferingCreate' }
+ *     responses:
+ *       '201':
+ *         description: Created
+ *       '400':
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       '409':
+ *         description: Already offered in this term
+ *
+ * /courses/{id}/offerings/{offeringId}:
+ *   put:
+ *     summary: Change an offering's enrollment limit; freed seats go to the waitlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *       - { in: path, name: offeringId, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/OfferingUpdate' }
+ *     responses:
+ *       '200':
+ *         description: The offering
+ *       '400':
+ *         $ref: '#/components/responses/ValidationFailed'
+ *       '404':
+ *         description: Not found
+ */
+
+
+/**
+ * @openapi
+ * /courses/{id}/prereq-tree:
+ *   get:
+ *     summary: Every transitive prerequisite of a course, as a DAG
+ *     description: nodes carry depth (longest prereq chain from the course); edges point from a course to its prereq.
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Not found }
+ *
+ * /courses/{id}/pathway:
+ *   get:
+ *     summary: Courses a student still needs before enrolling, in order
+ *     description: >
+ *       Fewest courses, taking the cheapest option of each unmet any-of group.
+ *       Each course has a step; prereqs come at an earlier step than the courses
+ *       that need them, corequisites may share one. enrollStep is when the course itself can be taken.
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *       - { in: query, name: student, schema: { type: string, default: me }, description: "me, or a student's user id (teacher/admin)" }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Course or student not found }
+ */
+
+/**
+ * @openapi
+ * /courses/{id}:
+ *   put:
+ *     summary: Update a course (prereqs/meetings replace the set)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CourseUpdate' }
+ *     responses:
+ *       200: { description: Updated }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: "New prereqs would create a cycle; body has the offending path in cycle" }
+ *
+ *   delete:
+ *     summary: Archive a course (course:delete)
+ *     description: >
+ *       Hidden from listings and closed to new enrollments; its enrollments and
+ *       grades stay, so transcripts and GPA are unchanged. Enrolled students are
+ *       notified and course.updated is sent with changes [archived].
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *       - { in: query, name: reason, schema: { $ref: '#/components/schemas/Reason' } }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ArchiveRequest' }
+ *     responses:
+ *       204: { description: Archived }
+ *       404: { description: Not found }
+ *       409: { description: Already archived }
+ *
+ * /courses/{id}/restore:
+ *   post:
+ *     summary: Restore an archived course (admin)
+ *     description: Enrolled students are notified and course.updated is sent with changes [restored].
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ArchiveRequest' }
+ *     responses:
+ *       200: { description: The course }
+ *       409: { description: Not archived }
+ *
+ * /courses/{id}/dependencies:
+ *   get:
+ *     summary: What purging the course would delete (admin)
+ *     description: "{ course, counts, total, blockers }; a purge is refused while blockers is not empty."
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: Dependency report }
+ *       404: { description: Not found }
+ *
+ * /courses/{id}/purge:
+ *   post:
+ *     summary: Delete an archived course for good, with its enrollments and grades (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PurgeConfirm' }
+ *     responses:
+ *       200: { description: The dependency report of what was deleted }
+ *       400: { description: confirm is not the course code }
+ *       409: { description: Not archived, or the report has blockers }
+ */
+
+/**
+ * @openapi
+ * /courses/{id}/permission-codes:
+ *   get:
+ *     summary: Permission codes issued for a course, with their redemptions (course instructors / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK }
+ *   post:
+ *     summary: Issue a permission code that gets a student past capacity and/or prereqs
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PermissionCodeCreate' }
+ *     responses:
+ *       201: { description: Created (includes the code to hand out) }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *
+ * /courses/{id}/permission-codes/{codeId}:
+ *   delete:
+ *     summary: Revoke a permission code
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *       - { in: path, name: codeId, required: true, schema: { type: integer } }
+ *       - { in: query, name: reason, schema: { $ref: '#/components/schemas/Reason' } }
+ *     responses:
+ *       200: { description: Revoked }
+ */
+
+/**
+ * @openapi
+ * /courses/{id}/consents:
+ *   get:
+ *     summary: Students granted instructor consent (course staff / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK }
+ *   post:
+ *     summary: Grant a student instructor consent for this course
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ConsentCreate' }
+ *     responses:
+ *       201: { description: Granted }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ */
+
+/**
+ * @openapi
+ * /courses/{id}/staff:
+ *   get:
+ *     summary: Course staff (owner, co-instructors, TAs)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK }
+ *   post:
+ *     summary: Add a co-instructor or TA (owner teacher / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/StaffAdd' }
+ *     responses:
+ *       201: { description: Added, or role changed }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: The user already owns the course }
+ * /courses/{id}/staff/{userId}:
+ *   delete:
+ *     summary: Remove a co-instructor or TA (owner teacher / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *       - { in: path, name: userId, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: Removed }
+ *       404: { description: Not on the course staff }
+ */
+
+/**
+ * @openapi
+ * /courses/{id}/announcements:
+ *   get:
+ *     summary: Announcements for a course offering, newest first (enrolled students and course staff)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path,  name: id, required: true, schema: { type: integer } }
+ *       - { in: query, name: term, schema: { $ref: '#/components/schemas/TermRef' }, description: Term id or code (default active term) }
+ *     responses:
+ *       200: { description: OK }
+ *       403: { description: Not enrolled, or not your course }
+ *   post:
+ *     summary: Post an announcement; every student enrolled in the offering gets a notification (announcements:write)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AnnouncementCreate' }
+ *     responses:
+ *       201: { description: "The announcement, with recipients: how many students were notified" }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: Course is not offered in the term }
+ */
+
+/**
+ * @openapi
+ * /courses/stream:
+ *   get:
+ *     summary: Live seat counts for the catalog (Server-Sent Events)
+ *     description: >
+ *       text/event-stream. Opens with a "snapshot" event (an array with every offering in the term),
+ *       then sends a "seats" event { offering_id, course_id, code, term_id, term_code, enrollment_limit,
+ *       enrolled, available_seats } whenever an enrollment is added or removed or a limit changes.
+ *       Works across server instances (Postgres LISTEN/NOTIFY).
+ *     parameters:
+ *       - { in: query, name: term, schema: { $ref: '#/components/schemas/TermRef' }, description: Term id or code (default active term) }
+ *     responses:
+ *       200: { description: Event stream }
+ *       404: { description: Term not found }
+ * /courses/{id}/stream:
+ *   get:
+ *     summary: Live seat counts for one course (Server-Sent Events)
+ *     description: The same events as /courses/stream, for this course's offering only.
+ *     parameters:
+ *       - { in: path,  name: id, required: true, schema: { type: integer } }
+ *       - { in: query, name: term, schema: { $ref: '#/components/schemas/TermRef' }, description: Term id or code (default active term) }
+ *     responses:
+ *       200: { description: Event stream }
+ *       404: { description: Course or term not found }
+ */
+
+/**
+ * @openapi
+ * /courses/search:
+ *   get:
+ *     summary: Ranked full-text course search with facet counts
+ *     description: >
+ *       Matches code, name, description and teacher name; every word is a prefix and
+ *       close misspellings still match. Send a student token to use prereqsMet.
+ *       Returns { data, total, limit, sort, next, nextCursor, query, facets }; each facet is
+ *       counted with every other filter applied.
+ *     parameters:
+ *       - { in: query, name: q,          schema: { type: string, example: data struct } }
+ *       - { in: query, name: term,       schema: { $ref: '#/components/schemas/TermRef' }, description: Term id or code for seats (default active term) }
+ *       - { in: query, name: credits,    schema: { type: integer } }
+ *       - { in: query, name: teacherId,  schema: { type: integer } }
+ *       - { in: query, name: hasSeats,   schema: { type: boolean } }
+ *       - { in: query, name: prereqsMet, schema: { type: boolean }, description: Students only }
+ *       - { in: query, name: sort,   schema: { type: string, enum: [relevance, code, name, credits, availableSeats] }, description: Default -relevance with q, code without }
+ *       - { in: query, name: limit,  schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor, schema: { $ref: '#/components/schemas/Cursor' } }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { description: Bad filter, or prereqsMet without a student token }
+ */
+
 
 import express from "express";
 import { pool } from "../../server.js";
-import { requireAuth, requireRole } from "../middleware/auth.js";
+import { requireAuth, requireRole, optionalAuth, requireCoursePermission, sendDenied } from "../middleware/auth.js";
+import { promoteFromWaitlist } from "../lib/waitlist.js";
+import { findTerm, resolveOffering } from "../lib/terms.js";
+import { validateMeetings, replaceMeetings } from "../lib/schedule.js";
+import { recordAudit } from "../lib/audit.js";
+import { parseListQuery, listQuerySchema, runListQuery, listEnvelope, countBy } from "../lib/listQuery.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+import { validationError } from "../lib/errors.js";
+import { courseMatch, searchSource, shapeFacets } from "../lib/courseSearch.js";
+import { checkCoursePermission, listStaff, staffRoleError } from "../lib/courseStaff.js";
+import { notify, enrolledStudentIds, courseChanges } from "../lib/notifications.js";
+import { enqueueWebhook } from "../lib/webhooks.js";
+import { openSeatStream } from "../lib/seatStream.js";
+import { courseDependencies } from "../lib/archive.js";
+import {
+    validatePrereqs, normalizePrereqs, replacePrereqs, listPrereqs, findPrereqCycle,
+    loadPrereqGraph, buildPrereqTree, planPathway, latestOfficialGrades, coursesWithPrereqsMet,
+} from "../lib/prereqs.js";
+import {
+    generatePermissionCode, scopeFlags, scopeOf, DEFAULT_CODE_DAYS,
+} from "../lib/overrides.js";
 
 const router = express.Router();
+validateIdParams(router, "id", "offeringId", "studentId", "codeId", "userId");
 
-// helpers
-function validateCourseCreate({ code, name, credits, enrollment_limit }) {
-    const errors = [];
-    if (!code || !code.trim()) errors.push("code is required.");
-    if (!name || !name.trim()) errors.push("name is required.");
-    if (credits == null || Number.isNaN(Number(credits)) || Number(credits) < 0) {
-        errors.push("credits must be a number >= 0.");
-    }
-    if (
-        enrollment_limit == null ||
-        Number.isNaN(Number(enrollment_limit)) ||
-        Number(enrollment_limit) < 0
-    ) {
-        errors.push("enrollment_limit must be a number >= 0.");
-    }
-    return errors;
-}
-
-// update partial; only validate provided fields
-function validateCourseUpdate({ code, name, credits, enrollment_limit }) {
-    const errors = [];
-    if (code != null && !String(code).trim()) errors.push("code cannot be empty.");
-    if (name != null && !String(name).trim()) errors.push("name cannot be empty.");
-    if (credits != null && (Number.isNaN(Number(credits)) || Number(credits) < 0)) {
-        errors.push("credits must be a number >= 0.");
-    }
-    if (
-        enrollment_limit != null &&
-        (Number.isNaN(Number(enrollment_limit)) || Number(enrollment_limit) < 0)
-    ) {
-        errors.push("enrollment_limit must be a number >= 0.");
-    }
-    return errors;
-}
+// Search Course, paginated
+// Seats/waitlist are for the offering in ?term= (default: active term).
+// With an explicit ?term=, only courses offered in that term are listed.
+const SEATS_SQL = "COALESCE(o.enrollment_limit, c.enrollment_limit) - COALESCE(en.count,0)";
+const COURSE_LIST = {
+    id: "c.id",
+    sorts: {
+        code: "c.code", name: "c.name", credits: "c.credits", id: "c.id", createdAt: "c.created_at",
+        // courses not offered in the term sort as having no seats
+        availableSeats: `CASE WHEN o.id IS NULL THEN -1 ELSE GREATEST(${SEATS_SQL}, 0) END`,
+    },
+    defaultSort: "code",
+    filters: {
+        teacherId: { type: "int", column: "c.teacher_id" },
+        credits: { type: "int", column: "c.credits" },
+        requiresConsent: { type: "bool", sql: { true: "c.requires_consent", false: "NOT c.requires_consent" } },
+        hasSeats: {
+        type: "bool",
+        sql: { true: `(o.id IS NOT NULL AND ${SEATS_SQL} > 0)`, false: `(o.id IS NULL OR ${SEATS_SQL} <= 0)` },
+        },
+        createdAfter: { type: "date", column: "c.created_at", op: ">=" },
+        // archived courses are left out unless asked for
+        archived: { type: "bool", sql: { true: "c.archived_at IS NOT NULL", false: "c.archived_at IS NULL" } },
+    },
+};
 
-// Search Course
+router.get("/", validate({ query: { ...listQuerySchema(COURSE_LIST), query: "Search", term: "TermRef" } }), async (req, res) => {
+    const page = parseListQuery(req.query, COURSE_LIST);
+    if (page.error) return res.status(400).json({ error: page.error });
 
-router.get("/", async (req, res) => {
     try {
         const q = (req.query.query || "").trim();
-        const params = [];
-        let where = "";
+        const term = await findTerm(pool, req.query.term);
+        if (req.query.term && !term) return res.status(404).json({ error: "Term not found" });
 
-        if (q) {
-        params.push(`%${q}%`, `%${q}%`);
-        where = "WHERE c.code ILIKE $1 OR c.name ILIKE $2";
-        }
+        const where = [];
+        if (q) where.push(courseMatch(q));
+        if (req.query.term) where.push(["o.id IS NOT NULL"]);
+        if (page.filters.archived == null) where.push(["c.archived_at IS NULL"]);
 
-        const sql = `
-        SELECT c.*,
-                GREATEST(c.enrollment_limit - COALESCE(en.count,0), 0) AS available_seats
-        FROM courses c
+        const result = await runListQuery(pool, {
+        select: `c.*,
+                o.id AS offering_id,
+                t.code AS term_code,
+                CASE WHEN o.id IS NULL THEN NULL
+                    ELSE GREATEST(${SEATS_SQL}, 0)
+                END AS available_seats,
+                COALESCE(wl.count,0) AS waitlist_count`,
+        from: [`courses c
+        JOIN users tu ON tu.id = c.teacher_id
+        LEFT JOIN course_offerings o ON o.course_id = c.id AND o.term_id = ?
+        LEFT JOIN terms t ON t.id = o.term_id
         LEFT JOIN (
-            SELECT course_id, COUNT(*)::int AS count
-            FROM enrollments GROUP BY course_id
-        ) en ON en.course_id = c.id
-        ${where}
-        ORDER BY c.code;
-        `;
-        const { rows } = await pool.query(sql, params);
-        return res.json(rows);
+            SELECT offering_id, COUNT(*)::int AS count
+            FROM enrollments GROUP BY offering_id
+        ) en ON en.offering_id = o.id
+        LEFT JOIN (
+            SELECT offering_id, COUNT(*)::int AS count
+            FROM waitlist_entries GROUP BY offering_id
+        ) wl ON wl.offering_id = o.id`, term ? term.id : null],
+        where,
+        }, page);
+        return res.json(listEnvelope(req, result, page));
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Ranked search with facet counts (GET /courses/search?q=)
+// Each facet is counted with every filter except its own, so the client can
+// show how many results picking another value would give.
+const SEARCH_LIST = {
+    id: "s.id",
+    sorts: {
+        relevance: "s.rank", code: "s.code", name: "s.name", credits: "s.credits",
+        availableSeats: "COALESCE(s.available_seats, -1)",
+    },
+    defaultSort: "code",
+    filters: {
+        credits: { type: "int", column: "s.credits" },
+        teacherId: { type: "int", column: "s.teacher_id" },
+        hasSeats: { type: "bool", sql: { true: "COALESCE(s.available_seats, 0) > 0", false: "COALESCE(s.available_seats, 0) = 0" } },
+        prereqsMet: { type: "bool", sql: { true: "s.id = ANY(?::int[])", false: "NOT (s.id = ANY(?::int[]))" } },
+    },
+};
+
+router.get("/search", optionalAuth, validate({ query: { ...listQuerySchema(SEARCH_LIST), q: "Search", query: "Search", term: "TermRef" } }), async (req, res) => {
+    const q = String(req.query.q ?? req.query.query ?? "").trim();
+    const page = parseListQuery(req.query, { ...SEARCH_LIST, defaultSort: q ? "-relevance" : "code" });
+    if (page.error) return res.status(400).json({ error: page.error });
+    const isStudent = req.user?.role === "STUDENT";
+    if (page.filters.prereqsMet != null && !isStudent) {
+        return res.status(400).json({ error: "prereqsMet needs a signed-in student" });
+    }
+
+    try {
+        const term = await findTerm(pool, req.query.term);
+        if (req.query.term && !term) return res.status(404).json({ error: "Term not found" });
+
+        // "prereqs I already satisfy" is a list of course ids for this student
+        const metIds = isStudent ? await coursesWithPrereqsMet(pool, req.user.id, term?.id ?? null) : null;
+        if (page.byFilter.prereqsMet) page.byFilter.prereqsMet.push(metIds);
+        page.conditions = Object.values(page.byFilter);
+
+        const from = searchSource(q, term?.id ?? null);
+        const without = (name) => Object.entries(page.byFilter).filter(([k]) => k !== name).map(([, c]) => c);
+
+        const result = await runListQuery(pool, { select: "s.*", from }, page);
+        const facets = shapeFacets({
+            credits: await countBy(pool, { from, where: without("credits") }, { value: "s.credits" }),
+            teachers: await countBy(pool, { from, where: without("teacherId") }, { id: "s.teacher_id", name: "s.teacher_name" }),
+            seats: await countBy(pool, { from, where: without("hasSeats") }, { value: "COALESCE(s.available_seats, 0) > 0" }),
+            prereqs: metIds && await countBy(
+                pool, { from, where: without("prereqsMet") }, { value: ["s.id = ANY(?::int[])", metIds] }
+            ),
+        });
+        return res.json({ ...listEnvelope(req, result, page), query: q, facets });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ error: "Server error" });
     }
 });
 
+// Live seat counts (Server-Sent Events) for the whole catalog or one course,
+// in ?term= (default: active term)
+async function seatStream(req, res, courseId = null) {
+    try {
+        const term = await findTerm(pool, req.query.term);
+        if (!term) return res.status(404).json({ error: req.query.term ? "Term not found" : "No active term" });
+        if (courseId) {
+            const { rows } = await pool.query(`SELECT 1 FROM courses WHERE id=$1 AND archived_at IS NULL`, [courseId]);
+            if (!rows[0]) return res.status(404).json({ error: "Course not found" });
+        }
+        await openSeatStream(pool, req, res, { termId: term.id, courseId });
+    } catch (e) {
+        console.error(e);
+        if (!res.headersSent) return res.status(500).json({ error: "Server error" });
+        res.end();
+    }
+}
+
+router.get("/stream", (req, res) => seatStream(req, res));
+router.get("/:id/stream", (req, res) => seatStream(req, res, Number(req.params.id)));
+
 // Get a Course by ID
 
 router.get("/:id", async (req, res) => {
@@ -132,104 +571,118 @@ router.get("/:id", async (req, res) => {
         const { rows } = await pool.query(`SELECT * FROM courses WHERE id=$1`, [id]);
         if (!rows[0]) return res.status(404).json({ error: "Not found" });
 
-        const { rows: prereqs } = await pool.query(
-        `SELECT p.prereq_id AS id, c.code, c.name
-        FROM course_prereqs p
-        JOIN courses c ON c.id = p.prereq_id
-        WHERE p.course_id = $1
-        ORDER BY c.code`,
+        const prereqs = await listPrereqs(pool, id);
+
+        const { rows: meetings } = await pool.query(
+        `SELECT day, to_char(starts_at,'HH24:MI') AS "start", to_char(ends_at,'HH24:MI') AS "end", room
+        FROM course_meetings
+        WHERE course_id = $1
+        ORDER BY array_position(ARRAY['MON','TUE','WED','THU','FRI','SAT','SUN'], day), starts_at`,
         [id]
         );
 
-        return res.json({ ...rows[0], prereqs });
+        const staff = await listStaff(pool, id);
+
+        return res.json({ ...rows[0], prereqs, meetings, staff });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ error: "Server error" });
     }
 });
 
-// Create (include prereqs)
+// Create (include prereqs and meetings)
 
-router.post("/", requireAuth, requireRole("TEACHER", "ADMIN"), async (req, res) => {
-    const { code, name, credits, enrollment_limit, prereqIds } = req.body || {};
+router.post("/", requireAuth, requireRole("TEACHER", "ADMIN"), validate({ body: "CourseCreate" }), async (req, res) => {
+    const { code, name, credits, enrollment_limit, description, prereqIds, prereqs, requiresConsent, meetings } = req.body || {};
     const teacherId =
         req.user.role === "TEACHER" ? req.user.id : req.body.teacherId || req.user.id;
 
-    const errors = validateCourseCreate({ code, name, credits, enrollment_limit });
-    if (errors.length) return res.status(400).json({ errors });
+    // Shape is checked by the schema; these catch end-before-start and repeated prereqs
+    const errors = [];
+    if (meetings != null) errors.push(...validateMeetings(meetings));
+    if (prereqs != null) errors.push(...validatePrereqs(prereqs));
+    if (errors.length) return res.status(400).json(validationError(errors));
 
     const client = await pool.connect();
     try {
         await client.query("BEGIN");
 
         const { rows: created } = await client.query(
-        `INSERT INTO courses (code, name, credits, enrollment_limit, teacher_id)
-        VALUES ($1,$2,$3,$4,$5)
+        `INSERT INTO courses (code, name, credits, enrollment_limit, teacher_id, requires_consent, description)
+        VALUES ($1,$2,$3,$4,$5,$6,$7)
         RETURNING *`,
-        [code.trim(), name.trim(), Number(credits), Number(enrollment_limit), teacherId]
+        [
+            code.trim(), name.trim(), Number(credits), Number(enrollment_limit), teacherId, Boolean(requiresConsent),
+            (description || "").trim(),
+        ]
         );
         const course = created[0];
 
-        if (Array.isArray(prereqIds) && prereqIds.length) {
-        const uniq = [...new Set(prereqIds.map(Number))].filter((pid) => pid !== course.id);
-        if (uniq.length) {
-            // ensure prereq courses exist
-            const { rows: exist } = await client.query(
-            `SELECT id FROM courses WHERE id = ANY($1::int[])`,
-            [uniq]
-            );
-            if (exist.length !== uniq.length) throw new Error("One or more prereqIds do not exist");
-
-            await client.query(
-            `INSERT INTO course_prereqs (course_id, prereq_id)
-            SELECT $1, x FROM unnest($2::int[]) AS u(x)
-            ON CONFLICT (course_id,prereq_id) DO NOTHING`,
-            [course.id, uniq]
-            );
-        }
+        // prereqs: [{ courseId, minGrade?, group?, concurrent? }] or plain prereqIds
+        const rules = normalizePrereqs({ prereqs, prereqIds });
+        const problem = rules && await replacePrereqs(client, course.id, rules);
+        if (problem) {
+        await client.query("ROLLBACK");
+        return res.status(problem.status).json({ error: problem.error, code: problem.code });
         }
 
+        if (Array.isArray(meetings)) await replaceMeetings(client, course.id, meetings);
+
+        await recordAudit(client, {
+        actorId: req.user.id,
+        action: "course.create",
+        entityType: "course",
+        entityId: course.id,
+        courseId: course.id,
+        after: course,
+        });
+
         await client.query("COMMIT");
         return res.status(201).json(course);
     } catch (e) {
         await client.query("ROLLBACK");
         if (e.code === "23505") return res.status(409).json({ error: "Course code already exists" });
         console.error(e);
-        return res.status(400).json({ error: e.message || "Server error" });
+        return res.status(500).json({ error: "Server error" });
     } finally {
         client.release();
     }
 });
 
-// Update (replace prereqs)
-router.put("/:id", requireAuth, requireRole("TEACHER", "ADMIN"), async (req, res) => {
+// Update (replace prereqs and/or meetings)
+router.put("/:id", requireAuth, requireCoursePermission("course:write"), validate({ body: "CourseUpdate" }), async (req, res) => {
     const id = Number(req.params.id);
-    const { code, name, credits, enrollment_limit, prereqIds } = req.body || {};
+    const { code, name, credits, enrollment_limit, description, prereqIds, prereqs, requiresConsent, meetings, reason } = req.body;
 
-    const errors = validateCourseUpdate({ code, name, credits, enrollment_limit });
-    if (errors.length) return res.status(400).json({ errors });
+    const errors = [];
+    if (meetings != null) errors.push(...validateMeetings(meetings));
+    if (prereqs != null) errors.push(...validatePrereqs(prereqs));
+    if (errors.length) return res.status(400).json(validationError(errors));
 
-    // teacher ownership enforcement
-    if (req.user.role === "TEACHER") {
-        const { rows: ownerRows } = await pool.query(
-        `SELECT teacher_id FROM courses WHERE id=$1`,
-        [id]
-        );
-        if (!ownerRows[0]) return res.status(404).json({ error: "Not found" });
-        if (ownerRows[0].teacher_id !== req.user.id)
-        return res.status(403).json({ error: "Not your course" });
+    // Editing prereqs needs prereqs:write on top of course:write
+    if (prereqs != null || prereqIds != null) {
+        const denied = await checkCoursePermission(pool, req.user, id, "prereqs:write");
+        if (denied) return sendDenied(res, denied);
     }
 
     const client = await pool.connect();
     try {
         await client.query("BEGIN");
 
+        const { rows: beforeRows } = await client.query(
+        `SELECT c.* FROM courses c WHERE c.id=$1 FOR UPDATE`,
+        [id]
+        );
+        const beforePrereqs = await listPrereqs(client, id);
+
         const { rows } = await client.query(
         `UPDATE courses
             SET code = COALESCE($1, code),
                 name = COALESCE($2, name),
                 credits = COALESCE($3, credits),
                 enrollment_limit = COALESCE($4, enrollment_limit),
+                requires_consent = COALESCE($6, requires_consent),
+                description = COALESCE($7, description),
                 updated_at = NOW()
         WHERE id=$5
         RETURNING *`,
@@ -239,6 +692,8 @@ router.put("/:id", requireAuth, requireRole("TEACHER", "ADMIN"), async (req, res
             credits != null ? Number(credits) : null,
             enrollment_limit != null ? Number(enrollment_limit) : null,
             id,
+            requiresConsent != null ? requiresConsent : null,
+            description != null ? description.trim() : null,
         ]
         );
         if (!rows[0]) {
@@ -247,26 +702,61 @@ router.put("/:id", requireAuth, requireRole("TEACHER", "ADMIN"), async (req, res
         }
         const course = rows[0];
 
-        // If prereqIds provided, replace the set
-        if (Array.isArray(prereqIds)) {
-        const uniq = [...new Set(prereqIds.map(Number))].filter((pid) => pid !== id);
+        // If prereqs (or prereqIds) provided, replace the rule set.
+        // The table lock keeps two concurrent edits from closing a cycle together.
+        const rules = normalizePrereqs({ prereqs, prereqIds });
+        if (rules) {
+        await client.query("LOCK TABLE course_prereqs IN SHARE ROW EXCLUSIVE MODE");
+        const cycle = await findPrereqCycle(client, id, rules);
+        if (cycle) {
+            await client.query("ROLLBACK");
+            return res.status(409).json({ error: `Prerequisite cycle: ${cycle.join(" → ")}`, code: "prereq_cycle", cycle });
+        }
+        const problem = await replacePrereqs(client, id, rules);
+        if (problem) {
+            await client.query("ROLLBACK");
+            return res.status(problem.status).json({ error: problem.error, code: problem.code });
+        }
+        }
 
-        await client.query(`DELETE FROM course_prereqs WHERE course_id=$1`, [id]);
+        // If meetings provided, replace the set
+        if (Array.isArray(meetings)) await replaceMeetings(client, id, meetings);
 
-        if (uniq.length) {
-            const { rows: exist } = await client.query(
-            `SELECT id FROM courses WHERE id = ANY($1::int[])`,
-            [uniq]
-            );
-            if (exist.length !== uniq.length) throw new Error("One or more prereqIds do not exist");
+        await recordAudit(client, {
+        actorId: req.user.id,
+        action: "course.update",
+        entityType: "course",
+        entityId: id,
+        courseId: id,
+        before: { ...beforeRows[0], prereqs: beforePrereqs },
+        after: { ...course, prereqs: await listPrereqs(client, id) },
+        reason,
+        });
 
-            await client.query(
-            `INSERT INTO course_prereqs (course_id, prereq_id)
-            SELECT $1, x FROM unnest($2::int[]) AS u(x)
-            ON CONFLICT (course_id,prereq_id) DO NOTHING`,
-            [id, uniq]
-            );
+        // Tell the students taking the course what changed
+        const changes = courseChanges(beforeRows[0], course);
+        if (Array.isArray(meetings)) changes.push("meeting times");
+        if (rules) changes.push("prerequisites");
+        if (changes.length) {
+        await notify(client, await enrolledStudentIds(client, id), {
+            type: "course.updated",
+            title: `${course.code} was updated`,
+            body: `Changed: ${changes.join(", ")}`,
+            courseId: id,
+            entityType: "course",
+            entityId: id,
+        });
         }
+        await enqueueWebhook(client, "course.updated", { ...course, changes });
+
+        // A raised limit frees seats for waitlisted students in every
+        // offering that uses the course default
+        if (enrollment_limit != null) {
+        const { rows: offerings } = await client.query(
+            `SELECT id FROM course_offerings WHERE course_id=$1 AND enrollment_limit IS NULL`,
+            [id]
+        );
+        for (const o of offerings) await promoteFromWaitlist(client, o.id);
         }
 
         await client.query("COMMIT");
@@ -275,37 +765,627 @@ router.put("/:id", requireAuth, requireRole("TEACHER", "ADMIN"), async (req, res
         await client.query("ROLLBACK");
         if (e.code === "23505") return res.status(409).json({ error: "Course code already exists" });
         console.error(e);
-        return res.status(400).json({ error: e.message || "Server error" });
+        return res.status(500).json({ error: "Server error" });
     } finally {
         client.release();
     }
 });
 
-// Delete Course
+// Prerequisite graph: every course below this one, as nodes and edges
 
-router.delete("/:id", requireAuth, requireRole("TEACHER", "ADMIN"), async (req, res) => {
+router.get("/:id/prereq-tree", async (req, res) => {
     const id = Number(req.params.id);
     try {
-        if (req.user.role === "TEACHER") {
-        const { rows: ownerRows } = await pool.query(`SELECT teacher_id FROM courses WHERE id=$1`, [
-            id,
-        ]);
-        if (!ownerRows[0]) return res.status(404).json({ error: "Not found" });
-        if (ownerRows[0].teacher_id !== req.user.id)
-            return res.status(403).json({ error: "Not your course" });
+        const graph = await loadPrereqGraph(pool, [id]);
+        if (!graph.courses.has(id)) return res.status(404).json({ error: "Not found" });
+        return res.json({ course: graph.courses.get(id), ...buildPrereqTree(graph, id) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Pathway: what a student still has to take before enrolling.
+// ?student=me (default) for students; teachers/admins pass a user id.
+
+router.get("/:id/pathway", requireAuth, async (req, res) => {
+    const id = Number(req.params.id);
+    const who = req.query.student || "me";
+    let studentId = req.user.id;
+    if (who !== "me") {
+        if (req.user.role === "STUDENT") return res.status(403).json({ error: "Students can only view their own pathway" });
+        studentId = Number(who);
+        if (!Number.isInteger(studentId)) return res.status(400).json({ error: "student must be me or a user id" });
+    } else if (req.user.role !== "STUDENT") {
+        return res.status(400).json({ error: "Pass ?student=<user id>" });
+    }
+
+    try {
+        const { rows: student } = await pool.query(
+        `SELECT id, name, student_id FROM users WHERE id=$1 AND role='STUDENT'`, [studentId]
+        );
+        if (!student[0]) return res.status(404).json({ error: "Student not found" });
+
+        const graph = await loadPrereqGraph(pool, [id]);
+        const course = graph.courses.get(id);
+        if (!course) return res.status(404).json({ error: "Not found" });
+
+        const grades = await latestOfficialGrades(pool, studentId, [...graph.courses.keys()]);
+        const { courses, enrollStep } = planPathway(graph, id, grades);
+
+        let needsConsent = false;
+        if (course.requiresConsent) {
+        const { rows } = await pool.query(
+            `SELECT 1 FROM course_consents WHERE course_id=$1 AND student_id=$2`, [id, studentId]
+        );
+        needsConsent = !rows[0];
+        }
+
+        return res.json({
+        course,
+        student: student[0],
+        eligible: courses.length === 0 && !needsConsent,
+        needsConsent,
+        courses,
+        totalCredits: courses.reduce((sum, c) => sum + Number(c.credits), 0),
+        enrollStep,
+        });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Offerings: the terms a course is taught in
+
+router.get("/:id/offerings", async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const { rows } = await pool.query(
+        `SELECT o.id, o.course_id, o.term_id, t.code AS term_code, t.name AS term_name,
+                COALESCE(o.enrollment_limit, c.enrollment_limit) AS enrollment_limit,
+                GREATEST(COALESCE(o.enrollment_limit, c.enrollment_limit) - COALESCE(en.count,0), 0) AS available_seats
+        FROM course_offerings o
+        JOIN courses c ON c.id = o.course_id
+        JOIN terms t ON t.id = o.term_id
+        LEFT JOIN (
+            SELECT offering_id, COUNT(*)::int AS count
+            FROM enrollments GROUP BY offering_id
+        ) en ON en.offering_id = o.id
+        WHERE o.course_id = $1
+        ORDER BY t.starts_on DESC`,
+        [id]
+        );
+        return res.json(rows);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Offer a course in a term; enrollment_limit overrides the course default
+router.post("/:id/offerings", requireAuth, requireCoursePermission("course:write"), validate({ body: "OfferingCreate" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const { term, enrollment_limit } = req.body;
+
+    try {
+        const found = await findTerm(pool, term);
+        if (!found) return res.status(404).json({ error: "Term not found" });
+
+        const { rows: course } = await pool.query(`SELECT archived_at FROM courses WHERE id=$1`, [id]);
+        if (course[0]?.archived_at) return res.status(409).json({ error: "Course is archived" });
+
+        const { rows } = await pool.query(
+        `INSERT INTO course_offerings (course_id, term_id, enrollment_limit)
+        VALUES ($1, $2, $3)
+        RETURNING *`,
+        [id, found.id, enrollment_limit ?? null]
+        );
+        return res.status(201).json(rows[0]);
+    } catch (e) {
+        if (e.code === "23505") return res.status(409).json({ error: "Course already offered in this term" });
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Change an offering's limit (null resets to the course default)
+router.put("/:id/offerings/:offeringId", requireAuth, requireCoursePermission("course:write"), validate({ body: "OfferingUpdate" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const offeringId = Number(req.params.offeringId);
+    const { enrollment_limit } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const { rows } = await client.query(
+        `UPDATE course_offerings SET enrollment_limit = $1
+        WHERE id=$2 AND course_id=$3
+        RETURNING *`,
+        [enrollment_limit ?? null, offeringId, id]
+        );
+        if (!rows[0]) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Not found" });
+        }
+        await promoteFromWaitlist(client, offeringId);
+        await client.query("COMMIT");
+        return res.json(rows[0]);
+    } catch (e) {
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
+    }
+});
+
+// Instructor consent for courses with requires_consent (course instructors / admin)
+
+router.get("/:id/consents", requireAuth, requireCoursePermission("roster:read"), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const { rows } = await pool.query(
+        `SELECT cc.student_id, u.name, u.email, u.student_id AS student_code,
+                cc.granted_by, cc.note, cc.created_at
+        FROM course_consents cc
+        JOIN users u ON u.id = cc.student_id
+        WHERE cc.course_id = $1
+        ORDER BY cc.created_at DESC`,
+        [id]
+        );
+        return res.json(rows);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.post("/:id/consents", requireAuth, requireCoursePermission("enrollments:write"), validate({ body: "ConsentCreate" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const { studentId, note } = req.body;
+
+    try {
+        const { rows: student } = await pool.query(
+        `SELECT id FROM users WHERE id=$1 AND role='STUDENT'`, [studentId]
+        );
+        if (!student[0]) return res.status(404).json({ error: "Student not found" });
+
+        const { rows } = await pool.query(
+        `INSERT INTO course_consents (course_id, student_id, granted_by, note)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (course_id, student_id) DO UPDATE SET note = EXCLUDED.note
+        RETURNING *`,
+        [id, studentId, req.user.id, note || null]
+        );
+        await recordAudit(pool, {
+        actorId: req.user.id,
+        action: "course.consent_grant",
+        entityType: "course_consent",
+        entityId: rows[0].id,
+        courseId: id,
+        after: rows[0],
+        reason: note,
+        });
+        return res.status(201).json(rows[0]);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.delete("/:id/consents/:studentId", requireAuth, requireCoursePermission("enrollments:write"), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const { rows } = await pool.query(
+        `DELETE FROM course_consents WHERE course_id=$1 AND student_id=$2 RETURNING *`,
+        [id, Number(req.params.studentId)]
+        );
+        if (!rows[0]) return res.status(404).json({ error: "Consent not found" });
+        await recordAudit(pool, {
+        actorId: req.user.id,
+        action: "course.consent_revoke",
+        entityType: "course_consent",
+        entityId: rows[0].id,
+        courseId: id,
+        before: rows[0],
+        });
+        return res.json({ message: "Consent revoked" });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Permission codes: let a student past capacity and/or prereqs (course instructors / admin)
+
+router.get("/:id/permission-codes", requireAuth, requireCoursePermission("enrollments:write"), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const { rows } = await pool.query(
+        `SELECT pc.*, s.name AS student_name, u.name AS created_by_name,
+                (SELECT COALESCE(json_agg(json_build_object(
+                    'enrollmentId', o.enrollment_id, 'studentId', e.student_id,
+                    'bypassedCapacity', o.bypassed_capacity, 'bypassedPrereqs', o.bypassed_prereqs,
+                    'usedAt', o.created_at) ORDER BY o.created_at), '[]')
+                FROM enrollment_overrides o
+                JOIN enrollments e ON e.id = o.enrollment_id
+                WHERE o.permission_code_id = pc.id) AS redemptions
+        FROM permission_codes pc
+        LEFT JOIN users s ON s.id = pc.student_id
+        LEFT JOIN users u ON u.id = pc.created_by
+        WHERE pc.course_id = $1
+        ORDER BY pc.created_at DESC`,
+        [id]
+        );
+        return res.json(rows.map(r => ({ ...r, bypass: scopeOf(r) })));
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.post("/:id/permission-codes", requireAuth, requireCoursePermission("enrollments:write"), validate({ body: "PermissionCodeCreate" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const { bypass, maxUses, expiresAt, studentId, note } = req.body;
+    if (expiresAt && Date.parse(expiresAt) <= Date.now()) {
+        return res.status(400).json(validationError([
+            { path: "body.expiresAt", code: "out_of_range", message: "expiresAt must be in the future" },
+        ]));
+    }
+
+    try {
+        const { rows: course } = await pool.query(`SELECT code FROM courses WHERE id=$1`, [id]);
+
+        if (studentId != null) {
+        const { rows: student } = await pool.query(
+            `SELECT id FROM users WHERE id=$1 AND role='STUDENT'`, [studentId]
+        );
+        if (!student[0]) return res.status(404).json({ error: "Student not found" });
+        }
+
+        const { bypassCapacity, bypassPrereqs } = scopeFlags(bypass);
+        const expires = expiresAt ? new Date(expiresAt) : new Date(Date.now() + DEFAULT_CODE_DAYS * 24 * 60 * 60 * 1000);
+        const { rows } = await pool.query(
+        `INSERT INTO permission_codes
+            (code, course_id, student_id, bypass_capacity, bypass_prereqs, max_uses, expires_at, note, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING *`,
+        [
+            generatePermissionCode(course[0].code), id, studentId ?? null,
+            bypassCapacity, bypassPrereqs, maxUses ?? 1, expires, note || null, req.user.id,
+        ]
+        );
+        await recordAudit(pool, {
+        actorId: req.user.id,
+        action: "permission_code.create",
+        entityType: "permission_code",
+        entityId: rows[0].id,
+        courseId: id,
+        after: rows[0],
+        reason: note,
+        });
+        return res.status(201).json({ ...rows[0], bypass });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.delete("/:id/permission-codes/:codeId", requireAuth, requireCoursePermission("enrollments:write"), validate({ query: { reason: "Reason" } }), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        // Revoked rather than deleted, so past overrides keep their code
+        const { rows } = await pool.query(
+        `UPDATE permission_codes SET revoked_at = NOW()
+        WHERE id=$1 AND course_id=$2 AND revoked_at IS NULL
+        RETURNING *`,
+        [Number(req.params.codeId), id]
+        );
+        if (!rows[0]) return res.status(404).json({ error: "Permission code not found" });
+        await recordAudit(pool, {
+        actorId: req.user.id,
+        action: "permission_code.revoke",
+        entityType: "permission_code",
+        entityId: rows[0].id,
+        courseId: id,
+        after: rows[0],
+        reason: req.query.reason || req.body?.reason,
+        });
+        return res.json({ message: "Permission code revoked" });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Staff: co-instructors and TAs (the owner is courses.teacher_id)
+
+router.get("/:id/staff", requireAuth, requireCoursePermission("roster:read"), async (req, res) => {
+    try {
+        return res.json(await listStaff(pool, Number(req.params.id)));
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.post("/:id/staff", requireAuth, requireCoursePermission("staff:write"), validate({ body: "StaffAdd" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const { userId, role } = req.body;
+    try {
+        const { rows: users } = await pool.query(`SELECT id, role FROM users WHERE id=$1`, [userId]);
+        if (!users[0]) return res.status(404).json({ error: "User not found" });
+        const problem = staffRoleError(users[0], role);
+        if (problem) return res.status(400).json({ error: problem, code: "invalid_staff_role" });
+
+        const { rows: course } = await pool.query(`SELECT teacher_id FROM courses WHERE id=$1`, [id]);
+        if (course[0].teacher_id === userId) return res.status(409).json({ error: "User already owns this course" });
+
+        const { rows: before } = await pool.query(
+        `SELECT * FROM course_staff WHERE course_id=$1 AND user_id=$2`, [id, userId]
+        );
+        const { rows } = await pool.query(
+        `INSERT INTO course_staff (course_id, user_id, role, added_by)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (course_id, user_id) DO UPDATE SET role = EXCLUDED.role
+        RETURNING *`,
+        [id, userId, role, req.user.id]
+        );
+        await recordAudit(pool, {
+        actorId: req.user.id,
+        action: before[0] ? "course.staff_change" : "course.staff_add",
+        entityType: "course",
+        entityId: id,
+        courseId: id,
+        before: before[0] || null,
+        after: rows[0],
+        });
+        return res.status(201).json(rows[0]);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.delete("/:id/staff/:userId", requireAuth, requireCoursePermission("staff:write"), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const { rows } = await pool.query(
+        `DELETE FROM course_staff WHERE course_id=$1 AND user_id=$2 RETURNING *`,
+        [id, Number(req.params.userId)]
+        );
+        if (!rows[0]) return res.status(404).json({ error: "Not on the course staff" });
+        await recordAudit(pool, {
+        actorId: req.user.id,
+        action: "course.staff_remove",
+        entityType: "course",
+        entityId: id,
+        courseId: id,
+        before: rows[0],
+        });
+        return res.json({ message: "Removed from course staff" });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Announcements for one offering (default: active term)
+
+router.get("/:id/announcements", requireAuth, validate({ query: { term: "TermRef" } }), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const found = await resolveOffering(pool, id, req.query.term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+
+        // Students enrolled in the offering, or course staff
+        if (req.user.role === "STUDENT") {
+        const { rows: enrolled } = await pool.query(
+            `SELECT 1 FROM enrollments WHERE student_id=$1 AND offering_id=$2`,
+            [req.user.id, found.offering.id]
+        );
+        if (!enrolled[0]) return res.status(403).json({ error: "Not enrolled in this course" });
+        } else {
+        const denied = await checkCoursePermission(pool, req.user, id, "roster:read");
+        if (denied) return sendDenied(res, denied);
+        }
+
+        const { rows } = await pool.query(
+        `SELECT a.id, a.title, a.body, a.author_id, u.name AS author_name, a.recipients, a.created_at
+        FROM announcements a
+        LEFT JOIN users u ON u.id = a.author_id
+        WHERE a.offering_id = $1
+        ORDER BY a.created_at DESC, a.id DESC`,
+        [found.offering.id]
+        );
+        return res.json({ courseId: id, term: found.offering.term_code, announcements: rows });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.post("/:id/announcements", requireAuth, requireCoursePermission("announcements:write"), validate({ body: "AnnouncementCreate" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const { title, body, term } = req.body;
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const found = await resolveOffering(client, id, term);
+        if (found.error) {
+        await client.query("ROLLBACK");
+        return res.status(found.status).json({ error: found.error });
         }
 
-        await pool.query(`DELETE FROM courses WHERE id=$1`, [id]);
-        return res.status(204).send();
+        const students = await enrolledStudentIds(client, id, found.offering.id);
+        const { rows: course } = await client.query(`SELECT code FROM courses WHERE id=$1`, [id]);
+        const { rows } = await client.query(
+        `INSERT INTO announcements (course_id, offering_id, author_id, title, body, recipients)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *`,
+        [id, found.offering.id, req.user.id, title.trim(), body.trim(), students.length]
+        );
+        await notify(client, students, {
+        type: "course.announcement",
+        title: `${course[0].code}: ${rows[0].title}`,
+        body: rows[0].body,
+        courseId: id,
+        entityType: "announcement",
+        entityId: rows[0].id,
+        });
+        await recordAudit(client, {
+        actorId: req.user.id,
+        action: "course.announce",
+        entityType: "announcement",
+        entityId: rows[0].id,
+        courseId: id,
+        after: rows[0],
+        });
+        await client.query("COMMIT");
+        return res.status(201).json({ ...rows[0], term: found.offering.term_code });
     } catch (e) {
-        if (e.code === "23503") {
-        // FK present: enrollments or prereqs referencing this course
-        return res
-            .status(409)
-            .json({ error: "Course has related records; remove dependencies first" });
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
+    }
+});
+
+// Archive Course (DELETE) and restore it (Admin). Enrollments and grades stay
+// either way, for transcripts and GPA.
+
+function archiveCourse(archive) {
+    return async (req, res) => {
+        const id = Number(req.params.id);
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+
+            const { rows: beforeRows } = await client.query(`SELECT * FROM courses WHERE id=$1 FOR UPDATE`, [id]);
+            const before = beforeRows[0];
+            if (!before) {
+                await client.query("ROLLBACK");
+                return res.status(404).json({ error: "Not found" });
+            }
+            if (Boolean(before.archived_at) === archive) {
+                await client.query("ROLLBACK");
+                return res.status(409).json({ error: archive ? "Course is already archived" : "Course is not archived" });
+            }
+
+            const students = await enrolledStudentIds(client, id);
+            const { rows } = await client.query(
+                `UPDATE courses
+                SET archived_at = CASE WHEN $2 THEN NOW() END,
+                    archived_by = CASE WHEN $2 THEN $3::int END,
+                    updated_at = NOW()
+                WHERE id=$1
+                RETURNING *`,
+                [id, archive, req.user.id]
+            );
+            // Nobody can be promoted into an archived course
+            if (archive) await client.query(`DELETE FROM waitlist_entries WHERE course_id=$1`, [id]);
+
+            await recordAudit(client, {
+                actorId: req.user.id,
+                action: archive ? "course.archive" : "course.restore",
+                entityType: "course",
+                entityId: id,
+                courseId: id,
+                before,
+                after: rows[0],
+                reason: req.body.reason || req.query.reason,
+            });
+            const notice = archive
+                ? {
+                    type: "course.archived",
+                    title: `${before.code} was archived`,
+                    body: `${before.name} is no longer offered. Your enrollment and any grades in it stay on your record.`,
+                }
+                : {
+                    type: "course.restored",
+                    title: `${before.code} was restored`,
+                    body: `${before.name} is back in the catalog.`,
+                };
+            await notify(client, students, {
+                ...notice,
+                courseId: id,
+                entityType: "course",
+                entityId: id,
+            });
+            await enqueueWebhook(client, "course.updated", { ...rows[0], changes: [archive ? "archived" : "restored"] });
+            await client.query("COMMIT");
+            return archive ? res.status(204).send() : res.json(rows[0]);
+        } catch (e) {
+            await client.query("ROLLBACK");
+            console.error(e);
+            return res.status(500).json({ error: "Server error" });
+        } finally {
+            client.release();
         }
+    };
+}
+
+const archiveBody = validate({ body: "ArchiveRequest", query: { reason: "Reason" } });
+router.delete("/:id", requireAuth, requireCoursePermission("course:delete"), archiveBody, archiveCourse(true));
+router.post("/:id/restore", requireAuth, requireRole("ADMIN"), archiveBody, archiveCourse(false));
+
+// What purging a course would delete (Admin)
+router.get("/:id/dependencies", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const { rows } = await pool.query(`SELECT id, code, name, archived_at FROM courses WHERE id=$1`, [id]);
+        if (!rows[0]) return res.status(404).json({ error: "Not found" });
+        return res.json({ course: rows[0], ...(await courseDependencies(pool, id)) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Purge an archived course for good, with everything that references it (Admin)
+router.post("/:id/purge", requireAuth, requireRole("ADMIN"), validate({ body: "PurgeConfirm" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+
+        const { rows: courseRows } = await client.query(`SELECT * FROM courses WHERE id=$1 FOR UPDATE`, [id]);
+        const course = courseRows[0];
+        let problem = null;
+        if (!course) problem = { status: 404, error: "Not found" };
+        else if (!course.archived_at) problem = { status: 409, error: "Archive the course before purging it" };
+        else if (req.body.confirm.toUpperCase() !== course.code.toUpperCase()) problem = { status: 400, error: "confirm must be the course code" };
+        if (problem) {
+        await client.query("ROLLBACK");
+        return res.status(problem.status).json({ error: problem.error });
+        }
+
+        const report = await courseDependencies(client, id);
+        if (report.blockers.length) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: report.blockers.map(b => b.error).join("; "), ...report });
+        }
+
+        await client.query(`DELETE FROM courses WHERE id=$1`, [id]);
+        await recordAudit(client, {
+        actorId: req.user.id,
+        action: "course.purge",
+        entityType: "course",
+        entityId: id,
+        courseId: id,
+        before: { ...course, dependencies: report.counts },
+        reason: req.body.reason,
+        });
+        await client.query("COMMIT");
+        return res.json({ course: { id, code: course.code, name: course.name }, ...report });
+    } catch (e) {
+        await client.query("ROLLBACK");
         console.error(e);
         return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
     }
 });
 
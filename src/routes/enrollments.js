@@ -8,13 +8,85 @@
  *       required: true
  *       content:
  *         application/json:
- *           schema:
- *             type: object
- *             required: [courseId]
- *             properties:
- *               courseId: { type: integer, example: 1 }
+ *           schema: { $ref: '#/components/schemas/EnrollmentCreate' }
  *     responses:
- *       201: { description: Enrolled }
+ *       201: { description: Enrolled (includes override when a permission code was used) }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       401: { description: Unauthorized }
+ *       409: { description: At capacity, prereqs unmet, schedule conflict, or the permission code is expired / used up }
+ */
+
+/**
+ * @openapi
+ * /enrollments/me/schedule:
+ *   get:
+ *     summary: My weekly schedule (meetings grouped by day) for a term
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: query
+ *         name: term
+ *         schema: { $ref: '#/components/schemas/TermRef' }
+ *         description: Term id or code (default active term)
+ *     responses:
+ *       200: { description: OK }
+ *       401: { description: Unauthorized }
+ * /enrollments/me/attendance:
+ *   get:
+ *     summary: My attendance per course for a term (sessions with my mark, totals and percent)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: query
+ *         name: term
+ *         schema: { $ref: '#/components/schemas/TermRef' }
+ *         description: Term id or code (default active term)
+ *     responses:
+ *       200: { description: OK }
+ *       401: { description: Unauthorized }
+ *       404: { description: Term not found }
+ */
+
+/**
+ * @openapi
+ * /enrollments/waitlist:
+ *   post:
+ *     summary: Join the waitlist for a full course
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WaitlistJoin' }
+ *     responses:
+ *       201: { description: Waitlisted (includes position) }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: Course has open seats, already enrolled or waitlisted }
+ */
+
+/**
+ * @openapi
+ * /enrollments/bulk:
+ *   post:
+ *     summary: Enroll a list of students in one course (course instructors / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/BulkEnroll' }
+ *     responses:
+ *       200: { description: Per-student results }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: all_or_nothing and at least one student could not be enrolled }
+ */
+
+/**
+ * @openapi
+ * /enrollments/waitlist/me:
+ *   get:
+ *     summary: List my waitlist spots and positions
+ *     security: [ { bearerAuth: [] } ]
+ *     responses:
+ *       200: { description: OK }
  *       401: { description: Unauthorized }
  */
 
@@ -24,141 +96,409 @@
  *   get:
  *     summary: List my enrollments
  *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: query
+ *         name: term
+ *         schema: { $ref: '#/components/schemas/TermRef' }
+ *         description: Term id or code
  *     responses:
  *       200: { description: OK }
  *       401: { description: Unauthorized }
  */
 
+/**
+ * @openapi
+ * /enrollments/import:
+ *   post:
+ *     summary: Import a course roster from CSV or a JSON array (course instructors / admin)
+ *     description: >
+ *       Columns course (code, e.g. CS101), studentId (e.g. S1001) or email, and
+ *       optional term. ?course / ?term fill in rows that leave them out. Every
+ *       row is checked for duplicates, unknown courses/students, prereqs,
+ *       schedule conflicts and capacity; with dryRun=true nothing is written.
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: query, name: dryRun, schema: { type: boolean, default: false } }
+ *       - { in: query, name: mode,   schema: { type: string, enum: [best_effort, all_or_nothing] } }
+ *       - { in: query, name: course, schema: { type: string, example: CS101 } }
+ *       - { in: query, name: term,   schema: { $ref: '#/components/schemas/TermRef' } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema: { type: string, example: "course,studentId,email\nCS101,S1002,\nCS201,,regina@coursehub.io" }
+ *         application/json:
+ *           schema: { type: array, items: { type: object } }
+ *     responses:
+ *       200: { description: Per-row report }
+ *       409: { description: all_or_nothing and at least one row failed (nothing written) }
+ */
+
+
+/**
+ * @openapi
+ * /enrollments/course/{courseId}:
+ *   get:
+ *     summary: Course roster with each student's latest grade (paginated)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: courseId, required: true, schema: { type: integer } }
+ *       - { in: query, name: term, schema: { $ref: '#/components/schemas/TermRef' }, description: Term id or code }
+ *       - { in: query, name: studentId, schema: { type: integer } }
+ *       - { in: query, name: gradeStatus, schema: { type: string, enum: [DRAFT, SUBMITTED, APPROVED, LOCKED] } }
+ *       - { in: query, name: enrolledAfter, schema: { type: string, format: date } }
+ *       - { in: query, name: sort, schema: { type: string, enum: [name, -name, enrolledAt, -enrolledAt, studentCode, -studentCode] } }
+ *       - { in: query, name: limit, schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor, schema: { $ref: '#/components/schemas/Cursor' } }
+ *     responses:
+ *       200: { description: "{ data, total, limit, sort, next, nextCursor }" }
+ *       403: { description: Not your course }
+ */
 
 import express from "express";
 import { pool } from "../../server.js";
-import { requireAuth, requireRole } from "../middleware/auth.js";
+import { requireAuth, requireRole, requireCoursePermission } from "../middleware/auth.js";
+import { findUnmetPrereqs } from "../lib/prereqs.js";
+import { promoteFromWaitlist } from "../lib/waitlist.js";
+import { findTerm, resolveOffering, lockOffering } from "../lib/terms.js";
+import { findScheduleConflicts, buildWeeklySchedule } from "../lib/schedule.js";
+import { recordAudit } from "../lib/audit.js";
+import { readImportRows, runImport, rosterImporter, parseImportOptions } from "../lib/imports.js";
+import { findPermissionCode, checkPermissionCode, recordOverride } from "../lib/overrides.js";
+import { parseListQuery, listQuerySchema, runListQuery, listEnvelope } from "../lib/listQuery.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+import { ROSTER_SELECT, ROSTER_FROM } from "../lib/roster.js";
+import { summarizeMarks } from "../lib/attendance.js";
+import { notify } from "../lib/notifications.js";
+import { enqueueWebhook } from "../lib/webhooks.js";
 
 const router = express.Router();
+validateIdParams(router, "enrollmentId", "courseId");
 
 /**
  * Student self-enroll
- * - Checks course exists
- * - Checks capacity
- * - Checks prerequisites (latest grade must exist and != 'F')
+ * - Checks course exists and is offered in the term (default: active term)
+ * - Checks capacity of that offering
+ * - Checks prerequisite rules (minimum grades, any-of groups, corequisites,
+ *   instructor consent) and reports exactly which ones are unmet
+ * - Checks meeting times against the student's other courses that term
+ * - Re-checks capacity under a row lock on the offering, so concurrent
+ *   requests cannot oversell the last seat
  * - Prevents duplicate enrollment (DB unique constraint)
+ * - An optional permissionCode gets past capacity and/or prereqs (as scoped);
+ *   it is only used up, and recorded as an override, when it was needed
  */
-router.post("/", requireAuth, requireRole("STUDENT"), async (req, res) => {
+router.post("/", requireAuth, requireRole("STUDENT"), validate({ body: "EnrollmentCreate" }), async (req, res) => {
     const studentId = req.user.id;
-    const { courseId } = req.body;
-    if (!courseId) return res.status(400).json({ error: "courseId required" });
+    const { courseId, term, permissionCode } = req.body;
 
     try {
-        // 1) Capacity + existence
-        const capQ = `
-        SELECT c.id, c.enrollment_limit,
-                COALESCE(en.count,0) AS enrolled
-        FROM courses c
-        LEFT JOIN (
-            SELECT course_id, COUNT(*)::int AS count
-            FROM enrollments GROUP BY course_id
-        ) en ON en.course_id = c.id
-        WHERE c.id = $1
-        `;
-        const { rows: capRows } = await pool.query(capQ, [courseId]);
-        if (!capRows[0]) return res.status(404).json({ error: "Course not found" });
-        const { enrollment_limit, enrolled } = capRows[0];
-        if (enrolled >= enrollment_limit) {
-        return res.status(409).json({ error: "Course is at capacity" });
+        // 0) Permission code, if the student has one
+        let permission = null;
+        if (permissionCode) {
+        permission = await findPermissionCode(pool, permissionCode);
+        const problem = checkPermissionCode(permission, { courseId, studentId });
+        if (problem) return res.status(problem.status).json({ error: problem.error });
         }
 
-        // 2) Prereqs (if any)
-        const prereqQ = `SELECT prereq_id FROM course_prereqs WHERE course_id = $1`;
-        const { rows: prereqs } = await pool.query(prereqQ, [courseId]);
-
-        if (prereqs.length > 0) {
-        // Get latest grade (as text) for each prereq; passing if exists and != 'F'
-        const passQ = `
-            SELECT cp.prereq_id,
-                (
-                    SELECT g.value::text
-                    FROM grades g
-                    WHERE g.student_id = $1
-                        AND g.course_id = cp.prereq_id
-                    ORDER BY g.assigned_at DESC
-                    LIMIT 1
-                ) AS latest_grade
-            FROM course_prereqs cp
-            WHERE cp.course_id = $2
-        `;
-        const { rows: gradeRows } = await pool.query(passQ, [studentId, courseId]);
+        // 1) Offering + capacity
+        const found = await resolveOffering(pool, courseId, term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+        const { offering } = found;
+        if (offering.course_archived) return res.status(409).json({ error: "Course is archived" });
+        if (offering.enrolled >= offering.enrollment_limit && !permission?.bypass_capacity) {
+        return res.status(409).json({ error: "Course is at capacity", canWaitlist: true });
+        }
 
-        const unmet = gradeRows.filter(r => !r.latest_grade || r.latest_grade === "F");
-        if (unmet.length > 0) {
-            return res.status(409).json({ error: "Prerequisites not satisfied" });
+        // 2) Prereq rules: minimum grades, any-of groups, corequisites, consent
+        const unmet = await findUnmetPrereqs(pool, studentId, courseId, offering.term_id);
+        if (unmet.length > 0 && !permission?.bypass_prereqs) {
+            return res.status(409).json({ error: unmet.map(u => u.message).join("; "), reason: "prereq", unmet });
         }
+
+    // 3) Schedule conflicts
+    const conflicts = await findScheduleConflicts(pool, studentId, courseId, offering.term_id);
+    if (conflicts.length > 0) {
+        return res.status(409).json({ error: "Schedule conflict", reason: "schedule_conflict", conflicts });
     }
 
-    // 3) Enroll
-    const insQ = `
-        INSERT INTO enrollments (student_id, course_id)
-        VALUES ($1, $2)
+    // 4) Enroll: lock the offering, re-check seats, insert
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const locked = await lockOffering(client, offering.id);
+        const overCapacity = locked.enrolled >= locked.enrollment_limit;
+        if (overCapacity && !permission?.bypass_capacity) {
+            await client.query("ROLLBACK");
+            return res.status(409).json({ error: "Course is at capacity", canWaitlist: true });
+        }
+
+        // Needed the code: lock and re-check it so it cannot be over-used
+        let code = null;
+        if (permission && (overCapacity || unmet.length > 0)) {
+            code = await findPermissionCode(client, permissionCode, { forUpdate: true });
+            const problem = checkPermissionCode(code, { courseId, studentId });
+            if (problem) {
+                await client.query("ROLLBACK");
+                return res.status(problem.status).json({ error: problem.error });
+            }
+        }
+
+        const insQ = `
+        INSERT INTO enrollments (student_id, course_id, offering_id)
+        VALUES ($1, $2, $3)
         ON CONFLICT DO NOTHING
         RETURNING *
         `;
-        const { rows: ins } = await pool.query(insQ, [studentId, courseId]);
-        if (!ins[0]) return res.status(409).json({ error: "Already enrolled" });
-        return res.status(201).json(ins[0]);
+        const { rows: ins } = await client.query(insQ, [studentId, courseId, offering.id]);
+        if (!ins[0]) {
+            await client.query("ROLLBACK");
+            return res.status(409).json({ error: "Already enrolled" });
+        }
+
+        // Enrolled directly, so drop any waitlist spot for this offering
+        await client.query(
+        "DELETE FROM waitlist_entries WHERE student_id=$1 AND offering_id=$2",
+        [studentId, offering.id]
+        );
+
+        let override = null;
+        if (code) {
+            override = await recordOverride(client, {
+                enrollment: ins[0],
+                actorId: studentId,
+                source: "permission_code",
+                permissionCode: code,
+                bypassedCapacity: overCapacity,
+                bypassedPrereqs: unmet.length > 0,
+            });
+        }
+        await enqueueWebhook(client, "enrollment.created", { ...ins[0], source: "student" });
+        await client.query("COMMIT");
+        return res.status(201).json(override ? { ...ins[0], override } : ins[0]);
+    } catch (e) {
+        await client.query("ROLLBACK");
+        throw e;
+    } finally {
+        client.release();
+    }
     } catch (e) {
         console.error(e);
         return res.status(500).json({ error: "Server error" });
     }
 });
 
-// Unenroll self 
+// Unenroll self (the freed seat goes to the next student on the waitlist)
 router.delete("/:enrollmentId", requireAuth, requireRole("STUDENT"), async (req, res) => {
     const studentId = req.user.id;
     const enrollmentId = Number(req.params.enrollmentId);
+    const client = await pool.connect();
     try {
-        const { rows } = await pool.query(
-        "SELECT student_id FROM enrollments WHERE id = $1",
+        await client.query("BEGIN");
+        const { rows } = await client.query(
+        "SELECT * FROM enrollments WHERE id = $1",
         [enrollmentId]
         );
-        if (!rows[0]) return res.status(404).json({ error: "Not found" });
+        if (!rows[0]) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Not found" });
+        }
         if (rows[0].student_id !== studentId) {
+        await client.query("ROLLBACK");
         return res.status(403).json({ error: "Not your enrollment" });
         }
 
-        await pool.query("DELETE FROM enrollments WHERE id = $1", [enrollmentId]);
+        await client.query("DELETE FROM enrollments WHERE id = $1", [enrollmentId]);
+        await enqueueWebhook(client, "enrollment.deleted", { ...rows[0], source: "student" });
+        await promoteFromWaitlist(client, rows[0].offering_id);
+        await client.query("COMMIT");
         return res.status(204).send();
     } catch (e) {
+        await client.query("ROLLBACK");
         console.error(e);
         return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
     }
 });
 
 // Allow students to unenroll by courseId (might be used instead)
-router.delete("/by-course/:courseId", requireAuth, requireRole("STUDENT"), async (req, res) => {
+// ?term= picks the term (default: active term)
+router.delete("/by-course/:courseId", requireAuth, requireRole("STUDENT"), validate({ query: { term: "TermRef" } }), async (req, res) => {
     const studentId = req.user.id;
     const courseId = Number(req.params.courseId);
+    const client = await pool.connect();
     try {
-    const { rowCount } = await pool.query(
-        "DELETE FROM enrollments WHERE student_id=$1 AND course_id=$2",
-        [studentId, courseId]
-    );
-    if (rowCount === 0) return res.status(404).json({ error: "Enrollment not found" });
-    res.status(204).send();
+        await client.query("BEGIN");
+        const term = await findTerm(client, req.query.term);
+        if (!term) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Term not found" });
+        }
+
+        const { rows } = await client.query(
+        `DELETE FROM enrollments e
+        USING course_offerings o
+        WHERE o.id = e.offering_id
+            AND e.student_id=$1 AND e.course_id=$2 AND o.term_id=$3
+        RETURNING e.*`,
+        [studentId, courseId, term.id]
+        );
+        if (!rows[0]) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Enrollment not found" });
+        }
+        await enqueueWebhook(client, "enrollment.deleted", { ...rows[0], source: "student" });
+        await promoteFromWaitlist(client, rows[0].offering_id);
+        await client.query("COMMIT");
+        res.status(204).send();
     } catch (e) {
+        await client.query("ROLLBACK");
         console.error(e);
         res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
     }
 });
 
-// List my enrollments (student)
-router.get("/me", requireAuth, requireRole("STUDENT"), async (req, res) => {
+/**
+ * Join the waitlist for a full course offering (default: active term)
+ * - Only allowed when the offering has no open seats
+ * - Prereqs must already be satisfied (and are re-checked on promotion)
+ */
+router.post("/waitlist", requireAuth, requireRole("STUDENT"), validate({ body: "WaitlistJoin" }), async (req, res) => {
+    const studentId = req.user.id;
+    const { courseId, term } = req.body;
+
+    try {
+        const found = await resolveOffering(pool, courseId, term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+        const { offering } = found;
+        if (offering.course_archived) return res.status(409).json({ error: "Course is archived" });
+        if (offering.enrolled < offering.enrollment_limit) {
+        return res.status(409).json({ error: "Course has open seats; enroll directly" });
+        }
+
+        const { rows: enrolled } = await pool.query(
+        "SELECT 1 FROM enrollments WHERE student_id=$1 AND offering_id=$2",
+        [studentId, offering.id]
+        );
+        if (enrolled[0]) return res.status(409).json({ error: "Already enrolled" });
+
+        const unmet = await findUnmetPrereqs(pool, studentId, courseId, offering.term_id);
+        if (unmet.length > 0) {
+        return res.status(409).json({ error: unmet.map(u => u.message).join("; "), reason: "prereq", unmet });
+        }
+
+        const conflicts = await findScheduleConflicts(pool, studentId, courseId, offering.term_id);
+        if (conflicts.length > 0) {
+        return res.status(409).json({ error: "Schedule conflict", reason: "schedule_conflict", conflicts });
+        }
+
+        const { rows: ins } = await pool.query(
+        `INSERT INTO waitlist_entries (student_id, course_id, offering_id)
+        VALUES ($1, $2, $3)
+        ON CONFLICT DO NOTHING
+        RETURNING *`,
+        [studentId, courseId, offering.id]
+        );
+        if (!ins[0]) return res.status(409).json({ error: "Already on waitlist" });
+
+        const { rows: pos } = await pool.query(
+        `SELECT COUNT(*)::int AS position
+        FROM waitlist_entries
+        WHERE offering_id = $1
+            AND (created_at, id) <= ($2, $3)`,
+        [offering.id, ins[0].created_at, ins[0].id]
+        );
+        return res.status(201).json({ ...ins[0], position: pos[0].position });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// List my waitlist spots with current position (1 = next in line)
+router.get("/waitlist/me", requireAuth, requireRole("STUDENT"), async (req, res) => {
     try {
         const { rows } = await pool.query(
-            `SELECT e.id, e.course_id, c.code, c.name, e.created_at
+        `SELECT w.id, w.course_id, c.code, c.name, t.code AS term_code,
+                w.created_at, w.position
+        FROM (
+            SELECT *, ROW_NUMBER() OVER (
+                PARTITION BY offering_id ORDER BY created_at ASC, id ASC
+            )::int AS position
+            FROM waitlist_entries
+        ) w
+        JOIN courses c ON c.id = w.course_id
+        JOIN course_offerings o ON o.id = w.offering_id
+        JOIN terms t ON t.id = o.term_id
+        WHERE w.student_id = $1
+        ORDER BY w.created_at ASC`,
+        [req.user.id]
+        );
+        res.json(rows);
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Leave the waitlist for a course (every term it is waitlisted in)
+router.delete("/waitlist/:courseId", requireAuth, requireRole("STUDENT"), async (req, res) => {
+    const courseId = Number(req.params.courseId);
+    try {
+        const { rowCount } = await pool.query(
+        "DELETE FROM waitlist_entries WHERE student_id=$1 AND course_id=$2",
+        [req.user.id, courseId]
+        );
+        if (rowCount === 0) return res.status(404).json({ error: "Waitlist entry not found" });
+        res.status(204).send();
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Course staff: view the waitlist for a course, in promotion order (?term=, default: active term)
+router.get("/waitlist/course/:courseId", requireAuth, requireCoursePermission("roster:read"), validate({ query: { term: "TermRef" } }), async (req, res) => {
+    const courseId = Number(req.params.courseId);
+    try {
+        const found = await resolveOffering(pool, courseId, req.query.term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+
+        const { rows } = await pool.query(
+        `SELECT w.id, w.student_id, u.name, u.email,
+                u.student_id AS student_code, w.created_at,
+                ROW_NUMBER() OVER (ORDER BY w.created_at ASC, w.id ASC)::int AS position
+        FROM waitlist_entries w
+        JOIN users u ON u.id = w.student_id
+        WHERE w.offering_id = $1
+        ORDER BY position`,
+        [found.offering.id]
+        );
+        return res.json(rows);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// List my enrollments (student), optionally for one term: ?term=<id|code>
+router.get("/me", requireAuth, requireRole("STUDENT"), validate({ query: { term: "TermRef" } }), async (req, res) => {
+    try {
+        const term = req.query.term ? String(req.query.term) : null;
+        const { rows } = await pool.query(
+            `SELECT e.id, e.course_id, c.code, c.name,
+                    e.offering_id, t.code AS term_code, e.created_at
             FROM enrollments e
             JOIN courses c ON c.id = e.course_id
+            JOIN course_offerings o ON o.id = e.offering_id
+            JOIN terms t ON t.id = o.term_id
             WHERE e.student_id = $1
+                AND ($2::text IS NULL OR t.code = $2 OR t.id::text = $2)
             ORDER BY e.created_at DESC`,
-            [req.user.id]
+            [req.user.id, term]
         );
         res.json(rows);
         } catch (e) {
@@ -167,122 +507,248 @@ router.get("/me", requireAuth, requireRole("STUDENT"), async (req, res) => {
         }
 });
 
-// Teachers: can list enrolled students for a course
-router.get("/course/:courseId", requireAuth, requireRole("TEACHER","ADMIN"), async (req, res) => {
-    const courseId = Number(req.params.courseId);
+// Weekly timetable of my enrollments for a term (?term=, default: active term)
+router.get("/me/schedule", requireAuth, requireRole("STUDENT"), validate({ query: { term: "TermRef" } }), async (req, res) => {
     try {
-      // if TEACHER, enforce ownership
-        if (req.user.role === "TEACHER") {
-            const { rows: owner } = await pool.query("SELECT teacher_id FROM courses WHERE id=$1", [courseId]);
-            if (!owner[0]) return res.status(404).json({ error: "Course not found" });
-            if (owner[0].teacher_id !== req.user.id) return res.status(403).json({ error: "Not your course" });
-        }
+        const term = await findTerm(pool, req.query.term);
+        if (!term) return res.status(404).json({ error: "Term not found" });
 
-        const sql = `
-        SELECT 
-            e.id,                     -- enrollment id
-            e.student_id,             -- student user id
-            u.name, u.email, 
-            u.student_id AS student_code,
-            (
-                SELECT g.value::text
-                FROM grades g
-                WHERE g.student_id = e.student_id
-                AND g.course_id  = e.course_id
-                ORDER BY g.assigned_at DESC
-                LIMIT 1
-            ) AS latest_grade
-        FROM enrollments e
-        JOIN users u ON u.id = e.student_id
-        WHERE e.course_id = $1
-        ORDER BY u.name ASC
-        `;
-        const { rows } = await pool.query(sql, [courseId]);
-        return res.json(rows);
+        const { rows } = await pool.query(
+            `SELECT m.day, to_char(m.starts_at,'HH24:MI') AS "start", to_char(m.ends_at,'HH24:MI') AS "end",
+                    m.room, c.id AS course_id, c.code, c.name
+            FROM enrollments e
+            JOIN course_offerings o ON o.id = e.offering_id
+            JOIN courses c ON c.id = e.course_id
+            JOIN course_meetings m ON m.course_id = e.course_id
+            WHERE e.student_id = $1 AND o.term_id = $2`,
+            [req.user.id, term.id]
+        );
+        res.json({ term: term.code, days: buildWeeklySchedule(rows) });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// My attendance for a term (?term=, default: active term): each course's
+// sessions with my mark, and the same summary teachers see
+router.get("/me/attendance", requireAuth, requireRole("STUDENT"), validate({ query: { term: "TermRef" } }), async (req, res) => {
+    try {
+        const term = await findTerm(pool, req.query.term);
+        if (!term) return res.status(404).json({ error: "Term not found" });
+
+        const { rows: courses } = await pool.query(
+            `SELECT e.offering_id, c.id AS course_id, c.code, c.name
+            FROM enrollments e
+            JOIN course_offerings o ON o.id = e.offering_id
+            JOIN courses c ON c.id = e.course_id
+            WHERE e.student_id = $1 AND o.term_id = $2
+            ORDER BY c.code`,
+            [req.user.id, term.id]
+        );
+        const { rows: sessions } = await pool.query(
+            `SELECT s.id, s.offering_id, to_char(s.held_on, 'YYYY-MM-DD') AS held_on, s.topic,
+                    ar.status::text AS status, ar.note
+            FROM class_sessions s
+            LEFT JOIN attendance_records ar ON ar.session_id = s.id AND ar.student_id = $1
+            WHERE s.offering_id = ANY($2::int[])
+            ORDER BY s.held_on, s.id`,
+            [req.user.id, courses.map(c => c.offering_id)]
+        );
+
+        res.json({
+            term: term.code,
+            courses: courses.map(c => {
+                const mine = sessions
+                    .filter(s => s.offering_id === c.offering_id)
+                    .map(({ offering_id: _offering, ...s }) => s);
+                return { courseId: c.course_id, code: c.code, name: c.name, ...summarizeMarks(mine), sessions: mine };
+            }),
+        });
+    } catch (e) {
+        console.error(e);
+        res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Teachers: can list enrolled students for a course (paginated), optionally for one term: ?term=<id|code>
+const ROSTER_LIST = {
+    id: "e.id",
+    sorts: {
+        name: "u.name",
+        enrolledAt: "e.created_at",
+        studentCode: "COALESCE(u.student_id, '')",
+    },
+    defaultSort: "name",
+    filters: {
+        term: { type: "text", where: "(t.code = ? OR t.id::text = ?)" },
+        studentId: { type: "int", column: "e.student_id" },
+        gradeStatus: { type: "enum", column: "lg.status", values: ["DRAFT", "SUBMITTED", "APPROVED", "LOCKED"] },
+        enrolledAfter: { type: "date", column: "e.created_at", op: ">=" },
+    },
+};
+
+router.get("/course/:courseId", requireAuth, requireCoursePermission("roster:read"), validate({ query: listQuerySchema(ROSTER_LIST) }), async (req, res) => {
+    const courseId = Number(req.params.courseId);
+    const page = parseListQuery(req.query, ROSTER_LIST);
+    if (page.error) return res.status(400).json({ error: page.error });
+    try {
+        const result = await runListQuery(pool, {
+            select: ROSTER_SELECT,
+            from: ROSTER_FROM,
+            where: [["e.course_id = ?", courseId]],
+        }, page);
+        return res.json(listEnvelope(req, result, page));
     } catch (e) {
         console.error(e);
         return res.status(500).json({ error: "Server error" });
     }
 });
 
-// BULK ENROLL (Teacher owns course or Admin)
-router.post("/bulk", requireAuth, requireRole("TEACHER","ADMIN"), async (req, res) => {
+// BULK ENROLL (course instructors or Admin)
+// Runs in one transaction holding the offering lock.
+// mode=best_effort (default): enroll everyone who qualifies, report the rest
+// mode=all_or_nothing: any failure rolls back the whole roster (409)
+// override=true (Admin only): enroll past capacity and unmet prereqs; each
+// enrollment that needed it is recorded as an override
+router.post("/bulk", requireAuth, validate({ body: "BulkEnroll" }), requireCoursePermission("enrollments:write", req => req.body.courseId), async (req, res) => {
     try {
-        const { courseId, studentIds } = req.body || {};
-        if (!courseId || !Array.isArray(studentIds) || studentIds.length === 0) {
-            return res.status(400).json({ error: "courseId and studentIds[] are required" });
-        }
-    
-        // Ownership check for teachers
-        if (req.user.role === "TEACHER") {
-            const { rows: owner } = await pool.query(
-            `SELECT teacher_id FROM courses WHERE id=$1`, [courseId]
-            );
-            if (!owner[0]) return res.status(404).json({ error: "Course not found" });
-            if (owner[0].teacher_id !== req.user.id) return res.status(403).json({ error: "Not your course" });
+        const { courseId, studentIds, term, mode = "best_effort", override = false, reason } = req.body;
+        if (override && req.user.role !== "ADMIN") {
+            return res.status(403).json({ error: "Only admins can override capacity and prereqs" });
         }
     
-        // Capacity left
-        const { rows: cap } = await pool.query(`
-            SELECT c.enrollment_limit::int - COALESCE(e.count,0)::int AS seats_left
-            FROM courses c
-            LEFT JOIN (SELECT course_id, COUNT(*)::int AS count FROM enrollments WHERE course_id=$1 GROUP BY 1) e
-            ON e.course_id=c.id
-            WHERE c.id=$1
-        `, [courseId]);
-        if (!cap[0]) return res.status(404).json({ error: "Course not found" });
+        // Offering (default: active term)
+        const found = await resolveOffering(pool, courseId, term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+        const { offering } = found;
+        if (offering.course_archived) return res.status(409).json({ error: "Course is archived" });
     
-        let seatsLeft = Math.max(0, cap[0].seats_left);
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+
+            // Capacity left, under the offering lock
+            const locked = await lockOffering(client, offering.id);
+            const { rows: courseRows } = await client.query(`SELECT code, name FROM courses WHERE id=$1`, [courseId]);
+            const course = courseRows[0];
+            let seatsLeft = Math.max(0, locked.enrollment_limit - locked.enrolled);
     
-        // Get prereqs for the course
-        const { rows: prereqs } = await pool.query(
-            `SELECT prereq_id FROM course_prereqs WHERE course_id=$1`, [courseId]
-        );
-        const prereqIds = prereqs.map(r => r.prereq_id);
+            // For each student, check duplicate, prereqs, capacity, then enroll
+            const results = [];
+            for (const sid of [...new Set(studentIds.map(Number))]) {
+                const overCapacity = seatsLeft <= 0;
+                if (overCapacity && !override) { results.push({ studentId: sid, ok:false, reason:"capacity" }); continue; }
+
+                const { rows: student } = await client.query(
+                `SELECT archived_at FROM users WHERE id=$1 AND role='STUDENT'`, [sid]
+                );
+                if (!student[0]) { results.push({ studentId: sid, ok:false, reason:"not_a_student" }); continue; }
+                if (student[0].archived_at) { results.push({ studentId: sid, ok:false, reason:"archived" }); continue; }
     
-        // For each student, check duplicate, prereqs, capacity, then enroll
-        const results = [];
-        for (const sid of studentIds) {
-            if (seatsLeft <= 0) { results.push({ studentId: sid, ok:false, reason:"capacity" }); continue; }
+                // already enrolled?
+                const { rows: exists } = await client.query(
+                `SELECT 1 FROM enrollments WHERE student_id=$1 AND offering_id=$2 LIMIT 1`, [sid, offering.id]
+                );
+                if (exists[0]) { results.push({ studentId: sid, ok:false, reason:"already_enrolled" }); continue; }
     
-            // already enrolled?
-            const { rows: exists } = await pool.query(
-            `SELECT 1 FROM enrollments WHERE student_id=$1 AND course_id=$2 LIMIT 1`, [sid, courseId]
-            );
-            if (exists[0]) { results.push({ studentId: sid, ok:false, reason:"already_enrolled" }); continue; }
+                // prereq rules; being enrolled by the instructor or an admin implies consent
+                const unmet = (await findUnmetPrereqs(client, sid, courseId, offering.term_id))
+                    .filter(u => u.rule !== "instructor_consent");
+                if (unmet.length > 0 && !override) { results.push({ studentId: sid, ok:false, reason:"prereq", unmet }); continue; }
+
+                // meeting times must not overlap the student's other courses this term
+                const conflicts = await findScheduleConflicts(client, sid, courseId, offering.term_id);
+                if (conflicts.length > 0) {
+                    results.push({ studentId: sid, ok:false, reason:"schedule_conflict", conflicts });
+                    continue;
+                }
     
-            // prereq check: for each prereq course, latest grade must not be 'F'
-            if (prereqIds.length > 0) {
-            const { rows: g } = await pool.query(`
-                WITH latest AS (
-                SELECT DISTINCT ON (course_id) course_id, value
-                FROM grades
-                WHERE student_id=$1 AND course_id = ANY($2::int[])
-                ORDER BY course_id, assigned_at DESC
-                )
-                SELECT course_id, value FROM latest
-            `, [sid, prereqIds]);
-            const passedAll = prereqIds.every(pid => {
-                const lg = g.find(x => x.course_id === pid)?.value || null;
-                return lg && lg !== "F"; // treat anything except F as pass
-            });
-            if (!passedAll) { results.push({ studentId: sid, ok:false, reason:"prereq" }); continue; }
+                // insert (audited: someone other than the student enrolled them)
+                const { rows: ins } = await client.query(
+                `INSERT INTO enrollments (student_id, course_id, offering_id) VALUES ($1,$2,$3) RETURNING *`,
+                [sid, courseId, offering.id]
+                );
+                await recordAudit(client, {
+                    actorId: req.user.id,
+                    action: "enrollment.create",
+                    entityType: "enrollment",
+                    entityId: ins[0].id,
+                    courseId: Number(courseId),
+                    after: ins[0],
+                });
+                await notify(client, [sid], {
+                    type: "enrollment.added",
+                    title: `You were enrolled in ${course.code}`,
+                    body: `${course.name}, ${offering.term_code}`,
+                    courseId: Number(courseId),
+                    entityType: "enrollment",
+                    entityId: ins[0].id,
+                });
+                await enqueueWebhook(client, "enrollment.created", { ...ins[0], source: "bulk" });
+                if (overCapacity || unmet.length > 0) {
+                    await recordOverride(client, {
+                        enrollment: ins[0],
+                        actorId: req.user.id,
+                        source: "admin_override",
+                        grantedBy: req.user.id,
+                        bypassedCapacity: overCapacity,
+                        bypassedPrereqs: unmet.length > 0,
+                        reason,
+                    });
+                    results.push({ studentId: sid, ok:true, override: { capacity: overCapacity, prereqs: unmet.length > 0 } });
+                } else {
+                    results.push({ studentId: sid, ok:true });
+                }
+                seatsLeft = Math.max(0, seatsLeft - 1);
             }
-    
-            // insert
-            await pool.query(
-            `INSERT INTO enrollments (student_id, course_id) VALUES ($1,$2)`,
-            [sid, courseId]
-            );
-            seatsLeft -= 1;
-            results.push({ studentId: sid, ok:true });
+
+            const failed = results.some(r => !r.ok);
+            if (mode === "all_or_nothing" && failed) {
+                await client.query("ROLLBACK");
+                const seatsNow = Math.max(0, locked.enrollment_limit - locked.enrolled);
+                return res.status(409).json({ mode, committed: false, results, seatsLeft: seatsNow });
+            }
+
+            await client.query("COMMIT");
+            return res.status(200).json({ mode, committed: true, results, seatsLeft });
+        } catch (e) {
+            await client.query("ROLLBACK");
+            throw e;
+        } finally {
+            client.release();
         }
-    
-        return res.status(200).json({ results, seatsLeft });
     } catch (e) {
         console.error(e);
         return res.status(500).json({ error: "Server error" });
     }
 });
 
+// Roster import (course instructors / Admin): CSV or JSON array keyed on
+// course code + studentId (S1001) or email; ?dryRun=true reports without writing
+router.post(
+    "/import",
+    requireAuth,
+    requireRole("TEACHER", "ADMIN"),
+    express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+    async (req, res) => {
+        const opts = parseImportOptions(req.query);
+        if (opts.error) return res.status(400).json({ error: opts.error });
+        const parsed = readImportRows(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        try {
+            const { status, body } = await runImport(
+                pool,
+                { rows: parsed.rows, ...opts },
+                rosterImporter({ user: req.user, defaults: { course: req.query.course, term: req.query.term } })
+            );
+            return res.status(status).json(body);
+        } catch (e) {
+            console.error(e);
+            return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
 export default router;
@@ -0,0 +1,484 @@
+/**
+ * @openapi
+ * /gradebook/course/{courseId}:
+ *   get:
+ *     summary: Gradebook for a course offering with each student's running grade (course staff / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path,  name: courseId, required: true, schema: { type: integer } }
+ *       - { in: query, name: term, schema: { $ref: '#/components/schemas/TermRef' }, description: Term id or code (default active term) }
+ *     responses:
+ *       200: { description: OK }
+ *       403: { description: Not your course }
+ */
+
+/**
+ * @openapi
+ * /gradebook/course/{courseId}/categories:
+ *   post:
+ *     summary: Add a weighted grading category (weights per offering may total at most 100)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: courseId, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CategoryCreate' }
+ *     responses:
+ *       201: { description: Created }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *
+ * /gradebook/categories/{id}:
+ *   put:
+ *     summary: Rename a grading category or change its weight
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CategoryUpdate' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       404: { description: Category not found }
+ */
+
+/**
+ * @openapi
+ * /gradebook/assignments:
+ *   post:
+ *     summary: Add an assignment to a grading category
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AssignmentCreate' }
+ *     responses:
+ *       201: { description: Created }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *
+ * /gradebook/assignments/{id}:
+ *   put:
+ *     summary: Change an assignment; fields left out are kept
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/AssignmentUpdate' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       404: { description: Assignment not found }
+ */
+
+/**
+ * @openapi
+ * /gradebook/assignments/{id}/scores:
+ *   put:
+ *     summary: Record scores for an assignment (points null clears a score)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ScoresPut' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ */
+
+/**
+ * @openapi
+ * /gradebook/course/{courseId}/finalize:
+ *   post:
+ *     summary: Write each student's computed letter into grades (as drafts)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: courseId, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/GradebookFinalize' }
+ *     responses:
+ *       200: { description: Per-student results }
+ *       409: { description: Category weights do not total 100 }
+ */
+
+
+import express from "express";
+import { pool } from "../../server.js";
+import { requireAuth, requireCoursePermission, courseOf } from "../middleware/auth.js";
+import { resolveOffering } from "../lib/terms.js";
+import { recordGrade } from "../lib/grades.js";
+import { getCutoffs, loadGradebook, studentBreakdown } from "../lib/gradebook.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+import { validationError } from "../lib/errors.js";
+
+const router = express.Router();
+validateIdParams(router, "courseId", "id");
+
+// Category / assignment lookups carry the course so permissions can be checked
+async function findCategory(id) {
+    const { rows } = await pool.query(
+        `SELECT gc.id, gc.offering_id, gc.name, gc.weight, o.course_id
+        FROM grading_categories gc
+        JOIN course_offerings o ON o.id = gc.offering_id
+        WHERE gc.id=$1`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+async function findAssignment(id) {
+    const { rows } = await pool.query(
+        `SELECT a.*, o.course_id
+        FROM assignments a
+        JOIN course_offerings o ON o.id = a.offering_id
+        WHERE a.id=$1`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// Permission on the course of the category (req.category) or assignment (req.assignment) in :id
+const categoryPermission = (permission, idOf = req => req.params.id) =>
+    requireCoursePermission(permission, courseOf("category", req => findCategory(Number(idOf(req)))), "Category not found");
+const assignmentPermission = (permission) =>
+    requireCoursePermission(permission, courseOf("assignment", req => findAssignment(Number(req.params.id))), "Assignment not found");
+
+// Sum of the offering's category weights if `weight` replaced category `exceptId`
+async function weightTotalWith(offeringId, weight, exceptId = null) {
+    const { rows } = await pool.query(
+        `SELECT COALESCE(SUM(weight), 0) AS total
+        FROM grading_categories
+        WHERE offering_id=$1 AND ($2::int IS NULL OR id <> $2)`,
+        [offeringId, exceptId]
+    );
+    return Number(rows[0].total) + Number(weight);
+}
+
+// 400 when the offering's category weights would go past 100%
+const overweight = (total) => validationError([
+    { path: "body.weight", code: "out_of_range", message: `Category weights would total ${total}%` },
+]);
+
+// GET /gradebook/course/:courseId  Course staff / Admin
+router.get("/course/:courseId", requireAuth, requireCoursePermission("grades:read"), validate({ query: { term: "TermRef" } }), async (req, res) => {
+    const courseId = Number(req.params.courseId);
+    try {
+        const found = await resolveOffering(pool, courseId, req.query.term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+        const { offering } = found;
+
+        const gradebook = await loadGradebook(pool, offering.id);
+        const cutoffs = await getCutoffs(pool);
+        const { rows: students } = await pool.query(
+            `SELECT u.id, u.name, u.email, u.student_id AS "studentId",
+                    lg.value AS "finalGrade", lg.status AS "finalGradeStatus"
+            FROM enrollments e
+            JOIN users u ON u.id = e.student_id
+            LEFT JOIN LATERAL (
+                SELECT g.value::text AS value, g.status::text AS status
+                FROM grades g
+                WHERE g.student_id = u.id AND g.offering_id = e.offering_id
+                ORDER BY g.assigned_at DESC
+                LIMIT 1
+            ) lg ON TRUE
+            WHERE e.offering_id = $1
+            ORDER BY u.name ASC`,
+            [offering.id]
+        );
+
+        return res.json({
+            courseId,
+            offeringId: offering.id,
+            term: offering.term_code,
+            cutoffs,
+            categories: gradebook.categories,
+            assignments: gradebook.assignments,
+            students: students.map(s => {
+                const b = studentBreakdown(gradebook, s.id, cutoffs);
+                return { ...s, percent: b.percent, letter: b.letter, categories: b.categories };
+            }),
+        });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// POST /gradebook/course/:courseId/categories  { name, weight, term? }
+router.post("/course/:courseId/categories", requireAuth, requireCoursePermission("gradebook:write"), validate({ body: "CategoryCreate" }), async (req, res) => {
+    const courseId = Number(req.params.courseId);
+    const { name, weight, term } = req.body;
+
+    try {
+        const found = await resolveOffering(pool, courseId, term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+
+        const total = await weightTotalWith(found.offering.id, weight);
+        if (total > 100) return res.status(400).json(overweight(total));
+
+        const { rows } = await pool.query(
+            `INSERT INTO grading_categories (offering_id, name, weight)
+            VALUES ($1, $2, $3)
+            RETURNING *`,
+            [found.offering.id, name.trim(), weight]
+        );
+        return res.status(201).json(rows[0]);
+    } catch (e) {
+        if (e.code === "23505") return res.status(409).json({ error: "Category name already used in this course" });
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// PUT /gradebook/categories/:id  { name?, weight? }
+router.put("/categories/:id", requireAuth, categoryPermission("gradebook:write"), validate({ body: "CategoryUpdate" }), async (req, res) => {
+    const { name, weight } = req.body;
+    const { category } = req;
+
+    try {
+        if (weight !== undefined) {
+            const total = await weightTotalWith(category.offering_id, weight, category.id);
+            if (total > 100) return res.status(400).json(overweight(total));
+        }
+
+        const { rows } = await pool.query(
+            `UPDATE grading_categories
+            SET name = COALESCE($2, name), weight = COALESCE($3, weight)
+            WHERE id=$1
+            RETURNING *`,
+            [category.id, name !== undefined ? name.trim() : null, weight ?? null]
+        );
+        return res.json(rows[0]);
+    } catch (e) {
+        if (e.code === "23505") return res.status(409).json({ error: "Category name already used in this course" });
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// DELETE /gradebook/categories/:id  (removes its assignments and scores)
+router.delete("/categories/:id", requireAuth, categoryPermission("gradebook:write"), async (req, res) => {
+    const { category } = req;
+    try {
+        await pool.query("DELETE FROM grading_categories WHERE id=$1", [category.id]);
+        return res.json({ message: "Category deleted", id: category.id });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// POST /gradebook/assignments  { categoryId, title, maxPoints, dueAt? }
+router.post("/assignments", requireAuth, validate({ body: "AssignmentCreate" }), categoryPermission("gradebook:write", req => req.body.categoryId), async (req, res) => {
+    const { title, maxPoints, dueAt } = req.body;
+    const { category } = req;
+
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO assignments (offering_id, category_id, title, max_points, due_at)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *`,
+            [category.offering_id, category.id, title.trim(), maxPoints, dueAt || null]
+        );
+        return res.status(201).json(rows[0]);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// PUT /gradebook/assignments/:id  { title?, maxPoints?, dueAt?, categoryId? }
+router.put("/assignments/:id", requireAuth, assignmentPermission("gradebook:write"), validate({ body: "AssignmentUpdate" }), async (req, res) => {
+    const { title, maxPoints, dueAt, categoryId } = req.body;
+    const { assignment } = req;
+
+    try {
+        if (categoryId !== undefined) {
+            const category = await findCategory(categoryId);
+            if (!category || category.offering_id !== assignment.offering_id) {
+                return res.status(400).json(validationError(["categoryId must be a category of the same course offering"]));
+            }
+        }
+
+        const { rows } = await pool.query(
+            `UPDATE assignments
+            SET title = COALESCE($2, title),
+                max_points = COALESCE($3, max_points),
+                due_at = CASE WHEN $4::boolean THEN $5::timestamp ELSE due_at END,
+                category_id = COALESCE($6, category_id)
+            WHERE id=$1
+            RETURNING *`,
+            [
+                assignment.id,
+                title !== undefined ? title.trim() : null,
+                maxPoints ?? null,
+                dueAt !== undefined,
+                dueAt || null,
+                categoryId ?? null,
+            ]
+        );
+        return res.json(rows[0]);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// DELETE /gradebook/assignments/:id
+router.delete("/assignments/:id", requireAuth, assignmentPermission("gradebook:write"), async (req, res) => {
+    const { assignment } = req;
+    try {
+        await pool.query("DELETE FROM assignments WHERE id=$1", [assignment.id]);
+        return res.json({ message: "Assignment deleted", id: assignment.id });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// PUT /gradebook/assignments/:id/scores  { scores: [{ studentId, points }] }
+// Points above maxPoints are allowed (extra credit); null removes the score.
+router.put("/assignments/:id/scores", requireAuth, assignmentPermission("grades:write"), validate({ body: "ScoresPut" }), async (req, res) => {
+    const { scores } = req.body;
+    const { assignment } = req;
+
+    try {
+        const studentIds = [...new Set(scores.map(s => s.studentId))];
+        const { rows: enrolled } = await pool.query(
+            `SELECT student_id FROM enrollments WHERE offering_id=$1 AND student_id = ANY($2::int[])`,
+            [assignment.offering_id, studentIds]
+        );
+        const enrolledIds = new Set(enrolled.map(r => r.student_id));
+        const missing = studentIds.filter(id => !enrolledIds.has(id));
+        if (missing.length) {
+            return res.status(400).json(validationError([
+                { path: "body.scores", code: "invalid_value", message: `Not enrolled in this course offering: ${missing.join(", ")}` },
+            ]));
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+            for (const s of scores) {
+                if (s.points == null) {
+                    await client.query(
+                        "DELETE FROM assignment_scores WHERE assignment_id=$1 AND student_id=$2",
+                        [assignment.id, s.studentId]
+                    );
+                    continue;
+                }
+                await client.query(
+                    `INSERT INTO assignment_scores (assignment_id, student_id, points, graded_by)
+                    VALUES ($1, $2, $3, $4)
+                    ON CONFLICT (assignment_id, student_id)
+                    DO UPDATE SET points = EXCLUDED.points, graded_by = EXCLUDED.graded_by, updated_at = NOW()`,
+                    [assignment.id, s.studentId, s.points, req.user.id]
+                );
+            }
+            await client.query("COMMIT");
+        } catch (e) {
+            await client.query("ROLLBACK");
+            throw e;
+        } finally {
+            client.release();
+        }
+
+        const { rows } = await pool.query(
+            `SELECT student_id, points, graded_by, updated_at
+            FROM assignment_scores WHERE assignment_id=$1 ORDER BY student_id`,
+            [assignment.id]
+        );
+        return res.json({ assignmentId: assignment.id, scores: rows });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// POST /gradebook/course/:courseId/finalize  { term?, studentIds?, reason? }
+// Saves the computed letter as a DRAFT grade for every (or the listed) enrolled
+// student, ready to submit for approval. Students with nothing scored are
+// skipped, unchanged letters are not re-recorded and locked grades are reported.
+router.post("/course/:courseId/finalize", requireAuth, requireCoursePermission("grades:submit"), validate({ body: "GradebookFinalize" }), async (req, res) => {
+    const courseId = Number(req.params.courseId);
+    const { term, studentIds, reason } = req.body;
+
+    try {
+        const found = await resolveOffering(pool, courseId, term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+        const { offering } = found;
+
+        const gradebook = await loadGradebook(pool, offering.id);
+        const weightTotal = gradebook.categories.reduce((a, c) => a + Number(c.weight), 0);
+        if (Math.abs(weightTotal - 100) > 0.001) {
+            return res.status(409).json({ error: `Category weights must total 100 before finalizing (currently ${weightTotal})` });
+        }
+        const cutoffs = await getCutoffs(pool);
+
+        const { rows: enrolled } = await pool.query(
+            `SELECT student_id FROM enrollments
+            WHERE offering_id=$1 AND ($2::int[] IS NULL OR student_id = ANY($2::int[]))
+            ORDER BY student_id`,
+            [offering.id, studentIds || null]
+        );
+
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+            const results = [];
+            for (const { student_id: sid } of enrolled) {
+                const { percent, letter } = studentBreakdown(gradebook, sid, cutoffs);
+                if (!letter) { results.push({ studentId: sid, ok: false, reason: "no_scores" }); continue; }
+
+                const { rows: latest } = await client.query(
+                    `SELECT value::text AS value, status::text AS status FROM grades
+                    WHERE student_id=$1 AND offering_id=$2
+                    ORDER BY assigned_at DESC LIMIT 1`,
+                    [sid, offering.id]
+                );
+                if (latest[0]?.value === letter) {
+                    results.push({ studentId: sid, ok: true, percent, grade: letter, status: latest[0].status, unchanged: true });
+                    continue;
+                }
+
+                const saved = await recordGrade(client, {
+                    actorId: req.user.id,
+                    studentId: sid,
+                    courseId,
+                    offeringId: offering.id,
+                    value: letter,
+                    reason: reason || `Finalized from gradebook (${percent}%)`,
+                });
+                if (saved.error) {
+                    results.push({ studentId: sid, ok: false, percent, grade: letter, reason: "locked", gradeId: saved.gradeId });
+                    continue;
+                }
+                results.push({ studentId: sid, ok: true, percent, grade: letter, status: saved.grade.status, gradeId: saved.grade.id });
+            }
+            await client.query("COMMIT");
+            return res.json({ courseId, term: offering.term_code, results });
+        } catch (e) {
+            await client.query("ROLLBACK");
+            throw e;
+        } finally {
+            client.release();
+        }
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+export default router;
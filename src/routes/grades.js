@@ -2,106 +2,304 @@
  * @openapi
  * /grades:
  *   post:
- *     summary: Record a grade
+ *     summary: Save a draft grade (submit it, then an admin approves it)
  *     security: [ { bearerAuth: [] } ]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
- *           schema:
- *             type: object
- *             required: [studentId, courseId, value]
- *             properties:
- *               studentId: { type: integer, example: 10 }
- *               courseId:  { type: integer, example: 1 }
- *               value:     { type: string, example: A }
+ *           schema: { $ref: '#/components/schemas/GradeCreate' }
  *     responses:
- *       201: { description: Created }
+ *       201: { description: Saved as DRAFT }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
  *       401: { description: Unauthorized }
+ *       409: { description: Grade is locked (use a grade-change request), or the student is not enrolled (code not_enrolled) }
  */
 
 /**
  * @openapi
  * /grades/me/gpa:
  *   get:
- *     summary: Get my GPA
+ *     summary: Get my cumulative and per-term GPA (credit-weighted, active scale)
  *     security: [ { bearerAuth: [] } ]
  *     responses:
  *       200: { description: OK }
  *       401: { description: Unauthorized }
  */
 
+/**
+ * @openapi
+ * /grades/me/transcript:
+ *   get:
+ *     summary: My official transcript as JSON, CSV or PDF
+ *     description: PDFs carry a verification code checkable at /transcripts/verify/{code}.
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv, pdf] }
+ *         description: Overrides the Accept header
+ *     responses:
+ *       200: { description: OK }
+ *       401: { description: Unauthorized }
+ */
+
+/**
+ * @openapi
+ * /grades/me/course/{courseId}/breakdown:
+ *   get:
+ *     summary: My running grade in a course, by category and assignment
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path,  name: courseId, required: true, schema: { type: integer } }
+ *       - { in: query, name: term, schema: { $ref: '#/components/schemas/TermRef' } }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Not enrolled }
+ */
+
+/**
+ * @openapi
+ * /grades/cutoffs:
+ *   get:
+ *     summary: Minimum percentage for each letter grade
+ *     security: [ { bearerAuth: [] } ]
+ *     responses:
+ *       200: { description: OK }
+ *   put:
+ *     summary: Replace the cutoff table (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CutoffsReplace' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ */
+
+/**
+ * @openapi
+ * /grades/scales/active:
+ *   put:
+ *     summary: Choose the grading scale used for every GPA (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ScaleSelect' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ */
+
+
+/**
+ * @openapi
+ * /grades/{id}/submit:
+ *   post:
+ *     summary: Submit a draft grade for approval (course instructors / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: SUBMITTED }
+ *       409: { description: Grade is not a draft }
+ */
+
+/**
+ * @openapi
+ * /grades/{id}/approve:
+ *   post:
+ *     summary: Approve a submitted grade; it becomes official (admin). Also /lock
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: APPROVED }
+ *       409: { description: Grade is not submitted }
+ *
+ * /grades/{id}/reject:
+ *   post:
+ *     summary: Send a submitted grade back to DRAFT (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/GradeReject' }
+ *     responses:
+ *       200: { description: DRAFT }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: Grade is not submitted }
+ */
+
+/**
+ * @openapi
+ * /grades/course/{courseId}/submit:
+ *   post:
+ *     summary: Submit every draft grade in a course offering. Admins also have /approve and /lock
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: courseId, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/CourseGradeAction' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ */
+
+/**
+ * @openapi
+ * /grades/course/{courseId}:
+ *   get:
+ *     summary: Every grade in a course with its status (course staff or admin), paginated
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: courseId, required: true, schema: { type: integer } }
+ *       - { in: query, name: status, schema: { type: string, enum: [DRAFT, SUBMITTED, APPROVED, LOCKED] } }
+ *       - { in: query, name: studentId, schema: { type: integer } }
+ *       - { in: query, name: term, schema: { $ref: '#/components/schemas/TermRef' } }
+ *       - { in: query, name: assignedAfter, schema: { type: string, format: date-time } }
+ *       - { in: query, name: assignedBefore, schema: { type: string, format: date-time } }
+ *       - { in: query, name: sort, schema: { type: string, default: -assignedAt, enum: [assignedAt, -assignedAt, studentName, -studentName, grade, -grade, id, -id] } }
+ *       - { in: query, name: limit, schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor, schema: { $ref: '#/components/schemas/Cursor' } }
+ *     responses:
+ *       200: { description: "{ data, total, limit, sort, next, nextCursor }" }
+ *       403: { description: Not your course }
+ */
+
+/**
+ * @openapi
+ * /grades/change-requests:
+ *   get:
+ *     summary: Grade-change requests (admin all, teachers the courses they teach)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: query, name: status, schema: { type: string, enum: [PENDING, APPROVED, REJECTED] } }
+ *       - { in: query, name: courseId, schema: { type: integer } }
+ *       - { in: query, name: studentId, schema: { type: integer } }
+ *       - { in: query, name: sort, schema: { type: string, enum: [createdAt, -createdAt, id, -id] } }
+ *       - { in: query, name: limit, schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor, schema: { $ref: '#/components/schemas/Cursor' } }
+ *     responses:
+ *       200: { description: OK }
+ *   post:
+ *     summary: Request a change to a locked grade
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/GradeChangeRequest' }
+ *     responses:
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       201: { description: Created }
+ *       409: { description: Grade is not locked or a request is already pending }
+ */
+
+/**
+ * @openapi
+ * /grades/change-requests/{id}/approve:
+ *   post:
+ *     summary: Approve a grade-change request; records the new value as a locked grade (admin). Also /reject
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ChangeRequestReview' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: Already reviewed }
+ */
+
 
 import express from "express";
 import { pool } from "../../server.js";
-import { requireAuth, requireRole } from "../middleware/auth.js";
+import { requireAuth, requireRole, requireCoursePermission, courseOf } from "../middleware/auth.js";
+import { resolveOffering } from "../lib/terms.js";
+import { GRADING_SCALES, GPA_METHOD, getActiveScale, setActiveScale, studentGpa } from "../lib/gpa.js";
+import { buildTranscript, sendTranscript } from "../lib/transcript.js";
+import {
+    GRADE_STATUSES, GRADE_TRANSITIONS, recordGrade, transitionGrades, checkGradeTarget, gradeRecorded,
+} from "../lib/grades.js";
+import { recordAudit } from "../lib/audit.js";
+import { getCutoffs, setCutoffs, validateCutoffs, loadGradebook, studentBreakdown } from "../lib/gradebook.js";
+import { parseListQuery, listQuerySchema, runListQuery, listEnvelope } from "../lib/listQuery.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+import { validationError } from "../lib/errors.js";
+import { staffCondition } from "../lib/courseStaff.js";
 
 const router = express.Router();
+validateIdParams(router, "id", "courseId", "studentId");
 
-const ALLOWED_GRADES = [
-    "A_PLUS","A","A_MINUS",
-    "B_PLUS","B","B_MINUS",
-    "C_PLUS","C","C_MINUS",
-    "D","F"
-];
-
-const GRADE_POINTS = {
-    A_PLUS: 4.3, A: 4.0, A_MINUS: 3.7,
-    B_PLUS: 3.3, B: 3.0, B_MINUS: 2.7,
-    C_PLUS: 2.3, C: 2.0, C_MINUS: 1.7,
-    D: 1.0, F: 0.0
-};
-
-// Points mapping for grade_letter enum
-
-const GRADE_POINTS_SQL = `
-    CASE g.value
-        WHEN 'A_PLUS'  THEN 4.3
-        WHEN 'A'       THEN 4.0
-        WHEN 'A_MINUS' THEN 3.7
-        WHEN 'B_PLUS'  THEN 3.3
-        WHEN 'B'       THEN 3.0
-        WHEN 'B_MINUS' THEN 2.7
-        WHEN 'C_PLUS'  THEN 2.3
-        WHEN 'C'       THEN 2.0
-        WHEN 'C_MINUS' THEN 1.7
-        WHEN 'D'       THEN 1.0
-        WHEN 'F'       THEN 0.0
-    END
-`;
+// A grade with its course, and whether a newer grade for the same offering replaced it
+async function findGrade(id) {
+    const { rows } = await pool.query(
+        `SELECT g.id, g.course_id, g.value::text AS value, g.status::text AS status,
+            EXISTS (
+                SELECT 1 FROM grades n
+                WHERE n.student_id = g.student_id AND n.offering_id = g.offering_id
+                    AND n.assigned_at > g.assigned_at
+            ) AS superseded
+        FROM grades g WHERE g.id=$1`,
+        [id]
+    );
+    return rows[0] || null;
+}
 
 router.post(
     "/",
     requireAuth,
-    requireRole("TEACHER", "ADMIN"),
+    validate({ body: "GradeCreate" }),
+    requireCoursePermission("grades:write", req => req.body.courseId),
     async (req, res) => {
-        const { studentId, courseId, value } = req.body;
-        if (!studentId || !courseId || !value) {
-        return res.status(400).json({ error: "studentId, courseId, value required" });
-        }
-        if (!ALLOWED_GRADES.includes(value)) {
-        return res.status(400).json({ error: "Invalid grade value" });
-        }
+        const { studentId, courseId, value, term, reason } = req.body;
 
     try {
-        if (req.user.role === "TEACHER") {
-            const { rows: owner } = await pool.query(
-            "SELECT teacher_id FROM courses WHERE id=$1",
-            [courseId]
-            );
-            if (!owner[0]) return res.status(404).json({ error: "Course not found" });
-            if (owner[0].teacher_id !== req.user.id) {
-            return res.status(403).json({ error: "Not your course" });
-            }
+        // Grades attach to the course offering of the given (or active) term
+        const found = await resolveOffering(pool, courseId, term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+
+        const target = await checkGradeTarget(pool, studentId, found.offering.id);
+        if (target) {
+            const details = [{ path: "body.studentId", code: target.code, message: target.error }];
+            return res.status(target.status).json({ error: target.error, code: target.code, details });
         }
 
-        const { rows } = await pool.query(
-            `INSERT INTO grades (student_id, course_id, value)
-            VALUES ($1,$2,$3::grade_letter)
-            RETURNING *`,
-            [studentId, courseId, value]
-        );
-        return res.status(201).json(rows[0]);
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+            const saved = await recordGrade(client, {
+                actorId: req.user.id,
+                studentId,
+                courseId,
+                offeringId: found.offering.id,
+                value,
+                reason,
+            });
+            if (saved.error) {
+                await client.query("ROLLBACK");
+                return res.status(saved.status).json({ error: saved.error, gradeId: saved.gradeId });
+            }
+            await client.query("COMMIT");
+            return res.status(201).json(saved.grade);
+        } catch (e) {
+            await client.query("ROLLBACK");
+            throw e;
+        } finally {
+            client.release();
+        }
     } catch (e) {
         console.error(e);
         return res.status(500).json({ error: "Server error" });
@@ -109,21 +307,27 @@ router.post(
     }
 );
 
-// GET /grades/me Student: full grade history (all courses, newest first)
+// GET /grades/me Student: approved grade history (all courses, newest first), ?term=<id|code> to filter
 
 router.get(
     "/me",
     requireAuth,
     requireRole("STUDENT"),
+    validate({ query: { term: "TermRef" } }),
     async (req, res) => {
         try {
+        const term = req.query.term ? String(req.query.term) : null;
         const { rows } = await pool.query(
-            `SELECT g.id, g.course_id, c.code, c.name, g.value::text AS grade, g.assigned_at
-            FROM grades g
+            `SELECT g.id, g.course_id, c.code, c.name, t.code AS term_code,
+                    g.value::text AS grade, g.status::text AS status, g.assigned_at
+            FROM official_grades g
             JOIN courses c ON c.id = g.course_id
+            JOIN course_offerings o ON o.id = g.offering_id
+            JOIN terms t ON t.id = o.term_id
             WHERE g.student_id = $1
+                AND ($2::text IS NULL OR t.code = $2 OR t.id::text = $2)
             ORDER BY g.assigned_at DESC`,
-            [req.user.id]
+            [req.user.id, term]
         );
         return res.json(rows);
         } catch (e) {
@@ -133,7 +337,7 @@ router.get(
     }
 );
 
-// GET /grades/me/current Student: latest (current) grade per course
+// GET /grades/me/current Student: latest approved grade per course
 
 router.get(
     "/me/current",
@@ -144,7 +348,7 @@ router.get(
         const { rows } = await pool.query(
             `SELECT DISTINCT ON (g.course_id)
                     g.course_id, c.code, c.name, g.value::text AS grade, g.assigned_at
-            FROM grades g
+            FROM official_grades g
             JOIN courses c ON c.id = g.course_id
             WHERE g.student_id = $1
             ORDER BY g.course_id, g.assigned_at DESC`,
@@ -158,7 +362,7 @@ router.get(
     }
 );
 
-// GET /grades/me/gpa Student: GPA computed from latest grade per course
+// GET /grades/me/gpa Student: cumulative + per-term GPA from the shared GPA engine
 
 router.get(
     "/me/gpa",
@@ -166,23 +370,77 @@ router.get(
     requireRole("STUDENT"),
     async (req, res) => {
         try {
-        const { rows } = await pool.query(
-            `WITH latest AS (
-            SELECT DISTINCT ON (g.course_id)
-                    g.course_id, g.value::text AS grade
-                FROM grades g
-                WHERE g.student_id = $1
-                ORDER BY g.course_id, g.assigned_at DESC
-            )
-            SELECT grade FROM latest`,
-            [req.user.id]
+        const summary = await studentGpa(pool, req.user.id);
+        return res.json({
+            gpa: summary.cumulative.gpa,
+            courses: summary.cumulative.courses,
+            credits: summary.cumulative.credits,
+            scale: summary.scale,
+            method: summary.method,
+            terms: summary.terms,
+        });
+        } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// GET /grades/me/transcript Student: official transcript (?format=json|csv|pdf or Accept header)
+
+router.get(
+    "/me/transcript",
+    requireAuth,
+    requireRole("STUDENT"),
+    async (req, res) => {
+        try {
+        const transcript = await buildTranscript(pool, req.user.id);
+        if (!transcript) return res.status(404).json({ error: "Student not found" });
+        return await sendTranscript(req, res, pool, transcript);
+        } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// GET /grades/me/course/:courseId/breakdown Student: how my running grade is composed (?term=)
+
+router.get(
+    "/me/course/:courseId/breakdown",
+    requireAuth,
+    requireRole("STUDENT"),
+    validate({ query: { term: "TermRef" } }),
+    async (req, res) => {
+        const courseId = Number(req.params.courseId);
+        try {
+        const found = await resolveOffering(pool, courseId, req.query.term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+        const { offering } = found;
+
+        const { rows: enrolled } = await pool.query(
+            `SELECT 1 FROM enrollments WHERE student_id=$1 AND offering_id=$2`,
+            [req.user.id, offering.id]
         );
+        if (!enrolled[0]) return res.status(404).json({ error: "Not enrolled in this course" });
 
-        if (rows.length === 0) return res.json({ gpa: null, courses: 0 });
+        const gradebook = await loadGradebook(pool, offering.id);
+        const cutoffs = await getCutoffs(pool);
+        const breakdown = studentBreakdown(gradebook, req.user.id, cutoffs);
+        const { rows: final } = await pool.query(
+            `SELECT value::text AS grade, assigned_at FROM official_grades
+            WHERE student_id=$1 AND offering_id=$2
+            ORDER BY assigned_at DESC LIMIT 1`,
+            [req.user.id, offering.id]
+        );
 
-        const vals = rows.map(r => GRADE_POINTS[r.grade] ?? 0);
-        const gpa = vals.reduce((a, b) => a + b, 0) / vals.length;
-        return res.json({ gpa: Number(gpa.toFixed(2)), courses: rows.length });
+        return res.json({
+            courseId,
+            term: offering.term_code,
+            ...breakdown,
+            finalGrade: final[0]?.grade || null,
+            cutoffs,
+        });
         } catch (e) {
         console.error(e);
         return res.status(500).json({ error: "Server error" });
@@ -190,36 +448,449 @@ router.get(
     }
 );
 
-// GET /grades/course/:courseId Teacher/Admin: view grade history for a course - Teachers restricted to their own course
+// GET /grades/student/:studentId/gpa Teacher/Admin: a student's GPA - Teachers only for students in their courses
 
 router.get(
-    "/course/:courseId",
+    "/student/:studentId/gpa",
     requireAuth,
     requireRole("TEACHER", "ADMIN"),
     async (req, res) => {
-        const courseId = Number(req.params.courseId);
+        const studentId = Number(req.params.studentId);
         try {
+        const { rows: student } = await pool.query(
+            "SELECT id FROM users WHERE id=$1 AND role='STUDENT'",
+            [studentId]
+        );
+        if (!student[0]) return res.status(404).json({ error: "Student not found" });
+
         if (req.user.role === "TEACHER") {
-            const { rows: owner } = await pool.query(
-            "SELECT teacher_id FROM courses WHERE id=$1",
-            [courseId]
+            const { rows: teaching } = await pool.query(
+            `SELECT 1
+            FROM enrollments e
+            JOIN courses c ON c.id = e.course_id
+            WHERE e.student_id = $1 AND ${staffCondition("c", "$2")}
+            LIMIT 1`,
+            [studentId, req.user.id]
             );
-            if (!owner[0]) return res.status(404).json({ error: "Course not found" });
-            if (owner[0].teacher_id !== req.user.id) {
-            return res.status(403).json({ error: "Not your course" });
+            if (!teaching[0]) {
+            return res.status(403).json({ error: "Not authorized to view this student" });
             }
         }
 
+        const summary = await studentGpa(pool, studentId);
+        return res.json({
+            studentId,
+            gpa: summary.cumulative.gpa,
+            courses: summary.cumulative.courses,
+            credits: summary.cumulative.credits,
+            scale: summary.scale,
+            method: summary.method,
+            terms: summary.terms,
+        });
+        } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// GET /grades/scales: available grading scales and the one in use
+
+router.get(
+    "/scales",
+    requireAuth,
+    async (_req, res) => {
+        try {
+        const active = await getActiveScale(pool);
+        return res.json({ active, method: GPA_METHOD, scales: GRADING_SCALES });
+        } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// PUT /grades/scales/active Admin: choose the grading scale used for every GPA
+
+router.put(
+    "/scales/active",
+    requireAuth,
+    requireRole("ADMIN"),
+    validate({ body: "ScaleSelect" }),
+    async (req, res) => {
+        const { scale } = req.body;
+        try {
+        await setActiveScale(pool, scale);
+        return res.json({ active: scale, method: GPA_METHOD });
+        } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// GET /grades/cutoffs: percentage needed for each letter (used by gradebooks)
+
+router.get(
+    "/cutoffs",
+    requireAuth,
+    async (_req, res) => {
+        try {
+        return res.json({ cutoffs: await getCutoffs(pool) });
+        } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// PUT /grades/cutoffs Admin: replace the cutoff table
+
+router.put(
+    "/cutoffs",
+    requireAuth,
+    requireRole("ADMIN"),
+    validate({ body: "CutoffsReplace" }),
+    async (req, res) => {
+        const { cutoffs } = req.body;
+        const errors = validateCutoffs(cutoffs);
+        if (errors.length) return res.status(400).json(validationError(errors));
+
+        const client = await pool.connect();
+        try {
+        await client.query("BEGIN");
+        await setCutoffs(client, cutoffs);
+        await client.query("COMMIT");
+        return res.json({ cutoffs: await getCutoffs(pool) });
+        } catch (e) {
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        } finally {
+        client.release();
+        }
+    }
+);
+
+// GET /grades/course/:courseId Teacher/Admin: grade history for a course with each grade's status, paginated
+// Filters: status, studentId, term, assignedAfter, assignedBefore - course staff (grades:read) and admins
+const COURSE_GRADE_LIST = {
+    id: "g.id",
+    sorts: { assignedAt: "g.assigned_at", studentName: "u.name", grade: "g.value", id: "g.id" },
+    defaultSort: "-assignedAt",
+    filters: {
+        status: { type: "enum", column: "g.status::text", values: GRADE_STATUSES },
+        studentId: { type: "int", column: "g.student_id" },
+        term: { type: "text", where: "(t.code = ? OR t.id::text = ?)" },
+        assignedAfter: { type: "date", column: "g.assigned_at", op: ">=" },
+        assignedBefore: { type: "date", column: "g.assigned_at", op: "<=" },
+    },
+};
+
+router.get(
+    "/course/:courseId",
+    requireAuth,
+    requireCoursePermission("grades:read"),
+    validate({ query: listQuerySchema(COURSE_GRADE_LIST) }),
+    async (req, res) => {
+        const courseId = Number(req.params.courseId);
+        const page = parseListQuery(req.query, COURSE_GRADE_LIST);
+        if (page.error) return res.status(400).json({ error: page.error });
+
+        try {
+        const result = await runListQuery(pool, {
+            select: `g.id, g.student_id, u.name AS student_name, u.email,
+                    t.code AS term_code, g.value::text AS grade, g.status::text AS status,
+                    g.assigned_at, g.submitted_at, g.approved_at, g.approved_by, g.locked_at`,
+            from: `grades g
+            JOIN users u ON u.id = g.student_id
+            JOIN course_offerings o ON o.id = g.offering_id
+            JOIN terms t ON t.id = o.term_id`,
+            where: [["g.course_id = ?", courseId]],
+        }, page);
+        return res.json(listEnvelope(req, result, page));
+        } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// POST /grades/:id/{submit|approve|reject|lock}: move one grade through the workflow
+// Course instructors submit drafts (grades:submit); admins approve, reject (back to DRAFT, reason required) and lock.
+
+function gradeAction(action) {
+    return async (req, res) => {
+        const gradeId = Number(req.params.id);
+        const reason = req.body?.reason;
+
+        const client = await pool.connect();
+        try {
+        await client.query("BEGIN");
+        const { updated, skipped } = await transitionGrades(client, [gradeId], action, { actorId: req.user.id, reason });
+        if (skipped.length) {
+            await client.query("ROLLBACK");
+            return res.status(409).json({ error: `Cannot ${action} a ${skipped[0].status} grade` });
+        }
+        await client.query("COMMIT");
+        return res.json(updated[0]);
+        } catch (e) {
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        } finally {
+        client.release();
+        }
+    };
+}
+
+const gradePermission = requireCoursePermission("grades:submit", courseOf("grade", req => findGrade(Number(req.params.id))), "Grade not found");
+
+router.post("/:id/submit", requireAuth, requireRole("TEACHER", "ADMIN"), gradePermission, gradeAction("submit"));
+router.post("/:id/approve", requireAuth, requireRole("ADMIN"), gradePermission, gradeAction("approve"));
+router.post("/:id/reject", requireAuth, requireRole("ADMIN"), gradePermission, validate({ body: "GradeReject" }), gradeAction("reject"));
+router.post("/:id/lock", requireAuth, requireRole("ADMIN"), gradePermission, gradeAction("lock"));
+
+// POST /grades/course/:courseId/{submit|approve|lock} { term?, reason? }: the same step for every
+// student's current grade in a course offering that is ready for it
+
+function courseGradeAction(action) {
+    return async (req, res) => {
+        const courseId = Number(req.params.courseId);
+        const { term, reason } = req.body;
+        try {
+        const found = await resolveOffering(pool, courseId, term);
+        if (found.error) return res.status(found.status).json({ error: found.error });
+
+        const client = await pool.connect();
+        try {
+            await client.query("BEGIN");
+            const { rows: current } = await client.query(
+                `SELECT id FROM (
+                    SELECT DISTINCT ON (student_id) id, status::text AS status
+                    FROM grades
+                    WHERE offering_id = $1
+                    ORDER BY student_id, assigned_at DESC, id DESC
+                ) latest
+                WHERE status = ANY($2::text[])`,
+                [found.offering.id, GRADE_TRANSITIONS[action].from]
+            );
+            const { updated } = await transitionGrades(
+                client, current.map(r => r.id), action, { actorId: req.user.id, reason }
+            );
+            await client.query("COMMIT");
+            return res.json({ action, term: found.offering.term_code, count: updated.length, grades: updated });
+        } catch (e) {
+            await client.query("ROLLBACK");
+            throw e;
+        } finally {
+            client.release();
+        }
+        } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    };
+}
+
+router.post("/course/:courseId/submit", requireAuth, requireRole("TEACHER", "ADMIN"), requireCoursePermission("grades:submit"), validate({ body: "CourseGradeAction" }), courseGradeAction("submit"));
+router.post("/course/:courseId/approve", requireAuth, requireRole("ADMIN"), requireCoursePermission("grades:submit"), validate({ body: "CourseGradeAction" }), courseGradeAction("approve"));
+router.post("/course/:courseId/lock", requireAuth, requireRole("ADMIN"), requireCoursePermission("grades:submit"), validate({ body: "CourseGradeAction" }), courseGradeAction("lock"));
+
+// POST /grades/change-requests Course instructor / Admin: ask to change a locked grade
+
+router.post(
+    "/change-requests",
+    requireAuth,
+    requireRole("TEACHER", "ADMIN"),
+    validate({ body: "GradeChangeRequest" }),
+    requireCoursePermission("grades:submit", courseOf("grade", req => findGrade(req.body.gradeId)), "Grade not found"),
+    async (req, res) => {
+        const { value, reason } = req.body;
+        const { grade } = req;
+
+        try {
+        if (grade.status !== "LOCKED" || grade.superseded) {
+            return res.status(409).json({ error: "Only a student's current locked grade needs a change request" });
+        }
+        if (grade.value === value) {
+            return res.status(400).json({ error: "Requested value matches the current grade" });
+        }
+
         const { rows } = await pool.query(
-            `SELECT g.id, g.student_id, u.name AS student_name, u.email,
-                    g.value::text AS grade, g.assigned_at
-            FROM grades g
+            `INSERT INTO grade_change_requests (grade_id, requested_by, requested_value, reason)
+            VALUES ($1, $2, $3::grade_letter, $4)
+            RETURNING *`,
+            [grade.id, req.user.id, value, reason]
+        );
+        await recordAudit(pool, {
+            actorId: req.user.id,
+            action: "grade_change_request.create",
+            entityType: "grade_change_request",
+            entityId: rows[0].id,
+            courseId: grade.course_id,
+            before: { gradeId: grade.id, value: grade.value },
+            after: { value },
+            reason,
+        });
+        return res.status(201).json(rows[0]);
+        } catch (e) {
+        if (e.code === "23505") {
+            return res.status(409).json({ error: "A change request is already pending for this grade" });
+        }
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// GET /grades/change-requests?status= Admin: all requests; Teacher: requests for their courses (paginated)
+const CHANGE_REQUEST_LIST = {
+    id: "r.id",
+    sorts: { createdAt: "r.created_at", id: "r.id" },
+    defaultSort: "-createdAt",
+    filters: {
+        status: { type: "enum", column: "r.status", values: ["PENDING", "APPROVED", "REJECTED"] },
+        courseId: { type: "int", column: "c.id" },
+        studentId: { type: "int", column: "g.student_id" },
+    },
+};
+
+router.get(
+    "/change-requests",
+    requireAuth,
+    requireRole("TEACHER", "ADMIN"),
+    validate({ query: listQuerySchema(CHANGE_REQUEST_LIST) }),
+    async (req, res) => {
+        const page = parseListQuery(req.query, CHANGE_REQUEST_LIST);
+        if (page.error) return res.status(400).json({ error: page.error });
+
+        try {
+        const result = await runListQuery(pool, {
+            select: `r.id, r.grade_id, r.status, r.reason, r.review_note, r.created_at, r.reviewed_at,
+                    g.student_id, u.name AS student_name, c.id AS course_id, c.code, t.code AS term_code,
+                    g.value::text AS current_value, r.requested_value::text AS requested_value,
+                    r.requested_by, rb.name AS requested_by_name, r.reviewed_by, r.new_grade_id`,
+            from: `grade_change_requests r
+            JOIN grades g ON g.id = r.grade_id
             JOIN users u ON u.id = g.student_id
-            WHERE g.course_id = $1
-            ORDER BY g.assigned_at DESC`,
-            [courseId]
+            JOIN courses c ON c.id = g.course_id
+            JOIN course_offerings o ON o.id = g.offering_id
+            JOIN terms t ON t.id = o.term_id
+            LEFT JOIN users rb ON rb.id = r.requested_by`,
+            where: req.user.role === "TEACHER" ? [[staffCondition("c", "?"), req.user.id, req.user.id]] : [],
+        }, page);
+        return res.json(listEnvelope(req, result, page));
+        } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// POST /grades/change-requests/:id/approve Admin: { note? }; records the new value as a locked grade
+
+router.post(
+    "/change-requests/:id/approve",
+    requireAuth,
+    requireRole("ADMIN"),
+    validate({ body: "ChangeRequestReview" }),
+    async (req, res) => {
+        const requestId = Number(req.params.id);
+        const client = await pool.connect();
+        try {
+        await client.query("BEGIN");
+        const { rows: reqRows } = await client.query(
+            `SELECT * FROM grade_change_requests WHERE id=$1 FOR UPDATE`,
+            [requestId]
         );
-        return res.json(rows);
+        const request = reqRows[0];
+        if (!request) {
+            await client.query("ROLLBACK");
+            return res.status(404).json({ error: "Change request not found" });
+        }
+        if (request.status !== "PENDING") {
+            await client.query("ROLLBACK");
+            return res.status(409).json({ error: `Change request is already ${request.status}` });
+        }
+
+        const { rows: old } = await client.query(
+            `SELECT id, student_id, course_id, offering_id, value::text AS value, status::text AS status, assigned_at
+            FROM grades WHERE id=$1`,
+            [request.grade_id]
+        );
+        const { rows: grade } = await client.query(
+            `INSERT INTO grades
+                (student_id, course_id, offering_id, value, status, submitted_at, approved_by, approved_at, locked_at)
+            VALUES ($1, $2, $3, $4, 'LOCKED', NOW(), $5, NOW(), NOW())
+            RETURNING *`,
+            [old[0].student_id, old[0].course_id, old[0].offering_id, request.requested_value, req.user.id]
+        );
+        const { rows: updated } = await client.query(
+            `UPDATE grade_change_requests
+            SET status='APPROVED', reviewed_by=$2, reviewed_at=NOW(), review_note=$3, new_grade_id=$4
+            WHERE id=$1
+            RETURNING *`,
+            [requestId, req.user.id, req.body?.note || null, grade[0].id]
+        );
+        await recordAudit(client, {
+            actorId: req.user.id,
+            action: "grade.change",
+            entityType: "grade",
+            entityId: grade[0].id,
+            courseId: old[0].course_id,
+            before: old[0],
+            after: grade[0],
+            reason: `Change request #${requestId}: ${request.reason}`,
+        });
+        await gradeRecorded(client, grade[0]);
+        await client.query("COMMIT");
+        return res.json({ request: updated[0], grade: grade[0] });
+        } catch (e) {
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+        } finally {
+        client.release();
+        }
+    }
+);
+
+// POST /grades/change-requests/:id/reject Admin: { note? }; the locked grade stays as it is
+
+router.post(
+    "/change-requests/:id/reject",
+    requireAuth,
+    requireRole("ADMIN"),
+    validate({ body: "ChangeRequestReview" }),
+    async (req, res) => {
+        const requestId = Number(req.params.id);
+        try {
+        const { rows } = await pool.query(
+            `UPDATE grade_change_requests
+            SET status='REJECTED', reviewed_by=$2, reviewed_at=NOW(), review_note=$3
+            WHERE id=$1 AND status='PENDING'
+            RETURNING *`,
+            [requestId, req.user.id, req.body?.note || null]
+        );
+        if (!rows[0]) {
+            const { rows: exists } = await pool.query(
+                "SELECT status FROM grade_change_requests WHERE id=$1", [requestId]
+            );
+            if (!exists[0]) return res.status(404).json({ error: "Change request not found" });
+            return res.status(409).json({ error: `Change request is already ${exists[0].status}` });
+        }
+        const { rows: grade } = await pool.query("SELECT course_id FROM grades WHERE id=$1", [rows[0].grade_id]);
+        await recordAudit(pool, {
+            actorId: req.user.id,
+            action: "grade_change_request.reject",
+            entityType: "grade_change_request",
+            entityId: requestId,
+            courseId: grade[0]?.course_id,
+            after: rows[0],
+            reason: req.body?.note,
+        });
+        return res.json(rows[0]);
         } catch (e) {
         console.error(e);
         return res.status(500).json({ error: "Server error" });
@@ -0,0 +1,138 @@
+/**
+ * @openapi
+ * /notifications:
+ *   get:
+ *     summary: My notifications, newest first
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: query, name: unread,   schema: { type: boolean } }
+ *       - { in: query, name: type,     schema: { type: string, example: grade.recorded } }
+ *       - { in: query, name: courseId, schema: { type: integer } }
+ *       - { in: query, name: sort,     schema: { type: string, enum: [-createdAt, createdAt, id, -id] } }
+ *       - { in: query, name: limit,    schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor,   schema: { $ref: '#/components/schemas/Cursor' } }
+ *     responses:
+ *       200: { description: "{ data, total, limit, sort, next, nextCursor, unread }" }
+ *       401: { description: Unauthorized }
+ */
+
+/**
+ * @openapi
+ * /notifications/read-all:
+ *   post:
+ *     summary: Mark all my notifications read
+ *     security: [ { bearerAuth: [] } ]
+ *     responses:
+ *       200: { description: "{ updated }" }
+ */
+
+/**
+ * @openapi
+ * /notifications/{id}/read:
+ *   post:
+ *     summary: Mark one of my notifications read
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: The notification }
+ *       404: { description: Notification not found }
+ */
+
+/**
+ * @openapi
+ * /notifications/{id}/unread:
+ *   post:
+ *     summary: Mark one of my notifications unread again
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: The notification }
+ *       404: { description: Notification not found }
+ */
+
+
+import express from "express";
+import { pool } from "../../server.js";
+import { requireAuth } from "../middleware/auth.js";
+import { parseListQuery, listQuerySchema, runListQuery, listEnvelope } from "../lib/listQuery.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+
+const router = express.Router();
+validateIdParams(router, "id");
+
+const NOTIFICATION_COLUMNS = `
+    n.id, n.type, n.title, n.body, n.course_id, n.entity_type, n.entity_id,
+    n.read_at, n.created_at
+`;
+
+const NOTIFICATION_LIST = {
+    id: "n.id",
+    sorts: { createdAt: "n.created_at", id: "n.id" },
+    defaultSort: "-createdAt",
+    filters: {
+        unread: { type: "bool", sql: { true: "n.read_at IS NULL", false: "n.read_at IS NOT NULL" } },
+        type: { type: "text", column: "n.type" },
+        courseId: { type: "int", column: "n.course_id" },
+    },
+};
+
+// Any signed-in user: their own inbox, with the unread count for a badge
+router.get("/", requireAuth, validate({ query: listQuerySchema(NOTIFICATION_LIST) }), async (req, res) => {
+    const page = parseListQuery(req.query, NOTIFICATION_LIST);
+    if (page.error) return res.status(400).json({ error: page.error });
+    try {
+        const result = await runListQuery(pool, {
+            select: NOTIFICATION_COLUMNS,
+            from: "notifications n",
+            where: [["n.user_id = ?", req.user.id]],
+        }, page);
+        const { rows } = await pool.query(
+            `SELECT COUNT(*)::int AS unread FROM notifications WHERE user_id = $1 AND read_at IS NULL`,
+            [req.user.id]
+        );
+        return res.json({ ...listEnvelope(req, result, page), unread: rows[0].unread });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.post("/read-all", requireAuth, async (req, res) => {
+    try {
+        const { rowCount } = await pool.query(
+            `UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL`,
+            [req.user.id]
+        );
+        return res.json({ updated: rowCount });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// POST /notifications/:id/read and /unread; only the owner's notifications are found
+function markRead(read) {
+    return async (req, res) => {
+        try {
+            const { rows } = await pool.query(
+                `UPDATE notifications n
+                SET read_at = CASE WHEN $3 THEN COALESCE(n.read_at, NOW()) END
+                WHERE n.id = $1 AND n.user_id = $2
+                RETURNING ${NOTIFICATION_COLUMNS}`,
+                [Number(req.params.id), req.user.id, read]
+            );
+            if (!rows[0]) return res.status(404).json({ error: "Notification not found" });
+            return res.json(rows[0]);
+        } catch (e) {
+            console.error(e);
+            return res.status(500).json({ error: "Server error" });
+        }
+    };
+}
+
+router.post("/:id/read", requireAuth, markRead(true));
+router.post("/:id/unread", requireAuth, markRead(false));
+
+export default router;
@@ -0,0 +1,224 @@
+/**
+ * @openapi
+ * /programs:
+ *   get:
+ *     summary: List degree programs
+ *     responses:
+ *       200: { description: OK }
+ *
+ *   post:
+ *     summary: Create a degree program (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ProgramCreate' }
+ *     responses:
+ *       201: { description: Created }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: Program code already exists }
+ */
+
+/**
+ * @openapi
+ * /programs/{id}:
+ *   get:
+ *     summary: A program with its required courses and elective pools
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Not found }
+ *   put:
+ *     summary: Update a program (admin); requiredCourses / electivePools replace the set
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ProgramWrite' }
+ *     responses:
+ *       200: { description: Updated }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *   delete:
+ *     summary: Delete a program (admin); its students are left without a program
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *       - { in: query, name: reason, schema: { $ref: '#/components/schemas/Reason' } }
+ *     responses:
+ *       204: { description: Deleted }
+ */
+
+
+import express from "express";
+import { pool } from "../../server.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { recordAudit } from "../lib/audit.js";
+import { validateProgram, replaceRequirements, loadProgram } from "../lib/programs.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+import { validationError } from "../lib/errors.js";
+
+const router = express.Router();
+validateIdParams(router, "id");
+
+// List programs with requirement and student counts
+router.get("/", async (_req, res) => {
+    try {
+        const { rows } = await pool.query(
+        `SELECT p.id, p.code, p.name, p.min_credits AS "minCredits", p.min_gpa AS "minGpa",
+                (SELECT COUNT(*)::int FROM program_courses pc WHERE pc.program_id = p.id) AS "requiredCourseCount",
+                (SELECT COUNT(*)::int FROM program_elective_pools ep WHERE ep.program_id = p.id) AS "electivePoolCount",
+                (SELECT COUNT(*)::int FROM users u WHERE u.program_id = p.id) AS "studentCount"
+        FROM programs p
+        ORDER BY p.code`
+        );
+        return res.json(rows);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.get("/:id", async (req, res) => {
+    try {
+        const program = await loadProgram(pool, Number(req.params.id));
+        if (!program) return res.status(404).json({ error: "Not found" });
+        return res.json(program);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Create (Admin), with requirements
+router.post("/", requireAuth, requireRole("ADMIN"), validate({ body: "ProgramCreate" }), async (req, res) => {
+    const errors = validateProgram(req.body);
+    if (errors.length) return res.status(400).json(validationError(errors));
+    const { code, name, minCredits, minGpa, requiredCourses, electivePools } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const { rows } = await client.query(
+        `INSERT INTO programs (code, name, min_credits, min_gpa)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id`,
+        [String(code).trim().toUpperCase(), String(name).trim(), Number(minCredits || 0), minGpa ?? null]
+        );
+        const id = rows[0].id;
+        const problem = await replaceRequirements(client, id, { requiredCourses, electivePools });
+        if (problem) {
+        await client.query("ROLLBACK");
+        return res.status(problem.status).json({ error: problem.error, code: problem.code });
+        }
+
+        const program = await loadProgram(client, id);
+        await recordAudit(client, {
+        actorId: req.user.id,
+        action: "program.create",
+        entityType: "program",
+        entityId: id,
+        after: program,
+        });
+        await client.query("COMMIT");
+        return res.status(201).json(program);
+    } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23505") return res.status(409).json({ error: "Program code already exists" });
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
+    }
+});
+
+// Update (Admin): fields are optional; requiredCourses / electivePools replace the set
+router.put("/:id", requireAuth, requireRole("ADMIN"), validate({ body: "ProgramWrite" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const errors = validateProgram(req.body);
+    if (errors.length) return res.status(400).json(validationError(errors));
+    const { code, name, minCredits, minGpa, requiredCourses, electivePools, reason } = req.body;
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const before = await loadProgram(client, id);
+        if (!before) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Not found" });
+        }
+
+        await client.query(
+        `UPDATE programs
+            SET code = COALESCE($1, code),
+                name = COALESCE($2, name),
+                min_credits = COALESCE($3, min_credits),
+                min_gpa = CASE WHEN $5 THEN $4 ELSE min_gpa END,
+                updated_at = NOW()
+        WHERE id=$6`,
+        [
+            code != null ? String(code).trim().toUpperCase() : null,
+            name != null ? String(name).trim() : null,
+            minCredits != null ? Number(minCredits) : null,
+            minGpa ?? null,
+            // minGpa: null removes the GPA requirement
+            "minGpa" in req.body,
+            id,
+        ]
+        );
+        const problem = await replaceRequirements(client, id, { requiredCourses, electivePools });
+        if (problem) {
+        await client.query("ROLLBACK");
+        return res.status(problem.status).json({ error: problem.error, code: problem.code });
+        }
+
+        const program = await loadProgram(client, id);
+        await recordAudit(client, {
+        actorId: req.user.id,
+        action: "program.update",
+        entityType: "program",
+        entityId: id,
+        before,
+        after: program,
+        reason,
+        });
+        await client.query("COMMIT");
+        return res.json(program);
+    } catch (e) {
+        await client.query("ROLLBACK");
+        if (e.code === "23505") return res.status(409).json({ error: "Program code already exists" });
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
+    }
+});
+
+// Delete (Admin)
+router.delete("/:id", requireAuth, requireRole("ADMIN"), validate({ query: { reason: "Reason" } }), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const before = await loadProgram(pool, id);
+        if (!before) return res.status(404).json({ error: "Not found" });
+
+        await pool.query(`DELETE FROM programs WHERE id=$1`, [id]);
+        await recordAudit(pool, {
+        actorId: req.user.id,
+        action: "program.delete",
+        entityType: "program",
+        entityId: id,
+        before,
+        reason: req.query.reason || req.body?.reason,
+        });
+        return res.status(204).send();
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+export default router;
@@ -0,0 +1,108 @@
+/**
+ * @openapi
+ * /terms:
+ *   get:
+ *     summary: List academic terms (newest first)
+ *     responses:
+ *       200: { description: OK }
+ *
+ *   post:
+ *     summary: Create a term
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/TermCreate' }
+ *     responses:
+ *       201: { description: Created }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: Term code already exists }
+ */
+
+/**
+ * @openapi
+ * /terms/{id}/activate:
+ *   post:
+ *     summary: Make a term the active term (deactivates the others)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Not found }
+ */
+
+
+import express from "express";
+import { pool } from "../../server.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+import { validationError } from "../lib/errors.js";
+import { validateTerm, activateTerm } from "../lib/terms.js";
+
+const router = express.Router();
+validateIdParams(router, "id");
+
+// List terms
+router.get("/", async (_req, res) => {
+    try {
+        const { rows } = await pool.query(
+        `SELECT id, code, name, starts_on, ends_on, is_active, created_at
+        FROM terms
+        ORDER BY starts_on DESC`
+        );
+        return res.json(rows);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Create term (Admin)
+router.post("/", requireAuth, requireRole("ADMIN"), validate({ body: "TermCreate" }), async (req, res) => {
+    const { code, name, startsOn, endsOn } = req.body;
+    const errors = validateTerm({ startsOn, endsOn });
+    if (errors.length) return res.status(400).json(validationError(errors));
+
+    try {
+        const { rows } = await pool.query(
+        `INSERT INTO terms (code, name, starts_on, ends_on)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *`,
+        [String(code).trim(), String(name).trim(), startsOn, endsOn]
+        );
+        return res.status(201).json(rows[0]);
+    } catch (e) {
+        if (e.code === "23505") return res.status(409).json({ error: "Term code already exists" });
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Activate term (Admin): exactly one term is active at a time
+router.post("/:id/activate", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    const id = Number(req.params.id);
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const term = await activateTerm(client, id);
+        if (!term) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Not found" });
+        }
+        await client.query("COMMIT");
+        return res.json(term);
+    } catch (e) {
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
+    }
+});
+
+export default router;
@@ -0,0 +1,55 @@
+/**
+ * @openapi
+ * /transcripts/verify/{code}:
+ *   get:
+ *     summary: Verify an issued transcript by the code printed on it (public)
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema: { type: string, example: 7F3A-91C0-BB2E }
+ *     responses:
+ *       200: { description: Valid transcript }
+ *       404: { description: Unknown code }
+ */
+
+
+import express from "express";
+import { pool } from "../../server.js";
+
+const router = express.Router();
+
+// Public: confirm a transcript code and show what it certified
+router.get("/verify/:code", async (req, res) => {
+    try {
+        const code = String(req.params.code).trim().toUpperCase();
+        const { rows } = await pool.query(
+        `SELECT v.code, v.issued_at, v.cumulative_gpa, v.attempted_credits,
+                v.earned_credits, v.sha256,
+                u.name, u.student_id AS "studentId"
+        FROM transcript_verifications v
+        JOIN users u ON u.id = v.student_id
+        WHERE v.code = $1`,
+        [code]
+        );
+        if (!rows[0]) return res.status(404).json({ valid: false, error: "Unknown verification code" });
+
+        const v = rows[0];
+        return res.json({
+        valid: true,
+        code: v.code,
+        issuedAt: v.issued_at,
+        student: { name: v.name, studentId: v.studentId },
+        cumulativeGpa: v.cumulative_gpa != null ? Number(v.cumulative_gpa) : null,
+        attemptedCredits: v.attempted_credits,
+        earnedCredits: v.earned_credits,
+        sha256: v.sha256,
+        });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+export default router;
@@ -2,15 +2,183 @@
  * @openapi
  * /users:
  *   get:
- *     summary: Search users (?query=)
+ *     summary: Search users (?query=), paginated
  *     security: [ { bearerAuth: [] } ]
  *     parameters:
  *       - in: query
  *         name: query
  *         schema: { type: string }
+ *       - { in: query, name: role,         schema: { type: string, enum: [STUDENT, TEACHER, TA, ADMIN] } }
+ *       - { in: query, name: program,      schema: { type: string, example: CS }, description: Program code (major= is an alias) }
+ *       - { in: query, name: createdAfter, schema: { type: string, format: date-time } }
+ *       - { in: query, name: archived,     schema: { type: boolean }, description: Archived users are left out unless set }
+ *       - { in: query, name: sort,   schema: { type: string, enum: [id, name, email, role, createdAt], default: id }, description: Prefix - for descending }
+ *       - { in: query, name: limit,  schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor, schema: { $ref: '#/components/schemas/Cursor' } }
  *     responses:
  *       200: { description: OK }
  *       401: { description: Unauthorized }
+ *   post:
+ *     summary: Create a user (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/UserCreate' }
+ *     responses:
+ *       201: { description: Created }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       409: { description: Email or studentId already exists }
+ */
+
+/**
+ * @openapi
+ * /users/import:
+ *   post:
+ *     summary: Import users from CSV or a JSON array (admin)
+ *     description: >
+ *       Columns name (or firstName + lastName), email, role (default STUDENT),
+ *       studentId, program (code), password. Missing emails and student IDs are generated.
+ *       Returns a per-row report; with dryRun=true nothing is written.
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: query, name: dryRun, schema: { type: boolean, default: false } }
+ *       - { in: query, name: mode,   schema: { type: string, enum: [best_effort, all_or_nothing] } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema: { type: string, example: "name,email,role,studentId,program\nAda Lovelace,,STUDENT,,CS" }
+ *         application/json:
+ *           schema: { type: array, items: { type: object } }
+ *     responses:
+ *       200: { description: Per-row report }
+ *       409: { description: all_or_nothing and at least one row failed (nothing written) }
+ */
+
+/**
+ * @openapi
+ * /users/me/degree-audit:
+ *   get:
+ *     summary: My degree audit against my program (student)
+ *     description: >
+ *       Required courses, elective pools, credits and GPA, each complete,
+ *       in_progress (met once current courses are graded) or remaining.
+ *       Uses official grades (latest per course) and ungraded current enrollments.
+ *     security: [ { bearerAuth: [] } ]
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: No program assigned }
+ *
+ * /users/{id}/degree-audit:
+ *   get:
+ *     summary: A student's degree audit (teacher / admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Not a student, or no program assigned }
+ */
+
+/**
+ * @openapi
+ * /users/{id}/transcript:
+ *   get:
+ *     summary: A student's official transcript as JSON, CSV or PDF (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: integer }
+ *       - in: query
+ *         name: format
+ *         schema: { type: string, enum: [json, csv, pdf] }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Not a student }
+ */
+
+/**
+ * @openapi
+ * /users/{id}:
+ *   put:
+ *     summary: Update a user (admin); fields left out are kept
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/UserUpdate' }
+ *     responses:
+ *       200: { description: The user }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       404: { description: Not found }
+ *       409: { description: Email or studentId already exists }
+ *   delete:
+ *     summary: Archive a user (admin)
+ *     description: >
+ *       Ends their sessions and hides them from listings; grades and transcripts stay.
+ *       Enrollments in terms that have not ended (and have no official grade) are
+ *       dropped and their seats go to the waitlist. Refused (409) while they own
+ *       courses that are not archived.
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *       - { in: query, name: reason, schema: { $ref: '#/components/schemas/Reason' } }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ArchiveRequest' }
+ *     responses:
+ *       204: { description: Archived }
+ *       404: { description: Not found }
+ *       409: { description: Already archived, or owns courses }
+ *
+ * /users/{id}/restore:
+ *   post:
+ *     summary: Restore an archived user (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/ArchiveRequest' }
+ *     responses:
+ *       200: { description: The user }
+ *       409: { description: Not archived }
+ *
+ * /users/{id}/dependencies:
+ *   get:
+ *     summary: What purging the user would delete (admin)
+ *     description: "{ user, counts, total, blockers }; a purge is refused while blockers is not empty."
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: Dependency report }
+ *       404: { description: Not found }
+ *
+ * /users/{id}/purge:
+ *   post:
+ *     summary: Delete an archived user for good, with their enrollments and grades (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/PurgeConfirm' }
+ *     responses:
+ *       200: { description: The dependency report of what was deleted }
+ *       400: { description: confirm is not the user's email }
+ *       409: { description: Not archived, or the report has blockers }
  */
 
 
@@ -18,56 +186,51 @@ import express from "express";
 import bcrypt from "bcrypt";
 import { pool } from "../../server.js";
 import { requireAuth, requireRole } from "../middleware/auth.js";
+import { studentGpa } from "../lib/gpa.js";
+import { buildTranscript, sendTranscript } from "../lib/transcript.js";
+import { revokeAllSessions } from "../lib/sessions.js";
+import { recordAudit } from "../lib/audit.js";
+import { readImportRows, runImport, userImporter, parseImportOptions } from "../lib/imports.js";
+import { resolveProgramRef, degreeAudit } from "../lib/programs.js";
+import { parseListQuery, listQuerySchema, runListQuery, listEnvelope } from "../lib/listQuery.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+import { staffCondition } from "../lib/courseStaff.js";
+import { enqueueWebhook } from "../lib/webhooks.js";
+import { validationError } from "../lib/errors.js";
+import { userDependencies, releaseSeats } from "../lib/archive.js";
 
 const router = express.Router();
+validateIdParams(router, "id");
 
 // Allowed roles 
-const ROLES = ["STUDENT", "TEACHER", "ADMIN"];
-
-// Validate payload for create/update
-function validateUserPayload(body, { isCreate = false } = {}) {
-    const errors = [];
-
-    // role
-    if (!body.role || !ROLES.includes(body.role)) {
-        errors.push("Invalid or missing role (STUDENT, TEACHER, ADMIN).");
-    }
-
-    // name + email
-    if (isCreate) {
-        if (!body.name) errors.push("name is required.");
-        if (!body.email) errors.push("email is required.");
-        if (!body.password) errors.push("password is required.");
-    }
-
-    // Student-only field: student_id (duplicate prevention requirement)
-    if (body.role === "STUDENT") {
-        if (isCreate && !body.studentId) {
-        errors.push("studentId is required for STUDENT.");
-        }
-    }
-
-    return errors;
-}
+const ROLES = ["STUDENT", "TEACHER", "TA", "ADMIN"];
 
 // CREATE Admin
-router.post("/", requireAuth, requireRole("ADMIN"), async (req, res) => {
+router.post("/", requireAuth, requireRole("ADMIN"), validate({ body: "UserCreate" }), async (req, res) => {
     try {
-        const { role, name, email, password, studentId, major } = req.body;
+        const { role, name, email, password, studentId, program } = req.body;
 
-        const errors = validateUserPayload(req.body, { isCreate: true });
-        if (errors.length) return res.status(400).json({ errors });
+        // Student-only field: student_id (duplicate prevention requirement)
+        if (role === "STUDENT" && !studentId) {
+            return res.status(400).json(validationError([
+                { path: "body.studentId", code: "required", message: "studentId is required for STUDENT" },
+            ]));
+        }
+
+        const resolved = program != null ? await resolveProgramRef(pool, program, role) : { programId: null };
+        if (resolved.error) return res.status(400).json({ error: resolved.error });
 
         const hash = await bcrypt.hash(password, 10);
 
         const q = `
-        INSERT INTO users (role, name, email, password, student_id, major)
+        INSERT INTO users (role, name, email, password, student_id, program_id)
         VALUES ($1, $2, $3, $4, $5, $6)
-        RETURNING id, role, name, email, student_id AS "studentId", major, created_at, updated_at
+        RETURNING id, role, name, email, student_id AS "studentId", program_id AS "programId", created_at, updated_at
         `;
-        const values = [role, name, email, hash, studentId || null, major || null];
+        const values = [role, name, email, hash, studentId || null, resolved.programId];
 
         const { rows } = await pool.query(q, values);
+        await enqueueWebhook(pool, "user.created", { ...rows[0], source: "admin" });
         return res.status(201).json(rows[0]);
     } catch (e) {
         if (e.code === "23505") {
@@ -79,62 +242,108 @@ router.post("/", requireAuth, requireRole("ADMIN"), async (req, res) => {
     }
 });
 
-// LIST + SEARCH (role-aware)
-// GET /users?query=foo
+// IMPORT Admin: CSV (text/csv) or JSON array; ?dryRun=true reports without writing
+router.post(
+    "/import",
+    requireAuth,
+    requireRole("ADMIN"),
+    express.text({ type: ["text/csv", "text/plain"], limit: "2mb" }),
+    async (req, res) => {
+        const opts = parseImportOptions(req.query);
+        if (opts.error) return res.status(400).json({ error: opts.error });
+        const parsed = readImportRows(req.body);
+        if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+        try {
+            const { status, body } = await runImport(
+                pool,
+                { rows: parsed.rows, ...opts },
+                userImporter({ actorId: req.user.id, dryRun: opts.dryRun })
+            );
+            return res.status(status).json(body);
+        } catch (e) {
+            console.error(e);
+            return res.status(500).json({ error: "Server error" });
+        }
+    }
+);
+
+// LIST + SEARCH (role-aware), paginated
+// GET /users?query=foo&role=&program=&sort=&limit=&cursor=
 // ADMIN: all users
 // TEACHER: only STUDENT users
 // STUDENT: 403
-router.get("/", requireAuth, async (req, res) => {
-        try {
+const USER_LIST = {
+    id: "u.id",
+    sorts: { id: "u.id", name: "u.name", email: "u.email", role: "u.role", createdAt: "u.created_at" },
+    defaultSort: "id",
+    filters: {
+        role: { type: "enum", column: "u.role", values: ROLES },
+        program: { type: "text", where: "UPPER(p.code) = UPPER(?)" },
+        // users used to have a free-text major; it is now the program code
+        major: { type: "text", where: "UPPER(p.code) = UPPER(?)" },
+        createdAfter: { type: "date", column: "u.created_at", op: ">=" },
+        // archived users are left out unless asked for
+        archived: { type: "bool", sql: { true: "u.archived_at IS NOT NULL", false: "u.archived_at IS NULL" } },
+    },
+};
+
+router.get("/", requireAuth, validate({ query: { ...listQuerySchema(USER_LIST), query: "Search" } }), async (req, res) => {
+    if (!["ADMIN", "TEACHER"].includes(req.user.role)) return res.status(403).json({ error: "Forbidden" });
+    const page = parseListQuery(req.query, USER_LIST);
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    try {
         const q = (req.query.query || "").trim();
-        const like = `%${q}%`;
-    
-        let sql, params;
-    
-        if (req.user.role === "ADMIN") {
-            sql = `
-            SELECT u.id, u.role, u.name, u.email,
-                    u.student_id AS "studentId", u.major,
-                    u.created_at, u.updated_at
-            FROM users u
-            WHERE ($1 = '' OR
-                    u.name ILIKE $2 OR
-                    u.email ILIKE $2 OR
-                    COALESCE(u.student_id,'') ILIKE $2 OR
-                    COALESCE(u.major,'') ILIKE $2)
-            ORDER BY u.id ASC
-            LIMIT 200
-            `;
-            params = [q, like];
-    
-        } else if (req.user.role === "TEACHER") {
-            sql = `
-            SELECT u.id, u.role, u.name, u.email,
-                    u.student_id AS "studentId", u.major,
-                    u.created_at, u.updated_at
-            FROM users u
-            WHERE u.role = 'STUDENT'
-                AND ($1 = '' OR
-                    u.name ILIKE $2 OR
-                    u.email ILIKE $2 OR
-                    COALESCE(u.student_id,'') ILIKE $2 OR
-                    COALESCE(u.major,'') ILIKE $2)
-            ORDER BY u.id ASC
-            LIMIT 200
-            `;
-            params = [q, like];
-    
-        } else {
-            return res.status(403).json({ error: "Forbidden" });
+        const where = [];
+        if (req.user.role === "TEACHER") where.push(["u.role = 'STUDENT'"]);
+        if (page.filters.archived == null) where.push(["u.archived_at IS NULL"]);
+        if (q) {
+        where.push([
+            `(u.name ILIKE ? OR u.email ILIKE ? OR COALESCE(u.student_id,'') ILIKE ?
+            OR COALESCE(p.code,'') ILIKE ? OR COALESCE(p.name,'') ILIKE ?)`,
+            ...Array(5).fill(`%${q}%`),
+        ]);
         }
-    
-        const { rows } = await pool.query(sql, params);
-        return res.json(rows);
-    
-        } catch (e) {
+
+        const result = await runListQuery(pool, {
+        select: `u.id, u.role, u.name, u.email,
+                u.student_id AS "studentId", u.program_id AS "programId", p.code AS program,
+                u.archived_at, u.created_at, u.updated_at`,
+        from: "users u LEFT JOIN programs p ON p.id = u.program_id",
+        where,
+        }, page);
+        return res.json(listEnvelope(req, result, page));
+    } catch (e) {
         console.error(e);
         return res.status(500).json({ error: "Server error" });
-        }
+    }
+});
+
+// DEGREE AUDIT Student: my own progress toward my program
+router.get("/me/degree-audit", requireAuth, requireRole("STUDENT"), async (req, res) => {
+    try {
+        const result = await degreeAudit(pool, req.user.id);
+        if (!result) return res.status(404).json({ error: "Student not found" });
+        if (!result.audit) return res.status(404).json({ error: "No program assigned" });
+        return res.json({ student: result.student, ...result.audit });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// DEGREE AUDIT Teacher (as advisor) / Admin: any student's progress
+router.get("/:id/degree-audit", requireAuth, requireRole("TEACHER", "ADMIN"), async (req, res) => {
+    try {
+        const result = await degreeAudit(pool, Number(req.params.id));
+        if (!result) return res.status(404).json({ error: "Student not found" });
+        if (!result.audit) return res.status(404).json({ error: "No program assigned" });
+        return res.json({ student: result.student, ...result.audit });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
 });
 
 // READ Admin
@@ -142,8 +351,11 @@ router.get("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
     try {
         const id = Number(req.params.id);
         const { rows: userRows } = await pool.query(
-            `SELECT id, role, name, email, student_id AS "studentId", major, created_at, updated_at
-            FROM users WHERE id=$1`,
+            `SELECT u.id, u.role, u.name, u.email, u.student_id AS "studentId",
+                    u.program_id AS "programId", p.code AS program, u.archived_at, u.created_at, u.updated_at
+            FROM users u
+            LEFT JOIN programs p ON p.id = u.program_id
+            WHERE u.id=$1`,
             [id]
         );
         const user = userRows[0];
@@ -155,7 +367,7 @@ router.get("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
                 `SELECT 1
                 FROM enrollments e
                 JOIN courses c ON c.id = e.course_id
-                WHERE e.student_id = $1 AND c.teacher_id = $2
+                WHERE e.student_id = $1 AND ${staffCondition("c", "$2")}
                 LIMIT 1`,
                 [id, req.user.id]
             );
@@ -164,52 +376,17 @@ router.get("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
             }
         }
 
-        // GPA calculation (only for student users)
-        let gpa = null;
-        let totalCredits = 0;
-
-        if (user.role === "STUDENT") {
-            const { rows: gradeRows } = await pool.query(`
-                WITH latest AS (
-                    SELECT DISTINCT ON (g.course_id)
-                        g.course_id, g.value
-                    FROM grades g
-                    WHERE g.student_id = $1
-                    ORDER BY g.course_id, g.assigned_at DESC
-                )
-                SELECT c.credits,
-                    CASE latest.value
-                        WHEN 'A_PLUS'  THEN 4.0
-                        WHEN 'A'       THEN 4.0
-                        WHEN 'A_MINUS' THEN 3.7
-                        WHEN 'B_PLUS'  THEN 3.3
-                        WHEN 'B'       THEN 3.0
-                        WHEN 'B_MINUS' THEN 2.7
-                        WHEN 'C_PLUS'  THEN 2.3
-                        WHEN 'C'       THEN 2.0
-                        WHEN 'C_MINUS' THEN 1.7
-                        WHEN 'D'       THEN 1.0
-                        WHEN 'F'       THEN 0.0
-                    END AS points
-                FROM latest
-                JOIN courses c ON c.id = latest.course_id
-            `, [id]);
-
-            let totalPoints = 0;
-            for (const r of gradeRows) {
-                if (r.points != null) {
-                    totalPoints += r.points * r.credits;
-                    totalCredits += r.credits;
-                }
-            }
-            if (totalCredits > 0) {
-                gpa = Number((totalPoints / totalCredits).toFixed(2));
-            }
-        }
+        // GPA (only for student users), from the shared GPA engine
+        if (user.role !== "STUDENT") return res.json({ ...user, gpa: null });
 
+        const summary = await studentGpa(pool, id);
         return res.json({
             ...user,
-            gpa
+            gpa: summary.cumulative.gpa,
+            gpaCredits: summary.cumulative.credits,
+            gpaScale: summary.scale,
+            gpaMethod: summary.method,
+            termGpas: summary.terms
         });
 
     } catch (e) {
@@ -218,15 +395,30 @@ router.get("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
     }
 });
 
+// TRANSCRIPT Admin (?format=json|csv|pdf or Accept header)
+router.get("/:id/transcript", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    try {
+        const transcript = await buildTranscript(pool, Number(req.params.id));
+        if (!transcript) return res.status(404).json({ error: "Student not found" });
+        return await sendTranscript(req, res, pool, transcript);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
 // UPDATE Admin
-router.put("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
+router.put("/:id", requireAuth, requireRole("ADMIN"), validate({ body: "UserUpdate" }), async (req, res) => {
     try {
         const id = Number(req.params.id);
-        const { role, name, email, password, studentId, major } = req.body;
+        const { role, name, email, password, studentId, program, reason } = req.body;
 
-        if (role && !ROLES.includes(role)) {
-        return res.status(400).json({ error: "Invalid role" });
-        }
+        const { rows: beforeRows } = await pool.query(
+        `SELECT id, role, name, email, student_id AS "studentId", program_id AS "programId" FROM users WHERE id=$1`,
+        [id]
+        );
+        const before = beforeRows[0];
+        if (!before) return res.status(404).json({ error: "Not found" });
 
         // Build dynamic update
         const fields = [];
@@ -241,7 +433,13 @@ router.put("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
         if (role) add("role", role);
         if (name) add("name", name);
         if (email) add("email", email);
-        if (typeof major !== "undefined") add("major", major);
+        if (typeof program !== "undefined") {
+        const resolved = await resolveProgramRef(pool, program, role || before.role);
+        if (resolved.error) return res.status(400).json({ error: resolved.error });
+        add("program_id", resolved.programId);
+        } else if (role && role !== "STUDENT") {
+        add("program_id", null);
+        }
         if (typeof studentId !== "undefined") add("student_id", studentId || null);
         if (password) {
         const hash = await bcrypt.hash(password, 10);
@@ -252,6 +450,9 @@ router.put("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
         return res.status(400).json({ error: "No fields to update" });
         }
 
+        // Role or password changes invalidate tokens issued before now
+        if (role || password) fields.push(`token_version = token_version + 1`);
+
         // Always update timestamp
         fields.push(`updated_at = NOW()`);
 
@@ -259,13 +460,32 @@ router.put("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
         UPDATE users
             SET ${fields.join(", ")}
         WHERE id = $${idx}
-        RETURNING id, role, name, email, student_id AS "studentId", major, created_at, updated_at
+        RETURNING id, role, name, email, student_id AS "studentId", program_id AS "programId", created_at, updated_at
         `;
         values.push(id);
 
         const { rows } = await pool.query(sql, values);
         if (!rows[0]) return res.status(404).json({ error: "Not found" });
-        return res.json(rows[0]);
+
+        const after = rows[0];
+
+        // A new password also ends every refresh session
+        if (password) await revokeAllSessions(pool, id);
+
+        // Audit: role changes and password resets get their own entries
+        const audit = { actorId: req.user.id, entityType: "user", entityId: id, reason };
+        if (role && role !== before.role) {
+        await recordAudit(pool, {
+            ...audit, action: "user.role_change", before: { role: before.role }, after: { role },
+        });
+        }
+        if (name || email || typeof program !== "undefined" || typeof studentId !== "undefined") {
+        const pick = ({ name, email, studentId, programId }) => ({ name, email, studentId, programId });
+        await recordAudit(pool, { ...audit, action: "user.update", before: pick(before), after: pick(after) });
+        }
+        if (password) await recordAudit(pool, { ...audit, action: "user.password_reset" });
+
+        return res.json(after);
     } catch (e) {
         if (e.code === "23505") {
         return res.status(409).json({ error: "Email or studentId already exists" });
@@ -275,21 +495,175 @@ router.put("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
     }
 });
 
-// DELETE Admin
-router.delete("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
+// REVOKE ALL SESSIONS Admin: refresh tokens and outstanding access tokens
+router.delete("/:id/sessions", requireAuth, requireRole("ADMIN"), async (req, res) => {
     try {
         const id = Number(req.params.id);
-        // Deleting a TEACHER with courses will fail 
-        const { rowCount } = await pool.query(`DELETE FROM users WHERE id=$1`, [id]);
-        if (rowCount === 0) return res.status(404).json({ error: "Not found" });
+        const { rows } = await pool.query(`SELECT id FROM users WHERE id=$1`, [id]);
+        if (!rows[0]) return res.status(404).json({ error: "Not found" });
+
+        await revokeAllSessions(pool, id);
+        return res.status(204).send();
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+const USER_COLUMNS = `id, role, name, email, student_id AS "studentId", program_id AS "programId", archived_at`;
+
+const archiveBody = validate({ body: "ArchiveRequest", query: { reason: "Reason" } });
+
+// ARCHIVE Admin: signs the user out and hides them; grades and transcripts stay
+router.delete("/:id", requireAuth, requireRole("ADMIN"), archiveBody, async (req, res) => {
+    const id = Number(req.params.id);
+    if (id === req.user.id) return res.status(400).json({ error: "You cannot archive your own account" });
+
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+        const { rows: beforeRows } = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id=$1 FOR UPDATE`, [id]);
+        const before = beforeRows[0];
+        if (!before) {
+        await client.query("ROLLBACK");
+        return res.status(404).json({ error: "Not found" });
+        }
+        if (before.archived_at) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: "User is already archived" });
+        }
+
+        // Their courses would be left without an owner
+        const { rows: owned } = await client.query(
+        `SELECT code FROM courses WHERE teacher_id=$1 AND archived_at IS NULL ORDER BY code`,
+        [id]
+        );
+        if (owned.length) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({
+            error: "User owns courses; reassign or archive them first",
+            courses: owned.map(c => c.code),
+        });
+        }
+
+        const { rows } = await client.query(
+        `UPDATE users SET archived_at = NOW(), archived_by = $2, updated_at = NOW()
+        WHERE id=$1
+        RETURNING ${USER_COLUMNS}`,
+        [id, req.user.id]
+        );
+        await client.query(`DELETE FROM waitlist_entries WHERE student_id=$1`, [id]);
+        // An archived student must not keep holding seats
+        const dropped = await releaseSeats(client, id);
+        await revokeAllSessions(client, id);
+
+        await recordAudit(client, {
+        actorId: req.user.id,
+        action: "user.archive",
+        entityType: "user",
+        entityId: id,
+        before,
+        after: { ...rows[0], droppedEnrollments: dropped.map(e => e.id) },
+        reason: req.body.reason || req.query.reason,
+        });
+        await client.query("COMMIT");
         return res.status(204).send();
     } catch (e) {
-        if (e.code === "23503") {
-        // foreign key violation 
-        return res.status(409).json({ error: "User has related records; reassign or delete dependents first" });
+        await client.query("ROLLBACK");
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
+    }
+});
+
+// RESTORE Admin: the user can sign in again
+router.post("/:id/restore", requireAuth, requireRole("ADMIN"), archiveBody, async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const { rows: beforeRows } = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id=$1`, [id]);
+        const before = beforeRows[0];
+        if (!before) return res.status(404).json({ error: "Not found" });
+        if (!before.archived_at) return res.status(409).json({ error: "User is not archived" });
+
+        const { rows } = await pool.query(
+        `UPDATE users SET archived_at = NULL, archived_by = NULL, updated_at = NOW()
+        WHERE id=$1
+        RETURNING ${USER_COLUMNS}`,
+        [id]
+        );
+        await recordAudit(pool, {
+        actorId: req.user.id,
+        action: "user.restore",
+        entityType: "user",
+        entityId: id,
+        before,
+        after: rows[0],
+        reason: req.body.reason || req.query.reason,
+        });
+        return res.json(rows[0]);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// DEPENDENCIES Admin: what purging the user would delete
+router.get("/:id/dependencies", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const { rows } = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id=$1`, [id]);
+        if (!rows[0]) return res.status(404).json({ error: "Not found" });
+        return res.json({ user: rows[0], ...(await userDependencies(pool, id)) });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// PURGE Admin: delete an archived user for good, with their academic history
+router.post("/:id/purge", requireAuth, requireRole("ADMIN"), validate({ body: "PurgeConfirm" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const client = await pool.connect();
+    try {
+        await client.query("BEGIN");
+
+        const { rows: userRows } = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id=$1 FOR UPDATE`, [id]);
+        const user = userRows[0];
+        let problem = null;
+        if (!user) problem = { status: 404, error: "Not found" };
+        else if (!user.archived_at) problem = { status: 409, error: "Archive the user before purging them" };
+        else if (req.body.confirm.toLowerCase() !== user.email.toLowerCase()) {
+        problem = { status: 400, error: "confirm must be the user's email" };
+        }
+        if (problem) {
+        await client.query("ROLLBACK");
+        return res.status(problem.status).json({ error: problem.error });
         }
+
+        const report = await userDependencies(client, id);
+        if (report.blockers.length) {
+        await client.query("ROLLBACK");
+        return res.status(409).json({ error: report.blockers.map(b => b.error).join("; "), ...report });
+        }
+
+        await client.query(`DELETE FROM users WHERE id=$1`, [id]);
+        await recordAudit(client, {
+        actorId: req.user.id,
+        action: "user.purge",
+        entityType: "user",
+        entityId: id,
+        before: { ...user, dependencies: report.counts },
+        reason: req.body.reason,
+        });
+        await client.query("COMMIT");
+        return res.json({ user: { id, name: user.name, email: user.email }, ...report });
+    } catch (e) {
+        await client.query("ROLLBACK");
         console.error(e);
         return res.status(500).json({ error: "Server error" });
+    } finally {
+        client.release();
     }
 });
 
@@ -0,0 +1,369 @@
+/**
+ * @openapi
+ * /webhooks:
+ *   get:
+ *     summary: Webhook endpoints with their pending and failed delivery counts (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     responses:
+ *       200: { description: OK }
+ *       403: { description: Forbidden }
+ *   post:
+ *     summary: Register a webhook endpoint (admin); the response is the only time the full secret is shown
+ *     security: [ { bearerAuth: [] } ]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WebhookCreate' }
+ *     responses:
+ *       201: { description: Created (includes secret) }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ */
+
+/**
+ * @openapi
+ * /webhooks/{id}:
+ *   get:
+ *     summary: One webhook endpoint (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Webhook not found }
+ *   put:
+ *     summary: Change the URL, events, description or active flag (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema: { $ref: '#/components/schemas/WebhookUpdate' }
+ *     responses:
+ *       200: { description: OK }
+ *       400: { $ref: '#/components/responses/ValidationFailed' }
+ *       404: { description: Webhook not found }
+ *   delete:
+ *     summary: Remove an endpoint and its delivery log (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       204: { description: Deleted }
+ *       404: { description: Webhook not found }
+ */
+
+/**
+ * @openapi
+ * /webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Replace the signing secret (admin); returns the new secret
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK (includes secret) }
+ *       404: { description: Webhook not found }
+ * /webhooks/{id}/ping:
+ *   post:
+ *     summary: Send a signed ping event now and return the logged delivery (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: The delivery with its status and response }
+ *       404: { description: Webhook not found }
+ */
+
+/**
+ * @openapi
+ * /webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Delivery log for an endpoint, newest first (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path,  name: id, required: true, schema: { type: integer } }
+ *       - { in: query, name: status, schema: { type: string, enum: [PENDING, DELIVERED, FAILED] } }
+ *       - { in: query, name: event,  schema: { type: string } }
+ *       - { in: query, name: sort,   schema: { type: string, enum: [-createdAt, createdAt, id, -id] } }
+ *       - { in: query, name: limit,  schema: { $ref: '#/components/schemas/ListLimit' } }
+ *       - { in: query, name: cursor, schema: { $ref: '#/components/schemas/Cursor' } }
+ *     responses:
+ *       200: { description: "{ data, total, limit, sort, next, nextCursor }" }
+ *       404: { description: Webhook not found }
+ * /webhooks/deliveries/{deliveryId}:
+ *   get:
+ *     summary: One delivery with its payload and every attempt (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: deliveryId, required: true, schema: { type: integer } }
+ *     responses:
+ *       200: { description: OK }
+ *       404: { description: Delivery not found }
+ * /webhooks/deliveries/{deliveryId}/replay:
+ *   post:
+ *     summary: Queue the same event and payload again as a new delivery (admin)
+ *     security: [ { bearerAuth: [] } ]
+ *     parameters:
+ *       - { in: path, name: deliveryId, required: true, schema: { type: integer } }
+ *     responses:
+ *       201: { description: The new delivery }
+ *       404: { description: Delivery not found }
+ */
+
+
+import express from "express";
+import { pool } from "../../server.js";
+import { requireAuth, requireRole } from "../middleware/auth.js";
+import { parseListQuery, listQuerySchema, runListQuery, listEnvelope } from "../lib/listQuery.js";
+import { validate, validateIdParams } from "../lib/validate.js";
+import { recordAudit } from "../lib/audit.js";
+import { generateWebhookSecret, attemptDelivery } from "../lib/webhooks.js";
+
+const router = express.Router();
+validateIdParams(router, "id", "deliveryId");
+
+// Everything but the secret, which is only shown when it is created or rotated
+const ENDPOINT_COLUMNS = `
+    w.id, w.url, w.events, w.description, w.is_active, '…' || right(w.secret, 4) AS secret_hint,
+    w.created_by, w.created_at, w.updated_at
+`;
+
+const DELIVERY_COLUMNS = `
+    d.id, d.endpoint_id, d.event, d.status, d.attempts, d.next_attempt_at, d.last_attempt_at,
+    d.response_status, d.last_error, d.delivered_at, d.replay_of, d.created_at
+`;
+
+const DELIVERY_LIST = {
+    id: "d.id",
+    sorts: { createdAt: "d.created_at", id: "d.id" },
+    defaultSort: "-createdAt",
+    filters: {
+        status: { type: "enum", column: "d.status", values: ["PENDING", "DELIVERED", "FAILED"] },
+        event: { type: "text", column: "d.event" },
+    },
+};
+
+async function findEndpoint(db, id) {
+    const { rows } = await db.query(`SELECT ${ENDPOINT_COLUMNS} FROM webhook_endpoints w WHERE w.id = $1`, [id]);
+    return rows[0] || null;
+}
+
+router.get("/", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    try {
+        const { rows } = await pool.query(
+            `SELECT ${ENDPOINT_COLUMNS},
+                    COUNT(d.id) FILTER (WHERE d.status = 'PENDING')::int AS pending,
+                    COUNT(d.id) FILTER (WHERE d.status = 'FAILED')::int AS failed,
+                    MAX(d.delivered_at) AS last_delivered_at
+            FROM webhook_endpoints w
+            LEFT JOIN webhook_deliveries d ON d.endpoint_id = w.id
+            GROUP BY w.id
+            ORDER BY w.id`
+        );
+        return res.json(rows);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.post("/", requireAuth, requireRole("ADMIN"), validate({ body: "WebhookCreate" }), async (req, res) => {
+    const { url, events, description, isActive = true } = req.body;
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO webhook_endpoints (url, secret, events, description, is_active, created_by)
+            VALUES ($1, $2, $3, $4, $5, $6)
+            RETURNING id, secret`,
+            [url, generateWebhookSecret(), [...new Set(events)], description ?? null, isActive, req.user.id]
+        );
+        const endpoint = await findEndpoint(pool, rows[0].id);
+        await recordAudit(pool, {
+            actorId: req.user.id,
+            action: "webhook.create",
+            entityType: "webhook",
+            entityId: endpoint.id,
+            after: endpoint,
+        });
+        return res.status(201).json({ ...endpoint, secret: rows[0].secret });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.get("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    try {
+        const endpoint = await findEndpoint(pool, Number(req.params.id));
+        if (!endpoint) return res.status(404).json({ error: "Webhook not found" });
+        return res.json(endpoint);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.put("/:id", requireAuth, requireRole("ADMIN"), validate({ body: "WebhookUpdate" }), async (req, res) => {
+    const id = Number(req.params.id);
+    const { url, events, description, isActive } = req.body;
+    try {
+        const before = await findEndpoint(pool, id);
+        if (!before) return res.status(404).json({ error: "Webhook not found" });
+
+        await pool.query(
+            `UPDATE webhook_endpoints
+            SET url = COALESCE($2, url),
+                events = COALESCE($3, events),
+                description = CASE WHEN $4 THEN $5 ELSE description END,
+                is_active = COALESCE($6, is_active),
+                updated_at = NOW()
+            WHERE id = $1`,
+            [id, url ?? null, events ? [...new Set(events)] : null, description !== undefined, description ?? null, isActive ?? null]
+        );
+        const endpoint = await findEndpoint(pool, id);
+        await recordAudit(pool, {
+            actorId: req.user.id,
+            action: "webhook.update",
+            entityType: "webhook",
+            entityId: id,
+            before,
+            after: endpoint,
+        });
+        return res.json(endpoint);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.delete("/:id", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const before = await findEndpoint(pool, id);
+        if (!before) return res.status(404).json({ error: "Webhook not found" });
+        await pool.query(`DELETE FROM webhook_endpoints WHERE id = $1`, [id]);
+        await recordAudit(pool, {
+            actorId: req.user.id,
+            action: "webhook.delete",
+            entityType: "webhook",
+            entityId: id,
+            before,
+        });
+        return res.status(204).send();
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.post("/:id/rotate-secret", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const { rows } = await pool.query(
+            `UPDATE webhook_endpoints SET secret = $2, updated_at = NOW() WHERE id = $1 RETURNING secret`,
+            [id, generateWebhookSecret()]
+        );
+        if (!rows[0]) return res.status(404).json({ error: "Webhook not found" });
+        await recordAudit(pool, {
+            actorId: req.user.id,
+            action: "webhook.rotate_secret",
+            entityType: "webhook",
+            entityId: id,
+        });
+        return res.json({ ...(await findEndpoint(pool, id)), secret: rows[0].secret });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Ping: logged like any other delivery, but sent right away (even when the
+// endpoint is inactive or not subscribed to anything yet)
+router.post("/:id/ping", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO webhook_deliveries (endpoint_id, event, payload, next_attempt_at)
+            SELECT w.id, 'ping', $2, NULL FROM webhook_endpoints w WHERE w.id = $1
+            RETURNING *`,
+            [id, JSON.stringify({ webhookId: id, sentBy: req.user.id })]
+        );
+        if (!rows[0]) return res.status(404).json({ error: "Webhook not found" });
+
+        const { rows: endpoint } = await pool.query(`SELECT url, secret FROM webhook_endpoints WHERE id = $1`, [id]);
+        const delivery = await attemptDelivery(pool, { ...rows[0], ...endpoint[0] });
+        // A failed ping is not retried
+        if (delivery.status === "PENDING") {
+            await pool.query(`UPDATE webhook_deliveries SET status = 'FAILED', next_attempt_at = NULL WHERE id = $1`, [delivery.id]);
+            delivery.status = "FAILED";
+            delivery.next_attempt_at = null;
+        }
+        return res.json(delivery);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.get("/:id/deliveries", requireAuth, requireRole("ADMIN"), validate({ query: listQuerySchema(DELIVERY_LIST) }), async (req, res) => {
+    const id = Number(req.params.id);
+    const page = parseListQuery(req.query, DELIVERY_LIST);
+    if (page.error) return res.status(400).json({ error: page.error });
+    try {
+        if (!(await findEndpoint(pool, id))) return res.status(404).json({ error: "Webhook not found" });
+        const result = await runListQuery(pool, {
+            select: DELIVERY_COLUMNS,
+            from: "webhook_deliveries d",
+            where: [["d.endpoint_id = ?", id]],
+        }, page);
+        return res.json(listEnvelope(req, result, page));
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+router.get("/deliveries/:deliveryId", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    const deliveryId = Number(req.params.deliveryId);
+    try {
+        const { rows } = await pool.query(
+            `SELECT ${DELIVERY_COLUMNS}, d.payload FROM webhook_deliveries d WHERE d.id = $1`,
+            [deliveryId]
+        );
+        if (!rows[0]) return res.status(404).json({ error: "Delivery not found" });
+        const { rows: attempts } = await pool.query(
+            `SELECT id, attempted_at, response_status, error, response_body, duration_ms
+            FROM webhook_attempts
+            WHERE delivery_id = $1
+            ORDER BY attempted_at, id`,
+            [deliveryId]
+        );
+        return res.json({ ...rows[0], attempts });
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+// Replay: a new delivery of the same event and payload, due now; the
+// original stays in the log as it was
+router.post("/deliveries/:deliveryId/replay", requireAuth, requireRole("ADMIN"), async (req, res) => {
+    const deliveryId = Number(req.params.deliveryId);
+    try {
+        const { rows } = await pool.query(
+            `INSERT INTO webhook_deliveries (endpoint_id, event, payload, replay_of)
+            SELECT endpoint_id, event, payload, id FROM webhook_deliveries WHERE id = $1
+            RETURNING *`,
+            [deliveryId]
+        );
+        if (!rows[0]) return res.status(404).json({ error: "Delivery not found" });
+        return res.status(201).json(rows[0]);
+    } catch (e) {
+        console.error(e);
+        return res.status(500).json({ error: "Server error" });
+    }
+});
+
+export default router;
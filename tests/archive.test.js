@@ -0,0 +1,92 @@
+import {
+    COURSE_DEPENDENCIES, USER_DEPENDENCIES, dependencyReport, dependencySql, courseDependencies, userDependencies,
+    releaseSeats,
+} from "../src/lib/archive.js";
+import { check } from "../src/lib/validate.js";
+
+const zeros = (deps) => Object.fromEntries(Object.keys(deps).map(k => [k, 0]));
+
+describe("Archive and purge", () => {
+    it("reports counts and a total, with no blockers for a course's own history", () => {
+        const counts = { ...zeros(COURSE_DEPENDENCIES), offerings: 2, enrollments: 30, grades: 28 };
+        expect(dependencyReport(counts, COURSE_DEPENDENCIES)).toEqual({ counts, total: 60, blockers: [] });
+    });
+
+    it("blocks a course purge while other courses or programs depend on it", () => {
+        const counts = { ...zeros(COURSE_DEPENDENCIES), enrollments: 3, requiredBy: 2, programs: 1 };
+        const { blockers } = dependencyReport(counts, COURSE_DEPENDENCIES);
+        expect(blockers.map(b => [b.dependency, b.count])).toEqual([["requiredBy", 2], ["programs", 1]]);
+        expect(blockers[0].error).toMatch(/prerequisite/);
+    });
+
+    it("blocks a user purge while they own courses", () => {
+        const counts = { ...zeros(USER_DEPENDENCIES), grades: 12 };
+        expect(dependencyReport(counts, USER_DEPENDENCIES).blockers).toEqual([]);
+        const owner = dependencyReport({ ...counts, ownedCourses: 1 }, USER_DEPENDENCIES);
+        expect(owner.blockers).toEqual([expect.objectContaining({ dependency: "ownedCourses", count: 1 })]);
+    });
+
+    it("counts everything in one query", async () => {
+        const sql = dependencySql(USER_DEPENDENCIES);
+        for (const name of Object.keys(USER_DEPENDENCIES)) expect(sql).toContain(`::int AS "${name}"`);
+
+        const calls = [];
+        const db = {
+            async query(text, values) {
+                calls.push({ text, values });
+                return { rows: [{ ...zeros(COURSE_DEPENDENCIES), grades: 4 }] };
+            },
+        };
+        const report = await courseDependencies(db, 7);
+        expect(calls).toEqual([{ text: dependencySql(COURSE_DEPENDENCIES), values: [7] }]);
+        expect(report.total).toBe(4);
+
+        await userDependencies(db, 9);
+        expect(calls[1].values).toEqual([9]);
+    });
+
+    it("frees an archived student's current seats and promotes from the waitlist", async () => {
+        const dropped = [
+            { id: 1, student_id: 5, course_id: 10, offering_id: 100 },
+            { id: 2, student_id: 5, course_id: 11, offering_id: 101 },
+        ];
+        const queries = [];
+        const client = {
+            async query(text, values) {
+                queries.push({ text, values });
+                if (text.includes("DELETE FROM enrollments")) return { rows: dropped };
+                // lockOffering: one seat now free, nobody waiting
+                if (text.includes("FOR UPDATE OF o")) {
+                    return { rows: [{ id: values[0], course_id: 10, term_id: 1, enrollment_limit: 1 }] };
+                }
+                if (text.includes("COUNT(*)::int AS enrolled")) return { rows: [{ enrolled: 0 }] };
+                return { rows: [], rowCount: 0 };
+            },
+        };
+
+        expect(await releaseSeats(client, 5)).toEqual(dropped);
+        expect(queries[0].text).toMatch(/ends_on >= CURRENT_DATE/);
+        expect(queries[0].text).toMatch(/official_grades/);
+
+        const events = queries.filter(q => q.text.includes("webhook_deliveries"));
+        expect(events.map(q => [q.values[0], JSON.parse(q.values[1]).source])).toEqual([
+            ["enrollment.deleted", "archive"], ["enrollment.deleted", "archive"],
+        ]);
+        const waitlists = queries.filter(q => q.text.includes("FROM waitlist_entries"));
+        expect(waitlists.map(q => q.values[0])).toEqual([100, 101]);
+    });
+
+    it("checks archive reasons and needs the record typed again to purge", () => {
+        expect(check("PurgeConfirm", {})).toEqual([
+            expect.objectContaining({ path: "body.confirm", code: "required" }),
+        ]);
+        expect(check("PurgeConfirm", { confirm: " " })).toEqual([
+            expect.objectContaining({ path: "body.confirm" }),
+        ]);
+        expect(check("PurgeConfirm", { confirm: "CS101", reason: "Duplicate course" })).toEqual([]);
+        expect(check("ArchiveRequest", {})).toEqual([]);
+        expect(check("ArchiveRequest", { reason: { text: "no" } })).toEqual([
+            expect.objectContaining({ path: "body.reason", code: "invalid_type" }),
+        ]);
+    });
+});
@@ -0,0 +1,39 @@
+import { summarizeAttendance, summarizeMarks } from "../src/lib/attendance.js";
+import { check } from "../src/lib/validate.js";
+
+describe("Attendance", () => {
+    it("counts late as attended and leaves excused and unmarked sessions out", () => {
+        const s = summarizeAttendance({ sessions: 10, present: 5, late: 1, absent: 2, excused: 1 });
+        // (5 + 1) / (5 + 1 + 2)
+        expect(s.percent).toBe(75);
+        expect(s.unmarked).toBe(1);
+        expect(summarizeAttendance({ sessions: 3, present: 2, absent: 1 }).percent).toBe(66.7);
+    });
+
+    it("has no percent until something countable is marked", () => {
+        expect(summarizeAttendance({ sessions: 2 }).percent).toBeNull();
+        expect(summarizeAttendance({ sessions: 2, excused: 2 })).toEqual({
+            sessions: 2, present: 0, late: 0, absent: 0, excused: 2, unmarked: 0, percent: null,
+        });
+    });
+
+    it("summarizes one student's marks", () => {
+        const s = summarizeMarks([{ status: "PRESENT" }, { status: "ABSENT" }, { status: null }, { status: "LATE" }]);
+        expect(s).toEqual({ sessions: 4, present: 1, late: 1, absent: 1, excused: 0, unmarked: 1, percent: 66.7 });
+    });
+
+    it("checks session and marking bodies", () => {
+        expect(check("SessionCreate", { heldOn: "2026-02-30" })).toEqual([
+            expect.objectContaining({ path: "body.heldOn", code: "invalid_format" }),
+        ]);
+        const body = { records: [{ studentId: "4", status: "PRESENT" }], others: "ABSENT" };
+        expect(check("AttendanceMark", body)).toEqual([]);
+        expect(body.records[0].studentId).toBe(4);
+        expect(check("AttendanceMark", { records: [{ studentId: 4, status: "HERE" }] })).toEqual([
+            expect.objectContaining({ path: "body.records[0].status", code: "invalid_value" }),
+        ]);
+        expect(check("AttendanceMarkOne", {})).toEqual([
+            expect.objectContaining({ path: "body.status", code: "required" }),
+        ]);
+    });
+});
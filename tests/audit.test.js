@@ -0,0 +1,80 @@
+import request from "supertest";
+import app, { pool } from "../server.js";
+import { recordAudit, AUDIT_LIST, COURSE_AUDIT_LIST } from "../src/lib/audit.js";
+import { parseListQuery } from "../src/lib/listQuery.js";
+import { signAccessToken } from "../src/lib/sessions.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const TEACHER = { id: 4, role: "TEACHER", email: "t@coursehub.io", name: "Teacher", token_version: 0 };
+
+// Course 10 is taught by TEACHER; every audit query is recorded
+function fakePool() {
+    const calls = [];
+    return {
+        calls,
+        async query(text, values) {
+            calls.push({ text, values });
+            if (text.includes("token_version FROM users")) return { rows: [TEACHER] };
+            if (text.includes("LEFT JOIN course_staff cs")) return { rows: values[0] === 10 ? [{ teacher_id: 4, role: null }] : [{ teacher_id: 1, role: null }] };
+            if (text.includes("COUNT(*)::int AS total")) return { rows: [{ total: 1 }] };
+            if (text.includes("FROM audit_log")) return { rows: [{ id: 8, action: "grade.create", course_id: 10 }] };
+            return { rows: [] };
+        },
+    };
+}
+
+describe("Audit log", () => {
+    afterAll(async () => {
+        await pool.end();
+    });
+
+    it("stores snapshots as JSON and leaves out what is not given", async () => {
+        const calls = [];
+        await recordAudit({ async query(text, values) { calls.push(values); } }, {
+            actorId: 1, action: "grade.update", entityType: "grade", entityId: 7, courseId: 10,
+            before: { value: "B" }, after: { value: "A" }, reason: "",
+        });
+        expect(calls[0]).toEqual([1, "grade.update", "grade", 7, 10, '{"value":"B"}', '{"value":"A"}', null]);
+    });
+
+    it("filters by actor, entity and date range, newest first", () => {
+        const page = parseListQuery({
+            actorId: "3", entityType: "grade", entityId: "7", from: "2025-09-01", to: "2025-12-31T23:59:59Z",
+        }, AUDIT_LIST);
+        expect(page.sort).toMatchObject({ column: "a.created_at", desc: true });
+        expect(page.conditions).toEqual([
+            ["a.actor_id = ?", 3],
+            ["a.entity_type = ?", "grade"],
+            ["a.entity_id = ?", 7],
+            ["a.created_at >= ?", "2025-09-01"],
+            ["a.created_at <= ?", "2025-12-31T23:59:59Z"],
+        ]);
+        expect(parseListQuery({ actorId: "me", from: "last week" }, AUDIT_LIST).error)
+            .toMatch(/actorId must be a whole number.*from must be a date/);
+    });
+
+    it("keeps a course's audit trail to that course", async () => {
+        // entity and actor filters are not offered per course
+        expect(Object.keys(COURSE_AUDIT_LIST.filters)).toEqual(["action", "from", "to"]);
+        expect(parseListQuery({ courseId: "11", actorId: "1" }, COURSE_AUDIT_LIST).conditions).toEqual([]);
+
+        const fake = fakePool();
+        const original = pool.query;
+        pool.query = fake.query;
+        try {
+            const auth = `Bearer ${signAccessToken(TEACHER)}`;
+            const res = await request(app).get("/audit/course/10?action=grade.create&courseId=11").set("Authorization", auth);
+            expect(res.status).toBe(200);
+            const list = fake.calls.find(c => c.text.includes("COUNT(*)::int AS total"));
+            expect(list.text).toMatch(/WHERE a\.course_id = \$1 AND a\.action = \$2/);
+            expect(list.values).toEqual([10, "grade.create"]);
+
+            const other = await request(app).get("/audit/course/11").set("Authorization", auth);
+            expect(other.status).toBe(403);
+            expect((await request(app).get("/audit").set("Authorization", auth)).status).toBe(403);
+        } finally {
+            pool.query = original;
+        }
+    });
+});
@@ -0,0 +1,45 @@
+import { toPrefixQuery, courseMatch, searchSource, shapeFacets } from "../src/lib/courseSearch.js";
+
+describe("Course search", () => {
+    it("turns search text into a prefix tsquery", () => {
+        expect(toPrefixQuery("data struct")).toBe("data:* & struct:*");
+        expect(toPrefixQuery("  CS-101 & (intro)! ")).toBe("cs:* & 101:* & intro:*");
+        expect(toPrefixQuery("data data")).toBe("data:*");
+        expect(toPrefixQuery("':*|!")).toBeNull();
+        expect(toPrefixQuery(undefined)).toBeNull();
+    });
+
+    it("matches on full text or trigram similarity", () => {
+        const [sql, tsquery, text] = courseMatch(" algoritms ");
+        expect(sql).toMatch(/@@ to_tsquery\('english', \?\)/);
+        expect(sql).toMatch(/word_similarity\(\?/);
+        expect(tsquery).toBe("algoritms:*");
+        expect(text).toBe("algoritms");
+    });
+
+    it("passes values in placeholder order", () => {
+        const [sql, ...values] = searchSource("data struct", 4);
+        expect(sql.split("?").length - 1).toBe(values.length);
+        expect(values).toEqual(["data:* & struct:*", "data struct", 4, "data:* & struct:*", "data struct"]);
+
+        const [plain, ...plainValues] = searchSource("", 4);
+        expect(plain).toMatch(/\(0\)::float8 AS rank/);
+        expect(plainValues).toEqual([4]);
+    });
+
+    it("shapes facet counts", () => {
+        const facets = shapeFacets({
+            credits: [{ value: 3, count: 2 }, { value: 4, count: 1 }],
+            teachers: [{ id: 2, name: "Daaimah", count: 3 }],
+            seats: [{ value: true, count: 3 }],
+            prereqs: null,
+        });
+        expect(facets).toEqual({
+            credits: [{ value: 3, count: 2 }, { value: 4, count: 1 }],
+            teachers: [{ id: 2, name: "Daaimah", count: 3 }],
+            seatsAvailable: { true: 3, false: 0 },
+        });
+        expect(shapeFacets({ credits: [], teachers: [], seats: [], prereqs: [{ value: false, count: 2 }] }).prereqsMet)
+            .toEqual({ true: 0, false: 2 });
+    });
+});
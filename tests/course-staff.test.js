@@ -0,0 +1,81 @@
+import { pool } from "../server.js";
+import { COURSE_PERMISSIONS, permissionsFor, staffRoleError, staffCondition } from "../src/lib/courseStaff.js";
+import { requireCoursePermission, courseOf } from "../src/middleware/auth.js";
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+describe("Course staff permissions", () => {
+    afterAll(async () => {
+        await pool.end();
+    });
+
+    it("gives owners and admins everything", () => {
+        expect(permissionsFor("OWNER")).toEqual(COURSE_PERMISSIONS);
+        expect(permissionsFor("ADMIN")).toEqual(COURSE_PERMISSIONS);
+    });
+
+    it("keeps deleting the course and managing staff with the owner", () => {
+        const instructor = permissionsFor("INSTRUCTOR");
+        expect(instructor).toEqual(expect.arrayContaining(["course:write", "prereqs:write", "grades:submit"]));
+        expect(instructor).not.toContain("course:delete");
+        expect(instructor).not.toContain("staff:write");
+    });
+
+    it("lets TAs view rosters, take attendance and enter draft grades only", () => {
+        expect(permissionsFor("TA")).toEqual(["roster:read", "attendance:write", "grades:read", "grades:write"]);
+        expect(permissionsFor(null)).toEqual([]);
+        expect(permissionsFor("STUDENT")).toEqual([]);
+    });
+
+    it("checks who can hold a staff role", () => {
+        expect(staffRoleError({ role: "TEACHER" }, "INSTRUCTOR")).toBeNull();
+        expect(staffRoleError({ role: "TEACHER" }, "TA")).toBeNull();
+        expect(staffRoleError({ role: "TA" }, "TA")).toBeNull();
+        expect(staffRoleError({ role: "TA" }, "INSTRUCTOR")).toMatch(/teachers/);
+        expect(staffRoleError({ role: "STUDENT" }, "TA")).toMatch(/TA or TEACHER/);
+        expect(staffRoleError({ role: "TEACHER" }, "OWNER")).toMatch(/role must be one of INSTRUCTOR, TA/);
+    });
+
+    it("matches owners and course_staff rows in SQL", () => {
+        const sql = staffCondition("c", "$2");
+        expect(sql).toMatch(/^\(c\.teacher_id = \$2 OR EXISTS/);
+        expect(sql).toMatch(/cs\.course_id = c\.id AND cs\.user_id = \$2\)\)$/);
+    });
+
+    it("checks the course of a looked-up record and hands the record to the route", async () => {
+        // course 10 is owned by user 4, who has a TA role nowhere
+        const original = pool.query;
+        pool.query = async (_text, [courseId, userId]) => ({ rows: courseId === 10 ? [{ teacher_id: 4, role: userId === 5 ? "TA" : null }] : [] });
+        const categories = { 7: { id: 7, course_id: 10, name: "Labs" } };
+        const guard = requireCoursePermission("gradebook:write", courseOf("category", req => categories[req.params.id] || null), "Category not found");
+        const run = async (user, id) => {
+            const req = { user, params: { id } };
+            const res = fakeResponse();
+            let passed = false;
+            await guard(req, res, () => { passed = true; });
+            return { passed, req, res };
+        };
+        try {
+            const owner = await run({ id: 4, role: "TEACHER" }, "7");
+            expect(owner.passed).toBe(true);
+            expect(owner.req.category).toBe(categories[7]);
+
+            const ta = await run({ id: 5, role: "TA" }, "7");
+            expect(ta.res).toMatchObject({
+                statusCode: 403,
+                body: { code: "missing_permission", permission: "gradebook:write" },
+            });
+            expect((await run({ id: 6, role: "TEACHER" }, "7")).res.body).toEqual({ error: "Not your course" });
+            expect((await run({ id: 4, role: "TEACHER" }, "8")).res).toMatchObject({ statusCode: 404, body: { error: "Category not found" } });
+        } finally {
+            pool.query = original;
+        }
+    });
+});
@@ -0,0 +1,83 @@
+import request from "supertest";
+import app, { pool } from "../server.js";
+
+// Needs the seeded database (like basic.test.js): an admin and an active term.
+const STUDENTS = 15;
+
+describe("Enrollment under concurrency", () => {
+    let adminAuth;
+    let courseId;
+    const students = [];
+
+    beforeAll(async () => {
+        const admin = await request(app)
+            .post("/auth/login")
+            .send({ email: "admin@coursehub.io", password: "adminpass" });
+        adminAuth = `Bearer ${admin.body.token}`;
+
+        const course = await request(app)
+            .post("/courses")
+            .set("Authorization", adminAuth)
+            .send({ code: `RACE${Date.now()}`, name: "One Seat Course", credits: 1, enrollment_limit: 1 });
+        courseId = course.body.id;
+
+        const terms = await request(app).get("/terms");
+        const active = terms.body.find(t => t.is_active);
+        await request(app)
+            .post(`/courses/${courseId}/offerings`)
+            .set("Authorization", adminAuth)
+            .send({ term: active.code });
+
+        for (let i = 0; i < STUDENTS; i++) {
+            const r = await request(app)
+                .post("/auth/register")
+                .send({ firstName: "Race", lastName: `Student${i}`, password: "racepass" });
+            students.push({ id: r.body.user.id, token: r.body.token });
+        }
+    });
+
+    afterAll(async () => {
+        if (courseId) {
+            await request(app).delete(`/courses/${courseId}`).set("Authorization", adminAuth);
+        }
+        for (const s of students) {
+            await request(app).delete(`/users/${s.id}`).set("Authorization", adminAuth);
+        }
+        await pool.end();
+    });
+
+    it("gives the last seat to exactly one of many simultaneous students", async () => {
+        const responses = await Promise.all(
+            students.map(s =>
+                request(app)
+                    .post("/enrollments")
+                    .set("Authorization", `Bearer ${s.token}`)
+                    .send({ courseId })
+            )
+        );
+        const statuses = responses.map(r => r.statusCode);
+        expect(statuses.filter(c => c === 201)).toHaveLength(1);
+        expect(statuses.filter(c => c === 409)).toHaveLength(STUDENTS - 1);
+
+        const roster = await request(app)
+            .get(`/enrollments/course/${courseId}`)
+            .set("Authorization", adminAuth);
+        expect(roster.body.data).toHaveLength(1);
+        expect(roster.body.total).toBe(1);
+    });
+
+    it("rolls back an all_or_nothing bulk enroll that does not fit", async () => {
+        const res = await request(app)
+            .post("/enrollments/bulk")
+            .set("Authorization", adminAuth)
+            .send({ courseId, studentIds: students.map(s => s.id), mode: "all_or_nothing" });
+        expect(res.statusCode).toBe(409);
+        expect(res.body.committed).toBe(false);
+
+        const roster = await request(app)
+            .get(`/enrollments/course/${courseId}`)
+            .set("Authorization", adminAuth);
+        expect(roster.body.data).toHaveLength(1);
+        expect(roster.body.total).toBe(1);
+    });
+});
@@ -0,0 +1,36 @@
+import { computeGpa, summarizeGpa } from "../src/lib/gpa.js";
+
+describe("GPA engine", () => {
+    it("weights grade points by credits", () => {
+        const result = computeGpa([
+            { credits: 3, grade: "A" },
+            { credits: 1, grade: "C" },
+        ], "4.0");
+        expect(result).toEqual({ gpa: 3.5, credits: 4, courses: 2 });
+    });
+
+    it("caps A_PLUS at 4.0 on the 4.0 scale but not on the 4.3 scale", () => {
+        const rows = [{ credits: 3, grade: "A_PLUS" }];
+        expect(computeGpa(rows, "4.0").gpa).toBe(4);
+        expect(computeGpa(rows, "4.3").gpa).toBe(4.3);
+    });
+
+    it("returns a null GPA when nothing carries credit", () => {
+        expect(computeGpa([], "4.0").gpa).toBeNull();
+        expect(computeGpa([{ credits: 0, grade: "A" }], "4.0").gpa).toBeNull();
+    });
+
+    it("uses only the latest grade per course cumulatively, but every term on its own", () => {
+        const summary = summarizeGpa([
+            { course_id: 1, term_code: "2025-SPRING", credits: 3, grade: "F", assigned_at: "2025-05-01" },
+            { course_id: 1, term_code: "2025-FALL", credits: 3, grade: "A", assigned_at: "2025-12-15" },
+        ], "4.0");
+        expect(summary.method).toBe("credit_weighted");
+        expect(summary.scale).toBe("4.0");
+        expect(summary.cumulative).toEqual({ gpa: 4, credits: 3, courses: 1 });
+        expect(summary.terms).toEqual([
+            { term: "2025-SPRING", gpa: 0, credits: 3, courses: 1 },
+            { term: "2025-FALL", gpa: 4, credits: 3, courses: 1 },
+        ]);
+    });
+});
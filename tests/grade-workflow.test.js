@@ -0,0 +1,87 @@
+import request from "supertest";
+import app, { pool } from "../server.js";
+
+// Needs the seeded database (like basic.test.js): an admin and an active term.
+describe("Grade approval workflow", () => {
+    let adminAuth;
+    let courseId;
+    let student;
+
+    const gradesSeenByStudent = async () => {
+        const r = await request(app).get("/grades/me").set("Authorization", `Bearer ${student.token}`);
+        return r.body.filter(g => g.course_id === courseId).map(g => g.grade);
+    };
+
+    beforeAll(async () => {
+        const admin = await request(app)
+            .post("/auth/login")
+            .send({ email: "admin@coursehub.io", password: "adminpass" });
+        adminAuth = `Bearer ${admin.body.token}`;
+
+        const course = await request(app)
+            .post("/courses")
+            .set("Authorization", adminAuth)
+            .send({ code: `FLOW${Date.now()}`, name: "Workflow Course", credits: 3, enrollment_limit: 5 });
+        courseId = course.body.id;
+
+        const terms = await request(app).get("/terms");
+        const active = terms.body.find(t => t.is_active);
+        await request(app)
+            .post(`/courses/${courseId}/offerings`)
+            .set("Authorization", adminAuth)
+            .send({ term: active.code });
+
+        const r = await request(app)
+            .post("/auth/register")
+            .send({ firstName: "Flow", lastName: "Student", password: "flowpass" });
+        student = { id: r.body.user.id, token: r.body.token };
+        await request(app)
+            .post("/enrollments")
+            .set("Authorization", `Bearer ${student.token}`)
+            .send({ courseId });
+    });
+
+    afterAll(async () => {
+        if (courseId) await request(app).delete(`/courses/${courseId}`).set("Authorization", adminAuth);
+        if (student) await request(app).delete(`/users/${student.id}`).set("Authorization", adminAuth);
+        await pool.end();
+    });
+
+    it("keeps drafts hidden until approved, then requires a change request once locked", async () => {
+        const draft = await request(app)
+            .post("/grades")
+            .set("Authorization", adminAuth)
+            .send({ studentId: student.id, courseId, value: "B" });
+        expect(draft.statusCode).toBe(201);
+        expect(draft.body.status).toBe("DRAFT");
+        expect(await gradesSeenByStudent()).toEqual([]);
+
+        const gradeId = draft.body.id;
+        expect((await request(app).post(`/grades/${gradeId}/approve`).set("Authorization", adminAuth)).statusCode).toBe(409);
+        expect((await request(app).post(`/grades/${gradeId}/submit`).set("Authorization", adminAuth)).body.status).toBe("SUBMITTED");
+        expect((await request(app).post(`/grades/${gradeId}/approve`).set("Authorization", adminAuth)).body.status).toBe("APPROVED");
+        expect(await gradesSeenByStudent()).toEqual(["B"]);
+
+        await request(app).post(`/grades/${gradeId}/lock`).set("Authorization", adminAuth);
+        const blocked = await request(app)
+            .post("/grades")
+            .set("Authorization", adminAuth)
+            .send({ studentId: student.id, courseId, value: "A" });
+        expect(blocked.statusCode).toBe(409);
+
+        const change = await request(app)
+            .post("/grades/change-requests")
+            .set("Authorization", adminAuth)
+            .send({ gradeId, value: "A", reason: "Final exam re-marked" });
+        expect(change.statusCode).toBe(201);
+
+        const approved = await request(app)
+            .post(`/grades/change-requests/${change.body.id}/approve`)
+            .set("Authorization", adminAuth);
+        expect(approved.body.grade.status).toBe("LOCKED");
+        expect((await gradesSeenByStudent())[0]).toBe("A");
+
+        const course = await request(app).get(`/grades/course/${courseId}`).set("Authorization", adminAuth);
+        expect(course.body.data.map(g => g.status)).toEqual(["LOCKED", "LOCKED"]);
+    });
+});
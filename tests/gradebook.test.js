@@ -0,0 +1,44 @@
+import { computeBreakdown, letterFor, validateCutoffs, DEFAULT_CUTOFFS } from "../src/lib/gradebook.js";
+
+const categories = [
+    { id: 1, name: "Homework", weight: 30 },
+    { id: 2, name: "Projects", weight: 50 },
+    { id: 3, name: "Final", weight: 20 },
+];
+const assignments = [
+    { id: 10, categoryId: 1, title: "HW1", maxPoints: 10 },
+    { id: 11, categoryId: 1, title: "HW2", maxPoints: 10 },
+    { id: 20, categoryId: 2, title: "Project", maxPoints: 100 },
+    { id: 30, categoryId: 3, title: "Exam", maxPoints: 50 },
+];
+
+describe("Weighted gradebook", () => {
+    it("weights category percentages and maps them through the cutoffs", () => {
+        const scores = new Map([[10, 9], [11, 8], [20, 90], [30, 40]]);
+        const b = computeBreakdown({ categories, assignments, scores });
+        // 85*0.3 + 90*0.5 + 80*0.2 = 86.5
+        expect(b.categories.map(c => c.percent)).toEqual([85, 90, 80]);
+        expect(b.percent).toBe(86.5);
+        expect(b.letter).toBe("B");
+        expect(b.weightTotal).toBe(100);
+    });
+
+    it("is a running grade: unscored work and empty categories do not count", () => {
+        const scores = new Map([[10, 10], [20, 80]]);
+        const b = computeBreakdown({ categories, assignments, scores });
+        // Homework 100% (HW2 unscored), Projects 80%, Final not started
+        expect(b.categories[2].percent).toBeNull();
+        expect(b.percent).toBe(87.5);
+        expect(computeBreakdown({ categories, assignments, scores: new Map() }).letter).toBeNull();
+    });
+
+    it("validates cutoff tables", () => {
+        expect(validateCutoffs(DEFAULT_CUTOFFS)).toEqual([]);
+        expect(validateCutoffs([{ letter: "A", minPercent: 90 }, { letter: "F", minPercent: 0 }])).toEqual([]);
+        expect(validateCutoffs([{ letter: "A", minPercent: 50 }, { letter: "B", minPercent: 60 }, { letter: "F", minPercent: 0 }]))
+            .toEqual(["B must need less than A."]);
+        expect(validateCutoffs([{ letter: "A", minPercent: 90 }])).toEqual(["The lowest letter must start at 0."]);
+        expect(letterFor(92.99)).toBe("A_MINUS");
+        expect(letterFor(0)).toBe("F");
+    });
+});
@@ -0,0 +1,26 @@
+import { parseCsv, parseCsvObjects } from "../src/lib/csv.js";
+import { readImportRows } from "../src/lib/imports.js";
+
+describe("Roster import parsing", () => {
+    it("handles quoted fields, escaped quotes, CRLF and blank lines", () => {
+        const rows = parseCsv('name,note\r\n"Lovelace, Ada","said ""hi"""\r\n\r\nGrace,"two\nlines"\n');
+        expect(rows).toEqual([
+            ["name", "note"],
+            ["Lovelace, Ada", 'said "hi"'],
+            ["Grace", "two\nlines"],
+        ]);
+    });
+
+    it("normalizes headers so student_id, studentId and Student ID match", () => {
+        const rows = parseCsvObjects("Student ID,Course\nS1001 , cs101\n");
+        expect(rows).toEqual([{ studentid: "S1001", course: "cs101" }]);
+        expect(readImportRows([{ student_id: "S1002", Email: null }]).rows)
+            .toEqual([{ studentid: "S1002", email: "" }]);
+    });
+
+    it("rejects empty imports and non-object JSON rows", () => {
+        expect(readImportRows("name,email\n").error).toMatch(/No rows/);
+        expect(readImportRows(["S1001"]).error).toMatch(/must be an object/);
+        expect(readImportRows({ rows: [] }).error).toMatch(/text\/csv/);
+    });
+});
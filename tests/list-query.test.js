@@ -0,0 +1,94 @@
+import { parseListQuery, listQuerySchema, listEnvelope, DEFAULT_LIMIT, MAX_LIMIT } from "../src/lib/listQuery.js";
+import { validate } from "../src/lib/validate.js";
+
+const spec = {
+    id: "u.id",
+    sorts: { id: "u.id", name: "u.name" },
+    defaultSort: "id",
+    filters: {
+        role: { type: "enum", column: "u.role", values: ["STUDENT", "TEACHER"] },
+        teacherId: { type: "int", column: "c.teacher_id" },
+        term: { type: "text", where: "(t.code = ? OR t.id::text = ?)" },
+        hasSeats: { type: "bool", sql: { true: "seats > 0", false: "seats <= 0" } },
+        createdAfter: { type: "date", column: "u.created_at", op: ">=" },
+    },
+};
+
+const cursorOf = (values) => Buffer.from(JSON.stringify(values)).toString("base64url");
+
+describe("List queries", () => {
+    it("defaults and caps the limit", () => {
+        expect(parseListQuery({}, spec).limit).toBe(DEFAULT_LIMIT);
+        expect(parseListQuery({ limit: "10" }, spec).limit).toBe(10);
+        expect(parseListQuery({ limit: "5000" }, spec).limit).toBe(MAX_LIMIT);
+        expect(parseListQuery({ limit: "0" }, spec).error).toMatch(/limit/);
+        expect(parseListQuery({ limit: "abc" }, spec).error).toMatch(/limit/);
+    });
+
+    it("only sorts on whitelisted fields", () => {
+        expect(parseListQuery({}, spec).sort).toEqual({ key: "id", column: "u.id", desc: false, param: "id" });
+        expect(parseListQuery({ sort: "-name" }, spec).sort).toEqual({ key: "name", column: "u.name", desc: true, param: "-name" });
+        expect(parseListQuery({ sort: "password" }, spec).error).toMatch(/sort must be one of id, name/);
+    });
+
+    it("turns filters into conditions", () => {
+        const page = parseListQuery(
+            { role: "student", teacherId: "3", term: "2025-FALL", hasSeats: "false", createdAfter: "2025-01-01", other: "x" },
+            spec
+        );
+        expect(page.filters).toEqual({
+            role: "STUDENT", teacherId: 3, term: "2025-FALL", hasSeats: false, createdAfter: "2025-01-01",
+        });
+        expect(page.conditions).toEqual([
+            ["u.role = ?", "STUDENT"],
+            ["c.teacher_id = ?", 3],
+            ["(t.code = ? OR t.id::text = ?)", "2025-FALL", "2025-FALL"],
+            ["seats <= 0"],
+            ["u.created_at >= ?", "2025-01-01"],
+        ]);
+        expect(page.byFilter.term).toEqual(["(t.code = ? OR t.id::text = ?)", "2025-FALL", "2025-FALL"]);
+    });
+
+    it("rejects filters of the wrong type and reports them together", () => {
+        const { error } = parseListQuery({ role: "dean", teacherId: "x", hasSeats: "maybe", createdAfter: "soon" }, spec);
+        expect(error).toMatch(/role must be one of STUDENT, TEACHER/);
+        expect(error).toMatch(/teacherId must be a whole number/);
+        expect(error).toMatch(/hasSeats must be true or false/);
+        expect(error).toMatch(/createdAfter must be a date/);
+    });
+
+    it("decodes cursors and rejects tampered ones", () => {
+        expect(parseListQuery({ cursor: cursorOf(["Ada", 7]) }, spec).cursor).toEqual(["Ada", 7]);
+        expect(parseListQuery({ cursor: "not-a-cursor" }, spec).error).toBe("cursor is not valid");
+        expect(parseListQuery({ cursor: cursorOf({ id: 7 }) }, spec).error).toBe("cursor is not valid");
+    });
+
+    it("checks the query string against a schema built from the spec", () => {
+        const run = (query) => {
+            let body = null;
+            const res = { status: () => ({ json: (b) => { body = b; } }) };
+            validate({ query: listQuerySchema(spec) })({ query }, res, () => {});
+            return body;
+        };
+        expect(run({ role: "student", teacherId: "3", hasSeats: "false", createdAfter: "2025-01-01", sort: "-name", limit: "", other: "x" }))
+            .toBeNull();
+        const { code, details } = run({ role: "dean", teacherId: "x", hasSeats: "maybe", createdAfter: "soon", sort: "password", limit: "0" });
+        expect(code).toBe("validation_failed");
+        expect(details.map(d => [d.path, d.code])).toEqual([
+            ["query.limit", "out_of_range"], ["query.sort", "invalid_value"], ["query.role", "invalid_value"],
+            ["query.teacherId", "invalid_type"], ["query.hasSeats", "invalid_type"], ["query.createdAfter", "invalid_format"],
+        ]);
+        expect(details[5].message).toBe("createdAfter must be a date");
+    });
+
+    it("builds the envelope with a next link that keeps the other params", () => {
+        const page = parseListQuery({ role: "STUDENT", limit: "2", cursor: cursorOf(["1", 1]) }, spec);
+        const req = { baseUrl: "/users", path: "/", query: { role: "STUDENT", limit: "2", cursor: "old" } };
+        const body = listEnvelope(req, { rows: [{ id: 2 }, { id: 3 }], total: 9, nextCursor: "abc" }, page);
+        expect(body).toEqual({
+            data: [{ id: 2 }, { id: 3 }], total: 9, limit: 2, sort: "id",
+            next: "/users?role=STUDENT&limit=2&cursor=abc", nextCursor: "abc",
+        });
+        expect(listEnvelope(req, { rows: [], total: 0, nextCursor: null }, page).next).toBeNull();
+    });
+});
@@ -0,0 +1,65 @@
+import request from "supertest";
+import app, { pool } from "../server.js";
+import { courseChanges } from "../src/lib/notifications.js";
+import { check } from "../src/lib/validate.js";
+import { permissionsFor } from "../src/lib/courseStaff.js";
+import { recordGrade, transitionGrades } from "../src/lib/grades.js";
+
+describe("Notifications", () => {
+    afterAll(async () => {
+        await pool.end();
+    });
+
+    it("names the course fields an edit changed", () => {
+        const before = { id: 1, code: "CS101", name: "Intro", credits: 3, enrollment_limit: 30, description: null, requires_consent: false };
+        expect(courseChanges(before, { ...before, updated_at: new Date() })).toEqual([]);
+        expect(courseChanges(before, { ...before, credits: 4, description: "New", enrollment_limit: 30 }))
+            .toEqual(["credits", "description"]);
+        expect(courseChanges(before, { ...before, requires_consent: true })).toEqual(["consent requirement"]);
+    });
+
+    it("checks announcement bodies", () => {
+        expect(check("AnnouncementCreate", { title: "Room change", body: "B-204" })).toEqual([]);
+        expect(check("AnnouncementCreate", { title: " ", term: "2025-FALL" })).toEqual(expect.arrayContaining([
+            { path: "body.title", code: "required", message: "title cannot be empty" },
+            { path: "body.body", code: "required", message: "body is required" },
+        ]));
+    });
+
+    it("lets owners and co-instructors post announcements, not TAs", () => {
+        expect(permissionsFor("OWNER")).toContain("announcements:write");
+        expect(permissionsFor("INSTRUCTOR")).toContain("announcements:write");
+        expect(permissionsFor("TA")).not.toContain("announcements:write");
+    });
+
+    it("tells the student about a grade once it is approved, not for each draft", async () => {
+        const grade = { id: 7, student_id: 3, course_id: 1, offering_id: 2, value: "B", status: "SUBMITTED" };
+        const inbox = [];
+        const client = {
+            async query(text, values) {
+                if (text.includes("INTO notifications")) inbox.push(values);
+                if (/^\s*SELECT id, value/.test(text)) return { rows: [{ ...grade, status: "DRAFT" }] };
+                if (/UPDATE grades/.test(text)) return { rows: [{ ...grade, status: text.includes("'DRAFT'") ? "DRAFT" : values[1] }] };
+                if (/FROM grades/.test(text)) return { rows: [grade] };
+                if (/FROM course_offerings/.test(text)) return { rows: [{ code: "CS101", name: "Intro", term_code: "2026-SPRING" }] };
+                return { rows: [], rowCount: 0 };
+            },
+        };
+
+        // a draft, then an edit of it
+        await recordGrade(client, { actorId: 1, studentId: 3, courseId: 1, offeringId: 2, value: "B" });
+        await recordGrade(client, { actorId: 1, studentId: 3, courseId: 1, offeringId: 2, value: "A" });
+        expect(inbox).toEqual([]);
+
+        await transitionGrades(client, [7], "approve", { actorId: 1 });
+        expect(inbox).toHaveLength(1);
+        expect(inbox[0]).toEqual(expect.arrayContaining([[3], "grade.recorded", "New grade in CS101"]));
+    });
+
+    it("keeps the inbox behind a login", async () => {
+        const res = await request(app).get("/notifications");
+        expect(res.status).toBe(401);
+        const bad = await request(app).get("/notifications?unread=maybe").set("Authorization", "Bearer nope");
+        expect(bad.status).toBe(401);
+    });
+});
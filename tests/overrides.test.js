@@ -0,0 +1,42 @@
+import {
+    checkPermissionCode, generatePermissionCode, scopeFlags, scopeOf,
+} from "../src/lib/overrides.js";
+import { check } from "../src/lib/validate.js";
+
+const now = new Date("2025-10-01T12:00:00Z");
+const code = (over = {}) => ({
+    id: 1, code: "CS101-0A1B2C3D", course_id: 1, student_id: null,
+    bypass_capacity: true, bypass_prereqs: false, max_uses: 2, uses: 0,
+    expires_at: "2025-10-15T00:00:00Z", revoked_at: null, ...over,
+});
+
+describe("Permission codes", () => {
+    it("accepts a live code for the right course", () => {
+        expect(checkPermissionCode(code(), { courseId: "1", studentId: 7, now })).toBeNull();
+        expect(checkPermissionCode(code({ student_id: 7 }), { courseId: 1, studentId: 7, now })).toBeNull();
+    });
+
+    it("rejects unknown, foreign, revoked, expired and used-up codes", () => {
+        const check = (row, studentId = 7) => checkPermissionCode(row, { courseId: 1, studentId, now });
+        expect(check(null)).toEqual({ status: 404, error: "Invalid permission code" });
+        expect(check(code({ course_id: 2 })).status).toBe(404);
+        expect(check(code({ student_id: 8 })).status).toBe(403);
+        expect(check(code({ revoked_at: "2025-09-30T00:00:00Z" })).error).toMatch(/revoked/);
+        expect(check(code({ expires_at: "2025-10-01T11:59:59Z" })).error).toMatch(/expired/);
+        expect(check(code({ uses: 2 })).error).toMatch(/already been used/);
+    });
+
+    it("maps scopes to flags and back", () => {
+        expect(scopeFlags("both")).toEqual({ bypassCapacity: true, bypassPrereqs: true });
+        expect(scopeFlags("prereqs")).toEqual({ bypassCapacity: false, bypassPrereqs: true });
+        expect(scopeOf({ bypass_capacity: true, bypass_prereqs: false })).toBe("capacity");
+        expect(scopeOf({ bypass_capacity: true, bypass_prereqs: true })).toBe("both");
+    });
+
+    it("validates new codes and prefixes them with the course code", () => {
+        expect(check("PermissionCodeCreate", { bypass: "capacity" })).toEqual([]);
+        expect(check("PermissionCodeCreate", { bypass: "all", maxUses: 0, expiresAt: "2000-01-01" }).map(d => d.path))
+            .toEqual(["body.bypass", "body.maxUses", "body.expiresAt"]);
+        expect(generatePermissionCode("cs 101")).toMatch(/^CS101-[0-9A-F]{8}$/);
+    });
+});
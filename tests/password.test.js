@@ -0,0 +1,141 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import bcrypt from "bcrypt";
+import request from "supertest";
+import app, { pool } from "../server.js";
+import { hashToken, signAccessToken } from "../src/lib/sessions.js";
+import { outboxTableTransport, directoryTransport, setMailTransport } from "../src/lib/mail.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const HOUR = 60 * 60 * 1000;
+
+// A users row and its reset tokens; queries through pool or a connected
+// client read and update these
+function fakeAccounts(user) {
+    const resetTokens = [];
+    const calls = [];
+    const query = async (text, values = []) => {
+        calls.push({ text, values });
+        if (text.includes("UPDATE password_reset_tokens") && text.includes("token_hash = $1")) {
+            const row = resetTokens.find(t => t.token_hash === values[0] && !t.used_at && t.expires_at > Date.now());
+            if (!row) return { rows: [] };
+            row.used_at = Date.now();
+            return { rows: [{ user_id: row.user_id }] };
+        }
+        if (text.includes("UPDATE users SET password")) user.password = values[0];
+        if (/FROM users WHERE (id|email)=\$1/.test(text)) return { rows: [user] };
+        return { rows: [{ id: 1 }], rowCount: 1 };
+    };
+    const client = { query, release() {} };
+    return { user, resetTokens, calls, query, connect: async () => client };
+}
+
+async function withAccounts(accounts, fn) {
+    const { query, connect } = pool;
+    pool.query = accounts.query;
+    pool.connect = accounts.connect;
+    try {
+        return await fn();
+    } finally {
+        Object.assign(pool, { query, connect });
+    }
+}
+
+describe("Password reset and change", () => {
+    let user;
+
+    beforeAll(async () => {
+        user = { id: 4, role: "STUDENT", email: "ada@coursehub.io", name: "Ada", token_version: 0, password: await bcrypt.hash("oldpass", 10) };
+    });
+
+    afterAll(async () => {
+        setMailTransport(null);
+        await pool.end();
+    });
+
+    it("uses a reset token once", async () => {
+        const accounts = fakeAccounts({ ...user });
+        accounts.resetTokens.push({ user_id: 4, token_hash: hashToken("link"), used_at: null, expires_at: Date.now() + HOUR });
+
+        await withAccounts(accounts, async () => {
+            const first = await request(app).post("/auth/password/reset").send({ token: "link", newPassword: "newpass" });
+            expect(first.status).toBe(200);
+            expect(await bcrypt.compare("newpass", accounts.user.password)).toBe(true);
+            // signs the user out everywhere
+            expect(accounts.calls.some(c => /token_version = token_version \+ 1/.test(c.text))).toBe(true);
+
+            const again = await request(app).post("/auth/password/reset").send({ token: "link", newPassword: "other" });
+            expect(again.status).toBe(400);
+            expect(again.body.error).toBe("Invalid or expired reset token");
+            expect(await bcrypt.compare("newpass", accounts.user.password)).toBe(true);
+        });
+    });
+
+    it("refuses an expired or unknown reset token", async () => {
+        const accounts = fakeAccounts({ ...user });
+        accounts.resetTokens.push({ user_id: 4, token_hash: hashToken("old-link"), used_at: null, expires_at: Date.now() - 1 });
+
+        await withAccounts(accounts, async () => {
+            for (const token of ["old-link", "made-up"]) {
+                const res = await request(app).post("/auth/password/reset").send({ token, newPassword: "newpass" });
+                expect(res.status).toBe(400);
+            }
+            expect(accounts.calls.some(c => c.text.includes("UPDATE users"))).toBe(false);
+        });
+    });
+
+    it("changes the password only with the right current password", async () => {
+        const accounts = fakeAccounts({ ...user });
+        const auth = `Bearer ${signAccessToken(user)}`;
+
+        await withAccounts(accounts, async () => {
+            const wrong = await request(app)
+                .post("/auth/password/change")
+                .set("Authorization", auth)
+                .send({ currentPassword: "guess", newPassword: "newpass" });
+            expect(wrong.status).toBe(401);
+            expect(wrong.body.error).toBe("Current password is incorrect");
+            expect(accounts.calls.some(c => c.text.includes("UPDATE users"))).toBe(false);
+            expect(accounts.calls.map(c => c.text).filter(t => t === "BEGIN" || t === "ROLLBACK")).toEqual(["BEGIN", "ROLLBACK"]);
+
+            const ok = await request(app)
+                .post("/auth/password/change")
+                .set("Authorization", auth)
+                .send({ currentPassword: "oldpass", newPassword: "newpass" });
+            expect(ok.status).toBe(200);
+            expect(ok.body).toEqual({ token: expect.any(String), refreshToken: expect.any(String) });
+            expect(await bcrypt.compare("newpass", accounts.user.password)).toBe(true);
+        });
+    });
+
+    it("mails reset links through the outbox", async () => {
+        const accounts = fakeAccounts({ ...user });
+        await withAccounts(accounts, async () => {
+            await outboxTableTransport.send({ to: "ada@coursehub.io", subject: "Hi", text: "Body" });
+        });
+        expect(accounts.calls).toEqual([{
+            text: expect.stringContaining("INSERT INTO mail_outbox"),
+            values: ["ada@coursehub.io", "Hi", "Body"],
+        }]);
+
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), "outbox-"));
+        try {
+            await directoryTransport(dir).send({ to: "ada@coursehub.io", subject: "Reset", text: "Link" });
+            const [file] = await fs.readdir(dir);
+            expect(file).toMatch(/^\d+-ada@coursehub\.io\.txt$/);
+            expect(await fs.readFile(path.join(dir, file), "utf8")).toBe("To: ada@coursehub.io\nSubject: Reset\n\nLink\n");
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+
+        const sent = [];
+        setMailTransport({ async send(message) { sent.push(message); } });
+        await withAccounts(fakeAccounts({ ...user }), () =>
+            request(app).post("/auth/password/forgot").send({ email: "ada@coursehub.io" }).expect(202)
+        );
+        expect(sent).toEqual([expect.objectContaining({ to: "ada@coursehub.io", subject: "Reset your CourseHub password" })]);
+        expect(sent[0].text).toMatch(/reset-password\?token=[\w-]+/);
+    });
+});
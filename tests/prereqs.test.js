@@ -0,0 +1,104 @@
+import {
+    checkPrereqRules, validatePrereqs, meetsMinGrade, findCycle, buildPrereqTree, planPathway,
+} from "../src/lib/prereqs.js";
+
+const rules = [
+    { id: 1, code: "CS101", minGrade: "C", group: null, concurrent: false },
+    { id: 2, code: "MATH101", minGrade: "D", group: "math", concurrent: false },
+    { id: 3, code: "MATH102", minGrade: "B", group: "math", concurrent: false },
+    { id: 4, code: "CS150L", minGrade: "D", group: null, concurrent: true },
+];
+const student = (grades, concurrent = [], hasConsent = false) => ({
+    grades: new Map(Object.entries(grades).map(([k, v]) => [Number(k), v])),
+    concurrent: new Set(concurrent),
+    hasConsent,
+});
+
+describe("Prerequisite rules", () => {
+    it("enforces minimum grades: a D no longer satisfies a C requirement", () => {
+        expect(meetsMinGrade("D", "C")).toBe(false);
+        expect(meetsMinGrade("C", "C")).toBe(true);
+        expect(meetsMinGrade("A_PLUS", "B_MINUS")).toBe(true);
+        expect(meetsMinGrade("F", "D")).toBe(false);
+
+        const unmet = checkPrereqRules(rules, student({ 1: "D", 2: "B", 4: "A" }));
+        expect(unmet).toHaveLength(1);
+        expect(unmet[0]).toMatchObject({ rule: "prereq", code: "CS101", minGrade: "C", grade: "D" });
+        expect(unmet[0].message).toBe("Prerequisite CS101 (C or better) not met (latest grade D)");
+    });
+
+    it("needs only one course from an any-of group", () => {
+        expect(checkPrereqRules(rules, student({ 1: "A", 3: "B", 4: "A" }))).toEqual([]);
+        const unmet = checkPrereqRules(rules, student({ 1: "A", 3: "C", 4: "A" }));
+        expect(unmet.map(u => u.rule)).toEqual(["any_of"]);
+        expect(unmet[0].message).toBe("Requires one of: MATH101, MATH102 (B or better)");
+    });
+
+    it("accepts corequisites taken the same term and reports missing consent", () => {
+        expect(checkPrereqRules(rules, student({ 1: "A", 2: "A" }, [4]))).toEqual([]);
+        expect(checkPrereqRules(rules, student({ 1: "A", 2: "A" })).map(u => u.rule)).toEqual(["coreq"]);
+        expect(checkPrereqRules([], student({}), { requiresConsent: true }).map(u => u.rule))
+            .toEqual(["instructor_consent"]);
+        expect(checkPrereqRules([], student({}, [], true), { requiresConsent: true })).toEqual([]);
+    });
+
+    it("validates rule input", () => {
+        expect(validatePrereqs([{ courseId: 1, minGrade: "C", group: "x", concurrent: true }])).toEqual([]);
+        expect(validatePrereqs([{ courseId: 1 }, { courseId: 1, minGrade: "F" }])).toHaveLength(2);
+    });
+});
+
+// 1 CS101 <- 2 CS201 <- 4 CS301 (needs CS201 with a C, plus MATH201 or STAT101)
+// 3 MATH101 <- 5 MATH201;  6 STAT101 has no prereqs;  7 CS301L is a coreq of CS301
+const course = (id, code) => [id, { id, code, name: code, credits: 3 }];
+const graph = {
+    courses: new Map([
+        course(1, "CS101"), course(2, "CS201"), course(3, "MATH101"), course(4, "CS301"),
+        course(5, "MATH201"), course(6, "STAT101"), course(7, "CS301L"),
+    ]),
+    rules: new Map([
+        [1, []], [3, []], [6, []], [7, []],
+        [2, [{ id: 1, minGrade: "D", group: null, concurrent: false }]],
+        [5, [{ id: 3, minGrade: "D", group: null, concurrent: false }]],
+        [4, [
+            { id: 2, minGrade: "C", group: null, concurrent: false },
+            { id: 5, minGrade: "D", group: "math", concurrent: false },
+            { id: 6, minGrade: "D", group: "math", concurrent: false },
+            { id: 7, minGrade: "D", group: null, concurrent: true },
+        ]],
+    ]),
+};
+
+describe("Prerequisite graph", () => {
+    it("finds the shortest cycle a new rule set would close", () => {
+        expect(findCycle(graph.rules, 1, [4])).toEqual([1, 4, 2, 1]);
+        expect(findCycle(graph.rules, 3, [5])).toEqual([3, 5, 3]);
+        expect(findCycle(graph.rules, 4, [2, 5])).toBeNull();
+        // the course's own current edges are being replaced, so they are ignored
+        expect(findCycle(graph.rules, 2, [6])).toBeNull();
+    });
+
+    it("returns the transitive DAG with longest-chain depths", () => {
+        const { nodes, edges } = buildPrereqTree(graph, 4);
+        const depth = Object.fromEntries(nodes.map(n => [n.code, n.depth]));
+        expect(depth).toEqual({ CS301: 0, CS201: 1, MATH201: 1, STAT101: 1, CS301L: 1, CS101: 2, MATH101: 2 });
+        expect(edges).toHaveLength(6);
+        expect(edges).toContainEqual({ courseId: 4, prereqId: 2, minGrade: "C", group: null, concurrent: false });
+    });
+
+    it("plans the fewest remaining courses in prereq order", () => {
+        const { courses, enrollStep } = planPathway(graph, 4, new Map());
+        // STAT101 beats MATH201 (which would also need MATH101)
+        expect(courses.map(c => [c.code, c.step])).toEqual([
+            ["CS101", 1], ["CS301L", 1], ["STAT101", 1], ["CS201", 2],
+        ]);
+        expect(courses.find(c => c.code === "CS301L").concurrent).toBe(true);
+        expect(enrollStep).toBe(3);
+    });
+
+    it("skips rules the student already meets and retakes low grades", () => {
+        const { courses } = planPathway(graph, 4, new Map([[1, "A"], [2, "D"], [5, "B"], [7, "B"]]));
+        expect(courses.map(c => c.code)).toEqual(["CS201"]);
+        expect(planPathway(graph, 2, new Map([[1, "B"]])).courses).toEqual([]);
+    });
+});
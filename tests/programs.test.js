@@ -0,0 +1,64 @@
+import { computeDegreeAudit, validateProgram } from "../src/lib/programs.js";
+import { check } from "../src/lib/validate.js";
+
+const course = (courseId, code, credits = 3) => ({ courseId, code, name: code, credits });
+const program = {
+    id: 1, code: "CS", name: "Computer Science", minCredits: 12, minGpa: 2.5,
+    requiredCourses: [{ ...course(1, "CS101"), minGrade: "C" }, { ...course(2, "CS201"), minGrade: "D" }],
+    electivePools: [
+        { id: 1, name: "Upper division", minCourses: 2, minCredits: 0, courses: [course(3, "CS301"), course(4, "CS310"), course(5, "CS320")] },
+        { id: 2, name: "Math", minCourses: 0, minCredits: 4, courses: [course(6, "MATH101", 4), course(3, "CS301")] },
+    ],
+};
+const record = (completed, inProgress = {}, gpa = null) => ({
+    completed: new Map(Object.entries(completed).map(([id, [grade, credits = 3]]) => [Number(id), { grade, credits, term: "2025-FALL" }])),
+    inProgress: new Map(Object.entries(inProgress).map(([id, credits]) => [Number(id), { credits, term: "2026-SPRING" }])),
+    gpa,
+});
+
+describe("Degree audit", () => {
+    it("reports completed, in-progress and remaining requirements", () => {
+        const audit = computeDegreeAudit(program, record({ 1: ["B"], 2: ["F"], 3: ["A"] }, { 4: 3 }, 3.2));
+        expect(audit.requiredCourses.map(r => [r.code, r.status])).toEqual([["CS101", "complete"], ["CS201", "remaining"]]);
+        expect(audit.requiredCourses[1].grade).toBe("F");
+
+        const [upper, math] = audit.electivePools;
+        expect(upper).toMatchObject({ status: "in_progress", completedCourses: ["CS301"], inProgressCourses: ["CS310"], coursesStillNeeded: 0 });
+        // CS301 already counted toward Upper division, so Math still needs its credits
+        expect(math).toMatchObject({ status: "remaining", completedCourses: [], creditsStillNeeded: 4, options: ["MATH101"] });
+
+        expect(audit.credits).toEqual({ required: 12, earned: 6, inProgress: 3, remaining: 3, status: "remaining" });
+        expect(audit.gpa.status).toBe("complete");
+        expect(audit.status).toBe("remaining");
+        expect(audit.remaining).toEqual({ courses: ["CS201"], electivePools: ["Math"], credits: 3 });
+    });
+
+    it("needs the program's minimum grade on required courses", () => {
+        const audit = computeDegreeAudit(program, record({ 1: ["D"] }, { 1: 3 }));
+        expect(audit.requiredCourses[0]).toMatchObject({ status: "in_progress", grade: "D", term: "2026-SPRING" });
+    });
+
+    it("is complete once every requirement is met", () => {
+        const done = record({ 1: ["A"], 2: ["B"], 3: ["B"], 4: ["C"], 6: ["A", 4] }, {}, 3.4);
+        expect(computeDegreeAudit(program, done).status).toBe("complete");
+        const lowGpa = record({ 1: ["C"], 2: ["D"], 3: ["D"], 4: ["D"], 6: ["D", 4] }, {}, 1.3);
+        const audit = computeDegreeAudit(program, lowGpa);
+        expect(audit.gpa).toEqual({ required: 2.5, current: 1.3, status: "remaining" });
+        expect(audit.status).toBe("remaining");
+    });
+
+    it("validates program bodies", () => {
+        const body = { code: "CS", name: "CS", requiredCourses: [{ courseId: 1 }] };
+        expect(check("ProgramCreate", body)).toEqual([]);
+        expect(validateProgram(body)).toEqual([]);
+        expect(check("ProgramCreate", { name: "x" })).toEqual([
+            expect.objectContaining({ path: "body.code", code: "required" }),
+        ]);
+        expect(check("ProgramWrite", { electivePools: [{ name: "A", courseIds: [] }], minGpa: 9 }).map(d => d.path))
+            .toEqual(["body.minGpa", "body.electivePools[0].courseIds"]);
+        expect(validateProgram({
+            requiredCourses: [{ courseId: 1 }, { courseId: 1 }],
+            electivePools: [{ name: "A", courseIds: [2] }, { name: "A ", courseIds: [3] }],
+        })).toEqual(["requiredCourses[1].courseId 1 is listed twice.", "electivePools[1].name A is listed twice."]);
+    });
+});
@@ -0,0 +1,33 @@
+import { validateMeetings, buildWeeklySchedule } from "../src/lib/schedule.js";
+
+describe("Course meeting schedules", () => {
+    it("accepts a well-formed meeting pattern", () => {
+        const errors = validateMeetings([
+            { day: "MON", start: "09:00", end: "10:30", room: "Room 101" },
+            { day: "WED", start: "09:00", end: "10:30" },
+        ]);
+        expect(errors).toEqual([]);
+    });
+
+    it("rejects unknown days, bad times and end before start", () => {
+        const errors = validateMeetings([
+            { day: "FUNDAY", start: "09:00", end: "10:00" },
+            { day: "TUE", start: "9am", end: "10:00" },
+            { day: "THU", start: "11:00", end: "10:00" },
+        ]);
+        expect(errors).toHaveLength(3);
+        expect(errors[2]).toMatch(/end must be after start/);
+    });
+
+    it("groups meetings by day, sorted by start time", () => {
+        const week = buildWeeklySchedule([
+            { day: "MON", start: "13:00", end: "14:00", code: "CS201" },
+            { day: "MON", start: "09:00", end: "10:30", code: "CS101" },
+            { day: "FRI", start: "10:00", end: "11:00", code: "CS101" },
+        ]);
+        expect(Object.keys(week)).toEqual(["MON", "TUE", "WED", "THU", "FRI", "SAT", "SUN"]);
+        expect(week.MON.map(m => m.code)).toEqual(["CS101", "CS201"]);
+        expect(week.TUE).toEqual([]);
+        expect(week.FRI).toHaveLength(1);
+    });
+});
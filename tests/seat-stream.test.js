@@ -0,0 +1,87 @@
+import { EventEmitter } from "events";
+import { formatEvent, parseSeatNotification, wantsSeats, openSeatStream, SEAT_CHANNEL } from "../src/lib/seatStream.js";
+
+const seats = [
+    { offering_id: 5, course_id: 2, code: "CS101", term_id: 1, term_code: "2025-FALL", enrollment_limit: 30, enrolled: 27, available_seats: 3 },
+    { offering_id: 6, course_id: 3, code: "CS201", term_id: 1, term_code: "2025-FALL", enrollment_limit: 20, enrolled: 5, available_seats: 15 },
+    { offering_id: 9, course_id: 2, code: "CS101", term_id: 2, term_code: "2026-SPRING", enrollment_limit: 30, enrolled: 0, available_seats: 30 },
+];
+
+// A pool whose seat query reads the rows above (same filters as loadSeats),
+// and a LISTEN connection the test can send notifications through
+function fakePool() {
+    const listener = new EventEmitter();
+    listener.query = async () => ({ rows: [] });
+    listener.release = () => {};
+    return {
+        listener,
+        connect: async () => listener,
+        query: async (_sql, [termId, courseIds, offeringIds]) => ({
+            rows: seats
+                .filter(s => termId == null || s.term_id === termId)
+                .filter(s => !courseIds || courseIds.includes(s.course_id))
+                .filter(s => !offeringIds || offeringIds.includes(s.offering_id))
+                .map(s => ({ ...s })),
+        }),
+    };
+}
+
+function fakeResponse() {
+    return {
+        chunks: [],
+        writeHead(status, headers) { this.status = status; this.headers = headers; },
+        write(chunk) { this.chunks.push(chunk); },
+        events(name) {
+            return this.chunks
+                .filter(c => c.includes(`event: ${name}\n`))
+                .map(c => JSON.parse(c.split("data: ")[1]));
+        },
+    };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe("Seat stream", () => {
+    it("formats events and reads NOTIFY payloads", () => {
+        expect(formatEvent("seats", { a: 1 }, 4)).toBe('id: 4\nevent: seats\ndata: {"a":1}\n\n');
+        expect(parseSeatNotification('{"courseId":2,"offeringId":5}')).toEqual({ courseId: 2, offeringId: 5 });
+        expect(parseSeatNotification('{"courseId":2}')).toEqual({ courseId: 2, offeringId: null });
+        expect(parseSeatNotification("not json")).toBeNull();
+        expect(wantsSeats({ termId: 1, courseId: null }, seats[1])).toBe(true);
+        expect(wantsSeats({ termId: 1, courseId: 2 }, seats[1])).toBe(false);
+        expect(wantsSeats({ termId: 1, courseId: 2 }, seats[2])).toBe(false);
+    });
+
+    it("sends a snapshot, then one update per changed offering to the streams that want it", async () => {
+        const db = fakePool();
+        const catalog = fakeResponse();
+        const course = fakeResponse();
+        const catalogReq = new EventEmitter();
+        await openSeatStream(db, catalogReq, catalog, { termId: 1 });
+        await openSeatStream(db, new EventEmitter(), course, { termId: 1, courseId: 2 });
+
+        expect(catalog.status).toBe(200);
+        expect(catalog.headers["Content-Type"]).toBe("text/event-stream");
+        expect(catalog.events("snapshot")[0].map(s => s.offering_id)).toEqual([5, 6]);
+        expect(course.events("snapshot")[0].map(s => s.offering_id)).toEqual([5]);
+
+        // Two enrollments in one burst come out as one update
+        seats[0].enrolled = 29;
+        seats[0].available_seats = 1;
+        const notify = (payload) => db.listener.emit("notification", { channel: SEAT_CHANNEL, payload: JSON.stringify(payload) });
+        notify({ courseId: 2, offeringId: 5 });
+        notify({ courseId: 2, offeringId: 5 });
+        notify({ courseId: 3, offeringId: 6 });
+        await wait(300);
+
+        expect(course.events("seats")).toEqual([expect.objectContaining({ offering_id: 5, available_seats: 1 })]);
+        expect(catalog.events("seats").map(s => s.offering_id).sort()).toEqual([5, 6]);
+
+        // A closed stream gets nothing more
+        catalogReq.emit("close");
+        notify({ courseId: 2 });
+        await wait(300);
+        expect(catalog.events("seats")).toHaveLength(2);
+        expect(course.events("seats")).toHaveLength(2);
+    });
+});
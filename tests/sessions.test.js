@@ -0,0 +1,164 @@
+import jwt from "jsonwebtoken";
+import request from "supertest";
+import app, { pool } from "../server.js";
+import {
+    hashToken, signAccessToken, issueSession, rotateRefreshToken, revokeRefreshToken, revokeAllSessions,
+} from "../src/lib/sessions.js";
+import { requireAuth } from "../src/middleware/auth.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+const ALICE = { id: 4, role: "TEACHER", email: "alice@coursehub.io", name: "Alice", token_version: 2 };
+
+// Records every query and answers from `respond(text, values)`
+function fakeDb(respond = () => ({ rows: [] })) {
+    const calls = [];
+    return {
+        calls,
+        async query(text, values) {
+            calls.push({ text, values });
+            return respond(text, values) || { rows: [] };
+        },
+    };
+}
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; },
+    };
+}
+
+// Run requireAuth against a users table holding `users`
+async function authenticate(token, users = [ALICE]) {
+    const original = pool.query;
+    pool.query = async (_text, [id]) => ({ rows: users.filter(u => u.id === id) });
+    try {
+        const req = { headers: token ? { authorization: `Bearer ${token}` } : {} };
+        const res = fakeResponse();
+        let passed = false;
+        await requireAuth(req, res, () => { passed = true; });
+        return { passed, req, res };
+    } finally {
+        pool.query = original;
+    }
+}
+
+describe("Sessions and tokens", () => {
+    afterAll(async () => {
+        await pool.end();
+    });
+
+    it("stores refresh tokens hashed and puts the token version in access tokens", async () => {
+        expect(hashToken("abc")).toMatch(/^[0-9a-f]{64}$/);
+        expect(hashToken("abc")).toBe(hashToken("abc"));
+        expect(jwt.verify(signAccessToken(ALICE), process.env.JWT_SECRET)).toMatchObject({ id: 4, role: "TEACHER", tv: 2 });
+        expect(jwt.verify(signAccessToken({ ...ALICE, token_version: undefined }), process.env.JWT_SECRET).tv).toBe(0);
+
+        const db = fakeDb(() => ({ rows: [{ id: 31 }] }));
+        const session = await issueSession(db, ALICE);
+        expect(session.refreshTokenId).toBe(31);
+        expect(db.calls[0].values.slice(0, 2)).toEqual([4, hashToken(session.refreshToken)]);
+        expect(db.calls[0].values).not.toContain(session.refreshToken);
+    });
+
+    it("rotates a refresh token, revoking the old one in favour of the new", async () => {
+        const db = fakeDb((text) => {
+            if (text.includes("FROM refresh_tokens rt")) return { rows: [{ id: 30, user_id: 4, revoked_at: null, expired: false }] };
+            if (text.includes("FROM users")) return { rows: [ALICE] };
+            if (text.includes("INSERT INTO refresh_tokens")) return { rows: [{ id: 31 }] };
+        });
+        const result = await rotateRefreshToken(db, "old-token");
+        expect(result.user).toBe(ALICE);
+        expect(result.session.refreshToken).not.toBe("old-token");
+        expect(db.calls[0].values).toEqual([hashToken("old-token")]);
+        expect(db.calls.at(-1)).toEqual({ text: expect.stringMatching(/SET revoked_at = NOW\(\), replaced_by = \$2/), values: [30, 31] });
+    });
+
+    it("treats a reused refresh token as theft and ends every session", async () => {
+        const db = fakeDb((text) => {
+            if (text.includes("FROM refresh_tokens rt")) return { rows: [{ id: 30, user_id: 4, revoked_at: new Date(), expired: false }] };
+        });
+        expect(await rotateRefreshToken(db, "stolen")).toEqual({ error: "Refresh token reused; all sessions revoked" });
+        expect(db.calls.map(c => c.values)).toEqual([[hashToken("stolen")], [4], [4]]);
+        expect(db.calls[2].text).toMatch(/token_version = token_version \+ 1/);
+    });
+
+    it("refuses unknown, expired and archived users' refresh tokens", async () => {
+        expect(await rotateRefreshToken(fakeDb(), "nope")).toEqual({ error: "Invalid refresh token" });
+
+        const stored = (extra) => (text) => {
+            if (text.includes("FROM refresh_tokens rt")) return { rows: [{ id: 30, user_id: 4, revoked_at: null, expired: false, ...extra }] };
+        };
+        const expired = fakeDb(stored({ expired: true }));
+        expect(await rotateRefreshToken(expired, "old")).toEqual({ error: "Refresh token expired" });
+        expect(expired.calls).toHaveLength(1);
+        // the user lookup skips archived users
+        expect(await rotateRefreshToken(fakeDb(stored()), "old")).toEqual({ error: "Invalid refresh token" });
+    });
+
+    it("revokes one refresh token on logout", async () => {
+        const db = fakeDb((_text, [hash]) => ({ rowCount: hash === hashToken("live") ? 1 : 0 }));
+        expect(await revokeRefreshToken(db, "live")).toBe(true);
+        expect(await revokeRefreshToken(db, "already-revoked")).toBe(false);
+        expect(db.calls[0].text).toMatch(/revoked_at IS NULL/);
+    });
+
+    it("lets an access token through only while its version is current", async () => {
+        const ok = await authenticate(signAccessToken(ALICE));
+        expect(ok.passed).toBe(true);
+        expect(ok.req.user).toEqual({ id: 4, role: "TEACHER", email: ALICE.email, name: "Alice" });
+
+        // role changed to ADMIN since the token was issued: req.user has the current role
+        const promoted = await authenticate(signAccessToken(ALICE), [{ ...ALICE, role: "ADMIN" }]);
+        expect(promoted.req.user.role).toBe("ADMIN");
+
+        // a role or password change, or revoking sessions, bumps token_version
+        const stale = await authenticate(signAccessToken(ALICE), [{ ...ALICE, token_version: 3 }]);
+        expect(stale.passed).toBe(false);
+        expect(stale.res).toMatchObject({ statusCode: 401, body: { error: "Token revoked" } });
+
+        const archived = await authenticate(signAccessToken(ALICE), []);
+        expect(archived.res).toMatchObject({ statusCode: 401, body: { error: "Token revoked" } });
+    });
+
+    it("rejects missing, forged and expired access tokens before the database", async () => {
+        expect((await authenticate(null)).res.body).toEqual({ error: "Unauthorized" });
+        expect((await authenticate(jwt.sign({ id: 4, tv: 2 }, "other-secret"))).res.body).toEqual({ error: "Invalid token" });
+        const expired = jwt.sign({ id: 4, tv: 2, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+        expect((await authenticate(expired)).res.body).toEqual({ error: "Token expired" });
+    });
+
+    it("ends every session, bumping the token version", async () => {
+        const db = fakeDb();
+        await revokeAllSessions(db, 4);
+        expect(db.calls.map(c => c.values)).toEqual([[4], [4]]);
+        expect(db.calls[0].text).toMatch(/UPDATE refresh_tokens SET revoked_at = NOW\(\)\s+WHERE user_id = \$1 AND revoked_at IS NULL/);
+        expect(db.calls[1].text).toMatch(/token_version = token_version \+ 1/);
+    });
+
+    it("logs out and lets an admin revoke a user's sessions through the API", async () => {
+        const admin = { id: 1, role: "ADMIN", email: "admin@coursehub.io", name: "Admin", token_version: 0 };
+        const db = fakeDb((text, values) => {
+            if (text.includes("token_version FROM users")) return { rows: [admin] };
+            if (text.includes("SELECT id FROM users")) return { rows: values[0] === 4 ? [{ id: 4 }] : [] };
+            return { rows: [], rowCount: 1 };
+        });
+        const original = pool.query;
+        pool.query = db.query;
+        try {
+            const out = await request(app).post("/auth/logout").send({ refreshToken: "live" });
+            expect(out.status).toBe(204);
+            expect(db.calls[0].values).toEqual([hashToken("live")]);
+
+            const auth = `Bearer ${signAccessToken(admin)}`;
+            expect((await request(app).delete("/users/4/sessions").set("Authorization", auth)).status).toBe(204);
+            expect(db.calls.at(-1).text).toMatch(/token_version = token_version \+ 1/);
+            expect((await request(app).delete("/users/99/sessions").set("Authorization", auth)).status).toBe(404);
+        } finally {
+            pool.query = original;
+        }
+    });
+});
@@ -0,0 +1,89 @@
+import { findTerm, resolveOffering, validateTerm, activateTerm } from "../src/lib/terms.js";
+import { ROSTER_FROM, loadRoster } from "../src/lib/roster.js";
+import { check } from "../src/lib/validate.js";
+
+const FALL = { id: 2, code: "2025-FALL", is_active: true };
+const SPRING = { id: 1, code: "2025-SPRING", is_active: false };
+
+// Answers the lookups resolveOffering makes from a few fixed rows
+function fakeDb({ courses = [{ id: 10 }], terms = [SPRING, FALL], offerings = [] } = {}) {
+    const calls = [];
+    return {
+        calls,
+        async query(text, values = []) {
+            calls.push({ text, values });
+            if (text.includes("FROM courses WHERE id=$1")) return { rows: courses.filter(c => c.id === values[0]) };
+            if (text.includes("WHERE is_active")) return { rows: terms.filter(t => t.is_active) };
+            if (text.includes("FROM terms WHERE code")) {
+                return { rows: terms.filter(t => t.code === values[0] || String(t.id) === values[0]) };
+            }
+            if (text.includes("FROM course_offerings o")) {
+                return { rows: offerings.filter(o => o.course_id === values[0] && o.term_id === values[1]) };
+            }
+            return { rows: [] };
+        },
+    };
+}
+
+describe("Terms and offerings", () => {
+    it("checks term bodies and their date order", () => {
+        expect(check("TermCreate", { code: "2026-SPRING", name: "Spring 2026" })).toEqual([
+            expect.objectContaining({ path: "body.startsOn", code: "required" }),
+            expect.objectContaining({ path: "body.endsOn", code: "required" }),
+        ]);
+        expect(check("TermCreate", { code: "X", name: "X", startsOn: "2026-13-01", endsOn: "2026-05-08" })).toEqual([
+            expect.objectContaining({ path: "body.startsOn", code: "invalid_format" }),
+        ]);
+        expect(validateTerm({ startsOn: "2026-05-08", endsOn: "2026-01-12" })).toEqual(["endsOn must be on or after startsOn."]);
+        expect(validateTerm({ startsOn: "2026-01-12", endsOn: "2026-01-12" })).toEqual([]);
+    });
+
+    it("deactivates every other term before activating one", async () => {
+        const calls = [];
+        const client = {
+            async query(text, values) {
+                calls.push({ text, values });
+                return { rows: text.includes("is_active = TRUE") && values[0] === 1 ? [{ ...SPRING, is_active: true }] : [] };
+            },
+        };
+        expect(await activateTerm(client, 1)).toEqual({ ...SPRING, is_active: true });
+        expect(calls[0]).toEqual({ text: expect.stringMatching(/SET is_active = FALSE WHERE is_active AND id <> \$1/), values: [1] });
+        expect(await activateTerm(client, 99)).toBeNull();
+    });
+
+    it("finds a term by code or id, and the active term by default", async () => {
+        const db = fakeDb();
+        expect(await findTerm(db, "2025-SPRING")).toBe(SPRING);
+        expect(await findTerm(db, 1)).toBe(SPRING);
+        expect(await findTerm(db, "")).toBe(FALL);
+        expect(await findTerm(db, "1999-FALL")).toBeNull();
+        expect(await findTerm(fakeDb({ terms: [SPRING] }))).toBeNull();
+    });
+
+    it("resolves ?term= to the course's offering in that term", async () => {
+        const offerings = [
+            { id: 100, course_id: 10, term_id: 1, term_code: "2025-SPRING" },
+            { id: 101, course_id: 10, term_id: 2, term_code: "2025-FALL" },
+        ];
+        const db = fakeDb({ offerings });
+        expect(await resolveOffering(db, 10)).toEqual({ offering: offerings[1] });
+        expect(await resolveOffering(db, 10, "2025-SPRING")).toEqual({ offering: offerings[0] });
+
+        expect(await resolveOffering(db, 11)).toEqual({ status: 404, error: "Course not found" });
+        expect(await resolveOffering(db, 10, "1999-FALL")).toEqual({ status: 404, error: "Term not found" });
+        expect(await resolveOffering(fakeDb({ terms: [SPRING] }), 10)).toEqual({ status: 409, error: "No active term" });
+        expect(await resolveOffering(fakeDb(), 10, "2025-FALL")).toEqual({
+            status: 409, error: "Course is not offered in 2025-FALL",
+        });
+    });
+
+    it("shows each roster the grade from its own offering, not an earlier attempt", async () => {
+        expect(ROSTER_FROM).toMatch(/g\.offering_id = e\.offering_id/);
+        expect(ROSTER_FROM).not.toMatch(/g\.course_id/);
+
+        const db = fakeDb();
+        await loadRoster(db, 101);
+        expect(db.calls[0].values).toEqual([101]);
+        expect(db.calls[0].text).toMatch(/WHERE e\.offering_id = \$1/);
+    });
+});
@@ -0,0 +1,97 @@
+import express from "express";
+import request from "supertest";
+import { buildTranscript, transcriptToCsv, issueVerification, sendTranscript } from "../src/lib/transcript.js";
+
+const STUDENT = { id: 3, name: "Ada Lovelace", email: "ada@coursehub.io", studentId: "S1001", program: "CS" };
+
+// CS101 failed in spring and retaken in fall; MATH101 still in progress
+const COURSE_ROWS = [
+    { term_code: "2025-SPRING", term_name: "Spring 2025", course_id: 1, code: "CS101", name: "Intro to CS", credits: 3, grade: "F", assigned_at: "2025-05-10" },
+    { term_code: "2025-FALL", term_name: "Fall 2025", course_id: 1, code: "CS101", name: "Intro to CS", credits: 3, grade: "B", assigned_at: "2025-12-15" },
+    { term_code: "2025-FALL", term_name: "Fall 2025", course_id: 2, code: "MATH101", name: "Calculus, Part 1", credits: 4, grade: null, assigned_at: null },
+];
+
+function fakeDb() {
+    const calls = [];
+    return {
+        calls,
+        async query(text, values) {
+            calls.push({ text, values });
+            if (text.includes("FROM users u")) return { rows: values[0] === STUDENT.id ? [STUDENT] : [] };
+            if (text.includes("app_settings")) return { rows: [{ value: "4.0" }] };
+            if (text.includes("FROM (")) return { rows: COURSE_ROWS };
+            return { rows: [] };
+        },
+    };
+}
+
+// A one-route app that sends the given transcript
+function transcriptApp(transcript, db) {
+    const app = express();
+    app.get("/t", (req, res) => {
+        req.user = { id: 9 };
+        return sendTranscript(req, res, db, transcript);
+    });
+    return app;
+}
+
+describe("Transcripts", () => {
+    it("counts an F as attempted but not earned, and lets a retake replace it in the GPA", async () => {
+        const t = await buildTranscript(fakeDb(), STUDENT.id);
+        expect(t.terms.map(term => [term.term, term.attemptedCredits, term.earnedCredits, term.gpa])).toEqual([
+            ["2025-SPRING", 3, 0, 0],
+            ["2025-FALL", 3, 3, 3],
+        ]);
+        expect(t.terms[1].courses[1]).toMatchObject({ code: "MATH101", status: "IN_PROGRESS", attemptedCredits: 0, earnedCredits: 0 });
+        expect(t.totals).toEqual({ attemptedCredits: 6, earnedCredits: 3, cumulativeGpa: 3 });
+        expect(t.gpaScale).toBe("4.0");
+
+        expect(await buildTranscript(fakeDb(), 99)).toBeNull();
+    });
+
+    it("writes one CSV row per course and a total row", async () => {
+        const csv = transcriptToCsv(await buildTranscript(fakeDb(), STUDENT.id));
+        expect(csv.split("\r\n")).toEqual([
+            "term,code,name,credits,grade,attempted_credits,earned_credits,gpa",
+            "2025-SPRING,CS101,Intro to CS,3,F,3,0,",
+            "2025-FALL,CS101,Intro to CS,3,B,3,3,",
+            "2025-FALL,MATH101,\"Calculus, Part 1\",4,,0,0,",
+            "TOTAL,,,,,6,3,3",
+            "",
+        ]);
+    });
+
+    it("records a verification code shaped like 7F3A-91C0-BB2E", async () => {
+        const db = fakeDb();
+        const t = await buildTranscript(db, STUDENT.id);
+        const code = await issueVerification(db, t, 9);
+        expect(code).toMatch(/^[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/);
+        const insert = db.calls.at(-1);
+        expect(insert.text).toContain("INSERT INTO transcript_verifications");
+        expect(insert.values).toEqual([code, STUDENT.id, 9, 3, 6, 3, expect.stringMatching(/^[0-9a-f]{64}$/)]);
+    });
+
+    it("picks the format from ?format= first, then the Accept header", async () => {
+        const db = fakeDb();
+        const app = transcriptApp(await buildTranscript(db, STUDENT.id), db);
+
+        const json = await request(app).get("/t");
+        expect(json.type).toBe("application/json");
+        expect(json.body.totals.earnedCredits).toBe(3);
+
+        const csv = await request(app).get("/t").set("Accept", "text/csv");
+        expect(csv.type).toBe("text/csv");
+        expect(csv.headers["content-disposition"]).toBe('attachment; filename="transcript-S1001.csv"');
+
+        const byQuery = await request(app).get("/t?format=CSV").set("Accept", "application/json");
+        expect(byQuery.type).toBe("text/csv");
+
+        const pdf = await request(app).get("/t?format=pdf");
+        expect(pdf.type).toBe("application/pdf");
+        expect(pdf.headers["x-transcript-verification"]).toMatch(/^[0-9A-F]{4}-[0-9A-F]{4}-[0-9A-F]{4}$/);
+        expect(db.calls.filter(c => c.text.includes("transcript_verifications"))).toHaveLength(1);
+
+        const bad = await request(app).get("/t?format=xml");
+        expect(bad.status).toBe(400);
+    });
+});
@@ -0,0 +1,101 @@
+import request from "supertest";
+import app, { pool } from "../server.js";
+import { check } from "../src/lib/validate.js";
+import { normalizeErrorBody, detailFromMessage, validationError } from "../src/lib/errors.js";
+
+describe("Request validation", () => {
+    afterAll(async () => {
+        await pool.end();
+    });
+
+    it("reports every problem with a path and a code", () => {
+        const details = check("CourseCreate", {
+            code: " ", credits: "three", enrollment_limit: -1,
+            prereqs: [{ minGrade: "F" }], meetings: [{ day: "MON", start: "9am", end: "10:00" }],
+        });
+        expect(details).toEqual(expect.arrayContaining([
+            { path: "body.name", code: "required", message: "name is required" },
+            { path: "body.code", code: "required", message: "code cannot be empty" },
+            { path: "body.credits", code: "invalid_type", message: "credits must be an integer" },
+            { path: "body.enrollment_limit", code: "out_of_range", message: "enrollment_limit must be >= 0" },
+            { path: "body.prereqs[0].courseId", code: "required", message: "prereqs[0].courseId is required" },
+            expect.objectContaining({ path: "body.prereqs[0].minGrade", code: "invalid_value" }),
+            { path: "body.meetings[0].start", code: "invalid_format", message: "meetings[0].start must be HH:MM" },
+        ]));
+    });
+
+    it("coerces numeric strings and accepts a valid body", () => {
+        const body = { studentId: "7", courseId: "3", value: "B_PLUS" };
+        expect(check("GradeCreate", body)).toEqual([]);
+        expect(body).toEqual({ studentId: 7, courseId: 3, value: "B_PLUS" });
+        expect(check("TermCreate", { code: "X", name: "Y", startsOn: "2026-13-01", endsOn: "2026-05-08" })).toEqual([
+            { path: "body.startsOn", code: "invalid_format", message: "startsOn must be a date" },
+        ]);
+    });
+
+    it("has a schema for every admin and gradebook body", () => {
+        expect(check("UserCreate", { role: "DEAN", name: "Ada", email: "ada@coursehub.io" }).map(d => [d.path, d.code])).toEqual([
+            ["body.password", "required"], ["body.role", "invalid_value"],
+        ]);
+        expect(check("UserUpdate", { name: "", reason: "Typo" }).map(d => d.path)).toEqual(["body.name"]);
+        expect(check("OfferingCreate", { term: "2025-FALL", enrollment_limit: "20" })).toEqual([]);
+        expect(check("OfferingUpdate", { enrollment_limit: -1 }).map(d => d.code)).toEqual(["out_of_range"]);
+        expect(check("ConsentCreate", {}).map(d => d.path)).toEqual(["body.studentId"]);
+        expect(check("ScaleSelect", { scale: "5.0" }).map(d => d.code)).toEqual(["invalid_value"]);
+        expect(check("CutoffsReplace", { cutoffs: [{ letter: "A", minPercent: 120 }] }).map(d => d.path))
+            .toEqual(["body.cutoffs[0].minPercent"]);
+        expect(check("CategoryCreate", { name: "Homework", weight: 0 }).map(d => d.path)).toEqual(["body.weight"]);
+        expect(check("AssignmentCreate", { categoryId: 1, title: "HW1", maxPoints: 20, dueAt: "soon" }).map(d => d.path))
+            .toEqual(["body.dueAt"]);
+        expect(check("ScoresPut", { scores: [{ studentId: 3, points: null }, { points: -1 }] }).map(d => d.path))
+            .toEqual(["body.scores[1].studentId", "body.scores[1].points"]);
+        expect(check("GradeReject", { reason: " " }).map(d => d.code)).toEqual(["required"]);
+        expect(check("CourseGradeAction", {})).toEqual([]);
+        expect(check("CourseGradeAction", { term: { code: "2025-FALL" }, reason: "x".repeat(1001) }).map(d => [d.path, d.code])).toEqual([
+            ["body.term", "invalid_type"], ["body.reason", "too_long"],
+        ]);
+        expect(check("ChangeRequestReview", { note: { text: "ok" } }).map(d => d.path)).toEqual(["body.note"]);
+    });
+
+    it("turns the routes' own rule messages into details", () => {
+        expect(validationError(["meetings[0].end must be after start.", { path: "body.weight", code: "out_of_range", message: "too heavy" }]))
+            .toEqual({
+                error: "meetings[0].end must be after start; too heavy",
+                code: "validation_failed",
+                details: [
+                    { path: "body.meetings[0].end", code: "invalid", message: "meetings[0].end must be after start" },
+                    { path: "body.weight", code: "out_of_range", message: "too heavy" },
+                ],
+            });
+    });
+
+    it("brings older error bodies into the shared format", () => {
+        expect(normalizeErrorBody(404, { error: "Course not found" })).toEqual({ error: "Course not found", code: "not_found" });
+        expect(normalizeErrorBody(409, { error: "Cycle", code: "prereq_cycle", cycle: [1, 2, 1] }))
+            .toEqual({ error: "Cycle", code: "prereq_cycle", cycle: [1, 2, 1] });
+        expect(normalizeErrorBody(400, { errors: ["prereqs[0].minGrade must be a passing grade letter."] })).toEqual({
+            error: "prereqs[0].minGrade must be a passing grade letter",
+            code: "validation_failed",
+            details: [detailFromMessage("prereqs[0].minGrade must be a passing grade letter.")],
+        });
+        expect(detailFromMessage("Meeting times overlap").path).toBe("body");
+    });
+
+    it("answers bad requests in the shared format before touching the database", async () => {
+        const login = await request(app).post("/auth/login").send({ email: "ada@coursehub.io" });
+        expect(login.status).toBe(400);
+        expect(login.body).toEqual({
+            error: "password is required",
+            code: "validation_failed",
+            details: [{ path: "body.password", code: "required", message: "password is required" }],
+        });
+
+        const malformed = await request(app).post("/auth/login").set("Content-Type", "application/json").send("{");
+        expect(malformed.status).toBe(400);
+        expect(malformed.body.code).toBe("invalid_json");
+
+        const missing = await request(app).get("/no-such-route");
+        expect(missing.status).toBe(404);
+        expect(missing.body).toEqual({ error: "Not found", code: "not_found" });
+    });
+});
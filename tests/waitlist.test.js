@@ -0,0 +1,123 @@
+import request from "supertest";
+import app, { pool } from "../server.js";
+import { promoteFromWaitlist } from "../src/lib/waitlist.js";
+import { signAccessToken } from "../src/lib/sessions.js";
+
+process.env.JWT_SECRET ||= "test-secret";
+
+// CS201 (course 2) in offering 20 needs CS101 (course 1) with a C or better.
+// Answers the queries of promoteFromWaitlist, the prereq and schedule checks
+// and POST /enrollments/waitlist from these tables.
+function fakeDb({ limit = 2, enrolled = [], queue = [], grades = {}, conflicts = [] } = {}) {
+    const db = {
+        enrollments: enrolled.map((studentId, i) => ({ id: 100 + i, student_id: studentId, course_id: 2, offering_id: 20 })),
+        queue: queue.map((studentId, i) => ({ id: 50 + i, student_id: studentId, course_id: 2, offering_id: 20, created_at: `2025-08-0${i + 1}` })),
+        audit: [],
+        webhooks: [],
+        async query(text, values = []) {
+            if (text.includes("token_version FROM users")) return { rows: [{ id: values[0], role: "STUDENT", token_version: 0 }] };
+            if (text.includes("FROM courses WHERE id=$1")) return { rows: [{ id: 2 }] };
+            if (text.includes("FROM terms WHERE is_active")) return { rows: [{ id: 1, code: "2025-FALL" }] };
+            if (text.includes("FOR UPDATE OF o") || text.includes("c.archived_at IS NOT NULL")) {
+                return { rows: [{ id: 20, course_id: 2, term_id: 1, enrollment_limit: limit, enrolled: this.enrollments.length, course_archived: false }] };
+            }
+            if (text.includes("COUNT(*)::int AS enrolled")) return { rows: [{ enrolled: this.enrollments.length }] };
+            if (text.includes("SELECT 1 FROM enrollments")) return { rows: this.enrollments.filter(e => e.student_id === values[0]) };
+            if (text.includes("FROM course_prereqs p")) return { rows: [{ id: 1, code: "CS101", minGrade: "C", group: null, concurrent: false }] };
+            if (text.includes("requires_consent FROM courses")) return { rows: [{ requires_consent: false }] };
+            if (text.includes("FROM official_grades")) {
+                return { rows: grades[values[0]] ? [{ course_id: 1, value: grades[values[0]] }] : [] };
+            }
+            if (text.includes("course_meetings em")) {
+                return { rows: conflicts.includes(values[0]) ? [{ course_id: 3, code: "MATH101", day: "MON", start: "09:00", end: "10:00" }] : [] };
+            }
+            if (text.includes("SELECT id, student_id FROM waitlist_entries")) return { rows: [...this.queue] };
+            if (text.includes("INSERT INTO waitlist_entries")) {
+                if (this.queue.some(w => w.student_id === values[0])) return { rows: [] };
+                const entry = { id: 50 + this.queue.length, student_id: values[0], course_id: values[1], offering_id: values[2], created_at: "2025-08-09" };
+                this.queue.push(entry);
+                return { rows: [entry] };
+            }
+            if (text.includes("AS position")) return { rows: [{ position: this.queue.findIndex(w => w.id === values[2]) + 1 }] };
+            if (text.includes("INSERT INTO enrollments")) {
+                const row = { id: 100 + this.enrollments.length, student_id: values[0], course_id: values[1], offering_id: values[2] };
+                this.enrollments.push(row);
+                return { rows: [row] };
+            }
+            if (text.includes("DELETE FROM waitlist_entries WHERE id=$1")) {
+                this.queue = this.queue.filter(w => w.id !== values[0]);
+                return { rows: [] };
+            }
+            if (text.includes("INSERT INTO audit_log")) this.audit.push(values);
+            if (text.includes("INSERT INTO webhook_deliveries")) this.webhooks.push([values[0], JSON.parse(values[1])]);
+            return { rows: [] };
+        },
+    };
+    return db;
+}
+
+describe("Waitlist", () => {
+    afterAll(async () => {
+        await pool.end();
+    });
+
+    it("fills freed seats in line order", async () => {
+        const db = fakeDb({ limit: 3, enrolled: [7], queue: [11, 12, 13], grades: { 11: "B", 12: "A", 13: "C" } });
+        const promoted = await promoteFromWaitlist(db, 20);
+        expect(promoted.map(e => e.student_id)).toEqual([11, 12]);
+        expect(db.queue.map(w => w.student_id)).toEqual([13]);
+
+        expect(db.audit.map(a => [a[1], a[6] && JSON.parse(a[6]).student_id])).toEqual([
+            ["enrollment.promote", 11], ["enrollment.promote", 12],
+        ]);
+        expect(db.webhooks).toEqual([
+            ["enrollment.created", expect.objectContaining({ student_id: 11, source: "waitlist" })],
+            ["enrollment.created", expect.objectContaining({ student_id: 12, source: "waitlist" })],
+        ]);
+    });
+
+    it("skips students who no longer meet the prerequisites, keeping their place", async () => {
+        // 11 failed CS101 since joining and 12 has a D; 13 has the C needed
+        const db = fakeDb({ limit: 1, queue: [11, 12, 13], grades: { 11: "F", 12: "D", 13: "C" } });
+        expect((await promoteFromWaitlist(db, 20)).map(e => e.student_id)).toEqual([13]);
+        expect(db.queue.map(w => w.student_id)).toEqual([11, 12]);
+    });
+
+    it("skips students whose schedule now conflicts", async () => {
+        const db = fakeDb({ limit: 1, queue: [11, 12], grades: { 11: "A", 12: "A" }, conflicts: [11] });
+        expect((await promoteFromWaitlist(db, 20)).map(e => e.student_id)).toEqual([12]);
+        expect(db.queue.map(w => w.student_id)).toEqual([11]);
+    });
+
+    it("promotes nobody while the offering is still full", async () => {
+        const db = fakeDb({ limit: 1, enrolled: [7], queue: [11], grades: { 11: "A" } });
+        expect(await promoteFromWaitlist(db, 20)).toEqual([]);
+        expect(db.queue).toHaveLength(1);
+    });
+
+    it("lets students join a full course's waitlist and reports their position", async () => {
+        const db = fakeDb({ limit: 1, enrolled: [7], queue: [11], grades: { 12: "B", 13: "F" } });
+        const original = pool.query;
+        pool.query = db.query.bind(db);
+        const join = (studentId) => request(app)
+            .post("/enrollments/waitlist")
+            .set("Authorization", `Bearer ${signAccessToken({ id: studentId, role: "STUDENT" })}`)
+            .send({ courseId: 2 });
+        try {
+            const res = await join(12);
+            expect(res.status).toBe(201);
+            expect(res.body).toMatchObject({ student_id: 12, offering_id: 20, position: 2 });
+
+            expect((await join(12)).body.error).toBe("Already on waitlist");
+            expect((await join(7)).body.error).toBe("Already enrolled");
+            const unmet = await join(13);
+            expect(unmet.status).toBe(409);
+            expect(unmet.body.reason).toBe("prereq");
+
+            db.enrollments = [];
+            expect((await join(14)).body.error).toBe("Course has open seats; enroll directly");
+        } finally {
+            pool.query = original;
+        }
+    });
+});
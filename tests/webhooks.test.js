@@ -0,0 +1,126 @@
+import http from "http";
+import {
+    signWebhook, verifyWebhookSignature, backoffDelay, sendWebhook, deliveryBody, MAX_ATTEMPTS,
+} from "../src/lib/webhooks.js";
+import { recordGrade, transitionGrades } from "../src/lib/grades.js";
+import { check } from "../src/lib/validate.js";
+
+// A local receiver that records each request and answers with `status`
+function startReceiver(status = 200) {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(status, { "Content-Type": "text/plain" });
+            res.end(status === 200 ? "ok" : "nope");
+        });
+    });
+    return new Promise(resolve => server.listen(0, "127.0.0.1", () => {
+        resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hooks` });
+    }));
+}
+
+const delivery = {
+    id: 42,
+    event: "grade.recorded",
+    created_at: "2026-01-10T12:00:00.000Z",
+    payload: { id: 7, student_id: 3, course_id: 1, value: "A", status: "APPROVED" },
+};
+
+describe("Webhooks", () => {
+    it("signs the timestamp and raw body with the endpoint secret", () => {
+        const body = deliveryBody(delivery);
+        const now = 1767960000 * 1000;
+        const signature = signWebhook("whsec_test", 1767960000, body);
+        expect(signature).toMatch(/^sha256=[0-9a-f]{64}$/);
+        expect(verifyWebhookSignature("whsec_test", { timestamp: 1767960000, signature, body }, { now })).toBe(true);
+        expect(verifyWebhookSignature("whsec_other", { timestamp: 1767960000, signature, body }, { now })).toBe(false);
+        expect(verifyWebhookSignature("whsec_test", { timestamp: 1767960000, signature, body: `${body} ` }, { now })).toBe(false);
+        // replayed ten minutes later
+        expect(verifyWebhookSignature("whsec_test", { timestamp: 1767960000, signature, body }, { now: now + 600000 })).toBe(false);
+    });
+
+    it("backs off exponentially up to a cap", () => {
+        expect([1, 2, 3, 4].map(backoffDelay)).toEqual([30000, 60000, 120000, 240000]);
+        expect(backoffDelay(MAX_ATTEMPTS + 20)).toBe(6 * 60 * 60 * 1000);
+    });
+
+    it("delivers a signed request to a local receiver", async () => {
+        const { server, received, url } = await startReceiver(200);
+        try {
+            const result = await sendWebhook({ url, secret: "whsec_test" }, delivery);
+            expect(result).toEqual(expect.objectContaining({ ok: true, status: 200, error: null, responseBody: "ok" }));
+
+            const [req] = received;
+            expect(req.headers["x-coursehub-event"]).toBe("grade.recorded");
+            expect(req.headers["x-coursehub-delivery"]).toBe("42");
+            expect(verifyWebhookSignature("whsec_test", {
+                timestamp: req.headers["x-coursehub-timestamp"],
+                signature: req.headers["x-coursehub-signature"],
+                body: req.body,
+            })).toBe(true);
+            expect(JSON.parse(req.body)).toEqual({
+                id: 42, event: "grade.recorded", createdAt: "2026-01-10T12:00:00.000Z", data: delivery.payload,
+            });
+        } finally {
+            server.close();
+        }
+    });
+
+    it("reports error responses and unreachable endpoints without throwing", async () => {
+        const { server, url } = await startReceiver(500);
+        try {
+            const result = await sendWebhook({ url, secret: "whsec_test" }, delivery);
+            expect(result).toEqual(expect.objectContaining({ ok: false, status: 500, error: "HTTP 500", responseBody: "nope" }));
+        } finally {
+            server.close();
+        }
+        const down = await sendWebhook({ url: "http://127.0.0.1:1/hooks", secret: "whsec_test" }, delivery);
+        expect(down.ok).toBe(false);
+        expect(down.status).toBeNull();
+        expect(down.error).toBeTruthy();
+    });
+
+    it("checks endpoint bodies", () => {
+        expect(check("WebhookCreate", { url: "https://hooks.example.com/x", events: ["grade.recorded"] })).toEqual([]);
+        expect(check("WebhookCreate", { url: "ftp://example.com", events: [] })).toEqual(expect.arrayContaining([
+            { path: "body.url", code: "invalid_format", message: "url must be an http(s) URL" },
+            expect.objectContaining({ path: "body.events", code: "too_short" }),
+        ]));
+        expect(check("WebhookUpdate", { events: ["grade.deleted"] })).toEqual([
+            expect.objectContaining({ path: "body.events[0]", code: "invalid_value" }),
+        ]);
+    });
+
+    it("sends grade.recorded when a grade is approved, never for a draft", async () => {
+        const grade = { id: 7, student_id: 3, course_id: 1, offering_id: 2, value: "A", status: "SUBMITTED" };
+        const queries = [];
+        // Stands in for a transaction client: grades queries answer with `grade`
+        const client = {
+            async query(text, values) {
+                queries.push({ text, values });
+                if (/FROM grades|INTO grades|UPDATE grades/.test(text)) {
+                    if (/^\s*SELECT id, value/.test(text)) return { rows: [] };
+                    const status = /UPDATE grades/.test(text) ? values[1] : /INSERT/.test(text) ? "DRAFT" : grade.status;
+                    return { rows: [{ ...grade, status }] };
+                }
+                return { rows: [], rowCount: 0 };
+            },
+        };
+        const deliveries = () => queries.filter(q => q.text.includes("webhook_deliveries"));
+
+        await recordGrade(client, { actorId: 1, studentId: 3, courseId: 1, offeringId: 2, value: "A" });
+        expect(deliveries()).toEqual([]);
+
+        await transitionGrades(client, [7], "submit", { actorId: 1 });
+        expect(deliveries()).toEqual([]);
+
+        await transitionGrades(client, [7], "approve", { actorId: 1 });
+        const sent = deliveries();
+        expect(sent).toHaveLength(1);
+        expect(sent[0].values[0]).toBe("grade.recorded");
+        expect(JSON.parse(sent[0].values[1])).toMatchObject({ id: 7, value: "A", status: "APPROVED" });
+    });
+});